@@ -0,0 +1,25 @@
+/**
+ * Database configuration
+ */
+const mongoose = require('mongoose');
+
+const DEFAULT_URI = 'mongodb://127.0.0.1:27017/backend_bill';
+
+/**
+ * Connect to MongoDB
+ * @param {string} [uri] - Connection string, defaults to MONGODB_URI
+ * @returns {Promise<typeof mongoose>} Connected mongoose instance
+ */
+exports.connectDatabase = async (uri = process.env.MONGODB_URI || DEFAULT_URI) => {
+  await mongoose.connect(uri);
+  console.log('Connected to MongoDB');
+  return mongoose;
+};
+
+/**
+ * Close the MongoDB connection
+ * @returns {Promise<void>}
+ */
+exports.disconnectDatabase = async () => {
+  await mongoose.disconnect();
+};
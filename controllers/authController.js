@@ -0,0 +1,105 @@
+/**
+ * Auth Controller
+ */
+const { issueToken, listApiKeys, createApiKey, revokeApiKey } = require('../services/authService');
+
+/**
+ * Describe the authenticated caller
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getMe = (req, res) => {
+  return res.status(200).json({
+    status: 'success',
+    data: req.user
+  });
+};
+
+/**
+ * Exchange an API key for a short-lived JWT
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.createToken = (req, res, next) => {
+  try {
+    if (req.user.method !== 'api-key') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Tokens can only be issued for an API key'
+      });
+    }
+
+    return res.status(200).json({
+      status: 'success',
+      ...issueToken(req.user)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the API keys of the caller's tenant
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listKeys = async (req, res, next) => {
+  try {
+    const keys = await listApiKeys(req.user.tenant);
+    return res.status(200).json({
+      status: 'success',
+      data: keys
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create an API key in the caller's tenant. The plain key is only returned here.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.createKey = async (req, res, next) => {
+  try {
+    const key = await createApiKey({
+      tenant: req.user.tenant,
+      name: req.body.name,
+      role: req.body.role,
+      createdBy: req.user.id
+    });
+    return res.status(201).json({
+      status: 'success',
+      data: key
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke an API key of the caller's tenant
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.revokeKey = async (req, res, next) => {
+  try {
+    const key = await revokeApiKey(req.params.id, req.user.tenant);
+    if (!key) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'API key not found'
+      });
+    }
+    return res.status(200).json({
+      status: 'success',
+      data: key
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,53 @@
+/**
+ * Batch Controller
+ */
+const { processBatch } = require('../services/batchService');
+const { resolveModel } = require('../services/providers');
+const { applyBudget } = require('../services/meteringService');
+const { validateCallbackUrl } = require('../services/webhookService');
+const { parseDocumentType } = require('../services/documentTypeService');
+
+/**
+ * Process a batch of PDFs (or ZIP archives of PDFs)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.processBatch = async (req, res, next) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'No PDF or ZIP files provided'
+      });
+    }
+
+    const { provider, model: requestedModel } = await resolveModel(req.body.provider, req.body.model);
+    const callbackUrl = await validateCallbackUrl(req.user.tenant, req.body.callbackUrl);
+    const documentType = parseDocumentType(req.body.documentType);
+
+    // Enforce the tenant's monthly budget, which may switch to a cheaper model
+    const budget = await applyBudget(req.user.tenant, provider, [requestedModel]);
+    const [model] = budget.models;
+
+    const batch = await processBatch(req.files, {
+      tenant: req.user.tenant,
+      apiKey: req.user.id,
+      provider: provider.name,
+      model,
+      concurrency: req.body.concurrency,
+      callbackUrl,
+      cache: req.body.cache !== 'false',
+      password: req.body.password || undefined,
+      documentType: documentType || undefined
+    });
+
+    return res.status(200).json({
+      status: 'success',
+      ...batch,
+      budget: budget.downgraded ? { downgraded: true, requestedModel, model } : undefined
+    });
+  } catch (error) {
+    next(error);
+  }
+};
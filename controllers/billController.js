@@ -0,0 +1,47 @@
+/**
+ * Bill Controller
+ */
+const { listBills, getBillById } = require('../services/billService');
+
+/**
+ * List stored bills
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listBills = async (req, res, next) => {
+  try {
+    const { bills, pagination } = await listBills(req.query, req.user.tenant);
+    return res.status(200).json({
+      status: 'success',
+      data: bills,
+      pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a single stored bill with its model runs
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getBill = async (req, res, next) => {
+  try {
+    const bill = await getBillById(req.params.id, req.user.tenant);
+    if (!bill) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Bill not found'
+      });
+    }
+    return res.status(200).json({
+      status: 'success',
+      data: bill
+    });
+  } catch (error) {
+    next(error);
+  }
+};
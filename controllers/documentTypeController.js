@@ -0,0 +1,21 @@
+/**
+ * Document Type Controller
+ */
+const { listDocumentTypes } = require('../services/billSchemaService');
+
+/**
+ * List the document types that can be extracted, with their fields
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listDocumentTypes = (req, res, next) => {
+  try {
+    return res.status(200).json({
+      status: 'success',
+      data: listDocumentTypes()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
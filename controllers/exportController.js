@@ -0,0 +1,101 @@
+/**
+ * Export Controller
+ */
+const { exportCsv, exportXlsx, streamJsonl, listProfiles } = require('../services/exportService');
+const { getBillById } = require('../services/billService');
+
+const XLSX_MIMETYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+/**
+ * Send bills in the requested format
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} query - Bill filters and export options
+ * @param {string} name - Base name of the downloaded file
+ * @returns {Promise<Object>} Express response
+ */
+const sendExport = async (req, res, query, name) => {
+  const format = (query.format || 'csv').toLowerCase();
+
+  if (format === 'jsonl') {
+    res.set('Content-Type', 'application/x-ndjson; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${name}.jsonl"`);
+    res.status(200);
+    await streamJsonl(req.user.tenant, query, res);
+    return res.end();
+  }
+
+  if (format === 'csv') {
+    const { content, count } = await exportCsv(req.user.tenant, query);
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${name}.csv"`);
+    res.set('X-Bill-Count', String(count));
+    return res.status(200).send(content);
+  }
+
+  if (format === 'xlsx') {
+    const { content, count } = await exportXlsx(req.user.tenant, query);
+    res.set('Content-Type', XLSX_MIMETYPE);
+    res.set('Content-Disposition', `attachment; filename="${name}.xlsx"`);
+    res.set('X-Bill-Count', String(count));
+    return res.status(200).send(content);
+  }
+
+  return res.status(400).json({
+    status: 'error',
+    message: `Unsupported export format: ${format}. Available formats: csv, xlsx, jsonl`
+  });
+};
+
+/**
+ * Export stored bills matching the bill filters, a batch (batch=<batchId>) or a list of ids
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.exportBills = async (req, res, next) => {
+  try {
+    const name = req.query.batch ? `batch-${req.query.batch}` : `bills-${new Date().toISOString().slice(0, 10)}`;
+    return await sendExport(req, res, req.query, name);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Export a single stored bill
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.exportBill = async (req, res, next) => {
+  try {
+    const bill = await getBillById(req.params.id, req.user.tenant);
+    if (!bill) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Bill not found'
+      });
+    }
+    return await sendExport(req, res, { ...req.query, ids: req.params.id }, `bill-${req.params.id}`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the column profiles available for exports
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listExportProfiles = async (req, res, next) => {
+  try {
+    return res.status(200).json({
+      status: 'success',
+      data: listProfiles()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,54 @@
+/**
+ * History Controller
+ */
+const { getTimeline } = require('../services/historyService');
+
+/**
+ * Send the timeline of a consumer
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} by - 'account' or 'meter'
+ * @param {string} value - Account or meter number
+ * @returns {Promise<Object>} Express response
+ */
+const sendTimeline = async (req, res, by, value) => {
+  const timeline = await getTimeline(req.user.tenant, by, value, req.query);
+  if (!timeline) {
+    return res.status(404).json({
+      status: 'error',
+      message: `No bills found for ${by} ${value}`
+    });
+  }
+  return res.status(200).json({
+    status: 'success',
+    data: timeline
+  });
+};
+
+/**
+ * Get the billing history of a consumer account (CanSerNo) with continuity checks and anomalies
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getAccountTimeline = async (req, res, next) => {
+  try {
+    return await sendTimeline(req, res, 'account', req.params.account);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the billing history of a meter (MetrNo) with continuity checks and anomalies
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getMeterTimeline = async (req, res, next) => {
+  try {
+    return await sendTimeline(req, res, 'meter', req.params.meter);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,111 @@
+/**
+ * Job Controller
+ */
+const { createJob, getJob } = require('../services/jobService');
+const { getProvider } = require('../services/providers');
+const { applyBudget } = require('../services/meteringService');
+const { validateCallbackUrl } = require('../services/webhookService');
+const { parseDocumentType } = require('../services/documentTypeService');
+
+/**
+ * Queue a PDF for background extraction with all (or selected) models
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.createJob = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'No PDF file provided'
+      });
+    }
+
+    const provider = getProvider(req.body.provider);
+    const callbackUrl = await validateCallbackUrl(req.user.tenant, req.body.callbackUrl);
+    const documentType = parseDocumentType(req.body.documentType);
+    const availableModels = await provider.listModels();
+
+    let models = availableModels;
+    if (req.body.models) {
+      models = String(req.body.models).split(',').map(model => model.trim()).filter(Boolean);
+      const unknown = models.filter(model => !availableModels.includes(model));
+      if (unknown.length > 0 || models.length === 0) {
+        return res.status(400).json({
+          status: 'error',
+          message: `Unknown models: ${unknown.join(', ') || '(none given)'}`
+        });
+      }
+    }
+
+    // Enforce the tenant's monthly budget, which may switch to a cheaper model
+    const budget = await applyBudget(req.user.tenant, provider, models);
+
+    const job = await createJob(req.file, {
+      tenant: req.user.tenant,
+      apiKey: req.user.id,
+      provider: provider.name,
+      models: budget.models,
+      callbackUrl,
+      cache: req.body.cache !== 'false',
+      password: req.body.password || undefined,
+      documentType: documentType || undefined
+    });
+
+    return res.status(202).json({
+      status: 'success',
+      jobId: job._id,
+      jobStatus: job.status,
+      statusUrl: `${req.baseUrl}/jobs/${job._id}`,
+      budget: budget.downgraded
+        ? { downgraded: true, requestedModels: budget.requestedModels, models: budget.models }
+        : undefined
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the state and partial results of a job
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getJob = async (req, res, next) => {
+  try {
+    const job = await getJob(req.params.id, req.user.tenant);
+    if (!job) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Job not found'
+      });
+    }
+
+    return res.status(200).json({
+      status: 'success',
+      data: {
+        id: job._id,
+        status: job.status,
+        filename: job.filename,
+        provider: job.provider,
+        models: job.models,
+        documentType: job.documentType || 'auto',
+        progress: {
+          completed: job.results.length,
+          total: job.models.length
+        },
+        results: job.results,
+        consensus: job.consensus || null,
+        billId: job.bill || null,
+        error: job.error,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        completedAt: job.completedAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
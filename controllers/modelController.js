@@ -0,0 +1,41 @@
+/**
+ * Model Controller
+ */
+const { describeRegistry, updateModel } = require('../services/modelRegistryService');
+const { describeCircuits } = require('../services/providers/resilience');
+
+/**
+ * List the model registry with capabilities, price versions and resilience
+ * settings, and the circuit breaker state of the models called so far
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listModels = (req, res, next) => {
+  try {
+    return res.status(200).json({
+      status: 'success',
+      data: { ...describeRegistry(), circuits: describeCircuits() }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add or update a model: enabled flag, capabilities, resilience settings and/or a new price version
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.updateModel = async (req, res, next) => {
+  try {
+    const result = await updateModel(req.params.provider, req.params.model, req.body);
+    return res.status(200).json({
+      status: 'success',
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -3,12 +3,160 @@
  */
 const path = require('path');
 const fs = require('fs-extra');
-const { extractBillData, extractBillDataWithAllModels } = require('../services/pdfService');
+const { extractBills, extractBillDataWithAllModels, buildFailedResult } = require('../services/pdfService');
+const { saveExtraction } = require('../services/billService');
+const { storeDocument, copyDocument, removeDocument } = require('../services/documentService');
+const { parseDocumentType } = require('../services/documentTypeService');
+const { isReviewableFailure } = require('../services/reviewService');
+const { validateCallbackUrl } = require('../services/webhookService');
+const { buildConsensus } = require('../services/consensusService');
+const { summarizeCache } = require('../services/cacheService');
+const { applyBudget, recordUsage } = require('../services/meteringService');
+const { resolveModel, getProvider } = require('../services/providers');
+const { addUsage, sumPricing } = require('../services/providers/usage');
+const { openEventStream } = require('../utils/eventStream');
 
 // Create uploads directory if it doesn't exist
 const uploadsDir = path.join(__dirname, '../uploads');
 fs.ensureDirSync(uploadsDir);
 
+/**
+ * Persist extraction results without failing the request if the database is unavailable
+ * @param {Object} params - Extraction details, as taken by billService.saveExtraction
+ * @returns {Promise<Object|null>} Saved bill id, review state and earlier bills it duplicates, or null if saving failed
+ */
+const persistExtraction = async (params) => {
+  try {
+    const bill = await saveExtraction(params);
+    return {
+      billId: bill._id.toString(),
+      review: { status: bill.review.status, reasons: bill.review.reasons },
+      duplicates: bill.duplicates.map(duplicate => ({ billId: duplicate.bill.toString(), matchedBy: duplicate.matchedBy }))
+    };
+  } catch (error) {
+    console.error('Failed to persist extraction:', error);
+    await removeDocument(params.document);
+    return null;
+  }
+};
+
+/**
+ * Queue an extraction that failed in a way a reviewer can resolve from the
+ * document; any other error is rethrown
+ * @param {Object} req - Express request object
+ * @param {Object} failure - Failure details
+ * @param {Error} failure.error - Extraction error
+ * @param {Array<string>} failure.models - Models that were requested
+ * @param {string} failure.source - 'single' or 'all-models'
+ * @param {Object} [failure.document] - Stored original document
+ * @param {string} [failure.callbackUrl] - Callback URL given with the upload
+ * @returns {Promise<Object|null>} Saved bill id and review state, as returned by persistExtraction
+ * @throws {Error} The extraction error if it is not reviewable
+ */
+const saveFailedExtraction = async (req, { error, models, source, document, callbackUrl }) => {
+  await fs.remove(req.file.path).catch(() => {});
+  if (!isReviewableFailure(error)) {
+    await removeDocument(document);
+    throw error;
+  }
+
+  return persistExtraction({
+    tenant: req.user.tenant,
+    filename: req.file.originalname,
+    source,
+    results: models.map(model => buildFailedResult(model, error)),
+    document,
+    callbackUrl
+  });
+};
+
+/**
+ * Queue an extraction that failed in a way a reviewer can resolve from the
+ * document and respond with the error; any other error is rethrown
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} failure - Failure details, as taken by saveFailedExtraction
+ * @returns {Promise<Object>} Express response
+ * @throws {Error} The extraction error if it is not reviewable
+ */
+const queueFailedExtraction = async (req, res, failure) => {
+  const saved = await saveFailedExtraction(req, failure);
+  const { error } = failure;
+  return res.status(error.statusCode).json({
+    status: 'error',
+    message: error.message,
+    ...saved
+  });
+};
+
+/**
+ * Document type of the results of one upload
+ * @param {Array<Object>} results - Extraction results
+ * @returns {string|null} Document type, or null if there are no results
+ */
+const documentTypeOf = (results) => (results.length > 0 ? results[0].documentType : null);
+
+/**
+ * Split details of a statement extracted as one bill per account
+ * @param {Array<Object>} results - Per-account extraction results
+ * @returns {Object} Number of accounts and the summary pages that belong to none of them
+ */
+const describeSplit = (results) => {
+  const segmented = results.find(result => result.segment);
+  return { accounts: results.length, summaryPages: segmented ? segmented.segment.summaryPages : [] };
+};
+
+/**
+ * Save every bill of a statement that was split into one bill per account. Each bill
+ * gets its own copy of the original, since review and retention handle bills one by one.
+ * @param {Object} req - Express request object
+ * @param {Array<Object>} results - One extraction result per account
+ * @param {Object} [document] - Stored original document
+ * @param {string} [callbackUrl] - Callback URL given with the upload
+ * @returns {Promise<Array<Object>>} Per-account bill id, review state, duplicates and extraction details
+ */
+const persistSplitExtraction = async (req, results, document, callbackUrl) => {
+  const documents = [document];
+  for (let index = 1; index < results.length; index++) {
+    documents.push(await copyDocument(req.user.tenant, document));
+  }
+
+  const bills = [];
+  for (const [index, result] of results.entries()) {
+    if (result.data && typeof result.data === 'object') {
+      result.data.Filename = req.file.originalname;
+    }
+    const saved = await persistExtraction({
+      tenant: req.user.tenant,
+      filename: req.file.originalname,
+      source: 'single',
+      results: [result],
+      document: documents[index],
+      callbackUrl
+    });
+    bills.push({
+      status: result.error ? 'failed' : 'success',
+      error: result.error,
+      billId: saved && saved.billId,
+      review: saved && saved.review,
+      duplicates: saved && saved.duplicates,
+      segment: result.segment,
+      model: result.model,
+      resilience: result.resilience,
+      data: result.data,
+      validation: result.validation,
+      consistency: result.consistency,
+      extraction: result.extraction,
+      textAcquisition: result.textAcquisition,
+      provenance: result.provenance,
+      usage: result.usage,
+      pricing: result.pricing,
+      cache: result.cache
+    });
+  }
+  return bills;
+};
+
 /**
  * Process PDF file to extract bill data
  * @param {Object} req - Express request object
@@ -24,36 +172,225 @@ exports.processPdf = async (req, res, next) => {
       });
     }
 
-    // Extract bill data from the PDF
-    const result = await extractBillData(req.file);
+    // Provider, model and document type can be chosen per request
+    const { provider, model: requestedModel } = await resolveModel(req.body.provider, req.body.model);
+    const callbackUrl = await validateCallbackUrl(req.user.tenant, req.body.callbackUrl);
+    const documentType = parseDocumentType(req.body.documentType);
+
+    // Enforce the tenant's monthly budget, which may switch to a cheaper model
+    const budget = await applyBudget(req.user.tenant, provider, [requestedModel]);
+    const [model] = budget.models;
+
+    // Keep the original for reviewers before the upload is cleaned up
+    const document = await storeDocument(req.user.tenant, req.file);
+
+    // Extract bill data from the PDF, one bill per account for statements
+    let results;
+    try {
+      results = await extractBills(req.file, {
+        provider: provider.name,
+        model,
+        useRules: req.body.rules !== 'false',
+        tenant: req.user.tenant,
+        cache: req.body.cache !== 'false',
+        password: req.body.password || undefined,
+        documentType: documentType || undefined
+      });
+    } catch (error) {
+      // Calls made before the failure are billed all the same
+      await recordUsage({
+        tenant: req.user.tenant,
+        apiKey: req.user.id,
+        source: 'single',
+        filename: req.file.originalname,
+        results: [buildFailedResult(model, error)]
+      });
+      return await queueFailedExtraction(req, res, { error, models: [model], source: 'single', document, callbackUrl });
+    }
+
+    await recordUsage({
+      tenant: req.user.tenant,
+      apiKey: req.user.id,
+      source: 'single',
+      filename: req.file.originalname,
+      results
+    });
+
+    if (results.length === 0) {
+      await removeDocument(document);
+      return res.status(422).json({
+        status: 'error',
+        message: 'No bill was found in the document'
+      });
+    }
+
+    if (results.length > 1) {
+      const bills = await persistSplitExtraction(req, results, document, callbackUrl);
+      const usage = results.reduce((total, result) => addUsage(total, result.usage), provider.normalizeUsage({}));
+
+      return res.status(200).json({
+        status: 'success',
+        documentType: documentTypeOf(results),
+        classification: results[0].classification,
+        split: describeSplit(results),
+        bills,
+        usage,
+        // Accounts served by a fallback model are priced at that model's rate
+        pricing: sumPricing(results.map(result => result.pricing)),
+        cache: summarizeCache(results),
+        budget: budget.downgraded ? { downgraded: true, requestedModel, model } : undefined
+      });
+    }
+
+    const [result] = results;
 
     // Only try to set filename if we got valid data
     if (result.data && typeof result.data === 'object') {
       result.data.Filename = req.file.originalname;
 
-      // Return the extracted data with token usage and pricing information
+      const saved = await persistExtraction({
+        tenant: req.user.tenant,
+        filename: req.file.originalname,
+        source: 'single',
+        results: [result],
+        document,
+        callbackUrl
+      });
+
+      // Return the extracted data with validation, consistency checks, provenance, token usage and pricing information
       return res.status(200).json({
         status: 'success',
+        billId: saved && saved.billId,
+        review: saved && saved.review,
+        duplicates: saved && saved.duplicates,
+        documentType: result.documentType,
+        classification: result.classification,
+        model: result.model,
+        resilience: result.resilience,
         data: result.data,
+        validation: result.validation,
+        consistency: result.consistency,
+        extraction: result.extraction,
+        textAcquisition: result.textAcquisition,
+        provenance: result.provenance,
         usage: result.usage,
-        pricing: result.pricing
+        pricing: result.pricing,
+        cache: result.cache,
+        budget: budget.downgraded ? { downgraded: true, requestedModel, model } : undefined
       });
     } else {
-      // If we didn't get valid data, return an error
+      // If we didn't get valid data, queue the document for review and return an error
+      const saved = await persistExtraction({
+        tenant: req.user.tenant,
+        filename: req.file.originalname,
+        source: 'single',
+        results: [result],
+        document,
+        callbackUrl
+      });
       return res.status(422).json({
         status: 'error',
-        message: 'Failed to extract data from the PDF'
+        message: 'Failed to extract data from the PDF',
+        ...saved
       });
     }
   } catch (error) {
     console.error('PDF processing error:', error);
-    return res.status(500).json({
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
+    return res.status(error.statusCode || 500).json({
       status: 'error',
       message: error.message || 'Failed to process PDF'
     });
   }
 };
 
+/**
+ * Check an all-models request, apply the tenant's budget and keep the original
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} Provider, callback URL, requested document type, budget and stored document
+ * @throws {Error} With statusCode 422 if the provider has no models to run
+ */
+const prepareAllModels = async (req) => {
+  const provider = getProvider(req.body.provider);
+  const callbackUrl = await validateCallbackUrl(req.user.tenant, req.body.callbackUrl);
+  const documentType = parseDocumentType(req.body.documentType);
+  const budget = await applyBudget(req.user.tenant, provider, await provider.listModels());
+  if (budget.models.length === 0) {
+    const error = new Error(`No models are available for provider ${provider.name}`);
+    error.statusCode = 422;
+    throw error;
+  }
+  const document = await storeDocument(req.user.tenant, req.file);
+  return { provider, callbackUrl, documentType, budget, document };
+};
+
+/**
+ * Options of an all-models extraction, as taken by extractBillDataWithAllModels
+ * @param {Object} req - Express request object
+ * @param {Object} prepared - Result of prepareAllModels
+ * @returns {Object} Extraction options
+ */
+const allModelsOptions = (req, { provider, budget, documentType }) => ({
+  provider: provider.name,
+  models: budget.models,
+  tenant: req.user.tenant,
+  cache: req.body.cache !== 'false',
+  password: req.body.password || undefined,
+  documentType: documentType || undefined
+});
+
+/**
+ * Describe a budget downgrade for the response
+ * @param {Object} budget - Result of applyBudget
+ * @returns {Object|undefined} Requested and used models, or undefined if the budget did not apply
+ */
+const describeBudget = (budget) => (budget.downgraded
+  ? { downgraded: true, requestedModels: budget.requestedModels, models: budget.models }
+  : undefined);
+
+/**
+ * Meter the results of an all-models extraction, merge them into one bill and save it
+ * @param {Object} req - Express request object
+ * @param {Array<Object>} results - Per-model extraction results
+ * @param {Object} prepared - Result of prepareAllModels
+ * @returns {Promise<Object>} Consensus and saved bill, as returned by persistExtraction
+ */
+const finishAllModels = async (req, results, { document, callbackUrl }) => {
+  await recordUsage({
+    tenant: req.user.tenant,
+    apiKey: req.user.id,
+    source: 'all-models',
+    filename: req.file.originalname,
+    results
+  });
+
+  // Add filename to each result's data object if available
+  results.forEach(result => {
+    if (result.data && typeof result.data === 'object') {
+      result.data.Filename = req.file.originalname;
+    }
+  });
+
+  // Merge the models' answers into one bill by weighted vote
+  const consensus = buildConsensus(results);
+  if (consensus) {
+    consensus.data.Filename = req.file.originalname;
+  }
+
+  const saved = await persistExtraction({
+    tenant: req.user.tenant,
+    filename: req.file.originalname,
+    source: 'all-models',
+    results,
+    consensus,
+    document,
+    callbackUrl
+  });
+  return { consensus, saved };
+};
+
 /**
  * Process PDF file with all available models and compare results
  * @param {Object} req - Express request object
@@ -68,27 +405,143 @@ exports.processPdfWithAllModels = async (req, res) => {
       });
     }
 
-    // Extract bill data from the PDF using all models
-    const results = await extractBillDataWithAllModels(req.file);
+    // Extract bill data from the PDF using all models of the chosen provider
+    const prepared = await prepareAllModels(req);
+    const { budget, document, callbackUrl } = prepared;
+    let results;
+    try {
+      results = await extractBillDataWithAllModels(req.file, allModelsOptions(req, prepared));
+    } catch (error) {
+      return await queueFailedExtraction(req, res, { error, models: budget.models, source: 'all-models', document, callbackUrl });
+    }
 
-    // Add filename to each result's data object if available
-    results.forEach(result => {
-      if (result.data && typeof result.data === 'object') {
-        result.data.Filename = req.file.originalname;
-      }
-    });
+    const { consensus, saved } = await finishAllModels(req, results, prepared);
 
-    // Return the results array with data from all models
+    // Return the consensus bill alongside the results array with data from all models
     return res.status(200).json({
       status: 'success',
+      billId: saved && saved.billId,
+      review: saved && saved.review,
+      duplicates: saved && saved.duplicates,
       filename: req.file.originalname,
-      results
+      documentType: documentTypeOf(results),
+      consensus,
+      results,
+      cache: summarizeCache(results),
+      budget: describeBudget(budget)
     });
   } catch (error) {
     console.error('PDF multi-model processing error:', error);
-    return res.status(500).json({
+    return res.status(error.statusCode || 500).json({
       status: 'error',
       message: error.message || 'Failed to process PDF with multiple models'
     });
   }
+};
+
+/**
+ * Process PDF file with all available models and stream the progress as
+ * Server-Sent Events (or NDJSON for Accept: application/x-ndjson):
+ * started, text, model.started, model.completed / model.failed for every
+ * model, then summary with the saved consensus bill, or failed. Requests that
+ * cannot start are answered with a JSON error like the non-streaming route.
+ * A client disconnect cancels the remaining model calls; models that already
+ * finished are still metered, and no bill is saved.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.processPdfWithAllModelsStream = async (req, res) => {
+  let stream;
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'No PDF file provided'
+      });
+    }
+
+    const prepared = await prepareAllModels(req);
+    const { provider, budget, document, callbackUrl } = prepared;
+
+    stream = openEventStream(req, res);
+    stream.send('started', {
+      filename: req.file.originalname,
+      provider: provider.name,
+      models: budget.models,
+      documentType: prepared.documentType || 'auto',
+      budget: describeBudget(budget)
+    });
+
+    let results;
+    try {
+      results = await extractBillDataWithAllModels(req.file, {
+        ...allModelsOptions(req, prepared),
+        signal: stream.signal,
+        onProgress: (event, details) => {
+          if (details.result && details.result.data && typeof details.result.data === 'object') {
+            details.result.data.Filename = req.file.originalname;
+          }
+          stream.send(event, details);
+        }
+      });
+    } catch (error) {
+      if (stream.signal.aborted) {
+        await removeDocument(document);
+        return;
+      }
+      const saved = await saveFailedExtraction(req, { error, models: budget.models, source: 'all-models', document, callbackUrl });
+      stream.send('failed', { status: 'error', statusCode: error.statusCode, message: error.message, ...saved });
+      return;
+    }
+
+    if (stream.signal.aborted) {
+      // The calls that finished were paid for even though nobody is waiting for them
+      await recordUsage({
+        tenant: req.user.tenant,
+        apiKey: req.user.id,
+        source: 'all-models',
+        filename: req.file.originalname,
+        results
+      });
+      await removeDocument(document);
+      console.log(`Client disconnected from streaming extraction of ${req.file.originalname} after ${results.length} of ${budget.models.length} models`);
+      return;
+    }
+
+    const { consensus, saved } = await finishAllModels(req, results, prepared);
+
+    stream.send('summary', {
+      status: 'success',
+      billId: saved && saved.billId,
+      review: saved && saved.review,
+      duplicates: saved && saved.duplicates,
+      filename: req.file.originalname,
+      documentType: documentTypeOf(results),
+      consensus,
+      models: results.map(result => ({
+        model: result.model,
+        status: result.error ? 'failed' : 'success',
+        error: result.error
+      })),
+      cache: summarizeCache(results),
+      budget: describeBudget(budget)
+    });
+  } catch (error) {
+    console.error('PDF multi-model streaming error:', error);
+    if (!stream) {
+      return res.status(error.statusCode || 500).json({
+        status: 'error',
+        message: error.message || 'Failed to process PDF with multiple models'
+      });
+    }
+    stream.send('failed', {
+      status: 'error',
+      statusCode: error.statusCode || 500,
+      message: error.message || 'Failed to process PDF with multiple models'
+    });
+  } finally {
+    if (stream) {
+      stream.end();
+    }
+  }
 };
\ No newline at end of file
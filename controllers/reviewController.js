@@ -0,0 +1,122 @@
+/**
+ * Review Controller
+ */
+const {
+  listQueue,
+  getReviewItem,
+  getDocument,
+  correctBill,
+  approveBill,
+  exportGroundTruth
+} = require('../services/reviewService');
+
+/**
+ * List bills waiting for review (or in another review status)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listReviewQueue = async (req, res, next) => {
+  try {
+    const { bills, pagination } = await listQueue(req.query, req.user.tenant);
+    return res.status(200).json({
+      status: 'success',
+      data: bills,
+      pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a bill with its extracted fields, checks, model runs and correction history
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getReviewItem = async (req, res, next) => {
+  try {
+    const bill = await getReviewItem(req.params.id, req.user.tenant);
+    return res.status(200).json({
+      status: 'success',
+      data: bill
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download the original document of a bill
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getReviewDocument = async (req, res, next) => {
+  try {
+    const document = await getDocument(req.params.id, req.user.tenant);
+    res.set('Content-Type', document.mimeType);
+    res.set('Content-Disposition', `inline; filename="${encodeURIComponent(document.originalName || 'document')}"`);
+    return res.status(200).sendFile(document.path);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Submit corrections for a bill
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.correctBill = async (req, res, next) => {
+  try {
+    const { bill, correction } = await correctBill(req.params.id, req.user.tenant, req.user, req.body);
+    return res.status(200).json({
+      status: 'success',
+      data: bill,
+      correction
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approve a bill without changes
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.approveBill = async (req, res, next) => {
+  try {
+    const { bill, correction } = await approveBill(req.params.id, req.user.tenant, req.user, req.body);
+    return res.status(200).json({
+      status: 'success',
+      data: bill,
+      correction
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download reviewed bills as a labeled dataset (ZIP) for the benchmark harness
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.exportGroundTruth = async (req, res, next) => {
+  try {
+    const { buffer, count, skipped } = await exportGroundTruth(req.user.tenant, req.query);
+    res.set('Content-Type', 'application/zip');
+    res.set('Content-Disposition', `attachment; filename="ground-truth-${new Date().toISOString().slice(0, 10)}.zip"`);
+    res.set('X-Bill-Count', String(count));
+    res.set('X-Skipped-Count', String(skipped));
+    return res.status(200).send(buffer);
+  } catch (error) {
+    next(error);
+  }
+};
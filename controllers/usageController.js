@@ -0,0 +1,76 @@
+/**
+ * Usage Controller
+ */
+const { getUsageReport, exportUsageCsv, getBudgetStatus, updateBudget } = require('../services/meteringService');
+
+/**
+ * Usage totals of the caller's tenant by day or month and model
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getUsage = async (req, res, next) => {
+  try {
+    const report = await getUsageReport(req.user.tenant, req.query);
+    return res.status(200).json({
+      status: 'success',
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download the usage ledger of the caller's tenant as CSV for chargeback
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.exportUsage = async (req, res, next) => {
+  try {
+    const csv = await exportUsageCsv(req.user.tenant, req.query);
+    const range = [req.query.from, req.query.to].filter(Boolean).join('_to_') || 'current-month';
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="usage-${range}.csv"`);
+    return res.status(200).send(csv);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Budget settings and spending of the current month
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.getBudget = async (req, res, next) => {
+  try {
+    const budget = await getBudgetStatus(req.user.tenant);
+    return res.status(200).json({
+      status: 'success',
+      data: budget
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change the monthly budget of the caller's tenant
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.updateBudget = async (req, res, next) => {
+  try {
+    const budget = await updateBudget(req.user.tenant, req.body);
+    return res.status(200).json({
+      status: 'success',
+      data: budget
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,144 @@
+/**
+ * Webhook Controller
+ */
+const {
+  listWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  rotateCallbackSecret,
+  listDeliveries,
+  retryDelivery
+} = require('../services/webhookService');
+
+/**
+ * List the webhooks of the caller's tenant
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listWebhooks = async (req, res, next) => {
+  try {
+    return res.status(200).json({
+      status: 'success',
+      data: await listWebhooks(req.user.tenant)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Register a webhook; its signing secret is returned only in this response
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.createWebhook = async (req, res, next) => {
+  try {
+    const webhook = await createWebhook({
+      tenant: req.user.tenant,
+      url: req.body.url,
+      events: req.body.events,
+      description: req.body.description,
+      createdBy: req.user.id
+    });
+    return res.status(201).json({
+      status: 'success',
+      data: webhook,
+      message: 'Store the secret now; it cannot be shown again.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change a webhook
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.updateWebhook = async (req, res, next) => {
+  try {
+    return res.status(200).json({
+      status: 'success',
+      data: await updateWebhook(req.params.id, req.user.tenant, req.body)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a webhook
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.deleteWebhook = async (req, res, next) => {
+  try {
+    await deleteWebhook(req.params.id, req.user.tenant);
+    return res.status(200).json({
+      status: 'success',
+      message: 'Webhook deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create or replace the secret that signs callback URL deliveries; returned only in this response
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.rotateCallbackSecret = async (req, res, next) => {
+  try {
+    const secret = await rotateCallbackSecret(req.user.tenant);
+    return res.status(200).json({
+      status: 'success',
+      data: { secret },
+      message: 'Store the secret now; it cannot be shown again.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delivery log of the caller's tenant
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.listDeliveries = async (req, res, next) => {
+  try {
+    const { deliveries, pagination } = await listDeliveries(req.query, req.user.tenant);
+    return res.status(200).json({
+      status: 'success',
+      data: deliveries,
+      pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send a finished delivery again
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.retryDelivery = async (req, res, next) => {
+  try {
+    return res.status(202).json({
+      status: 'success',
+      data: await retryDelivery(req.params.id, req.user.tenant)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
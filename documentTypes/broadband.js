@@ -0,0 +1,43 @@
+/**
+ * Broadband, landline and mobile postpaid bill
+ */
+module.exports = {
+  id: 'broadband',
+  name: 'Broadband / telecom bill',
+  subject: 'broadband or telecom bill',
+  keywords: [
+    /broadband|internet|fib(?:re|er)/i,
+    /\bmbps\b|data usage|\bgb\b/i,
+    /postpaid|landline|telecom|tariff plan/i,
+    /rental charges?|usage charges?/i
+  ],
+  accountPatterns: [
+    /(?:account|a\/c|customer|relationship|user)\s*(?:no|number|id)\.?\s*[:\-]?\s*([A-Z0-9][A-Z0-9\-\/]{5,})/gi
+  ],
+  fields: [
+    { name: 'Address', type: 'string', required: false, description: 'Installation or billing address' },
+    { name: 'Arrears', type: 'amount', unit: 'INR', required: false, description: 'Previous balance carried into this bill' },
+    { name: 'BillDate', type: 'date', required: true, description: 'Bill issue date' },
+    { name: 'BillDueDate', type: 'date', required: true, description: 'Payment due date' },
+    { name: 'BillMonth', type: 'month', required: false, description: 'Billing month' },
+    { name: 'BillNo', type: 'string', required: true, description: 'Bill / invoice number' },
+    { name: 'BillPeriodFrom', type: 'date', required: false, description: 'First day of the billing period' },
+    { name: 'BillPeriodTo', type: 'date', required: false, description: 'Last day of the billing period' },
+    { name: 'CanSerNo', type: 'string', required: true, description: 'Account number' },
+    { name: 'CGST', type: 'amount', unit: 'INR', required: false, description: 'Central GST' },
+    { name: 'ConsumerName', type: 'string', required: true, description: 'Customer name' },
+    { name: 'CurAmtPay', type: 'amount', unit: 'INR', required: true, description: 'Current amount payable' },
+    { name: 'DataUsage', type: 'number', unit: 'GB', required: false, description: 'Data used in the billing period' },
+    { name: 'Filename', type: 'string', required: false, system: true, description: 'Original upload filename' },
+    { name: 'GrosAmt', type: 'amount', unit: 'INR', required: false, description: 'Gross amount' },
+    { name: 'LastAmountpaid', type: 'amount', unit: 'INR', required: false, description: 'Last amount paid' },
+    { name: 'LastAmountPaidDate', type: 'date', required: false, description: 'Date of last payment' },
+    { name: 'LtPaySurChg', type: 'amount', unit: 'INR', required: false, description: 'Late payment fee' },
+    { name: 'PhoneNo', type: 'string', required: false, description: 'Service / phone number' },
+    { name: 'PlanName', type: 'string', required: false, description: 'Tariff plan' },
+    { name: 'RentalChg', type: 'amount', unit: 'INR', required: false, description: 'Plan rental charges' },
+    { name: 'SGST', type: 'amount', unit: 'INR', required: false, description: 'State GST' },
+    { name: 'UsageChg', type: 'amount', unit: 'INR', required: false, description: 'Usage charges beyond the plan' },
+    { name: 'UtilityName', type: 'string', required: false, description: 'Service provider' }
+  ]
+};
@@ -0,0 +1,65 @@
+/**
+ * Electricity bill (the original document type)
+ */
+module.exports = {
+  id: 'electricity',
+  name: 'Electricity bill',
+  // Used in the prompts: "extracts information from <subject>s"
+  subject: 'electricity bill',
+  keywords: [
+    /electricity/i,
+    /\bkwh\b/i,
+    /energy charges?/i,
+    /electricity duty/i,
+    /\b(?:discom|power distribution|electric supply)\b/i,
+    /contract demand|connected load/i
+  ],
+  accountPatterns: [
+    // Layouts that render the label after its value, e.g. ": 11234567Consumer A/C"
+    /:\s*(\d{6,})\s*Consumer A\/C/g,
+    /(?:consumer|account|a\/c|service|connection)\s*(?:no|number|id)\.?\s*[:\-]?\s*([A-Z0-9][A-Z0-9\-\/]{5,})/gi
+  ],
+  fields: [
+    { name: 'Address', type: 'string', required: true, description: 'Consumer supply address' },
+    { name: 'Arrears', type: 'amount', unit: 'INR', required: false, description: 'Outstanding arrears carried into this bill' },
+    { name: 'BaCode', type: 'string', required: false, description: 'Billing area code' },
+    { name: 'BillDate', type: 'date', required: true, description: 'Bill issue date' },
+    { name: 'BillDueDate', type: 'date', required: true, description: 'Payment due date' },
+    { name: 'BilledUnit', type: 'number', unit: 'kWh', required: false, description: 'Units billed' },
+    { name: 'BillFetchTimeStamp', type: 'datetime', required: false, description: 'Time the bill was fetched' },
+    { name: 'BillMonth', type: 'month', required: true, description: 'Billing month' },
+    { name: 'BillNo', type: 'string', required: true, description: 'Bill number' },
+    { name: 'CanSerNo', type: 'string', required: true, description: 'Consumer account / service number' },
+    { name: 'CGST', type: 'amount', unit: 'INR', required: false, description: 'Central GST' },
+    { name: 'CircleCode', type: 'string', required: false, description: 'Circle code' },
+    { name: 'CmrDt', type: 'date', required: false, description: 'Current meter reading date' },
+    { name: 'CmrKwh', type: 'reading', unit: 'kWh', required: false, description: 'Current meter reading' },
+    { name: 'ConCat', type: 'string', required: false, description: 'Consumer / tariff category' },
+    { name: 'ConnLd', type: 'number', unit: 'kW', required: false, description: 'Connected or contract load' },
+    { name: 'ConnType', type: 'string', required: false, description: 'Connection type' },
+    { name: 'ConsumerName', type: 'string', required: true, description: 'Consumer name' },
+    { name: 'ConsUnits', type: 'number', unit: 'kWh', required: false, description: 'Units consumed' },
+    { name: 'CurAmtPay', type: 'amount', unit: 'INR', required: true, description: 'Current amount payable' },
+    { name: 'DiscCode', type: 'string', required: false, description: 'Distribution company code' },
+    { name: 'EleDuty', type: 'amount', unit: 'INR', required: false, description: 'Electricity duty' },
+    { name: 'EngyChg', type: 'amount', unit: 'INR', required: false, description: 'Energy charges' },
+    { name: 'EntityCode', type: 'string', required: false, description: 'Entity code' },
+    { name: 'EntityType', type: 'string', required: false, description: 'Entity type' },
+    { name: 'Filename', type: 'string', required: false, system: true, description: 'Original upload filename' },
+    { name: 'FinalClosingReading', type: 'reading', unit: 'kWh', required: false, description: 'Closing meter reading' },
+    { name: 'FinalConsUnits', type: 'number', unit: 'kWh', required: false, description: 'Final consumed units' },
+    { name: 'FinalOpeningReading', type: 'reading', unit: 'kWh', required: false, description: 'Opening meter reading' },
+    { name: 'FulCstAdj', type: 'amount', unit: 'INR', required: false, description: 'Fuel cost adjustment' },
+    { name: 'FxdChg', type: 'amount', unit: 'INR', required: false, description: 'Fixed / demand charges' },
+    { name: 'GrosAmt', type: 'amount', unit: 'INR', required: false, description: 'Gross amount' },
+    { name: 'LastAmountpaid', type: 'amount', unit: 'INR', required: false, description: 'Last amount paid' },
+    { name: 'LastAmountPaidDate', type: 'date', required: false, description: 'Date of last payment' },
+    { name: 'LtPaySurChg', type: 'amount', unit: 'INR', required: false, description: 'Late payment surcharge' },
+    { name: 'MeterStatus', type: 'string', required: false, description: 'Meter status' },
+    { name: 'MetRent', type: 'amount', unit: 'INR', required: false, description: 'Meter rent' },
+    { name: 'MetrNo', type: 'string', required: false, description: 'Meter number' },
+    { name: 'MulFac', type: 'number', required: false, description: 'Meter multiplying factor' },
+    { name: 'OmrDt', type: 'date', required: false, description: 'Old (previous) meter reading date' },
+    { name: 'OmrKwh', type: 'reading', unit: 'kWh', required: false, description: 'Old (previous) meter reading' }
+  ]
+};
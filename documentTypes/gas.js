@@ -0,0 +1,45 @@
+/**
+ * Piped natural gas bill
+ */
+module.exports = {
+  id: 'gas',
+  name: 'Gas bill',
+  subject: 'piped gas bill',
+  keywords: [
+    /piped natural gas|\bpng\b/i,
+    /\bscm\b|standard cubic met(?:re|er)/i,
+    /gas (?:bill|charges?|consumption|supply)/i,
+    /calorific value|\bgcv\b/i
+  ],
+  accountPatterns: [
+    /(?:customer|consumer|account|a\/c|bp|connection)\s*(?:no|number|id)\.?\s*[:\-]?\s*([A-Z0-9][A-Z0-9\-\/]{5,})/gi
+  ],
+  fields: [
+    { name: 'Address', type: 'string', required: true, description: 'Supply address' },
+    { name: 'Arrears', type: 'amount', unit: 'INR', required: false, description: 'Outstanding arrears carried into this bill' },
+    { name: 'BillDate', type: 'date', required: true, description: 'Bill issue date' },
+    { name: 'BillDueDate', type: 'date', required: true, description: 'Payment due date' },
+    { name: 'BillMonth', type: 'month', required: true, description: 'Billing month' },
+    { name: 'BillNo', type: 'string', required: true, description: 'Bill number' },
+    { name: 'CalorificValue', type: 'number', unit: 'kcal/SCM', required: false, description: 'Gross calorific value of the gas supplied' },
+    { name: 'CanSerNo', type: 'string', required: true, description: 'Customer account / BP number' },
+    { name: 'CGST', type: 'amount', unit: 'INR', required: false, description: 'Central GST' },
+    { name: 'CmrDt', type: 'date', required: false, description: 'Current meter reading date' },
+    { name: 'ConsumerName', type: 'string', required: true, description: 'Customer name' },
+    { name: 'ConsUnits', type: 'number', unit: 'SCM', required: false, description: 'Gas consumed' },
+    { name: 'CurAmtPay', type: 'amount', unit: 'INR', required: true, description: 'Current amount payable' },
+    { name: 'CurReading', type: 'reading', unit: 'SCM', required: false, description: 'Current meter reading' },
+    { name: 'Filename', type: 'string', required: false, system: true, description: 'Original upload filename' },
+    { name: 'FxdChg', type: 'amount', unit: 'INR', required: false, description: 'Fixed / minimum charges' },
+    { name: 'GasChg', type: 'amount', unit: 'INR', required: false, description: 'Gas consumption charges' },
+    { name: 'GrosAmt', type: 'amount', unit: 'INR', required: false, description: 'Gross amount' },
+    { name: 'LastAmountpaid', type: 'amount', unit: 'INR', required: false, description: 'Last amount paid' },
+    { name: 'LastAmountPaidDate', type: 'date', required: false, description: 'Date of last payment' },
+    { name: 'LtPaySurChg', type: 'amount', unit: 'INR', required: false, description: 'Late payment surcharge' },
+    { name: 'MetrNo', type: 'string', required: false, description: 'Meter number' },
+    { name: 'OmrDt', type: 'date', required: false, description: 'Previous meter reading date' },
+    { name: 'PrevReading', type: 'reading', unit: 'SCM', required: false, description: 'Previous meter reading' },
+    { name: 'SGST', type: 'amount', unit: 'INR', required: false, description: 'State GST' },
+    { name: 'UtilityName', type: 'string', required: false, description: 'Gas distribution company' }
+  ]
+};
@@ -0,0 +1,20 @@
+/**
+ * Registry of document types
+ *
+ * Document type shape:
+ *   id, name
+ *   subject: what the prompts call the document, e.g. 'water bill'
+ *   keywords: Array<RegExp>; the type whose keywords match most often wins classification
+ *   accountPatterns: Array<RegExp> (global) capturing the account or connection number,
+ *     used to split multi-account statements; captures need at least four digits
+ *   fields: canonical fields, same shape as the electricity fields. A field name used
+ *     by several types must have the same type everywhere, since bills share one collection.
+ *
+ * The first entry is the default type.
+ */
+module.exports = [
+  require('./electricity'),
+  require('./water'),
+  require('./gas'),
+  require('./broadband')
+];
@@ -0,0 +1,46 @@
+/**
+ * Water and sewerage bill
+ */
+module.exports = {
+  id: 'water',
+  name: 'Water bill',
+  subject: 'water bill',
+  keywords: [
+    /water (?:supply|charges?|bill|board|works|tax)/i,
+    /sewerage|sewer charges?/i,
+    /\bkilo ?lit(?:re|er)s?\b|\bkl\b/i,
+    /jal (?:board|nigam)|water authority/i
+  ],
+  accountPatterns: [
+    /(?:consumer|account|a\/c|connection|property)\s*(?:no|number|id)\.?\s*[:\-]?\s*([A-Z0-9][A-Z0-9\-\/]{5,})/gi
+  ],
+  fields: [
+    { name: 'Address', type: 'string', required: true, description: 'Premises address' },
+    { name: 'Arrears', type: 'amount', unit: 'INR', required: false, description: 'Outstanding arrears carried into this bill' },
+    { name: 'BillDate', type: 'date', required: true, description: 'Bill issue date' },
+    { name: 'BillDueDate', type: 'date', required: true, description: 'Payment due date' },
+    { name: 'BillMonth', type: 'month', required: true, description: 'Billing month' },
+    { name: 'BillNo', type: 'string', required: true, description: 'Bill number' },
+    { name: 'CanSerNo', type: 'string', required: true, description: 'Consumer account / connection number' },
+    { name: 'CmrDt', type: 'date', required: false, description: 'Current meter reading date' },
+    { name: 'ConCat', type: 'string', required: false, description: 'Consumer / tariff category' },
+    { name: 'ConnSize', type: 'string', required: false, description: 'Connection (pipe) size' },
+    { name: 'ConsumerName', type: 'string', required: true, description: 'Consumer name' },
+    { name: 'ConsUnits', type: 'number', unit: 'kL', required: false, description: 'Water consumed' },
+    { name: 'CurAmtPay', type: 'amount', unit: 'INR', required: true, description: 'Current amount payable' },
+    { name: 'CurReading', type: 'reading', unit: 'kL', required: false, description: 'Current meter reading' },
+    { name: 'Filename', type: 'string', required: false, system: true, description: 'Original upload filename' },
+    { name: 'FxdChg', type: 'amount', unit: 'INR', required: false, description: 'Fixed / service charges' },
+    { name: 'GrosAmt', type: 'amount', unit: 'INR', required: false, description: 'Gross amount' },
+    { name: 'LastAmountpaid', type: 'amount', unit: 'INR', required: false, description: 'Last amount paid' },
+    { name: 'LastAmountPaidDate', type: 'date', required: false, description: 'Date of last payment' },
+    { name: 'LtPaySurChg', type: 'amount', unit: 'INR', required: false, description: 'Late payment surcharge' },
+    { name: 'MetRent', type: 'amount', unit: 'INR', required: false, description: 'Meter rent' },
+    { name: 'MetrNo', type: 'string', required: false, description: 'Meter number' },
+    { name: 'OmrDt', type: 'date', required: false, description: 'Previous meter reading date' },
+    { name: 'PrevReading', type: 'reading', unit: 'kL', required: false, description: 'Previous meter reading' },
+    { name: 'SewerageChg', type: 'amount', unit: 'INR', required: false, description: 'Sewerage charges' },
+    { name: 'UtilityName', type: 'string', required: false, description: 'Water utility or board' },
+    { name: 'WaterChg', type: 'amount', unit: 'INR', required: false, description: 'Water charges' }
+  ]
+};
@@ -1,42 +1,26 @@
-const express = require('express');
-const cors = require('cors');
-const morgan = require('morgan');
-const bodyParser = require('body-parser');
 const dotenv = require('dotenv');
-const path = require('path');
-const fs = require('fs-extra');
 
 // Load environment variables
 dotenv.config();
 
-// Import routes
-const indexRoutes = require('./routes/index');
-
-// Initialize Express app
-const app = express();
-
-// Ensure uploads directory exists
-const uploadsDir = path.join(__dirname, 'uploads');
-fs.ensureDirSync(uploadsDir);
-
-// Middleware
-app.use(cors());
-app.use(morgan('dev'));
-app.use(bodyParser.json());
-app.use(bodyParser.urlencoded({ extended: true }));
-
-// Routes
-app.use('/api', indexRoutes);
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-  const statusCode = err.statusCode || 500;
-  res.status(statusCode).json({
-    status: 'error',
-    statusCode,
-    message: err.message
+// The app is built in app.js so tests can use it without a server or workers
+const app = require('./app');
+const { connectDatabase } = require('./config/database');
+const { startWorker } = require('./services/jobService');
+const { startDeliveryWorker } = require('./services/webhookService');
+const { startRetentionSweeper } = require('./services/retentionService');
+
+// Connect to MongoDB, then start processing queued extraction jobs and webhook deliveries,
+// and sweeping uploads and originals past their retention period
+connectDatabase()
+  .then(() => {
+    startWorker();
+    startDeliveryWorker();
+    startRetentionSweeper();
+  })
+  .catch((error) => {
+    console.error('MongoDB connection error:', error.message);
   });
-});
 
 // Start server
 const PORT = process.env.PORT || 3000;
@@ -44,4 +28,4 @@ app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
 });
 
-module.exports = app;
\ No newline at end of file
+module.exports = app;
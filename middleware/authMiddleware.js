@@ -1,36 +1,76 @@
 /**
  * Authentication middleware
  */
+const { authenticateApiKey, authenticateToken } = require('../services/authService');
 
 /**
- * Checks if the user is authenticated
+ * Read the credential from the request
+ * @param {Object} req - Express request object
+ * @returns {string|null} API key or JWT
  */
-exports.isAuthenticated = (req, res, next) => {
-  // This is a placeholder for authentication logic
-  // In a real application, you would verify tokens, sessions, etc.
-  
+const getCredential = (req) => {
   const authHeader = req.headers.authorization;
-  
-  if (!authHeader) {
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.slice('Bearer '.length).trim();
+  }
+  return req.headers['x-api-key'] || null;
+};
+
+/**
+ * Checks if the user is authenticated with an API key or a JWT issued by the service
+ * (Authorization: Bearer <key or token>, or X-API-Key: <key>), and sets req.user
+ * to { id, name, tenant, platform, role, method }
+ */
+exports.isAuthenticated = async (req, res, next) => {
+  const credential = getCredential(req);
+
+  if (!credential) {
     return res.status(401).json({
       status: 'error',
       message: 'Unauthorized: No authentication token provided'
     });
   }
-  
-  // For demonstration purposes only
-  // In a real app, you would validate the token/session
-  if (authHeader.startsWith('Bearer ')) {
-    // Add user information to request object
-    req.user = {
-      id: 'example-user-id',
-      role: 'user'
-    };
+
+  try {
+    const principal = await authenticateApiKey(credential) || await authenticateToken(credential);
+    if (!principal) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Unauthorized: Invalid authentication token'
+      });
+    }
+
+    req.user = principal;
     return next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Restricts a route to the given roles
+ * @param {...string} roles - Roles allowed to use the route
+ * @returns {Function} Express middleware
+ */
+exports.authorize = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({
+      status: 'error',
+      message: `Forbidden: requires role ${roles.join(' or ')}`
+    });
+  }
+  return next();
+};
+
+/**
+ * Restricts a route to admins of the platform tenant, for settings shared by all tenants
+ */
+exports.isPlatformAdmin = (req, res, next) => {
+  if (!req.user || req.user.role !== 'admin' || !req.user.platform) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Forbidden: requires a platform admin'
+    });
   }
-  
-  return res.status(401).json({
-    status: 'error',
-    message: 'Unauthorized: Invalid authentication token'
-  });
-};
\ No newline at end of file
+  return next();
+};
@@ -5,6 +5,7 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs-extra');
+const { validateFile } = require('../services/uploadService');
 
 // Ensure uploads directory exists
 const uploadsDir = path.join(__dirname, '../uploads');
@@ -13,7 +14,11 @@ fs.ensureDirSync(uploadsDir);
 // Configure multer storage
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    cb(null, uploadsDir);
+    // Keep each tenant's uploads in its own folder
+    const dir = req.user ? path.join(uploadsDir, req.user.tenant) : uploadsDir;
+    fs.ensureDir(dir)
+      .then(() => cb(null, dir))
+      .catch(cb);
   },
   filename: (req, file, cb) => {
     // Create a unique filename
@@ -22,12 +27,15 @@ const storage = multer.diskStorage({
   }
 });
 
-// File filter to only accept PDFs
+// Bills are accepted as PDFs or as scanned/photographed images (OCRed)
+const DOCUMENT_MIMETYPES = ['application/pdf', 'image/jpeg', 'image/png'];
+
+// File filter to only accept PDFs and images
 const fileFilter = (req, file, cb) => {
-  if (file.mimetype === 'application/pdf') {
+  if (DOCUMENT_MIMETYPES.includes(file.mimetype)) {
     cb(null, true);
   } else {
-    cb(new Error('Only PDF files are accepted'), false);
+    cb(new Error('Only PDF, JPEG or PNG files are accepted'), false);
   }
 };
 
@@ -40,6 +48,69 @@ exports.uploadPdf = multer({
   }
 }).single('pdf');
 
+// File filter for batch uploads: documents or ZIP archives of documents
+const ZIP_MIMETYPES = ['application/zip', 'application/x-zip-compressed', 'multipart/x-zip'];
+const batchFileFilter = (req, file, cb) => {
+  const isZip = ZIP_MIMETYPES.includes(file.mimetype) ||
+    (file.mimetype === 'application/octet-stream' && path.extname(file.originalname).toLowerCase() === '.zip');
+  if (DOCUMENT_MIMETYPES.includes(file.mimetype) || isZip) {
+    cb(null, true);
+  } else {
+    cb(new Error('Only PDF, JPEG, PNG or ZIP files are accepted'), false);
+  }
+};
+
+// Export the multer middleware for batch uploads
+exports.uploadBatch = multer({
+  storage,
+  fileFilter: batchFileFilter,
+  limits: {
+    fileSize: 100 * 1024 * 1024, // 100MB limit per file (ZIP archives)
+    files: 500
+  }
+}).array('pdfs', 500);
+
+/**
+ * Delete the request's uploaded files once the response is finished or the
+ * client goes away, whatever happened while handling it. Handlers that keep
+ * an upload (background jobs) move it elsewhere first.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.cleanupUploads = (req, res, next) => {
+  res.on('close', () => {
+    const files = req.file ? [req.file] : (req.files || []);
+    for (const file of files) {
+      fs.remove(file.path).catch(error => console.error(`Failed to remove upload ${file.path}:`, error));
+    }
+  });
+  next();
+};
+
+/**
+ * Reject a single upload whose content is not a PDF, JPEG or PNG file, or is a
+ * broken PDF. The detected type replaces the MIME type sent by the client.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+exports.verifyUpload = async (req, res, next) => {
+  if (!req.file) {
+    return next();
+  }
+  try {
+    const { mimeType } = await validateFile(req.file.path);
+    req.file.mimetype = mimeType;
+    next();
+  } catch (error) {
+    return res.status(error.statusCode || 400).json({
+      status: 'error',
+      message: error.message
+    });
+  }
+};
+
 // Error handling middleware for multer
 exports.handleUploadError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
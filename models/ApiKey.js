@@ -0,0 +1,22 @@
+/**
+ * API key model
+ *
+ * Only a SHA-256 hash of each key is stored; the plain key is shown once
+ * when it is created. The prefix identifies a key in listings and logs.
+ */
+const mongoose = require('mongoose');
+
+const ROLES = ['admin', 'uploader', 'reviewer', 'viewer'];
+
+const apiKeySchema = new mongoose.Schema({
+  tenant: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', required: true, index: true },
+  name: { type: String, required: true, trim: true },
+  role: { type: String, enum: ROLES, required: true },
+  prefix: { type: String, required: true, unique: true },
+  keyHash: { type: String, required: true, unique: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'ApiKey' },
+  lastUsedAt: Date,
+  revokedAt: Date
+}, { timestamps: true });
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,107 @@
+/**
+ * Bill model
+ *
+ * The canonical bill fields are derived from the bill schema service so
+ * the stored document always matches what extraction returns. Bills of
+ * every document type share the collection; data holds the union of their fields.
+ */
+const mongoose = require('mongoose');
+const { ALL_FIELDS, DEFAULT_DOCUMENT_TYPE } = require('../services/billSchemaService');
+
+// Mongoose types for each canonical field type. Dates and months are kept
+// as ISO strings (YYYY-MM-DD / YYYY-MM) so they sort and range-filter correctly.
+const FIELD_TYPES = {
+  amount: Number,
+  number: Number,
+  reading: Number,
+  date: String,
+  month: String,
+  datetime: Date,
+  string: String
+};
+
+const billDataSchema = new mongoose.Schema(
+  ALL_FIELDS.reduce((definition, field) => {
+    definition[field.name] = { type: FIELD_TYPES[field.type] || String, default: null };
+    return definition;
+  }, {}),
+  { _id: false }
+);
+
+const billSchema = new mongoose.Schema({
+  tenant: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', required: true, index: true },
+  filename: String,
+  source: { type: String, enum: ['single', 'all-models'], default: 'single' },
+  // Id of the batch upload the bill came from
+  batch: { type: String, index: true },
+  provider: String,
+  model: String,
+  // Document type whose fields were extracted (see documentTypes/)
+  documentType: { type: String, default: DEFAULT_DOCUMENT_TYPE, index: true },
+  // Position of the account within a statement that was split into one bill per account
+  segment: {
+    index: Number,
+    count: Number,
+    account: String,
+    pages: { type: [Number], default: undefined }
+  },
+  data: { type: billDataSchema, default: () => ({}) },
+  validation: mongoose.Schema.Types.Mixed,
+  consistency: mongoose.Schema.Types.Mixed,
+  provenance: mongoose.Schema.Types.Mixed,
+  consensus: mongoose.Schema.Types.Mixed,
+  // Original document, kept for review until the retention period ends
+  document: {
+    path: String,
+    originalName: String,
+    mimeType: String,
+    size: Number,
+    // Set by the retention sweeper, which also removes path
+    purgedAt: Date,
+    archivedAt: Date,
+    archivePath: String
+  },
+  // Content hashes of the original document (see cacheService)
+  fileHash: String,
+  textHash: String,
+  // Earlier bills with the same content, or the same bill number for the same account
+  duplicates: [{
+    _id: false,
+    bill: { type: mongoose.Schema.Types.ObjectId, ref: 'Bill' },
+    matchedBy: { type: String, enum: ['file', 'text', 'bill-number'] }
+  }],
+  // Differences from the consumer's earlier bills found when the bill was saved or corrected (see historyService)
+  anomalies: [mongoose.Schema.Types.Mixed],
+  // Incremented by every correction; corrections are recorded in BillCorrection
+  version: { type: Number, default: 1 },
+  review: {
+    status: {
+      type: String,
+      enum: ['not-required', 'pending', 'approved', 'corrected'],
+      default: 'not-required'
+    },
+    reasons: [String],
+    queuedAt: Date,
+    reviewedAt: Date,
+    reviewedBy: {
+      apiKey: { type: mongoose.Schema.Types.ObjectId, ref: 'ApiKey' },
+      name: String
+    },
+    comment: String
+  },
+  runs: [{ type: mongoose.Schema.Types.ObjectId, ref: 'ExtractionRun' }]
+}, { timestamps: true });
+
+billSchema.index({ 'data.ConsumerName': 1 });
+billSchema.index({ 'data.CanSerNo': 1, 'data.BillMonth': -1 });
+billSchema.index({ 'data.DiscCode': 1 });
+billSchema.index({ 'data.BillDate': -1 });
+billSchema.index({ tenant: 1, 'review.status': 1, 'review.queuedAt': 1 });
+billSchema.index({ createdAt: 1 });
+billSchema.index({ tenant: 1, fileHash: 1 });
+billSchema.index({ tenant: 1, textHash: 1 });
+billSchema.index({ tenant: 1, 'data.BillNo': 1, 'data.CanSerNo': 1 });
+billSchema.index({ tenant: 1, 'data.MetrNo': 1, 'data.BillMonth': -1 });
+billSchema.index({ tenant: 1, 'anomalies.type': 1 });
+
+module.exports = mongoose.model('Bill', billSchema);
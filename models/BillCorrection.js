@@ -0,0 +1,32 @@
+/**
+ * Bill correction model
+ *
+ * One record per review action on a bill: the fields a reviewer changed with
+ * their old and new values, or an approval without changes. Together they
+ * form the version history of the bill's data.
+ */
+const mongoose = require('mongoose');
+
+const billCorrectionSchema = new mongoose.Schema({
+  tenant: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', required: true, index: true },
+  bill: { type: mongoose.Schema.Types.ObjectId, ref: 'Bill', required: true, index: true },
+  // Bill version after the action
+  version: { type: Number, required: true },
+  action: { type: String, enum: ['correct', 'approve'], required: true },
+  changes: [{
+    _id: false,
+    field: { type: String, required: true },
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  comment: String,
+  reviewer: {
+    apiKey: { type: mongoose.Schema.Types.ObjectId, ref: 'ApiKey' },
+    name: String,
+    role: String
+  }
+}, { timestamps: true });
+
+billCorrectionSchema.index({ bill: 1, version: 1 });
+
+module.exports = mongoose.model('BillCorrection', billCorrectionSchema);
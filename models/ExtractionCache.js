@@ -0,0 +1,35 @@
+/**
+ * Extraction cache model
+ *
+ * A successful model result, keyed by the content it was extracted from and
+ * everything else that shapes the answer: provider, model, prompt version,
+ * whether layout rules ran and the document type asked for. Entries expire
+ * after EXTRACTION_CACHE_TTL_DAYS.
+ */
+const mongoose = require('mongoose');
+
+const CACHE_TTL_DAYS = parseInt(process.env.EXTRACTION_CACHE_TTL_DAYS, 10) || 30;
+
+const extractionCacheSchema = new mongoose.Schema({
+  tenant: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', required: true },
+  // SHA-256 of the uploaded bytes
+  fileHash: { type: String, required: true },
+  // SHA-256 of the extracted text with case and whitespace normalized
+  textHash: { type: String, required: true },
+  provider: { type: String, required: true },
+  model: { type: String, required: true },
+  promptVersion: { type: String, required: true },
+  rules: { type: Boolean, default: false },
+  // Document type the client asked for, 'auto' when it was detected
+  documentType: { type: String, default: 'auto' },
+  // Extraction result as returned by pdfService.extractWithModel, plus provenance
+  result: { type: mongoose.Schema.Types.Mixed, required: true },
+  hits: { type: Number, default: 0 },
+  lastHitAt: Date
+}, { timestamps: true });
+
+extractionCacheSchema.index({ tenant: 1, fileHash: 1, provider: 1, model: 1, promptVersion: 1, rules: 1, documentType: 1 }, { unique: true });
+extractionCacheSchema.index({ tenant: 1, textHash: 1, provider: 1, model: 1, promptVersion: 1, rules: 1, documentType: 1 });
+extractionCacheSchema.index({ createdAt: 1 }, { expireAfterSeconds: CACHE_TTL_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ExtractionCache', extractionCacheSchema);
@@ -0,0 +1,35 @@
+/**
+ * Extraction run model
+ *
+ * One record per model call made while extracting a bill.
+ */
+const mongoose = require('mongoose');
+
+const extractionRunSchema = new mongoose.Schema({
+  tenant: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', required: true, index: true },
+  bill: { type: mongoose.Schema.Types.ObjectId, ref: 'Bill', index: true },
+  provider: String,
+  model: { type: String, required: true },
+  documentType: String,
+  status: { type: String, enum: ['succeeded', 'failed'], required: true },
+  error: String,
+  data: mongoose.Schema.Types.Mixed,
+  validation: mongoose.Schema.Types.Mixed,
+  consistency: mongoose.Schema.Types.Mixed,
+  provenance: mongoose.Schema.Types.Mixed,
+  usage: {
+    prompt_tokens: Number,
+    completion_tokens: Number,
+    total_tokens: Number,
+    cached_tokens: Number,
+    reasoning_tokens: Number
+  },
+  pricing: mongoose.Schema.Types.Mixed,
+  timing: {
+    startTime: Date,
+    endTime: Date,
+    durationMs: Number
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('ExtractionRun', extractionRunSchema);
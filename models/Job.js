@@ -0,0 +1,43 @@
+/**
+ * Extraction job model
+ *
+ * Jobs live in MongoDB so queued and partially processed work survives a
+ * server restart.
+ */
+const mongoose = require('mongoose');
+
+const jobSchema = new mongoose.Schema({
+  tenant: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', required: true, index: true },
+  apiKey: { type: mongoose.Schema.Types.ObjectId, ref: 'ApiKey' },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued',
+    index: true
+  },
+  filename: String,
+  filePath: { type: String, required: true },
+  provider: String,
+  models: [String],
+  // Notified with the extraction events next to the tenant's webhooks
+  callbackUrl: String,
+  // Document type chosen with the upload; detected from the text when not set
+  documentType: String,
+  // Whether models with a cached result for the same content are skipped
+  cache: { type: Boolean, default: true },
+  // Password of a protected PDF, encrypted with JOB_PASSWORD_KEY (see jobService);
+  // never returned and removed once the job finishes
+  password: { type: String, select: false },
+  results: { type: [mongoose.Schema.Types.Mixed], default: [] },
+  consensus: mongoose.Schema.Types.Mixed,
+  error: String,
+  attempts: { type: Number, default: 0 },
+  bill: { type: mongoose.Schema.Types.ObjectId, ref: 'Bill' },
+  lockedAt: Date,
+  startedAt: Date,
+  completedAt: Date
+}, { timestamps: true });
+
+jobSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -0,0 +1,28 @@
+/**
+ * Tenant model
+ *
+ * A team sharing the service. Bills, runs and jobs belong to exactly one
+ * tenant and are never visible to another.
+ */
+const mongoose = require('mongoose');
+
+const tenantSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true, trim: true },
+  active: { type: Boolean, default: true },
+  // Admins of a platform tenant manage settings shared by all tenants, like the model registry
+  platform: { type: Boolean, default: false },
+  // Monthly spending limit in USD; no limit when monthlyLimit is null
+  budget: {
+    monthlyLimit: { type: Number, default: null },
+    // What happens once the limit is reached
+    action: { type: String, enum: ['reject', 'downgrade'], default: 'reject' },
+    // Model used instead of the requested one when downgrading
+    fallbackModel: { type: String, default: null },
+    // Spending at which even downgraded requests are rejected; no cap when null
+    hardLimit: { type: Number, default: null }
+  },
+  // Signs deliveries to callback URLs given with uploads; set by an admin
+  callbackSecret: { type: String, default: null, select: false }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Tenant', tenantSchema);
@@ -0,0 +1,31 @@
+/**
+ * Usage record model
+ *
+ * Metering ledger: one record per billed model call, failed ones included, with the tokens
+ * used and the cost in USD at the time of the call.
+ */
+const mongoose = require('mongoose');
+
+const usageRecordSchema = new mongoose.Schema({
+  tenant: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', required: true },
+  apiKey: { type: mongoose.Schema.Types.ObjectId, ref: 'ApiKey' },
+  // Groups the model calls made for one API request or job
+  requestId: { type: String, required: true },
+  source: { type: String, enum: ['single', 'all-models', 'batch', 'job'], required: true },
+  filename: String,
+  provider: String,
+  model: { type: String, required: true },
+  promptTokens: { type: Number, default: 0 },
+  completionTokens: { type: Number, default: 0 },
+  totalTokens: { type: Number, default: 0 },
+  cachedTokens: { type: Number, default: 0 },
+  reasoningTokens: { type: Number, default: 0 },
+  cost: { type: Number, default: 0 },
+  // False when the model had no price in the registry; cost is then 0 but not known to be free
+  priced: { type: Boolean, default: true }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+usageRecordSchema.index({ tenant: 1, createdAt: -1 });
+usageRecordSchema.index({ tenant: 1, model: 1, createdAt: -1 });
+
+module.exports = mongoose.model('UsageRecord', usageRecordSchema);
@@ -0,0 +1,25 @@
+/**
+ * Webhook model
+ *
+ * An endpoint of a tenant that receives signed POSTs for extraction events.
+ * The signing secret is shown once when the webhook is created and is never
+ * returned by queries unless explicitly selected.
+ */
+const mongoose = require('mongoose');
+
+const EVENTS = ['extraction.completed', 'extraction.failed', 'extraction.needs_review', 'extraction.anomaly'];
+
+const webhookSchema = new mongoose.Schema({
+  tenant: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', required: true, index: true },
+  url: { type: String, required: true, trim: true },
+  events: {
+    type: [{ type: String, enum: EVENTS }],
+    default: () => [...EVENTS]
+  },
+  description: { type: String, trim: true },
+  secret: { type: String, required: true, select: false },
+  active: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'ApiKey' }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Webhook', webhookSchema);
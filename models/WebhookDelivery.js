@@ -0,0 +1,38 @@
+/**
+ * Webhook delivery model
+ *
+ * One event sent to one endpoint: a registered webhook, or the callback URL
+ * given with an upload. Deliveries are queued in MongoDB and retried with
+ * exponential backoff; every attempt is logged.
+ */
+const mongoose = require('mongoose');
+
+const webhookDeliverySchema = new mongoose.Schema({
+  tenant: { type: mongoose.Schema.Types.ObjectId, ref: 'Tenant', required: true, index: true },
+  // Unset for callback URLs given with an upload
+  webhook: { type: mongoose.Schema.Types.ObjectId, ref: 'Webhook', index: true },
+  url: { type: String, required: true },
+  event: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedAt: Date,
+  deliveredAt: Date,
+  log: [{
+    _id: false,
+    at: Date,
+    statusCode: Number,
+    error: String,
+    durationMs: Number
+  }]
+}, { timestamps: true });
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ tenant: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
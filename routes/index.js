@@ -1,14 +1,104 @@
 const express = require('express');
 const router = express.Router();
 const { getIndex } = require('../controllers/indexController');
-const { processPdf, processPdfWithAllModels } = require('../controllers/pdfController');
-const { uploadPdf, handleUploadError } = require('../middleware/fileUploadMiddleware');
+const { processPdf, processPdfWithAllModels, processPdfWithAllModelsStream } = require('../controllers/pdfController');
+const { listBills, getBill } = require('../controllers/billController');
+const { exportBills, exportBill, listExportProfiles } = require('../controllers/exportController');
+const { createJob, getJob } = require('../controllers/jobController');
+const { processBatch } = require('../controllers/batchController');
+const { getMe, createToken, listKeys, createKey, revokeKey } = require('../controllers/authController');
+const { getUsage, exportUsage, getBudget, updateBudget } = require('../controllers/usageController');
+const { listModels, updateModel } = require('../controllers/modelController');
+const { listDocumentTypes } = require('../controllers/documentTypeController');
+const { getAccountTimeline, getMeterTimeline } = require('../controllers/historyController');
+const {
+  listReviewQueue,
+  getReviewItem,
+  getReviewDocument,
+  correctBill,
+  approveBill,
+  exportGroundTruth
+} = require('../controllers/reviewController');
+const {
+  listWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  rotateCallbackSecret,
+  listDeliveries,
+  retryDelivery
+} = require('../controllers/webhookController');
+const { uploadPdf, uploadBatch, handleUploadError, cleanupUploads, verifyUpload } = require('../middleware/fileUploadMiddleware');
+const { isAuthenticated, authorize, isPlatformAdmin } = require('../middleware/authMiddleware');
+
+// Role groups
+const canUpload = authorize('admin', 'uploader');
+const canRead = authorize('admin', 'uploader', 'reviewer', 'viewer');
+const canReview = authorize('admin', 'reviewer');
+const isAdmin = authorize('admin');
 
 // Define routes
 router.get('/', getIndex);
 
+// Everything below requires an API key or a token issued for one
+router.use(isAuthenticated);
+
+// Auth and API key management
+router.get('/auth/me', getMe);
+router.post('/auth/token', createToken);
+router.get('/keys', isAdmin, listKeys);
+router.post('/keys', isAdmin, createKey);
+router.delete('/keys/:id', isAdmin, revokeKey);
+
 // PDF processing routes
-router.post('/pdf', uploadPdf, handleUploadError, processPdf);
-router.post('/pdf/all', uploadPdf, handleUploadError, processPdfWithAllModels);
+router.post('/pdf', canUpload, cleanupUploads, uploadPdf, handleUploadError, verifyUpload, processPdf);
+router.post('/pdf/all', canUpload, cleanupUploads, uploadPdf, handleUploadError, verifyUpload, processPdfWithAllModels);
+router.post('/pdf/all/stream', canUpload, cleanupUploads, uploadPdf, handleUploadError, verifyUpload, processPdfWithAllModelsStream);
+router.post('/pdf/batch', canUpload, cleanupUploads, uploadBatch, handleUploadError, processBatch);
+
+// Document types that can be chosen with documentType on uploads
+router.get('/document-types', canRead, listDocumentTypes);
+
+// Background extraction jobs
+router.post('/jobs', canUpload, cleanupUploads, uploadPdf, handleUploadError, verifyUpload, createJob);
+router.get('/jobs/:id', canRead, getJob);
+
+// Stored bill routes
+router.get('/bills', canRead, listBills);
+router.get('/bills/export', canRead, exportBills);
+router.get('/bills/export/profiles', canRead, listExportProfiles);
+router.get('/bills/:id', canRead, getBill);
+router.get('/bills/:id/export', canRead, exportBill);
+
+// Billing history of a consumer, with continuity checks and anomalies
+router.get('/consumers/:account/timeline', canRead, getAccountTimeline);
+router.get('/meters/:meter/timeline', canRead, getMeterTimeline);
+
+// Human review of untrusted extractions
+router.get('/review', canReview, listReviewQueue);
+router.get('/review/export', canReview, exportGroundTruth);
+router.get('/review/:id', canReview, getReviewItem);
+router.get('/review/:id/document', canReview, getReviewDocument);
+router.post('/review/:id/corrections', canReview, correctBill);
+router.post('/review/:id/approve', canReview, approveBill);
+
+// Webhooks for extraction events
+router.get('/webhooks', isAdmin, listWebhooks);
+router.post('/webhooks', isAdmin, createWebhook);
+router.post('/webhooks/callback-secret', isAdmin, rotateCallbackSecret);
+router.get('/webhooks/deliveries', isAdmin, listDeliveries);
+router.post('/webhooks/deliveries/:id/retry', isAdmin, retryDelivery);
+router.put('/webhooks/:id', isAdmin, updateWebhook);
+router.delete('/webhooks/:id', isAdmin, deleteWebhook);
+
+// Usage metering and budgets
+router.get('/usage', canRead, getUsage);
+router.get('/usage/export', canRead, exportUsage);
+router.get('/usage/budget', canRead, getBudget);
+router.put('/usage/budget', isAdmin, updateBudget);
+
+// Model and pricing registry, shared by all tenants
+router.get('/admin/models', isPlatformAdmin, listModels);
+router.put('/admin/models/:provider/:model', isPlatformAdmin, updateModel);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
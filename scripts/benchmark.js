@@ -0,0 +1,83 @@
+/**
+ * Benchmark command
+ *
+ * Usage:
+ *   npm run benchmark -- --dataset <dir> [--provider openai] [--models gpt-4o,o3-mini]
+ *     [--extractors model,hybrid,rules] [--concurrency 1] [--out benchmark-reports]
+ *
+ * Writes report.json and report.html into a timestamped folder under --out.
+ */
+require('dotenv').config();
+const path = require('path');
+const fs = require('fs-extra');
+const { runBenchmark, renderHtmlReport, EXTRACTORS } = require('../services/benchmarkService');
+
+/**
+ * Parse --name value pairs from the command line
+ * @param {Array<string>} argv - Command line arguments
+ * @returns {Object} Option values by name
+ */
+const parseArgs = (argv) => {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--([^=]+)(?:=(.*))?$/);
+    if (!match) {
+      continue;
+    }
+    if (match[2] !== undefined) {
+      options[match[1]] = match[2];
+    } else {
+      options[match[1]] = argv[i + 1];
+      i++;
+    }
+  }
+  return options;
+};
+
+/**
+ * Split a comma separated option
+ * @param {string} [value] - Option value
+ * @returns {Array<string>|undefined} List of values
+ */
+const list = (value) => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : undefined);
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!options.dataset) {
+    console.error('Missing --dataset <dir>: a directory of bill files, each with a <name>.json label');
+    process.exit(1);
+  }
+
+  const report = await runBenchmark({
+    datasetDir: options.dataset,
+    provider: options.provider,
+    models: list(options.models),
+    extractors: list(options.extractors) || EXTRACTORS,
+    concurrency: parseInt(options.concurrency, 10) || 1
+  });
+
+  const outDir = path.join(options.out || 'benchmark-reports', report.generatedAt.replace(/[:.]/g, '-'));
+  await fs.ensureDir(outDir);
+  await fs.writeJson(path.join(outDir, 'report.json'), report, { spaces: 2 });
+  await fs.writeFile(path.join(outDir, 'report.html'), renderHtmlReport(report));
+
+  console.table(report.runs.map(run => ({
+    run: run.id,
+    exact: run.exactAccuracy,
+    tolerance: run.toleranceAccuracy,
+    precision: run.precision,
+    recall: run.recall,
+    cost: run.cost.total,
+    meanMs: run.latency.meanMs
+  })));
+  if (report.recommendation) {
+    console.log(`Recommended: ${report.recommendation.run}`);
+  }
+  console.log(`Report written to ${outDir}`);
+};
+
+main().catch(error => {
+  console.error('Benchmark failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,66 @@
+/**
+ * Create an API key from the command line, e.g. the first admin key of a tenant
+ *
+ * Usage:
+ *   npm run create-api-key -- --tenant <name> [--role admin] [--name <label>] [--platform true]
+ *
+ * The tenant is created if it does not exist; --platform true marks it as the
+ * platform tenant, whose admins manage shared settings such as the model
+ * registry. The key is printed once and cannot be recovered later.
+ */
+require('dotenv').config();
+const { connectDatabase, disconnectDatabase } = require('../config/database');
+const { findOrCreateTenant, createApiKey } = require('../services/authService');
+
+/**
+ * Parse --name value pairs from the command line
+ * @param {Array<string>} argv - Command line arguments
+ * @returns {Object} Option values by name
+ */
+const parseArgs = (argv) => {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--([^=]+)(?:=(.*))?$/);
+    if (!match) {
+      continue;
+    }
+    if (match[2] !== undefined) {
+      options[match[1]] = match[2];
+    } else {
+      options[match[1]] = argv[i + 1];
+      i++;
+    }
+  }
+  return options;
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!options.tenant) {
+    console.error('Missing --tenant <name>');
+    process.exit(1);
+  }
+
+  await connectDatabase();
+  try {
+    const tenant = await findOrCreateTenant(options.tenant, { platform: options.platform === 'true' });
+    const key = await createApiKey({
+      tenant: tenant._id,
+      name: options.name || 'cli',
+      role: options.role || 'admin'
+    });
+
+    console.log(`Tenant: ${tenant.name} (${tenant._id})${tenant.platform ? ' [platform]' : ''}`);
+    console.log(`Role:   ${key.role}`);
+    console.log(`Key:    ${key.key}`);
+    console.log('Store this key now; it cannot be shown again.');
+  } finally {
+    await disconnectDatabase();
+  }
+};
+
+main().catch(error => {
+  console.error('Failed to create API key:', error.message);
+  process.exit(1);
+});
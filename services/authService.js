@@ -0,0 +1,217 @@
+/**
+ * Auth service
+ *
+ * Tenants, API keys and the short-lived JWTs issued in exchange for a key.
+ * A principal is what a request is authenticated as:
+ *   { id (API key id), name, tenant (tenant id), platform, role, method: 'api-key' | 'jwt' }
+ */
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const Tenant = require('../models/Tenant');
+const ApiKey = require('../models/ApiKey');
+const { httpError } = require('../utils/helpers');
+
+const KEY_PREFIX = 'obk';
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '1h';
+const JWT_ISSUER = 'oorja-backend';
+
+// Roles in decreasing order of privilege
+const ROLES = ApiKey.schema.path('role').enumValues;
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} key - Plain API key
+ * @returns {string} Hex SHA-256 digest
+ */
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Build the principal for an API key
+ * @param {Object} apiKey - API key document with its tenant populated
+ * @param {string} method - Authentication method
+ * @returns {Object} Principal
+ */
+const toPrincipal = (apiKey, method) => ({
+  id: apiKey._id.toString(),
+  name: apiKey.name,
+  tenant: apiKey.tenant._id.toString(),
+  platform: Boolean(apiKey.tenant.platform),
+  role: apiKey.role,
+  method
+});
+
+/**
+ * Public view of an API key (never includes the hash)
+ * @param {Object} apiKey - API key document
+ * @returns {Object} Key details
+ */
+const describeKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  role: apiKey.role,
+  prefix: apiKey.prefix,
+  createdAt: apiKey.createdAt,
+  lastUsedAt: apiKey.lastUsedAt || null,
+  revokedAt: apiKey.revokedAt || null
+});
+
+/**
+ * Find a tenant by name, creating it if it does not exist
+ * @param {string} name - Tenant name
+ * @param {Object} [options] - Tenant options
+ * @param {boolean} [options.platform] - Mark the tenant as the platform tenant
+ * @returns {Promise<Object>} Tenant document
+ */
+exports.findOrCreateTenant = async (name, { platform } = {}) => {
+  return Tenant.findOneAndUpdate(
+    { name },
+    { $setOnInsert: { name }, ...(platform ? { $set: { platform: true } } : {}) },
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * Create an API key for a tenant
+ * @param {Object} params - Key details
+ * @param {string} params.tenant - Tenant id
+ * @param {string} params.name - Label for the key
+ * @param {string} params.role - 'admin', 'uploader', 'reviewer' or 'viewer'
+ * @param {string} [params.createdBy] - Id of the key that created this one
+ * @returns {Promise<Object>} Key details and the plain key, which is not stored and cannot be shown again
+ * @throws {Error} With statusCode 400 if the name or role is invalid
+ */
+exports.createApiKey = async ({ tenant, name, role, createdBy }) => {
+  if (!name || !String(name).trim()) {
+    throw httpError('API key name is required', 400);
+  }
+  if (!ROLES.includes(role)) {
+    throw httpError(`Invalid role: ${role}. Available roles: ${ROLES.join(', ')}`, 400);
+  }
+
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const key = `${KEY_PREFIX}_${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+
+  const apiKey = await ApiKey.create({
+    tenant,
+    name: String(name).trim(),
+    role,
+    prefix,
+    keyHash: hashKey(key),
+    createdBy
+  });
+
+  return { ...describeKey(apiKey), key };
+};
+
+/**
+ * List the API keys of a tenant
+ * @param {string} tenant - Tenant id
+ * @returns {Promise<Array<Object>>} Key details, newest first
+ */
+exports.listApiKeys = async (tenant) => {
+  const keys = await ApiKey.find({ tenant }).sort({ createdAt: -1 }).lean();
+  return keys.map(describeKey);
+};
+
+/**
+ * Revoke an API key of a tenant
+ * @param {string} id - API key id
+ * @param {string} tenant - Tenant id
+ * @returns {Promise<Object|null>} Revoked key details, or null if the tenant has no such key
+ */
+exports.revokeApiKey = async (id, tenant) => {
+  if (!mongoose.isValidObjectId(id)) {
+    return null;
+  }
+  const apiKey = await ApiKey.findOneAndUpdate(
+    { _id: id, tenant, revokedAt: null },
+    { revokedAt: new Date() },
+    { new: true }
+  );
+  if (apiKey) {
+    return describeKey(apiKey);
+  }
+  // Revoking twice is not an error
+  const existing = await ApiKey.findOne({ _id: id, tenant });
+  return existing ? describeKey(existing) : null;
+};
+
+/**
+ * Load an active key together with its tenant
+ * @param {Object} filter - API key filter
+ * @returns {Promise<Object|null>} API key with its tenant, or null if it is missing, revoked or its tenant is inactive
+ */
+const findActiveKey = async (filter) => {
+  const apiKey = await ApiKey.findOne({ ...filter, revokedAt: null }).populate('tenant').lean();
+  if (!apiKey || !apiKey.tenant || !apiKey.tenant.active) {
+    return null;
+  }
+  return apiKey;
+};
+
+/**
+ * Authenticate a plain API key
+ * @param {string} key - Plain API key
+ * @returns {Promise<Object|null>} Principal, or null if the key is unknown or revoked
+ */
+exports.authenticateApiKey = async (key) => {
+  if (!key || !key.startsWith(`${KEY_PREFIX}_`)) {
+    return null;
+  }
+  const apiKey = await findActiveKey({ keyHash: hashKey(key) });
+  if (!apiKey) {
+    return null;
+  }
+  // Usage tracking must never block the request
+  ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() }).catch(() => {});
+  return toPrincipal(apiKey, 'api-key');
+};
+
+/**
+ * Issue a JWT for an authenticated API key
+ * @param {Object} principal - Principal authenticated with an API key
+ * @returns {Object} Token and its lifetime
+ * @throws {Error} With statusCode 500 if JWT_SECRET is not configured
+ */
+exports.issueToken = (principal) => {
+  if (!process.env.JWT_SECRET) {
+    throw httpError('Token issuing is not configured (JWT_SECRET is not set)', 500);
+  }
+  const token = jwt.sign(
+    { tenant: principal.tenant, role: principal.role },
+    process.env.JWT_SECRET,
+    { subject: principal.id, issuer: JWT_ISSUER, expiresIn: JWT_EXPIRES_IN }
+  );
+  return { token, tokenType: 'Bearer', expiresIn: JWT_EXPIRES_IN };
+};
+
+/**
+ * Authenticate a JWT issued by this service. The key it was issued for must
+ * still be active, so revoking a key also invalidates its tokens.
+ * @param {string} token - JWT
+ * @returns {Promise<Object|null>} Principal, or null if the token is invalid or expired
+ */
+exports.authenticateToken = async (token) => {
+  if (!process.env.JWT_SECRET) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET, { issuer: JWT_ISSUER });
+  } catch (error) {
+    return null;
+  }
+
+  if (!mongoose.isValidObjectId(payload.sub)) {
+    return null;
+  }
+  const apiKey = await findActiveKey({ _id: payload.sub });
+  if (!apiKey || apiKey.tenant._id.toString() !== payload.tenant) {
+    return null;
+  }
+  return toPrincipal(apiKey, 'jwt');
+};
+
+exports.ROLES = ROLES;
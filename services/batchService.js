@@ -0,0 +1,343 @@
+/**
+ * Batch service
+ *
+ * Extracts many bills in one request. ZIP uploads are expanded into their
+ * PDF and image entries, files are processed with a bounded number of concurrent
+ * model calls, and one failing file never aborts the rest of the batch.
+ */
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const AdmZip = require('adm-zip');
+const { extractBills, buildFailedResult } = require('./pdfService');
+const { getProvider } = require('./providers');
+const { addUsage, sumPricing } = require('./providers/usage');
+const { saveExtraction } = require('./billService');
+const { storeDocument, copyDocument, removeDocument } = require('./documentService');
+const { isReviewableFailure } = require('./reviewService');
+const { recordUsage } = require('./meteringService');
+const { summarizeCache } = require('./cacheService');
+const { validateFile, validateBuffer } = require('./uploadService');
+const { mapWithConcurrency } = require('../utils/helpers');
+
+const DEFAULT_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY, 10) || 3;
+const MAX_CONCURRENCY = parseInt(process.env.BATCH_MAX_CONCURRENCY, 10) || 10;
+const MAX_ZIP_ENTRIES = 500;
+const MAX_ZIP_ENTRY_BYTES = 10 * 1024 * 1024; // Same limit as single PDF uploads
+const DOCUMENT_EXTENSIONS = ['.pdf', '.jpg', '.jpeg', '.png'];
+
+/**
+ * Check whether an uploaded file is a ZIP archive
+ * @param {Object} file - File data from multer
+ * @returns {boolean} Whether the file is a ZIP
+ */
+const isZip = (file) => path.extname(file.originalname).toLowerCase() === '.zip' || /zip/.test(file.mimetype);
+
+/**
+ * Expand a ZIP upload into document files on disk
+ * @param {Object} file - ZIP file data from multer
+ * @returns {Promise<Object>} Document file entries and skipped entries
+ */
+const expandZip = async (file) => {
+  const files = [];
+  const skipped = [];
+  const zip = new AdmZip(file.path);
+  const entries = zip.getEntries().filter(entry => !entry.isDirectory);
+
+  if (entries.length > MAX_ZIP_ENTRIES) {
+    throw new Error(`ZIP archive contains more than ${MAX_ZIP_ENTRIES} files`);
+  }
+
+  try {
+    await writeZipEntries(file, entries, files, skipped);
+  } catch (error) {
+    // The caller only removes the archive; entries written so far would be left behind
+    await Promise.all(files.map(entry => fs.remove(entry.path).catch(() => {})));
+    throw error;
+  }
+
+  await fs.remove(file.path);
+  return { files, skipped };
+};
+
+/**
+ * Write the document entries of a ZIP upload next to it
+ * @param {Object} file - ZIP file data from multer
+ * @param {Array<Object>} entries - Archive entries, without directories
+ * @param {Array<Object>} files - Receives the written document files
+ * @param {Array<Object>} skipped - Receives the skipped entries
+ * @returns {Promise<void>}
+ */
+const writeZipEntries = async (file, entries, files, skipped) => {
+  for (const [index, entry] of entries.entries()) {
+    const name = `${file.originalname}/${entry.entryName}`;
+
+    const extension = path.extname(entry.entryName).toLowerCase();
+    if (!DOCUMENT_EXTENSIONS.includes(extension) || path.basename(entry.entryName).startsWith('.')) {
+      skipped.push({ filename: name, status: 'skipped', error: 'Not a PDF or image file' });
+      continue;
+    }
+    if (entry.header.size > MAX_ZIP_ENTRY_BYTES) {
+      skipped.push({ filename: name, status: 'skipped', error: 'File too large' });
+      continue;
+    }
+
+    // Entries are checked by content, like direct uploads
+    const data = entry.getData();
+    let mimeType;
+    try {
+      ({ mimeType } = validateBuffer(data));
+    } catch (error) {
+      skipped.push({ filename: name, status: 'skipped', error: error.message });
+      continue;
+    }
+
+    // Never write archive paths to disk; use a generated name next to the upload
+    const entryPath = `${file.path}-${index}${extension}`;
+    files.push({ path: entryPath, originalname: name, mimetype: mimeType });
+    await fs.writeFile(entryPath, data);
+  }
+};
+
+/**
+ * Expand uploads into the list of documents to process
+ * @param {Array<Object>} uploads - Files from multer
+ * @returns {Promise<Object>} Document files and skipped entries
+ */
+const expandUploads = async (uploads) => {
+  const files = [];
+  const skipped = [];
+
+  for (const upload of uploads) {
+    if (!isZip(upload)) {
+      try {
+        const { mimeType } = await validateFile(upload.path);
+        files.push({ path: upload.path, originalname: upload.originalname, mimetype: mimeType });
+      } catch (error) {
+        await fs.remove(upload.path).catch(() => {});
+        skipped.push({ filename: upload.originalname, status: 'skipped', error: error.message });
+      }
+      continue;
+    }
+    try {
+      const expanded = await expandZip(upload);
+      files.push(...expanded.files);
+      skipped.push(...expanded.skipped);
+    } catch (error) {
+      await fs.remove(upload.path).catch(() => {});
+      skipped.push({ filename: upload.originalname, status: 'failed', error: `Invalid ZIP archive: ${error.message}` });
+    }
+  }
+
+  return { files, skipped };
+};
+
+/**
+ * Save the extraction of one file of the batch without failing the batch
+ * @param {Object} file - Processed file
+ * @param {Object} context - Batch context: tenant, requestId (the bill's batch id) and callbackUrl
+ * @param {Array<Object>} results - Extraction results
+ * @param {Object} [document] - Stored original document
+ * @returns {Promise<Object|null>} Saved bill, or null if saving failed
+ */
+const persistFile = async (file, { tenant, requestId: batch, callbackUrl }, results, document) => {
+  try {
+    return await saveExtraction({ tenant, filename: file.originalname, source: 'single', results, document, batch, callbackUrl });
+  } catch (error) {
+    console.error(`Failed to persist batch extraction for ${file.originalname}:`, error);
+    await removeDocument(document);
+    return null;
+  }
+};
+
+/**
+ * Describe the saved bill of one extraction result
+ * @param {Object} result - Extraction result
+ * @param {Object|null} bill - Saved bill, or null if saving failed
+ * @returns {Object} Bill id, review state, duplicates and extraction details
+ */
+const describeBill = (result, bill) => ({
+  billId: bill ? bill._id : null,
+  review: bill ? { status: bill.review.status, reasons: bill.review.reasons } : undefined,
+  duplicates: bill
+    ? bill.duplicates.map(duplicate => ({ billId: duplicate.bill.toString(), matchedBy: duplicate.matchedBy }))
+    : undefined,
+  model: result.model,
+  resilience: result.resilience,
+  data: result.data,
+  validation: result.validation,
+  consistency: result.consistency,
+  extraction: result.extraction,
+  textAcquisition: result.textAcquisition,
+  provenance: result.provenance,
+  usage: result.usage,
+  pricing: result.pricing,
+  cache: result.cache,
+  timing: result.timing
+});
+
+/**
+ * Extract a single file of the batch, capturing extraction failures. Statements covering
+ * several accounts are saved as one bill per account, each with its own copy of the original.
+ * @param {Object} file - File to process
+ * @param {Object} context - Batch context: tenant, apiKey and requestId for metering, whether the cache
+ *   is used, the password for protected PDFs and the document type
+ * @param {string} provider - LLM provider to use
+ * @param {string} model - Model to use
+ * @returns {Promise<Object>} Per-file result
+ */
+const extractFile = async (file, context, provider, model) => {
+  const { tenant, apiKey, requestId, cache, password, documentType } = context;
+  // Stored originals that no saved bill owns yet
+  const documents = [];
+
+  try {
+    // Keep the original for reviewers before the upload is cleaned up
+    documents.push(await storeDocument(tenant, file));
+
+    const results = await extractBills(file, { provider, model, tenant, cache, password, documentType });
+    if (results.length === 0) {
+      throw new Error('No bill was found in the document');
+    }
+    results.forEach(result => {
+      if (result.data && typeof result.data === 'object') {
+        result.data.Filename = file.originalname;
+      }
+    });
+
+    await recordUsage({ tenant, apiKey, requestId, source: 'batch', filename: file.originalname, results });
+
+    if (results.length === 1) {
+      const [result] = results;
+      const bill = await persistFile(file, context, [result], documents.pop());
+      return {
+        filename: file.originalname,
+        status: 'success',
+        documentType: result.documentType,
+        ...describeBill(result, bill)
+      };
+    }
+
+    for (let index = 1; index < results.length; index++) {
+      documents.push(await copyDocument(tenant, documents[0]));
+    }
+    const owned = documents.splice(0);
+    const bills = [];
+    for (const [index, result] of results.entries()) {
+      const bill = await persistFile(file, context, [result], owned[index]);
+      bills.push({ status: result.error ? 'failed' : 'success', error: result.error, segment: result.segment, ...describeBill(result, bill) });
+    }
+
+    const llm = getProvider(provider);
+    return {
+      filename: file.originalname,
+      status: 'success',
+      documentType: results[0].documentType,
+      split: { accounts: results.length, summaryPages: results[0].segment ? results[0].segment.summaryPages : [] },
+      bills,
+      usage: results.reduce((total, result) => addUsage(total, result.usage), llm.normalizeUsage({})),
+      pricing: sumPricing(results.map(result => result.pricing))
+    };
+  } catch (error) {
+    await fs.remove(file.path).catch(() => {});
+    const failed = buildFailedResult(model, error);
+
+    // Calls made before an extraction failure are billed all the same
+    if (error.usage) {
+      await recordUsage({ tenant, apiKey, requestId, source: 'batch', filename: file.originalname, results: [failed] });
+    }
+
+    // Documents a reviewer can still read are queued for review
+    let bill = null;
+    if (isReviewableFailure(error)) {
+      bill = await persistFile(file, context, [failed], documents.shift());
+    }
+    await Promise.all(documents.map(removeDocument));
+
+    return {
+      filename: file.originalname,
+      status: 'failed',
+      billId: bill ? bill._id : undefined,
+      review: bill ? { status: bill.review.status, reasons: bill.review.reasons } : undefined,
+      error: error.message,
+      usage: failed.usage,
+      pricing: failed.pricing
+    };
+  }
+};
+
+/**
+ * Process a single file of the batch. Never rejects: one file must not abort the rest of the batch.
+ * @param {Object} file - File to process
+ * @param {Object} context - Batch context, as taken by extractFile
+ * @param {string} provider - LLM provider to use
+ * @param {string} model - Model to use
+ * @returns {Promise<Object>} Per-file result
+ */
+const processFile = async (file, context, provider, model) => {
+  try {
+    return await extractFile(file, context, provider, model);
+  } catch (error) {
+    console.error(`Failed to process batch file ${file.originalname}:`, error);
+    await fs.remove(file.path).catch(() => {});
+    return { filename: file.originalname, status: 'failed', error: error.message };
+  }
+};
+
+/**
+ * Extract every PDF in a batch upload
+ * @param {Array<Object>} uploads - Files from multer (PDFs and/or ZIPs)
+ * @param {Object} [options] - Batch options
+ * @param {string} options.tenant - Tenant that owns the batch
+ * @param {string} [options.apiKey] - API key the batch was submitted with
+ * @param {string} [options.provider] - LLM provider, defaults to the configured provider
+ * @param {string} [options.model] - Model to use, defaults to the provider's default model
+ * @param {number} [options.concurrency] - Maximum concurrent extractions
+ * @param {string} [options.callbackUrl] - Callback URL notified for every file
+ * @param {boolean} [options.cache=true] - Whether cached results may be returned for files seen before
+ * @param {string} [options.password] - Password tried for every protected PDF of the batch
+ * @param {string} [options.documentType] - Document type of every file, detected per file when not given
+ * @returns {Promise<Object>} Batch id (for exports), summary and per-file results
+ */
+exports.processBatch = async (uploads, { tenant, apiKey, provider, model, concurrency = DEFAULT_CONCURRENCY, callbackUrl, cache = true, password, documentType } = {}) => {
+  const llm = getProvider(provider);
+  model = model || llm.defaultModel;
+  const limit = Math.min(Math.max(parseInt(concurrency, 10) || DEFAULT_CONCURRENCY, 1), MAX_CONCURRENCY);
+  const startTime = new Date();
+
+  // All files of the batch share one request id in the usage ledger, which is also the bills' batch id
+  const context = { tenant, apiKey, requestId: crypto.randomUUID(), callbackUrl, cache, password, documentType };
+
+  const { files, skipped } = await expandUploads(uploads);
+  const processed = await mapWithConcurrency(files, limit, file => processFile(file, context, llm.name, model));
+  const results = [...processed, ...skipped];
+
+  // Aggregate token usage over every file, including the billed calls of failed ones; each
+  // file is priced at the rate of the model that served it, which may be a fallback model
+  const usage = processed.reduce((total, result) => addUsage(total, result.usage), llm.normalizeUsage({}));
+
+  const endTime = new Date();
+
+  return {
+    batchId: context.requestId,
+    provider: llm.name,
+    model,
+    concurrency: limit,
+    summary: {
+      total: results.length,
+      succeeded: results.filter(result => result.status === 'success').length,
+      failed: results.filter(result => result.status === 'failed').length,
+      skipped: results.filter(result => result.status === 'skipped').length
+    },
+    usage,
+    pricing: sumPricing(processed.map(result => result.pricing)),
+    // Split statements report the cache use of each account
+    cache: summarizeCache(processed.flatMap(result => result.bills || [result])),
+    timing: {
+      startTime: startTime.toISOString(),
+      endTime: endTime.toISOString(),
+      durationMs: endTime - startTime
+    },
+    results
+  };
+};
@@ -0,0 +1,501 @@
+/**
+ * Benchmark service
+ *
+ * Measures extraction accuracy against hand-labeled bills. A dataset is a
+ * directory of bill files (PDF or image), each next to a label file with the
+ * same base name and a .json extension holding the correct field values
+ * (e.g. bill-01.pdf + bill-01.json). Labels may be partial: only the fields
+ * present in a label are scored, and a null label means the bill does not
+ * carry the field.
+ *
+ * Every selected model runs with every selected extractor:
+ *   model  - the LLM extracts all fields
+ *   hybrid - layout rules first, the LLM fills the remaining fields
+ *   rules  - layout rules only, no LLM call (run once, independent of the model)
+ */
+const path = require('path');
+const fs = require('fs-extra');
+const { getExtractableFieldNames, normalizeBill, BILL_FIELDS } = require('./billSchemaService');
+const { checkConsistency } = require('./consistencyService');
+const { extractText, extractWithModel } = require('./pdfService');
+const { extractWithRules } = require('./ruleExtractionService');
+const { getProvider } = require('./providers');
+const { totalCost } = require('./providers/usage');
+const { mapWithConcurrency } = require('../utils/helpers');
+
+const DOCUMENT_EXTENSIONS = ['.pdf', '.jpg', '.jpeg', '.png'];
+const EXTRACTORS = ['model', 'hybrid', 'rules'];
+
+// Relative tolerance for numeric fields in tolerance matching (0.01 = 1%)
+const NUMERIC_TOLERANCE = parseFloat(process.env.BENCHMARK_NUMERIC_TOLERANCE) || 0.01;
+
+// Runs whose tolerance accuracy is within this margin of the best are considered equally accurate
+const ACCURACY_MARGIN = 0.01;
+
+const FIELD_TYPES = BILL_FIELDS.reduce((types, field) => ({ ...types, [field.name]: field.type }), {});
+
+/**
+ * Round to a fixed number of decimals to keep reports readable
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+const round = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Divide, returning null when there is nothing to divide by
+ * @param {number} numerator - Numerator
+ * @param {number} denominator - Denominator
+ * @returns {number|null} Ratio
+ */
+const ratio = (numerator, denominator) => (denominator > 0 ? round(numerator / denominator) : null);
+
+/**
+ * Find the labeled bill files in a dataset directory
+ * @param {string} datasetDir - Dataset directory
+ * @returns {Promise<Array<Object>>} { file, path, label } per labeled document, sorted by file name
+ * @throws {Error} If the directory holds no labeled documents or a label is not valid JSON
+ */
+exports.loadDataset = async (datasetDir) => {
+  const entries = (await fs.readdir(datasetDir)).sort();
+  const documents = [];
+
+  for (const entry of entries) {
+    const extension = path.extname(entry).toLowerCase();
+    if (!DOCUMENT_EXTENSIONS.includes(extension)) {
+      continue;
+    }
+
+    const labelPath = path.join(datasetDir, `${path.basename(entry, path.extname(entry))}.json`);
+    if (!await fs.pathExists(labelPath)) {
+      console.warn(`Skipping ${entry}: no label file`);
+      continue;
+    }
+
+    let label;
+    try {
+      label = await fs.readJson(labelPath);
+    } catch (error) {
+      throw new Error(`Invalid label file ${labelPath}: ${error.message}`);
+    }
+
+    documents.push({ file: entry, path: path.join(datasetDir, entry), label });
+  }
+
+  if (documents.length === 0) {
+    throw new Error(`No labeled documents found in ${datasetDir}`);
+  }
+
+  return documents;
+};
+
+/**
+ * Normalize a label to the canonical schema, keeping only the fields it labels
+ * @param {Object} label - Raw label values
+ * @returns {Object} Canonical expected values by field
+ */
+const normalizeLabel = (label) => {
+  const { data } = normalizeBill(label);
+  const fields = getExtractableFieldNames().filter(field => Object.prototype.hasOwnProperty.call(label, field));
+  return fields.reduce((expected, field) => ({ ...expected, [field]: data[field] }), {});
+};
+
+/**
+ * Compare a predicted value with the label
+ * @param {string} field - Field name
+ * @param {any} expected - Labeled value
+ * @param {any} actual - Predicted value
+ * @returns {Object} { exact, tolerance } match flags
+ */
+const compareField = (field, expected, actual) => {
+  expected = expected === undefined ? null : expected;
+  actual = actual === undefined ? null : actual;
+
+  if (expected === null || actual === null) {
+    const same = expected === actual;
+    return { exact: same, tolerance: same };
+  }
+
+  if (typeof expected === 'number' && typeof actual === 'number') {
+    return {
+      exact: expected === actual,
+      tolerance: Math.abs(expected - actual) <= Math.max(0.01, Math.abs(expected) * NUMERIC_TOLERANCE)
+    };
+  }
+
+  const exact = String(expected).trim() === String(actual).trim();
+  if (FIELD_TYPES[field] === 'string') {
+    const canonical = value => String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+    return { exact, tolerance: canonical(expected) === canonical(actual) };
+  }
+  return { exact, tolerance: exact };
+};
+
+/**
+ * Score one extraction against its label
+ * @param {Object} expected - Canonical labeled values
+ * @param {Object} data - Predicted bill data
+ * @returns {Object} Per-field comparison and mismatches
+ */
+const scoreDocument = (expected, data) => {
+  const fields = {};
+  const mismatches = [];
+
+  for (const [field, expectedValue] of Object.entries(expected)) {
+    const actual = data[field] === undefined ? null : data[field];
+    const match = compareField(field, expectedValue, actual);
+    fields[field] = { expected: expectedValue, actual, ...match };
+    if (!match.tolerance) {
+      mismatches.push({ field, expected: expectedValue, actual });
+    }
+  }
+
+  return { fields, mismatches };
+};
+
+/**
+ * Value at a percentile of a sorted list
+ * @param {Array<number>} sorted - Values in ascending order
+ * @param {number} percentile - Percentile (0-100)
+ * @returns {number|null} Value
+ */
+const percentileOf = (sorted, percentile) => {
+  if (sorted.length === 0) {
+    return null;
+  }
+  const index = Math.min(sorted.length - 1, Math.ceil((percentile / 100) * sorted.length) - 1);
+  return sorted[Math.max(0, index)];
+};
+
+/**
+ * Run one extractor over one document
+ * @param {Object} run - Run definition { model, extractor }
+ * @param {Object} document - Document with its acquired text
+ * @param {string} providerName - LLM provider
+ * @returns {Promise<Object>} Predicted data, cost and latency, or the error
+ */
+const runExtraction = async (run, document, providerName) => {
+  const started = Date.now();
+
+  if (run.extractor === 'rules') {
+    const rules = extractWithRules(document.text);
+    const { data } = normalizeBill(rules.data);
+    return { data, consistency: checkConsistency(data), cost: 0, durationMs: Date.now() - started };
+  }
+
+  const rules = run.extractor === 'hybrid' ? extractWithRules(document.text) : undefined;
+  const result = await extractWithModel(document.text, run.model, providerName, { rules });
+  return {
+    data: result.data,
+    consistency: result.consistency,
+    cost: totalCost(result.pricing),
+    durationMs: result.timing.durationMs
+  };
+};
+
+/**
+ * Aggregate the document scores of one run
+ * @param {Object} run - Run definition
+ * @param {Array<Object>} outcomes - Per-document outcomes of the run
+ * @returns {Object} Accuracy, precision, recall, cost, latency and per-field metrics
+ */
+const summarizeRun = (run, outcomes) => {
+  const fieldStats = {};
+  const totals = { labeled: 0, exact: 0, tolerance: 0, predicted: 0, labeledPresent: 0, correctPresent: 0 };
+  const succeeded = outcomes.filter(outcome => !outcome.error);
+
+  for (const outcome of succeeded) {
+    for (const [field, score] of Object.entries(outcome.score.fields)) {
+      const stats = fieldStats[field] || (fieldStats[field] = {
+        labeled: 0, exact: 0, tolerance: 0, predicted: 0, labeledPresent: 0, correctPresent: 0
+      });
+      const counts = [stats, totals];
+      for (const target of counts) {
+        target.labeled += 1;
+        if (score.exact) target.exact += 1;
+        if (score.tolerance) target.tolerance += 1;
+        if (score.actual !== null) target.predicted += 1;
+        if (score.expected !== null) target.labeledPresent += 1;
+        if (score.tolerance && score.actual !== null) target.correctPresent += 1;
+      }
+    }
+  }
+
+  const metrics = (stats) => ({
+    labeled: stats.labeled,
+    exactAccuracy: ratio(stats.exact, stats.labeled),
+    toleranceAccuracy: ratio(stats.tolerance, stats.labeled),
+    // Of the values the run returned, how many were right
+    precision: ratio(stats.correctPresent, stats.predicted),
+    // Of the values the bills carry, how many the run got right
+    recall: ratio(stats.correctPresent, stats.labeledPresent)
+  });
+
+  const durations = succeeded.map(outcome => outcome.durationMs).sort((a, b) => a - b);
+  const totalCost = outcomes.reduce((total, outcome) => total + (outcome.cost || 0), 0);
+
+  const fields = {};
+  for (const field of Object.keys(fieldStats).sort()) {
+    fields[field] = metrics(fieldStats[field]);
+  }
+
+  return {
+    id: run.id,
+    model: run.model,
+    extractor: run.extractor,
+    documents: outcomes.length,
+    failed: outcomes.length - succeeded.length,
+    ...metrics(totals),
+    cost: {
+      total: round(totalCost),
+      perDocument: ratio(totalCost, outcomes.length)
+    },
+    latency: {
+      meanMs: durations.length ? Math.round(durations.reduce((total, value) => total + value, 0) / durations.length) : null,
+      p50Ms: percentileOf(durations, 50),
+      p95Ms: percentileOf(durations, 95)
+    },
+    fields
+  };
+};
+
+/**
+ * Pick the most accurate run, preferring the cheaper and then the faster one among near ties
+ * @param {Array<Object>} runs - Run summaries
+ * @returns {Object|null} Recommended run and the reason
+ */
+const recommend = (runs) => {
+  const scored = runs.filter(run => run.toleranceAccuracy !== null);
+  if (scored.length === 0) {
+    return null;
+  }
+
+  const best = Math.max(...scored.map(run => run.toleranceAccuracy));
+  const [winner] = scored
+    .filter(run => run.toleranceAccuracy >= best - ACCURACY_MARGIN)
+    .sort((a, b) => a.cost.total - b.cost.total || (a.latency.meanMs || 0) - (b.latency.meanMs || 0));
+
+  return {
+    run: winner.id,
+    model: winner.model,
+    extractor: winner.extractor,
+    reason: `Highest tolerance accuracy (${winner.toleranceAccuracy}) within ${ACCURACY_MARGIN} of the best, ` +
+      `then lowest cost ($${winner.cost.total}) and latency`
+  };
+};
+
+/**
+ * Run a benchmark over a labeled dataset
+ * @param {Object} options - Benchmark options
+ * @param {string} options.datasetDir - Directory with bill files and their JSON labels
+ * @param {string} [options.provider] - LLM provider, defaults to the configured provider
+ * @param {Array<string>} [options.models] - Models to evaluate, defaults to all models of the provider
+ * @param {Array<string>} [options.extractors] - Extractors to evaluate, defaults to all of model, hybrid and rules
+ * @param {number} [options.concurrency=1] - Documents processed at once
+ * @returns {Promise<Object>} Benchmark report
+ * @throws {Error} If the dataset cannot be loaded or an extractor or model is unknown
+ */
+exports.runBenchmark = async ({ datasetDir, provider: providerName, models, extractors = EXTRACTORS, concurrency = 1 }) => {
+  const provider = getProvider(providerName);
+  const availableModels = await provider.listModels();
+  models = models && models.length ? models : availableModels;
+
+  const unknownModels = models.filter(model => !availableModels.includes(model));
+  if (unknownModels.length > 0) {
+    throw new Error(`Unknown models for provider ${provider.name}: ${unknownModels.join(', ')}`);
+  }
+  const unknownExtractors = extractors.filter(extractor => !EXTRACTORS.includes(extractor));
+  if (unknownExtractors.length > 0) {
+    throw new Error(`Unknown extractors: ${unknownExtractors.join(', ')}. Available extractors: ${EXTRACTORS.join(', ')}`);
+  }
+
+  const runs = [];
+  for (const extractor of extractors) {
+    if (extractor === 'rules') {
+      runs.push({ id: 'rules', model: null, extractor });
+      continue;
+    }
+    for (const model of models) {
+      runs.push({ id: `${model} (${extractor})`, model, extractor });
+    }
+  }
+
+  const documents = await exports.loadDataset(datasetDir);
+  const startTime = new Date();
+
+  const documentReports = await mapWithConcurrency(documents, concurrency, async (document) => {
+    const expected = normalizeLabel(document.label);
+    const report = { file: document.file, labeledFields: Object.keys(expected).length, runs: {} };
+
+    let acquisition;
+    try {
+      acquisition = await extractText(document.path);
+    } catch (error) {
+      report.error = error.message;
+      for (const run of runs) {
+        report.runs[run.id] = { error: error.message };
+      }
+      return report;
+    }
+    report.textAcquisition = acquisition.method;
+
+    for (const run of runs) {
+      try {
+        const outcome = await runExtraction(run, { ...document, text: acquisition.text }, provider.name);
+        const score = scoreDocument(expected, outcome.data);
+        report.runs[run.id] = {
+          score,
+          confidence: outcome.consistency ? outcome.consistency.confidence : null,
+          cost: outcome.cost,
+          durationMs: outcome.durationMs
+        };
+      } catch (error) {
+        console.error(`Benchmark run ${run.id} failed for ${document.file}:`, error.message);
+        report.runs[run.id] = { error: error.message, cost: 0 };
+      }
+    }
+
+    return report;
+  });
+
+  const runSummaries = runs.map(run => summarizeRun(run, documentReports.map(report => report.runs[run.id])));
+
+  return {
+    generatedAt: new Date().toISOString(),
+    dataset: path.resolve(datasetDir),
+    provider: provider.name,
+    numericTolerance: NUMERIC_TOLERANCE,
+    durationMs: Date.now() - startTime.getTime(),
+    documents: documentReports.length,
+    recommendation: recommend(runSummaries),
+    runs: runSummaries,
+    details: documentReports.map(report => ({
+      file: report.file,
+      labeledFields: report.labeledFields,
+      textAcquisition: report.textAcquisition,
+      error: report.error,
+      runs: Object.fromEntries(Object.entries(report.runs).map(([id, outcome]) => [id, outcome.error
+        ? { error: outcome.error }
+        : {
+          toleranceMatches: Object.values(outcome.score.fields).filter(field => field.tolerance).length,
+          exactMatches: Object.values(outcome.score.fields).filter(field => field.exact).length,
+          confidence: outcome.confidence,
+          cost: round(outcome.cost),
+          durationMs: outcome.durationMs,
+          mismatches: outcome.score.mismatches
+        }]))
+    }))
+  };
+};
+
+/**
+ * Escape text for HTML output
+ * @param {any} value - Value to escape
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Format a ratio as a percentage
+ * @param {number|null} value - Ratio (0-1)
+ * @returns {string} Percentage or a dash
+ */
+const percent = (value) => (value === null || value === undefined ? '–' : `${(value * 100).toFixed(1)}%`);
+
+/**
+ * Render a benchmark report as a standalone HTML page
+ * @param {Object} report - Result of runBenchmark
+ * @returns {string} HTML document
+ */
+exports.renderHtmlReport = (report) => {
+  const runHeaders = report.runs.map(run => `<th>${escapeHtml(run.id)}</th>`).join('');
+  const fieldNames = [...new Set(report.runs.flatMap(run => Object.keys(run.fields)))].sort();
+
+  const runRows = report.runs.map(run => `
+      <tr>
+        <td>${escapeHtml(run.id)}</td>
+        <td>${run.documents - run.failed}/${run.documents}</td>
+        <td>${percent(run.exactAccuracy)}</td>
+        <td>${percent(run.toleranceAccuracy)}</td>
+        <td>${percent(run.precision)}</td>
+        <td>${percent(run.recall)}</td>
+        <td>$${run.cost.total.toFixed(4)}</td>
+        <td>${run.cost.perDocument === null ? '–' : `$${run.cost.perDocument.toFixed(4)}`}</td>
+        <td>${escapeHtml(run.latency.meanMs)}</td>
+        <td>${escapeHtml(run.latency.p95Ms)}</td>
+      </tr>`).join('');
+
+  const fieldRows = fieldNames.map(field => `
+      <tr>
+        <td>${escapeHtml(field)}</td>
+        ${report.runs.map(run => {
+          const metrics = run.fields[field];
+          return metrics
+            ? `<td title="precision ${percent(metrics.precision)}, recall ${percent(metrics.recall)}">${percent(metrics.toleranceAccuracy)}</td>`
+            : '<td>–</td>';
+        }).join('')}
+      </tr>`).join('');
+
+  const mismatchRows = report.details.flatMap(document => Object.entries(document.runs).flatMap(([runId, outcome]) => {
+    if (outcome.error) {
+      return [`<tr><td>${escapeHtml(document.file)}</td><td>${escapeHtml(runId)}</td><td colspan="3">Error: ${escapeHtml(outcome.error)}</td></tr>`];
+    }
+    return outcome.mismatches.map(mismatch => `<tr><td>${escapeHtml(document.file)}</td><td>${escapeHtml(runId)}</td>` +
+      `<td>${escapeHtml(mismatch.field)}</td><td>${escapeHtml(mismatch.expected)}</td><td>${escapeHtml(mismatch.actual)}</td></tr>`);
+  })).join('\n      ');
+
+  const recommendation = report.recommendation
+    ? `<p><strong>Recommended:</strong> ${escapeHtml(report.recommendation.run)} — ${escapeHtml(report.recommendation.reason)}</p>`
+    : '<p>No run produced a score.</p>';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Bill extraction benchmark</title>
+  <style>
+    body { font-family: sans-serif; margin: 2rem; color: #222; }
+    table { border-collapse: collapse; margin-bottom: 2rem; }
+    th, td { border: 1px solid #ccc; padding: 0.3rem 0.6rem; text-align: left; font-size: 0.9rem; }
+    th { background: #f3f3f3; }
+  </style>
+</head>
+<body>
+  <h1>Bill extraction benchmark</h1>
+  <p>Dataset: ${escapeHtml(report.dataset)} (${report.documents} documents) · Provider: ${escapeHtml(report.provider)} ·
+    Generated: ${escapeHtml(report.generatedAt)} · Numeric tolerance: ${percent(report.numericTolerance)}</p>
+  ${recommendation}
+
+  <h2>Runs</h2>
+  <table>
+    <thead>
+      <tr><th>Run</th><th>Documents</th><th>Exact</th><th>Tolerance</th><th>Precision</th><th>Recall</th>
+        <th>Cost</th><th>Cost / doc</th><th>Mean ms</th><th>p95 ms</th></tr>
+    </thead>
+    <tbody>${runRows}
+    </tbody>
+  </table>
+
+  <h2>Per-field tolerance accuracy</h2>
+  <table>
+    <thead><tr><th>Field</th>${runHeaders}</tr></thead>
+    <tbody>${fieldRows}
+    </tbody>
+  </table>
+
+  <h2>Mismatches</h2>
+  <table>
+    <thead><tr><th>Document</th><th>Run</th><th>Field</th><th>Expected</th><th>Actual</th></tr></thead>
+    <tbody>
+      ${mismatchRows}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+};
+
+exports.EXTRACTORS = EXTRACTORS;
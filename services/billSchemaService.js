@@ -0,0 +1,386 @@
+/**
+ * Bill schema service
+ *
+ * Canonical fields of each document type (see documentTypes/) together with
+ * the normalization and validation applied to model output.
+ */
+const DOCUMENT_TYPES = require('../documentTypes');
+
+const DEFAULT_DOCUMENT_TYPE = DOCUMENT_TYPES[0].id;
+
+/**
+ * Canonical bill fields of the default document type; every type's fields share this shape
+ * type: string | amount | number | reading | date | datetime | month
+ * unit: unit of the normalized value, if any
+ * required: whether a bill is considered incomplete without the field
+ * system: set by the server rather than extracted by the model
+ */
+const BILL_FIELDS = DOCUMENT_TYPES[0].fields;
+
+// Every field of every type, once; bills of all types share one collection
+const ALL_FIELDS = [];
+for (const documentType of DOCUMENT_TYPES) {
+  for (const field of documentType.fields) {
+    const known = ALL_FIELDS.find(entry => entry.name === field.name);
+    if (!known) {
+      ALL_FIELDS.push(field);
+    } else if (known.type !== field.type) {
+      throw new Error(`Field ${field.name} of document type ${documentType.id} is a ${field.type}, elsewhere a ${known.type}`);
+    }
+  }
+}
+ALL_FIELDS.sort((a, b) => a.name.localeCompare(b.name));
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Zero-pad a number to two digits
+ * @param {number} value - Number to pad
+ * @returns {string} Padded number
+ */
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Resolve a month name or abbreviation to its 1-based index
+ * @param {string} name - Month name
+ * @returns {number|null} Month index or null if unknown
+ */
+const monthFromName = (name) => {
+  const index = MONTH_NAMES.indexOf(String(name).slice(0, 3).toLowerCase());
+  return index === -1 ? null : index + 1;
+};
+
+/**
+ * Expand a two-digit year
+ * @param {number} year - Year as written on the bill
+ * @returns {number} Four-digit year
+ */
+const fullYear = (year) => (year < 100 ? 2000 + year : year);
+
+/**
+ * Build an ISO date string, rejecting impossible dates
+ * @param {number} year - Four-digit year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {string|null} YYYY-MM-DD or null
+ */
+const isoDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (
+    date.getUTCFullYear() !== year ||
+    date.getUTCMonth() !== month - 1 ||
+    date.getUTCDate() !== day
+  ) {
+    return null;
+  }
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+/**
+ * Parse a numeric value, stripping currency symbols, units and grouping
+ * @param {any} value - Raw value
+ * @returns {number|null} Parsed number or null
+ */
+const parseNumber = (value) => {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  let text = value.replace(/rs\.?|inr|₹|kwh|kva|kw|\bkl\b|\bscm\b|\bgb\b|units?/gi, '').trim();
+  // Accounting style negatives, e.g. "(28.69)", "28.69 Cr" or "-28.69"
+  const negative = /^\(.*\)$/.test(text) || /cr\.?$/i.test(text) || /^-/.test(text);
+
+  text = text
+    .replace(/(cr|dr)\.?$/i, '')
+    .replace(/[,\s()]/g, '')
+    .replace(/^-/, '');
+
+  if (!/^\d*\.?\d+$/.test(text)) {
+    return null;
+  }
+
+  const number = parseFloat(text);
+  return negative ? -number : number;
+};
+
+/**
+ * Parse a date written in one of the formats seen on bills.
+ * Numeric dates are treated as day-first.
+ * @param {any} value - Raw value
+ * @returns {string|null} YYYY-MM-DD or null
+ */
+const parseDate = (value) => {
+  if (value instanceof Date && !isNaN(value)) {
+    return value.toISOString().slice(0, 10);
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const text = value.trim();
+  let match;
+
+  // 2025-02-13 or 2025/02/13 (optionally followed by a time)
+  if ((match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T\s].*)?$/))) {
+    return isoDate(+match[1], +match[2], +match[3]);
+  }
+  // 13/02/2025, 13.02.2025, 13-02-25
+  if ((match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})$/))) {
+    return isoDate(fullYear(+match[3]), +match[2], +match[1]);
+  }
+  // 13 Feb 2025, 13-Feb-25, 13th February, 2025
+  if ((match = text.match(/^(\d{1,2})(?:st|nd|rd|th)?[-\s/]+([a-z]+)[-\s/,]+(\d{2}|\d{4})$/i))) {
+    const month = monthFromName(match[2]);
+    return month ? isoDate(fullYear(+match[3]), month, +match[1]) : null;
+  }
+  // Feb 13, 2025
+  if ((match = text.match(/^([a-z]+)[-\s]+(\d{1,2})(?:st|nd|rd|th)?,?[-\s]+(\d{4})$/i))) {
+    const month = monthFromName(match[1]);
+    return month ? isoDate(+match[3], month, +match[2]) : null;
+  }
+
+  return null;
+};
+
+/**
+ * Parse a timestamp into a full ISO string
+ * @param {any} value - Raw value
+ * @returns {string|null} ISO timestamp or null
+ */
+const parseDateTime = (value) => {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value.trim())) {
+    const date = new Date(value.trim());
+    return isNaN(date) ? null : date.toISOString();
+  }
+  const date = parseDate(typeof value === 'string' ? value.trim().split(/\s+/)[0] : value);
+  return date ? `${date}T00:00:00.000Z` : null;
+};
+
+/**
+ * Parse a billing month
+ * @param {any} value - Raw value, e.g. "2025/01", "Jan-2025", "01/2025"
+ * @returns {string|null} YYYY-MM or null
+ */
+const parseMonth = (value) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const text = value.trim();
+  let match;
+
+  if ((match = text.match(/^(\d{4})[-/.](\d{1,2})$/))) {
+    return +match[2] >= 1 && +match[2] <= 12 ? `${match[1]}-${pad(+match[2])}` : null;
+  }
+  if ((match = text.match(/^(\d{1,2})[-/.](\d{4})$/))) {
+    return +match[1] >= 1 && +match[1] <= 12 ? `${match[2]}-${pad(+match[1])}` : null;
+  }
+  if ((match = text.match(/^([a-z]+)[-\s/,']+(\d{2}|\d{4})$/i))) {
+    const month = monthFromName(match[1]);
+    return month ? `${fullYear(+match[2])}-${pad(month)}` : null;
+  }
+
+  // Fall back to a full date and keep its month
+  const date = parseDate(text);
+  return date ? date.slice(0, 7) : null;
+};
+
+/**
+ * Coerce a raw value to the canonical type of a field
+ * @param {Object} field - Field definition
+ * @param {any} value - Raw value
+ * @returns {any} Normalized value or null if it cannot be coerced
+ */
+const coerce = (field, value) => {
+  switch (field.type) {
+    case 'amount':
+    case 'number':
+    case 'reading':
+      return parseNumber(value);
+    case 'date':
+      return parseDate(value);
+    case 'datetime':
+      return parseDateTime(value);
+    case 'month':
+      return parseMonth(value);
+    default:
+      return typeof value === 'number' ? String(value) : (typeof value === 'string' ? value.trim() : null);
+  }
+};
+
+/**
+ * Check whether a raw value is empty
+ * @param {any} value - Raw value
+ * @returns {boolean} Whether the value should be treated as absent
+ */
+const isEmpty = (value) => {
+  if (value === null || value === undefined) {
+    return true;
+  }
+  if (typeof value === 'string') {
+    return ['', 'n/a', 'na', 'null', 'none', '-'].includes(value.trim().toLowerCase());
+  }
+  return false;
+};
+
+/**
+ * Look up a document type
+ * @param {string} [id] - Document type id, defaults to the default type
+ * @returns {Object|null} Document type or null if unknown
+ */
+exports.getDocumentType = (id = DEFAULT_DOCUMENT_TYPE) => {
+  return DOCUMENT_TYPES.find(documentType => documentType.id === id) || null;
+};
+
+/**
+ * Fields of a document type
+ * @param {string} [documentType] - Document type id, defaults to the default type
+ * @returns {Array<Object>} Field definitions
+ * @throws {Error} If the document type is unknown
+ */
+const fieldsOf = (documentType) => {
+  const definition = exports.getDocumentType(documentType);
+  if (!definition) {
+    throw new Error(`Unknown document type: ${documentType}`);
+  }
+  return definition.fields;
+};
+
+/**
+ * Document types with their fields, for clients
+ * @returns {Array<Object>} Id, name and fields of each type
+ */
+exports.listDocumentTypes = () => DOCUMENT_TYPES.map(documentType => ({
+  id: documentType.id,
+  name: documentType.name,
+  default: documentType.id === DEFAULT_DOCUMENT_TYPE,
+  fields: documentType.fields.filter(field => !field.system)
+}));
+
+/**
+ * Names of the fields the model is asked to extract
+ * @param {string} [documentType] - Document type id, defaults to the default type
+ * @returns {Array<string>} Field names
+ */
+exports.getExtractableFieldNames = (documentType) => {
+  return fieldsOf(documentType).filter(field => !field.system).map(field => field.name);
+};
+
+// How each field type should be written by the model
+const TYPE_HINTS = {
+  string: 'text as printed on the bill',
+  amount: 'amount in INR as printed, e.g. "1,234.50"',
+  number: 'number as printed',
+  reading: 'meter reading as printed',
+  date: 'date as printed, e.g. "13/02/2025"',
+  datetime: 'date and time as printed',
+  month: 'billing month as printed, e.g. "Jan 2025" or "2025/01"'
+};
+
+/**
+ * JSON schema of a model response for the given fields, for schema-constrained
+ * (structured) output. Every field is required and nullable, as strict mode demands;
+ * values stay strings so they are normalized the same way as free-form output.
+ * @param {Array<string>} [fields] - Fields to ask for, defaults to every extractable field of the type
+ * @param {string} [documentType] - Document type id, defaults to the default type
+ * @returns {Object} JSON schema
+ */
+exports.buildJsonSchema = (fields, documentType) => {
+  const definitions = fieldsOf(documentType);
+  fields = fields || exports.getExtractableFieldNames(documentType);
+  const properties = {};
+  for (const name of fields) {
+    const field = definitions.find(entry => entry.name === name);
+    properties[name] = {
+      type: ['string', 'null'],
+      description: `${field.description}; ${TYPE_HINTS[field.type] || 'text'}; null if not on the bill`
+    };
+  }
+  return {
+    type: 'object',
+    properties,
+    required: fields,
+    additionalProperties: false
+  };
+};
+
+/**
+ * Normalize raw extracted data to the canonical schema and validate it
+ * @param {Object} rawData - Data as returned by the model
+ * @param {string} [documentType] - Document type id, defaults to the default type
+ * @returns {Object} Normalized data and a per-field validation report
+ */
+exports.normalizeBill = (rawData = {}, documentType) => {
+  const definitions = fieldsOf(documentType);
+  const data = {};
+  const fields = {};
+  const summary = { valid: 0, missing: 0, invalid: 0 };
+
+  for (const field of definitions) {
+    if (field.system) {
+      continue;
+    }
+
+    const raw = rawData[field.name];
+
+    if (isEmpty(raw)) {
+      data[field.name] = null;
+      fields[field.name] = {
+        status: 'missing',
+        type: field.type,
+        required: field.required,
+        message: field.required ? 'Required field is missing' : undefined
+      };
+      summary.missing++;
+      continue;
+    }
+
+    const value = coerce(field, raw);
+
+    if (value === null || value === '') {
+      data[field.name] = null;
+      fields[field.name] = {
+        status: 'invalid',
+        type: field.type,
+        required: field.required,
+        raw,
+        message: `Could not interpret value as ${field.type}`
+      };
+      summary.invalid++;
+      continue;
+    }
+
+    data[field.name] = value;
+    fields[field.name] = {
+      status: 'valid',
+      type: field.type,
+      unit: field.unit,
+      required: field.required,
+      raw: raw !== value ? raw : undefined
+    };
+    summary.valid++;
+  }
+
+  const missingRequired = definitions
+    .filter(field => field.required && fields[field.name].status !== 'valid')
+    .map(field => field.name);
+
+  return {
+    data,
+    validation: {
+      valid: missingRequired.length === 0 && summary.invalid === 0,
+      missingRequired,
+      summary,
+      fields
+    }
+  };
+};
+
+exports.DEFAULT_DOCUMENT_TYPE = DEFAULT_DOCUMENT_TYPE;
+exports.BILL_FIELDS = BILL_FIELDS;
+exports.ALL_FIELDS = ALL_FIELDS;
+exports.parseNumber = parseNumber;
+exports.parseDate = parseDate;
+exports.parseMonth = parseMonth;
+exports.isEmpty = isEmpty;
@@ -0,0 +1,266 @@
+/**
+ * Bill service
+ *
+ * Persists extraction results and queries stored bills.
+ */
+const mongoose = require('mongoose');
+const Bill = require('../models/Bill');
+const ExtractionRun = require('../models/ExtractionRun');
+const { assessExtraction } = require('./reviewService');
+const { notifyExtraction } = require('./webhookService');
+const { detectAnomalies } = require('./historyService');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+// Earlier bills listed as duplicates of a new one
+const MAX_DUPLICATES = 10;
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Pick the run whose data should become the stored bill
+ * @param {Array<Object>} results - Per-model extraction results
+ * @returns {Object|undefined} Best successful result
+ */
+const pickBestResult = (results) => {
+  const successful = results.filter(result => result.data && !result.error);
+  const score = result => (result.consistency && result.consistency.confidence) || 0;
+  return successful.sort((a, b) => score(b) - score(a))[0];
+};
+
+/**
+ * Find earlier bills of the tenant with the same content (file or text hash) or,
+ * even when the content differs, the same bill number for the same account
+ * @param {Object} bill - Bill about to be saved
+ * @returns {Promise<Array<Object>>} Matching bill ids with what matched, oldest first
+ */
+const findDuplicates = async (bill) => {
+  const criteria = [];
+  if (bill.fileHash) {
+    criteria.push({ fileHash: bill.fileHash });
+  }
+  if (bill.textHash) {
+    criteria.push({ textHash: bill.textHash });
+  }
+  const { BillNo, CanSerNo } = bill.data || {};
+  if (BillNo && CanSerNo) {
+    criteria.push({ 'data.BillNo': BillNo, 'data.CanSerNo': CanSerNo });
+  }
+  if (criteria.length === 0) {
+    return [];
+  }
+
+  const matches = await Bill.find({ tenant: bill.tenant, _id: { $ne: bill._id }, $or: criteria })
+    .sort({ createdAt: 1 })
+    .limit(MAX_DUPLICATES)
+    .select('fileHash textHash')
+    .lean();
+
+  return matches.map(match => {
+    let matchedBy = 'bill-number';
+    if (bill.fileHash && match.fileHash === bill.fileHash) {
+      matchedBy = 'file';
+    } else if (bill.textHash && match.textHash === bill.textHash) {
+      matchedBy = 'text';
+    }
+    return { bill: match._id, matchedBy };
+  });
+};
+
+/**
+ * Save an extraction and one run record per model call
+ * @param {Object} params - Extraction details
+ * @param {string} params.tenant - Tenant that owns the bill
+ * @param {string} params.filename - Original upload filename
+ * @param {string} params.source - 'single' or 'all-models'
+ * @param {Array<Object>} params.results - Per-model extraction results
+ * @param {Object} [params.consensus] - Consensus merge of the results; becomes the bill data when given
+ * @param {Object} [params.document] - Stored original document (see documentService)
+ * @param {string} [params.batch] - Id of the batch upload the bill came from
+ * @param {string} [params.job] - Id of the job the bill was extracted by
+ * @param {string} [params.callbackUrl] - Callback URL given with the upload, notified next to the tenant's webhooks
+ * @returns {Promise<Object>} Saved bill document, queued for review if the extraction is not trusted,
+ *   with the earlier bills it duplicates and its anomalies against the consumer's earlier bills
+ */
+exports.saveExtraction = async ({ tenant, filename, source = 'single', results, consensus, document, batch, job, callbackUrl }) => {
+  const best = pickBestResult(results);
+  // Document type and account segment come with every result of the document (see pdfService)
+  const described = results.find(result => result.documentType) || {};
+
+  const bill = new Bill({
+    tenant,
+    filename,
+    source,
+    batch,
+    documentType: described.documentType,
+    segment: described.segment,
+    provider: best ? best.provider : undefined,
+    model: best ? best.model : undefined,
+    data: best ? best.data : {},
+    validation: best ? best.validation : undefined,
+    consistency: best ? best.consistency : undefined,
+    provenance: best ? best.provenance : undefined
+  });
+
+  if (consensus) {
+    bill.set({
+      model: 'consensus',
+      data: consensus.data,
+      validation: consensus.validation,
+      consistency: consensus.consistency,
+      provenance: consensus.provenance,
+      consensus: { summary: consensus.summary, fields: consensus.fields }
+    });
+  }
+
+  // Content hashes come with every result of the document (see pdfService)
+  const fingerprint = results.map(result => result.cache).find(Boolean) || {};
+
+  bill.set({
+    document,
+    fileHash: fingerprint.fileHash,
+    textHash: fingerprint.textHash,
+    review: assessExtraction({
+      failed: !best,
+      validation: bill.validation,
+      consistency: bill.consistency,
+      provenance: bill.provenance,
+      consensus: bill.consensus
+    })
+  });
+
+  const runs = await ExtractionRun.insertMany(results.map(result => ({
+    tenant,
+    bill: bill._id,
+    provider: result.provider,
+    model: result.model,
+    documentType: result.documentType,
+    status: result.error ? 'failed' : 'succeeded',
+    error: result.error,
+    data: result.data,
+    validation: result.validation,
+    consistency: result.consistency,
+    provenance: result.provenance,
+    usage: result.usage || undefined,
+    pricing: result.pricing,
+    timing: result.timing
+  })));
+
+  bill.runs = runs.map(run => run._id);
+  bill.duplicates = await findDuplicates(bill);
+  bill.anomalies = await detectAnomalies(bill);
+  await bill.save();
+
+  await notifyExtraction(bill, {
+    callbackUrl,
+    job,
+    error: results.map(result => result.error).filter(Boolean).join('; ') || undefined
+  });
+
+  return bill;
+};
+
+/**
+ * Build a MongoDB filter from query parameters
+ * @param {Object} query - Request query parameters: ids (comma separated), batch, reviewStatus,
+ *   documentType, duplicate (true/false), anomaly (true/false or an anomaly type), ConsumerName, CanSerNo,
+ *   MetrNo, BillMonth, DiscCode, from and to (bill dates)
+ * @param {string} tenant - Tenant whose bills are searched
+ * @returns {Object} MongoDB filter
+ */
+exports.buildBillFilter = (query, tenant) => {
+  const filter = { tenant };
+
+  if (query.ids) {
+    const ids = String(query.ids).split(',').map(id => id.trim()).filter(Boolean);
+    filter._id = { $in: ids.filter(id => mongoose.isValidObjectId(id)) };
+  }
+  if (query.batch) {
+    filter.batch = String(query.batch);
+  }
+  if (query.reviewStatus) {
+    filter['review.status'] = String(query.reviewStatus);
+  }
+  if (query.documentType) {
+    filter.documentType = String(query.documentType);
+  }
+  if (query.duplicate === 'true' || query.duplicate === 'false') {
+    filter['duplicates.0'] = { $exists: query.duplicate === 'true' };
+  }
+
+  if (query.anomaly === 'true' || query.anomaly === 'false') {
+    filter['anomalies.0'] = { $exists: query.anomaly === 'true' };
+  } else if (query.anomaly) {
+    filter['anomalies.type'] = String(query.anomaly);
+  }
+
+  if (query.ConsumerName) {
+    filter['data.ConsumerName'] = { $regex: escapeRegex(String(query.ConsumerName)), $options: 'i' };
+  }
+  // Query values can be objects (?CanSerNo[$ne]=x); only their string form reaches the filter
+  for (const field of ['CanSerNo', 'MetrNo', 'BillMonth', 'DiscCode']) {
+    if (query[field]) {
+      filter[`data.${field}`] = String(query[field]);
+    }
+  }
+  if (query.from || query.to) {
+    filter['data.BillDate'] = {};
+    if (query.from) {
+      filter['data.BillDate'].$gte = String(query.from);
+    }
+    if (query.to) {
+      filter['data.BillDate'].$lte = String(query.to);
+    }
+  }
+
+  return filter;
+};
+
+/**
+ * List stored bills with filters and pagination
+ * @param {Object} query - Filters (see buildBillFilter), page and limit
+ * @param {string} tenant - Tenant whose bills are listed
+ * @returns {Promise<Object>} Bills and pagination information
+ */
+exports.listBills = async (query = {}, tenant) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const filter = exports.buildBillFilter(query, tenant);
+
+  const [bills, total] = await Promise.all([
+    Bill.find(filter)
+      .sort({ 'data.BillDate': -1, createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Bill.countDocuments(filter)
+  ]);
+
+  return {
+    bills,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+/**
+ * Get a stored bill with its model runs
+ * @param {string} id - Bill id
+ * @param {string} tenant - Tenant that must own the bill
+ * @returns {Promise<Object|null>} Bill or null if not found in the tenant
+ */
+exports.getBillById = async (id, tenant) => {
+  if (!mongoose.isValidObjectId(id)) {
+    return null;
+  }
+  return Bill.findOne({ _id: id, tenant }).populate('runs').lean();
+};
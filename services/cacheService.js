@@ -0,0 +1,169 @@
+/**
+ * Cache service
+ *
+ * Fingerprints uploads and reuses earlier model results for identical
+ * content. A document matches a cache entry by the SHA-256 of its bytes or,
+ * when the bytes differ (re-saved or re-scanned PDFs), by the hash of its
+ * normalized text. Entries are per tenant, provider, model, prompt version,
+ * rule setting and requested document type, so changing any of them extracts
+ * again. Each account of a split statement is cached on its own.
+ * Set EXTRACTION_CACHE_ENABLED=false to turn caching off.
+ */
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const fs = require('fs-extra');
+const ExtractionCache = require('../models/ExtractionCache');
+const { getProvider } = require('./providers');
+const { totalCost } = require('./providers/usage');
+
+const CACHE_ENABLED = process.env.EXTRACTION_CACHE_ENABLED !== 'false';
+
+// Result fields kept in the cache; request-specific fields (filename, cache info) are not
+const CACHED_FIELDS = [
+  'provider', 'model', 'documentType', 'classification', 'data', 'validation', 'consistency', 'extraction',
+  'usage', 'pricing', 'timing', 'processingTime', 'textAcquisition', 'provenance'
+];
+
+/**
+ * SHA-256 of a buffer or string
+ * @param {Buffer|string} content - Content to hash
+ * @returns {string} Hex digest
+ */
+const sha256 = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+/**
+ * Hash the bytes of a file
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string>} Hex SHA-256 of the file
+ */
+exports.hashFile = async (filePath) => sha256(await fs.readFile(filePath));
+
+/**
+ * Derive the file hash of one account of a split statement
+ * @param {string} fileHash - Hash of the uploaded bytes
+ * @param {number} index - Position of the account in the statement
+ * @returns {string} Hex SHA-256 identifying the account's part of the file
+ */
+exports.hashSegment = (fileHash, index) => sha256(`${fileHash}:${index}`);
+
+/**
+ * Hash extracted text, ignoring case and whitespace differences
+ * @param {string} text - Extracted text
+ * @returns {string} Hex SHA-256 of the normalized text
+ */
+exports.hashText = (text) => sha256(String(text || '').toLowerCase().replace(/\s+/g, ' ').trim());
+
+/**
+ * Whether results can be cached for a request
+ * @param {boolean} [requested=true] - Whether the caller allows the cache for this request
+ * @returns {boolean} Whether the cache is enabled and the database is connected
+ */
+exports.isCacheAvailable = (requested = true) =>
+  CACHE_ENABLED && requested !== false && mongoose.connection.readyState === 1;
+
+/**
+ * Look up an earlier result for the same content. Lookup failures are logged and treated as a miss.
+ * @param {Object} key - Cache key
+ * @param {string} key.tenant - Tenant id
+ * @param {string} key.fileHash - Hash of the uploaded bytes
+ * @param {string} [key.textHash] - Hash of the normalized text, when the text is known
+ * @param {string} key.provider - Provider name
+ * @param {string} key.model - Model name
+ * @param {string} key.promptVersion - Prompt version the result must have been extracted with
+ * @param {boolean} [key.rules=false] - Whether layout rules ran before the model
+ * @param {string} [key.documentType='auto'] - Document type the client asked for, 'auto' if detected
+ * @returns {Promise<Object|null>} Result in the shape of pdfService.extractWithModel, with
+ *   zero usage and cost and a cache block describing the hit, or null on a miss
+ */
+exports.findCachedResult = async ({ tenant, fileHash, textHash, provider, model, promptVersion, rules = false, documentType = 'auto' }) => {
+  const content = textHash ? [{ fileHash }, { textHash }] : [{ fileHash }];
+
+  let entry;
+  try {
+    entry = await ExtractionCache.findOneAndUpdate(
+      { tenant, provider, model, promptVersion, rules, documentType, $or: content },
+      { $inc: { hits: 1 }, lastHitAt: new Date() },
+      { new: true, sort: { createdAt: -1 } }
+    ).lean();
+  } catch (error) {
+    console.error(`Cache lookup failed for model ${model}:`, error);
+    return null;
+  }
+  if (!entry) {
+    return null;
+  }
+
+  // Nothing was spent on this request; the earlier call's cost is what was saved
+  const llm = getProvider(provider);
+  const usage = llm.normalizeUsage({});
+  const { result } = entry;
+
+  return {
+    ...result,
+    usage,
+    pricing: llm.calculatePrice(model, usage),
+    cache: {
+      hit: true,
+      matchedBy: entry.fileHash === fileHash ? 'file' : 'text',
+      fileHash,
+      textHash: entry.textHash,
+      promptVersion,
+      cachedAt: entry.createdAt,
+      hits: entry.hits,
+      savedTokens: (result.usage && result.usage.total_tokens) || 0,
+      savedCost: totalCost(result.pricing)
+    }
+  };
+};
+
+/**
+ * Store a successful result. Failures are logged and never fail the request.
+ * @param {Object} key - Cache key, as taken by findCachedResult; textHash is required
+ * @param {Object} result - Extraction result
+ * @returns {Promise<void>}
+ */
+exports.storeResult = async ({ tenant, fileHash, textHash, provider, model, promptVersion, rules = false, documentType = 'auto' }, result) => {
+  const cached = {};
+  for (const field of CACHED_FIELDS) {
+    if (result[field] !== undefined) {
+      cached[field] = result[field];
+    }
+  }
+
+  try {
+    await ExtractionCache.updateOne(
+      { tenant, fileHash, provider, model, promptVersion, rules, documentType },
+      { textHash, result: cached, $setOnInsert: { hits: 0 } },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.error(`Failed to cache result of model ${model}:`, error);
+  }
+};
+
+/**
+ * Describe a result that was extracted rather than taken from the cache
+ * @param {Object} key - Cache key
+ * @returns {Object} Cache block of a miss
+ */
+exports.describeMiss = ({ fileHash, textHash, promptVersion }) => ({
+  hit: false,
+  fileHash,
+  textHash,
+  promptVersion
+});
+
+/**
+ * Add up the cache hits of several results
+ * @param {Array<Object>} results - Extraction results
+ * @returns {Object} Number of hits and misses, tokens and cost saved
+ */
+exports.summarizeCache = (results) => {
+  const hits = results.filter(result => result.cache && result.cache.hit);
+  return {
+    hits: hits.length,
+    misses: results.filter(result => result.cache && !result.cache.hit).length,
+    savedTokens: hits.reduce((total, result) => total + result.cache.savedTokens, 0),
+    savedCost: Math.round(hits.reduce((total, result) => total + result.cache.savedCost, 0) * 1e9) / 1e9
+  };
+};
@@ -0,0 +1,180 @@
+/**
+ * Consensus service
+ *
+ * Merges the per-model results of /api/pdf/all into one bill. Each field is
+ * decided by a weighted vote over the normalized values, where a model's
+ * weight is its reliability from the model registry scaled by the consistency
+ * confidence of its own extraction. Models that found no value for a field
+ * abstain from its vote.
+ */
+const { ALL_FIELDS, getExtractableFieldNames, normalizeBill } = require('./billSchemaService');
+const { checkConsistency } = require('./consistencyService');
+const { summarize } = require('./provenanceService');
+const { getReliability } = require('./modelRegistryService');
+
+// Reliability of models the registry sets none for
+const DEFAULT_RELIABILITY = parseFloat(process.env.CONSENSUS_DEFAULT_RELIABILITY) || 0.7;
+
+// A winning value with less than this share of the vote is reported as disputed
+const AGREEMENT_THRESHOLD = parseFloat(process.env.CONSENSUS_AGREEMENT_THRESHOLD) || 0.6;
+
+const FIELD_TYPES = ALL_FIELDS.reduce((types, field) => ({ ...types, [field.name]: field.type }), {});
+
+/**
+ * Voting weight of a model result
+ * @param {Object} result - Per-model extraction result
+ * @returns {number} Weight
+ */
+const resultWeight = (result) => {
+  const configured = getReliability(result.provider, result.model);
+  const reliability = configured !== null ? configured : DEFAULT_RELIABILITY;
+  const confidence = result.consistency && result.consistency.confidence;
+  // Halve the weight of a model whose own figures do not add up at all
+  return reliability * (typeof confidence === 'number' ? 0.5 + 0.5 * confidence : 1);
+};
+
+/**
+ * Check whether two normalized values agree
+ * @param {string} field - Field name
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {boolean} Whether the values are the same
+ */
+const valuesMatch = (field, a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') {
+    return Math.abs(a - b) <= Math.max(0.01, Math.abs(a) * 0.001);
+  }
+  if (FIELD_TYPES[field] === 'string') {
+    const canonical = value => String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+    return canonical(a) === canonical(b);
+  }
+  return a === b;
+};
+
+/**
+ * Decide a single field by weighted vote. A model without a value abstains, so
+ * models that missed a field cannot outvote one that found it.
+ * @param {string} field - Field name
+ * @param {Array<Object>} voters - Successful results with their weights
+ * @returns {Object} Chosen value (null if no model found one) and agreement statistics
+ */
+const voteField = (field, voters) => {
+  const candidates = [];
+  const abstainingModels = [];
+
+  for (const { result, weight } of voters) {
+    const value = result.data[field];
+    if (value === null || value === undefined) {
+      abstainingModels.push(result.model);
+      continue;
+    }
+    let candidate = candidates.find(entry => valuesMatch(field, entry.value, value));
+    if (!candidate) {
+      candidate = { value, weight: 0, models: [] };
+      candidates.push(candidate);
+    }
+    candidate.weight += weight;
+    candidate.models.push(result.model);
+  }
+
+  if (candidates.length === 0) {
+    return { value: null, status: 'missing', agreement: 0, supportingModels: [], abstainingModels, candidates: [] };
+  }
+
+  const totalWeight = candidates.reduce((total, candidate) => total + candidate.weight, 0);
+  candidates.sort((a, b) => b.weight - a.weight || b.models.length - a.models.length);
+
+  const [winner, runnerUp] = candidates;
+  const agreement = totalWeight > 0 ? winner.weight / totalWeight : 0;
+  const tied = runnerUp && Math.abs(runnerUp.weight - winner.weight) < 1e-9;
+
+  let status = 'majority';
+  if (candidates.length === 1) {
+    status = 'unanimous';
+  } else if (tied || agreement < AGREEMENT_THRESHOLD) {
+    status = 'disputed';
+  }
+
+  return {
+    value: winner.value,
+    status,
+    agreement: Math.round(agreement * 1000) / 1000,
+    supportingModels: winner.models,
+    abstainingModels,
+    candidates: candidates.map(candidate => ({
+      value: candidate.value,
+      models: candidate.models,
+      share: totalWeight > 0 ? Math.round(candidate.weight / totalWeight * 1000) / 1000 : 0
+    }))
+  };
+};
+
+/**
+ * Provenance of the consensus values, taken from the first supporting model that located each value
+ * @param {Object} data - Consensus data
+ * @param {Object} fields - Per-field votes
+ * @param {Array<Object>} voters - Successful results with their weights
+ * @returns {Object|undefined} Summary and per-field provenance, or undefined if no result has provenance
+ */
+const mergeProvenance = (data, fields, voters) => {
+  if (!voters.some(({ result }) => result.provenance)) {
+    return undefined;
+  }
+
+  const located = {};
+  for (const field of Object.keys(fields)) {
+    if (data[field] === null || data[field] === undefined) {
+      continue;
+    }
+    const entries = voters
+      .filter(({ result }) => fields[field].supportingModels.includes(result.model) && result.provenance)
+      .map(({ result }) => result.provenance.fields[field])
+      .filter(Boolean);
+    located[field] = entries.find(entry => !entry.possiblyHallucinated) ||
+      { status: 'not-found', possiblyHallucinated: true };
+  }
+
+  return { summary: summarize(located), fields: located };
+};
+
+/**
+ * Merge per-model results into one consensus bill
+ * @param {Array<Object>} results - Per-model extraction results of one document type (failed ones are ignored)
+ * @returns {Object|null} Merged data, validation, consistency, provenance and per-field agreement, or null if no model succeeded
+ */
+exports.buildConsensus = (results) => {
+  const voters = results
+    .filter(result => !result.error && result.data && typeof result.data === 'object')
+    .map(result => ({ result, weight: resultWeight(result) }));
+
+  if (voters.length === 0) {
+    return null;
+  }
+
+  const { documentType } = voters[0].result;
+  const fields = {};
+  const merged = {};
+  for (const field of getExtractableFieldNames(documentType)) {
+    fields[field] = voteField(field, voters);
+    merged[field] = fields[field].value;
+  }
+
+  const { data, validation } = normalizeBill(merged, documentType);
+  const statuses = Object.values(fields).map(field => field.status);
+
+  return {
+    data,
+    validation,
+    consistency: checkConsistency(data),
+    provenance: mergeProvenance(data, fields, voters),
+    models: voters.map(({ result, weight }) => ({ model: result.model, weight: Math.round(weight * 1000) / 1000 })),
+    summary: {
+      unanimous: statuses.filter(status => status === 'unanimous').length,
+      majority: statuses.filter(status => status === 'majority').length,
+      disputed: statuses.filter(status => status === 'disputed').length,
+      missing: statuses.filter(status => status === 'missing').length,
+      disputedFields: Object.keys(fields).filter(field => fields[field].status === 'disputed')
+    },
+    fields
+  };
+};
@@ -0,0 +1,236 @@
+/**
+ * Consistency service
+ *
+ * Arithmetic cross-checks between normalized bill fields. Each rule
+ * reports the value it expected and the value found on the bill, and the
+ * weighted share of passing rules becomes the extraction confidence.
+ */
+
+const CHARGE_FIELDS = ['EngyChg', 'FxdChg', 'EleDuty', 'FulCstAdj', 'MetRent', 'CGST', 'Arrears'];
+
+/**
+ * Round to a fixed number of decimals to keep reports readable
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Check whether a value is a usable number
+ * @param {any} value - Value to check
+ * @returns {boolean} Whether the value is a finite number
+ */
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Units consumed according to the meter readings
+ * @param {Object} data - Normalized bill data
+ * @param {string} openingField - Opening reading field
+ * @param {string} closingField - Closing reading field
+ * @returns {number|undefined} Consumed units, or undefined if readings are missing
+ */
+const unitsFromReadings = (data, openingField, closingField) => {
+  const opening = data[openingField];
+  const closing = data[closingField];
+  if (!isNumber(opening) || !isNumber(closing)) {
+    return undefined;
+  }
+  const multiplier = isNumber(data.MulFac) && data.MulFac > 0 ? data.MulFac : 1;
+  return (closing - opening) * multiplier;
+};
+
+/**
+ * Sum of the individual charge components present on the bill
+ * @param {Object} data - Normalized bill data
+ * @returns {number|undefined} Sum, or undefined if energy charges are missing
+ */
+const sumOfCharges = (data) => {
+  const present = CHARGE_FIELDS.filter(field => isNumber(data[field]));
+  if (present.length === 0 || !isNumber(data.EngyChg)) {
+    return undefined;
+  }
+  return present.reduce((total, field) => total + data[field], 0);
+};
+
+/**
+ * Consistency rules
+ * fields: bill fields the rule depends on
+ * check: custom evaluation returning { passed, expected, observed }, or undefined to skip
+ * expected: computes the expected value from the bill, or undefined to skip
+ * observed: field holding the value the bill reports
+ * tolerance: allowed absolute difference for a given expected value
+ * weight: contribution of the rule to the confidence score
+ */
+const RULES = [
+  {
+    id: 'readings.finalConsUnits',
+    description: '(FinalClosingReading - FinalOpeningReading) x MulFac equals FinalConsUnits',
+    fields: ['FinalOpeningReading', 'FinalClosingReading', 'MulFac'],
+    expected: data => unitsFromReadings(data, 'FinalOpeningReading', 'FinalClosingReading'),
+    observed: 'FinalConsUnits',
+    tolerance: () => 1,
+    weight: 3
+  },
+  {
+    id: 'readings.billedUnit',
+    description: '(FinalClosingReading - FinalOpeningReading) x MulFac equals BilledUnit',
+    fields: ['FinalOpeningReading', 'FinalClosingReading', 'MulFac'],
+    expected: data => unitsFromReadings(data, 'FinalOpeningReading', 'FinalClosingReading'),
+    observed: 'BilledUnit',
+    tolerance: () => 1,
+    weight: 2
+  },
+  {
+    id: 'readings.consUnits',
+    description: '(CmrKwh - OmrKwh) x MulFac equals ConsUnits',
+    fields: ['OmrKwh', 'CmrKwh', 'MulFac'],
+    expected: data => unitsFromReadings(data, 'OmrKwh', 'CmrKwh'),
+    observed: 'ConsUnits',
+    tolerance: () => 1,
+    weight: 2
+  },
+  {
+    // Water and gas bills
+    id: 'readings.meterConsUnits',
+    description: 'CurReading - PrevReading equals ConsUnits',
+    fields: ['PrevReading', 'CurReading'],
+    expected: data => unitsFromReadings(data, 'PrevReading', 'CurReading'),
+    observed: 'ConsUnits',
+    tolerance: () => 1,
+    weight: 2
+  },
+  {
+    id: 'readings.nonDecreasing',
+    description: 'FinalClosingReading is not lower than FinalOpeningReading',
+    fields: ['FinalOpeningReading', 'FinalClosingReading'],
+    check: data => {
+      if (!isNumber(data.FinalOpeningReading) || !isNumber(data.FinalClosingReading)) {
+        return undefined;
+      }
+      return {
+        passed: data.FinalClosingReading >= data.FinalOpeningReading,
+        expected: `>= ${data.FinalOpeningReading}`,
+        observed: data.FinalClosingReading
+      };
+    },
+    weight: 1
+  },
+  {
+    id: 'charges.grossAmount',
+    description: 'EngyChg + FxdChg + EleDuty + FulCstAdj + MetRent + CGST + Arrears equals GrosAmt',
+    fields: CHARGE_FIELDS,
+    expected: sumOfCharges,
+    observed: 'GrosAmt',
+    tolerance: expected => Math.max(5, Math.abs(expected) * 0.02),
+    weight: 3
+  },
+  {
+    id: 'charges.amountPayable',
+    description: 'EngyChg + FxdChg + EleDuty + FulCstAdj + MetRent + CGST + Arrears equals CurAmtPay',
+    fields: CHARGE_FIELDS,
+    expected: sumOfCharges,
+    observed: 'CurAmtPay',
+    tolerance: expected => Math.max(5, Math.abs(expected) * 0.05),
+    weight: 2
+  },
+  {
+    id: 'dates.dueAfterBill',
+    description: 'BillDueDate is on or after BillDate',
+    fields: ['BillDate', 'BillDueDate'],
+    check: data => {
+      if (!data.BillDate || !data.BillDueDate) {
+        return undefined;
+      }
+      return {
+        passed: data.BillDueDate >= data.BillDate,
+        expected: `>= ${data.BillDate}`,
+        observed: data.BillDueDate
+      };
+    },
+    weight: 1
+  },
+  {
+    id: 'dates.readingOrder',
+    description: 'CmrDt (current reading date) is after OmrDt (previous reading date)',
+    fields: ['OmrDt', 'CmrDt'],
+    check: data => {
+      if (!data.OmrDt || !data.CmrDt) {
+        return undefined;
+      }
+      return {
+        passed: data.CmrDt > data.OmrDt,
+        expected: `> ${data.OmrDt}`,
+        observed: data.CmrDt
+      };
+    },
+    weight: 1
+  }
+];
+
+/**
+ * Evaluate a single rule against the bill
+ * @param {Object} rule - Rule definition
+ * @param {Object} data - Normalized bill data
+ * @returns {Object} Rule result
+ */
+const evaluateRule = (rule, data) => {
+  const base = { id: rule.id, description: rule.description, fields: rule.fields, weight: rule.weight };
+
+  if (rule.check) {
+    const outcome = rule.check(data);
+    if (!outcome) {
+      return { ...base, status: 'skipped', reason: 'Required fields are missing' };
+    }
+    return {
+      ...base,
+      status: outcome.passed ? 'passed' : 'failed',
+      expected: outcome.expected,
+      observed: outcome.observed
+    };
+  }
+
+  const expected = rule.expected(data);
+  const observed = data[rule.observed];
+
+  if (!isNumber(expected) || !isNumber(observed)) {
+    return { ...base, status: 'skipped', reason: 'Required fields are missing' };
+  }
+
+  const difference = observed - expected;
+  const tolerance = rule.tolerance(expected);
+
+  return {
+    ...base,
+    status: Math.abs(difference) <= tolerance ? 'passed' : 'failed',
+    expected: round(expected),
+    observed,
+    difference: round(difference),
+    tolerance: round(tolerance)
+  };
+};
+
+/**
+ * Run all consistency rules against normalized bill data
+ * @param {Object} data - Normalized bill data
+ * @returns {Object} Rule results, pass/fail counts and confidence score (0-1, null if no rule applied)
+ */
+exports.checkConsistency = (data) => {
+  if (!data || typeof data !== 'object') {
+    return { rules: [], passed: 0, failed: 0, skipped: 0, confidence: null };
+  }
+
+  const rules = RULES.map(rule => evaluateRule(rule, data));
+  const evaluated = rules.filter(rule => rule.status !== 'skipped');
+  const totalWeight = evaluated.reduce((total, rule) => total + rule.weight, 0);
+  const passedWeight = evaluated
+    .filter(rule => rule.status === 'passed')
+    .reduce((total, rule) => total + rule.weight, 0);
+
+  return {
+    rules,
+    passed: rules.filter(rule => rule.status === 'passed').length,
+    failed: rules.filter(rule => rule.status === 'failed').length,
+    skipped: rules.filter(rule => rule.status === 'skipped').length,
+    confidence: totalWeight > 0 ? round(passedWeight / totalWeight) : null
+  };
+};
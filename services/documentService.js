@@ -0,0 +1,102 @@
+/**
+ * Document service
+ *
+ * Keeps a copy of every extracted document so reviewers can compare the
+ * extracted fields with the original. Uploads are deleted once extraction is
+ * done; the copies live under DOCUMENTS_DIR (default documents/) in one
+ * folder per tenant, under generated names.
+ */
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+
+const DOCUMENTS_DIR = process.env.DOCUMENTS_DIR || path.join(__dirname, '../documents');
+// Originals past their retention period are moved here when the retention action is 'archive'
+const ARCHIVE_DIR = process.env.DOCUMENT_ARCHIVE_DIR || path.join(__dirname, '../archive');
+
+const MIME_TYPES = {
+  '.pdf': 'application/pdf',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png'
+};
+
+/**
+ * Copy an uploaded document into the document store
+ * @param {string} tenant - Tenant that owns the document
+ * @param {Object} file - File data from multer, or { path, originalname }
+ * @returns {Promise<Object|undefined>} Stored document details, or undefined if it could not be stored
+ */
+exports.storeDocument = async (tenant, file) => {
+  try {
+    const extension = path.extname(file.originalname || file.path).toLowerCase();
+    const storagePath = path.join(String(tenant), `${crypto.randomBytes(16).toString('hex')}${extension}`);
+    const target = path.join(DOCUMENTS_DIR, storagePath);
+
+    await fs.ensureDir(path.dirname(target));
+    await fs.copy(file.path, target);
+    const { size } = await fs.stat(target);
+
+    return {
+      path: storagePath,
+      originalName: file.originalname,
+      mimeType: file.mimetype || MIME_TYPES[extension] || 'application/octet-stream',
+      size
+    };
+  } catch (error) {
+    console.error(`Failed to store document ${file.originalname}:`, error);
+    return undefined;
+  }
+};
+
+/**
+ * Store another copy of a stored document, for bills that come from the same original
+ * @param {string} tenant - Tenant that owns the document
+ * @param {Object} [document] - Stored document details
+ * @returns {Promise<Object|undefined>} Details of the copy, or undefined if there was nothing to copy
+ */
+exports.copyDocument = async (tenant, document) => {
+  const file = await exports.resolveDocument(document);
+  if (!file) {
+    return undefined;
+  }
+  return exports.storeDocument(tenant, { path: file, originalname: document.originalName, mimetype: document.mimeType });
+};
+
+/**
+ * Absolute path of a stored document
+ * @param {Object} document - Stored document details
+ * @returns {Promise<string|null>} Path on disk, or null if the document is not available
+ */
+exports.resolveDocument = async (document) => {
+  if (!document || !document.path) {
+    return null;
+  }
+  const file = path.join(DOCUMENTS_DIR, document.path);
+  return await fs.pathExists(file) ? file : null;
+};
+
+/**
+ * Delete a stored document
+ * @param {Object} [document] - Stored document details
+ * @returns {Promise<void>}
+ */
+exports.removeDocument = async (document) => {
+  if (document && document.path) {
+    await fs.remove(path.join(DOCUMENTS_DIR, document.path)).catch(() => {});
+  }
+};
+
+/**
+ * Move a stored document to the archive, under the same relative path
+ * @param {Object} document - Stored document details
+ * @returns {Promise<boolean>} Whether the document was archived; false if it was already gone
+ */
+exports.archiveDocument = async (document) => {
+  const source = await exports.resolveDocument(document);
+  if (!source) {
+    return false;
+  }
+  await fs.move(source, path.join(ARCHIVE_DIR, document.path), { overwrite: true });
+  return true;
+};
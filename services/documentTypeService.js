@@ -0,0 +1,213 @@
+/**
+ * Document type service
+ *
+ * Decides which kind of document an upload is (electricity, water, gas or
+ * broadband bill, see documentTypes/) and splits statements that cover
+ * several accounts into one document per account.
+ *
+ * Classification: a known layout template decides outright; otherwise the
+ * type whose keywords match the text most often wins, and documents that
+ * match no keywords fall back to the default type.
+ *
+ * Splitting works on whole pages. The account numbers printed on each page
+ * are collected with the type's accountPatterns; a page whose accounts do not
+ * appear in the pages before it starts a new account. Summary pages that
+ * list the accounts of several later sections are left out of every account.
+ */
+const { getDocumentType, DEFAULT_DOCUMENT_TYPE } = require('./billSchemaService');
+const { detectTemplate } = require('./ruleExtractionService');
+const DOCUMENT_TYPES = require('../documentTypes');
+const { httpError } = require('../utils/helpers');
+
+// Keyword matches a type needs before it is preferred over the default type
+const MIN_KEYWORD_MATCHES = 2;
+// Account numbers are identifiers, not words: captures with fewer digits are ignored
+const MIN_ACCOUNT_DIGITS = 4;
+
+/**
+ * Validate a document type chosen by the client
+ * @param {string} [value] - Document type id, 'auto' or empty to detect it
+ * @returns {string|null} Document type id, or null when the type should be detected
+ * @throws {Error} With statusCode 400 if the type is unknown
+ */
+exports.parseDocumentType = (value) => {
+  if (value === undefined || value === null || value === '' || value === 'auto') {
+    return null;
+  }
+  if (!getDocumentType(value)) {
+    const known = DOCUMENT_TYPES.map(documentType => documentType.id).join(', ');
+    throw httpError(`Unknown document type: ${value}. Use one of ${known} or auto`, 400);
+  }
+  return value;
+};
+
+/**
+ * Work out the type of a document from its text
+ * @param {string} text - Document text
+ * @returns {Object} Type id and name, how it was decided ('template', 'keywords' or 'default')
+ *   and the share of the type's keywords found (1 for a template match)
+ */
+exports.classifyDocument = (text) => {
+  const template = detectTemplate(text);
+  if (template) {
+    const documentType = getDocumentType(template.documentType);
+    return { id: documentType.id, name: documentType.name, method: 'template', template: template.id, confidence: 1 };
+  }
+
+  let best = null;
+  for (const documentType of DOCUMENT_TYPES) {
+    const matches = documentType.keywords.filter(pattern => pattern.test(text)).length;
+    if (matches >= MIN_KEYWORD_MATCHES && (!best || matches > best.matches)) {
+      best = { documentType, matches };
+    }
+  }
+
+  if (!best) {
+    const documentType = getDocumentType(DEFAULT_DOCUMENT_TYPE);
+    return { id: documentType.id, name: documentType.name, method: 'default', confidence: 0 };
+  }
+  return {
+    id: best.documentType.id,
+    name: best.documentType.name,
+    method: 'keywords',
+    confidence: Math.round(best.matches / best.documentType.keywords.length * 100) / 100
+  };
+};
+
+/**
+ * Use the requested document type or detect it
+ * @param {string|null} requested - Type chosen by the client, as returned by parseDocumentType
+ * @param {string} text - Document text
+ * @returns {Object} Classification, as returned by classifyDocument, with method 'requested' for a chosen type
+ */
+exports.resolveDocumentType = (requested, text) => {
+  if (!requested) {
+    return exports.classifyDocument(text);
+  }
+  const documentType = getDocumentType(requested);
+  return { id: documentType.id, name: documentType.name, method: 'requested', confidence: 1 };
+};
+
+/**
+ * Account numbers printed on a page
+ * @param {string} text - Page text
+ * @param {Object} documentType - Document type
+ * @returns {Array<string>} Distinct account numbers, in pattern order
+ */
+const findAccounts = (text, documentType) => {
+  const accounts = [];
+  for (const pattern of documentType.accountPatterns) {
+    for (const match of text.matchAll(pattern)) {
+      const account = match[1].trim();
+      if ((account.match(/\d/g) || []).length >= MIN_ACCOUNT_DIGITS && !accounts.includes(account)) {
+        accounts.push(account);
+      }
+    }
+  }
+  return accounts;
+};
+
+/**
+ * Whether two account lists share an account
+ * @param {Array<string>} a - Account numbers
+ * @param {Array<string>} b - Account numbers
+ * @returns {boolean} Whether they overlap
+ */
+const overlaps = (a, b) => a.some(account => b.includes(account));
+
+/**
+ * Whether a page lists the accounts of several separate sections, like the
+ * summary page of a statement
+ * @param {number} index - Page index
+ * @param {Array<Array<string>>} accounts - Account numbers per page
+ * @returns {boolean} Whether the page is a summary
+ */
+const isSummaryPage = (index, accounts) => {
+  if (accounts[index].length < 2) {
+    return false;
+  }
+  const related = accounts.filter((other, otherIndex) => otherIndex !== index && overlaps(other, accounts[index]));
+  return related.some((a, i) => related.slice(i + 1).some(b => !overlaps(a, b)));
+};
+
+/**
+ * Build the text acquisition of a subset of pages, as if they were the whole document
+ * @param {Object} acquisition - Result of pdfService.extractText
+ * @param {Array<number>} pageNumbers - 1-based page numbers to keep
+ * @returns {Object} Acquisition of those pages
+ */
+const sliceAcquisition = (acquisition, pageNumbers) => {
+  const layout = acquisition.layout.filter(entry => pageNumbers.includes(entry.page));
+  const pages = acquisition.pages.filter(page => pageNumbers.includes(page.page));
+
+  let text = '';
+  const slicedLayout = layout.map(entry => {
+    const pageText = acquisition.text.slice(entry.offset, entry.offset + entry.length);
+    // Same layout as the full document: every page is prefixed with a blank line
+    text += `\n\n${pageText}`;
+    return { ...entry, offset: text.length - pageText.length };
+  });
+
+  const methods = new Set(pages.map(page => page.method));
+  const ocrPages = pages.filter(page => page.method === 'ocr' && page.confidence !== null);
+
+  return {
+    text,
+    layout: slicedLayout,
+    method: methods.size > 1 ? 'mixed' : [...methods][0],
+    ocrConfidence: ocrPages.length > 0
+      ? Math.round(ocrPages.reduce((total, page) => total + page.confidence, 0) / ocrPages.length * 100) / 100
+      : null,
+    pages
+  };
+};
+
+/**
+ * Split a statement into one document per account. Documents with a single
+ * account (or none that can be recognized) are returned whole.
+ * @param {Object} acquisition - Result of pdfService.extractText
+ * @param {string} documentType - Document type id
+ * @returns {Object} Per-account parts as { segment, acquisition }, with segment null when the
+ *   document was not split, and the summary pages left out of every part
+ */
+exports.splitAccounts = (acquisition, documentType) => {
+  const definition = getDocumentType(documentType);
+  const accounts = acquisition.layout.map(entry =>
+    findAccounts(acquisition.text.slice(entry.offset, entry.offset + entry.length), definition));
+
+  const summaryPages = [];
+  const segments = [];
+  let current = null;
+  acquisition.layout.forEach((entry, index) => {
+    if (isSummaryPage(index, accounts)) {
+      summaryPages.push(entry.page);
+      return;
+    }
+    // Pages without an account number (continuations, terms) stay with the account before them
+    if (!current || (accounts[index].length > 0 && current.accounts.length > 0 && !overlaps(accounts[index], current.accounts))) {
+      current = { accounts: [], pages: [] };
+      segments.push(current);
+    }
+    current.pages.push(entry.page);
+    current.accounts.push(...accounts[index].filter(account => !current.accounts.includes(account)));
+  });
+
+  if (segments.length < 2) {
+    return { parts: [{ segment: null, acquisition }], summaryPages: [] };
+  }
+
+  return {
+    parts: segments.map((segment, index) => ({
+      segment: {
+        index,
+        count: segments.length,
+        account: segment.accounts[0] || null,
+        pages: segment.pages
+      },
+      acquisition: sliceAcquisition(acquisition, segment.pages)
+    })),
+    summaryPages
+  };
+};
+
+exports.findAccounts = findAccounts;
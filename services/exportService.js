@@ -0,0 +1,349 @@
+/**
+ * Export service
+ *
+ * Turns stored bills into files for finance and data teams: CSV and XLSX
+ * with a configurable column mapping, and JSON Lines for data warehouse
+ * loaders. Columns come from a named profile (config/exportProfiles.json, or
+ * EXPORT_PROFILES_PATH) or from an explicit list, e.g.
+ * "BillDate:Voucher Date,CurAmtPay:Amount". Values are formatted for a locale
+ * (EXPORT_LOCALE, default en-IN, which uses Indian digit grouping); the
+ * locale "raw" keeps the canonical ISO dates and plain numbers. XLSX cells
+ * stay numbers and dates and only their display format follows the locale.
+ */
+const path = require('path');
+const fs = require('fs-extra');
+const ExcelJS = require('exceljs');
+const Bill = require('../models/Bill');
+const { ALL_FIELDS, getDocumentType } = require('./billSchemaService');
+const { buildBillFilter } = require('./billService');
+const { csvCell, httpError } = require('../utils/helpers');
+
+const PROFILES_PATH = process.env.EXPORT_PROFILES_PATH || path.join(__dirname, '../config/exportProfiles.json');
+const DEFAULT_LOCALE = process.env.EXPORT_LOCALE || 'en-IN';
+const MAX_ROWS = parseInt(process.env.EXPORT_MAX_ROWS, 10) || 50000;
+
+// Bill details that can be exported next to the canonical fields
+const META_COLUMNS = {
+  billId: { type: 'string', value: bill => bill._id.toString() },
+  filename: { type: 'string', value: bill => bill.filename },
+  documentType: { type: 'string', value: bill => bill.documentType },
+  account: { type: 'string', value: bill => bill.segment && bill.segment.account },
+  batch: { type: 'string', value: bill => bill.batch },
+  model: { type: 'string', value: bill => bill.model },
+  reviewStatus: { type: 'string', value: bill => bill.review && bill.review.status },
+  version: { type: 'number', value: bill => bill.version },
+  createdAt: { type: 'datetime', value: bill => bill.createdAt }
+};
+
+const FIELD_TYPES = Object.fromEntries(ALL_FIELDS.map(field => [field.name, field.type]));
+
+/**
+ * Column profiles available for exports
+ * @returns {Object} Profiles by name
+ */
+exports.listProfiles = () => fs.readJsonSync(PROFILES_PATH);
+
+/**
+ * Parse an explicit column list
+ * @param {string} spec - Comma separated field[:header] entries
+ * @returns {Array<Object>} { field, header } per column
+ */
+const parseColumns = (spec) => String(spec)
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const [field, ...header] = entry.split(':');
+    return { field: field.trim(), header: header.join(':').trim() || field.trim() };
+  });
+
+/**
+ * Resolve the columns of an export
+ * @param {Object} options - Export options
+ * @param {string} [options.profile] - Profile name, defaults to "default"
+ * @param {string} [options.columns] - Explicit column list, overrides the profile
+ * @param {string} [options.documentType] - Document type filter; profiles without columns export
+ *   the fields of this type, or of every type when no type is given
+ * @returns {Array<Object>} { field, header, type } per column, in output order
+ * @throws {Error} With statusCode 400 for an unknown profile, field or document type
+ */
+exports.resolveColumns = ({ profile = 'default', columns, documentType } = {}) => {
+  const definition = documentType ? getDocumentType(String(documentType)) : null;
+  if (documentType && !definition) {
+    throw httpError(`Unknown document type: ${documentType}`, 400);
+  }
+
+  let selected;
+  if (columns) {
+    selected = parseColumns(columns);
+  } else {
+    const profiles = exports.listProfiles();
+    if (!profiles[profile]) {
+      throw httpError(`Unknown export profile: ${profile}. Available profiles: ${Object.keys(profiles).join(', ')}`, 400);
+    }
+    const fields = definition ? definition.fields : ALL_FIELDS;
+    selected = profiles[profile].columns || fields.map(field => ({ field: field.name, header: field.name }));
+  }
+
+  const unknown = selected.filter(column => !FIELD_TYPES[column.field] && !META_COLUMNS[column.field]);
+  if (unknown.length || !selected.length) {
+    throw httpError(
+      `Unknown export columns: ${unknown.map(column => column.field).join(', ') || '(none given)'}. ` +
+      `Columns are bill fields or ${Object.keys(META_COLUMNS).join(', ')}`,
+      400
+    );
+  }
+
+  return selected.map(column => ({
+    field: column.field,
+    header: column.header || column.field,
+    type: FIELD_TYPES[column.field] || META_COLUMNS[column.field].type
+  }));
+};
+
+/**
+ * Check a locale
+ * @param {string} [locale] - BCP 47 locale or "raw"
+ * @returns {string} Locale to use
+ * @throws {Error} With statusCode 400 if the locale is not supported
+ */
+const resolveLocale = (locale = DEFAULT_LOCALE) => {
+  if (locale === 'raw') {
+    return locale;
+  }
+  try {
+    if (Intl.NumberFormat.supportedLocalesOf([locale]).length > 0) {
+      return locale;
+    }
+  } catch (error) {
+    // Malformed tags are reported below
+  }
+  throw httpError(`Unsupported locale: ${locale}`, 400);
+};
+
+/**
+ * Value of a column for a bill
+ * @param {Object} bill - Stored bill
+ * @param {Object} column - Column definition
+ * @returns {any} Canonical value, or null
+ */
+const columnValue = (bill, column) => {
+  const value = META_COLUMNS[column.field]
+    ? META_COLUMNS[column.field].value(bill)
+    : bill.data && bill.data[column.field];
+  return value === undefined ? null : value;
+};
+
+/**
+ * Build the text formatters of a locale
+ * @param {string} locale - BCP 47 locale or "raw"
+ * @returns {Function} Formats a canonical value of a type as text
+ */
+const createFormatter = (locale) => {
+  if (locale === 'raw') {
+    return (type, value) => (value instanceof Date ? value.toISOString() : String(value));
+  }
+
+  const amount = new Intl.NumberFormat(locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  const number = new Intl.NumberFormat(locale, { maximumFractionDigits: 3 });
+  const date = new Intl.DateTimeFormat(locale, { day: '2-digit', month: '2-digit', year: 'numeric', timeZone: 'UTC' });
+  const month = new Intl.DateTimeFormat(locale, { month: 'short', year: 'numeric', timeZone: 'UTC' });
+  const datetime = new Intl.DateTimeFormat(locale, { dateStyle: 'short', timeStyle: 'short', timeZone: 'UTC' });
+
+  return (type, value) => {
+    switch (type) {
+      case 'amount':
+        return amount.format(value);
+      case 'number':
+      case 'reading':
+        return number.format(value);
+      case 'date':
+        return date.format(new Date(`${value}T00:00:00Z`));
+      case 'month':
+        return month.format(new Date(`${value}-01T00:00:00Z`));
+      case 'datetime':
+        return datetime.format(new Date(value));
+      default:
+        return String(value);
+    }
+  };
+};
+
+/**
+ * Find the bills to export
+ * @param {string} tenant - Tenant whose bills are exported
+ * @param {Object} query - Bill filters (see billService.buildBillFilter)
+ * @returns {Promise<Array<Object>>} Bills, oldest bill date first
+ * @throws {Error} With statusCode 400 if more than EXPORT_MAX_ROWS bills match
+ */
+const findBills = async (tenant, query) => {
+  const filter = buildBillFilter(query, tenant);
+  const total = await Bill.countDocuments(filter);
+  if (total > MAX_ROWS) {
+    throw httpError(`${total} bills match; exports are limited to ${MAX_ROWS} rows, narrow the filters or use jsonl`, 400);
+  }
+  return Bill.find(filter).select('-provenance -consensus -validation -consistency').sort({ 'data.BillDate': 1, createdAt: 1 }).lean();
+};
+
+/**
+ * Export bills as CSV
+ * @param {string} tenant - Tenant whose bills are exported
+ * @param {Object} [query] - Bill filters plus profile, columns and locale
+ * @returns {Promise<Object>} { content, count }; the CSV starts with a byte order mark so spreadsheets read it as UTF-8
+ * @throws {Error} With statusCode 400 for invalid options
+ */
+exports.exportCsv = async (tenant, query = {}) => {
+  const columns = exports.resolveColumns(query);
+  const format = createFormatter(resolveLocale(query.locale));
+  const bills = await findBills(tenant, query);
+
+  const lines = bills.map(bill => columns.map(column => {
+    const value = columnValue(bill, column);
+    return csvCell(value === null ? null : format(column.type, value));
+  }).join(','));
+
+  return {
+    content: '\ufeff' + [columns.map(column => csvCell(column.header)).join(','), ...lines].join('\n') + '\n',
+    count: bills.length
+  };
+};
+
+/**
+ * Excel display formats for a locale
+ * @param {string} locale - BCP 47 locale or "raw"
+ * @returns {Object} Number formats by column type
+ */
+const excelFormats = (locale) => {
+  if (locale === 'raw') {
+    return { amount: '0.00', number: '0.###', date: 'yyyy-mm-dd', month: 'yyyy-mm', datetime: 'yyyy-mm-dd hh:mm' };
+  }
+
+  // Lakh/crore grouping (12,34,567) for locales that use it, such as en-IN
+  const indian = /^\d{2}\D\d{2}\D\d{3}$/.test(new Intl.NumberFormat(locale).format(1234567));
+  const amount = indian ? '[>=10000000]##\\,##\\,##\\,##0.00;[>=100000]##\\,##\\,##0.00;##,##0.00' : '#,##0.00';
+
+  // Day, month and year in the order the locale writes them
+  const date = new Intl.DateTimeFormat(locale, { day: '2-digit', month: '2-digit', year: 'numeric', timeZone: 'UTC' })
+    .formatToParts(new Date(Date.UTC(2025, 0, 31)))
+    .map(part => ({ day: 'dd', month: 'mm', year: 'yyyy' }[part.type] || `"${part.value}"`))
+    .join('');
+
+  return { amount, number: '#,##0.###', date, month: 'mmm yyyy', datetime: `${date} hh:mm` };
+};
+
+/**
+ * Export bills as an XLSX workbook
+ * @param {string} tenant - Tenant whose bills are exported
+ * @param {Object} [query] - Bill filters plus profile, columns and locale
+ * @returns {Promise<Object>} { content (Buffer), count }
+ * @throws {Error} With statusCode 400 for invalid options
+ */
+exports.exportXlsx = async (tenant, query = {}) => {
+  const columns = exports.resolveColumns(query);
+  const formats = excelFormats(resolveLocale(query.locale));
+  const bills = await findBills(tenant, query);
+
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+  const sheet = workbook.addWorksheet('Bills', { views: [{ state: 'frozen', ySplit: 1 }] });
+
+  sheet.columns = columns.map(column => ({
+    header: column.header,
+    key: column.field,
+    width: Math.max(column.header.length + 2, ['string', 'datetime'].includes(column.type) ? 20 : 14),
+    style: formats[column.type] ? { numFmt: formats[column.type] } : {}
+  }));
+  sheet.getRow(1).font = { bold: true };
+
+  for (const bill of bills) {
+    sheet.addRow(columns.map(column => {
+      const value = columnValue(bill, column);
+      if (value === null) {
+        return null;
+      }
+      // Dates become real spreadsheet dates so they sort and filter
+      switch (column.type) {
+        case 'date':
+          return new Date(`${value}T00:00:00Z`);
+        case 'month':
+          return new Date(`${value}-01T00:00:00Z`);
+        case 'datetime':
+          return new Date(value);
+        default:
+          return value;
+      }
+    }));
+  }
+
+  return { content: Buffer.from(await workbook.xlsx.writeBuffer()), count: bills.length };
+};
+
+/**
+ * Wait until a writable stream can take more data
+ * @param {Object} output - Writable stream
+ * @returns {Promise<boolean>} True once drained, false if the stream closed or failed first
+ */
+const waitForDrain = (output) => new Promise(resolve => {
+  const finish = (drained) => {
+    output.off('drain', onDrain);
+    output.off('close', onClose);
+    output.off('error', onClose);
+    resolve(drained);
+  };
+  const onDrain = () => finish(true);
+  const onClose = () => finish(false);
+  output.on('drain', onDrain);
+  output.on('close', onClose);
+  output.on('error', onClose);
+});
+
+/**
+ * Stream bills as JSON Lines, one canonical record per line, for data warehouse loaders.
+ * Unlike CSV and XLSX the export is not capped by EXPORT_MAX_ROWS, since it is never held
+ * in memory, and values are written raw rather than formatted for a locale.
+ * @param {string} tenant - Tenant whose bills are exported
+ * @param {Object} query - Bill filters
+ * @param {Object} output - Writable stream, e.g. the Express response
+ * @returns {Promise<number>} Number of records written; stops early if the client disconnects
+ */
+exports.streamJsonl = async (tenant, query, output) => {
+  const cursor = Bill.find(buildBillFilter(query, tenant))
+    .select('-provenance -consensus -runs')
+    .sort({ createdAt: 1 })
+    .lean()
+    .cursor();
+
+  let count = 0;
+  try {
+    for await (const bill of cursor) {
+      if (output.destroyed) {
+        break;
+      }
+      const record = {
+        billId: bill._id.toString(),
+        filename: bill.filename,
+        source: bill.source,
+        documentType: bill.documentType,
+        segment: bill.segment,
+        batch: bill.batch,
+        provider: bill.provider,
+        model: bill.model,
+        version: bill.version,
+        reviewStatus: bill.review && bill.review.status,
+        valid: bill.validation ? bill.validation.valid : undefined,
+        confidence: bill.consistency ? bill.consistency.confidence : undefined,
+        createdAt: bill.createdAt,
+        updatedAt: bill.updatedAt,
+        data: bill.data
+      };
+      count++;
+      // Respect backpressure so large exports do not buffer in memory
+      if (!output.write(JSON.stringify(record) + '\n') && !await waitForDrain(output)) {
+        break;
+      }
+    }
+  } finally {
+    await cursor.close();
+  }
+  return count;
+};
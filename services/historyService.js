@@ -0,0 +1,386 @@
+/**
+ * History service
+ *
+ * Follows one consumer (CanSerNo) or meter (MetrNo) across billing periods.
+ * Bills are ordered by BillMonth, one per month, and each bill is compared
+ * with the bills before it:
+ * - continuity: the opening reading must equal the previous closing reading;
+ * - consumption spikes above CONSUMPTION_SPIKE_FACTOR x the average of the
+ *   previous CONSUMPTION_WINDOW bills;
+ * - tariff category (ConCat) and connected load (ConnLd, ConnSize) changes;
+ * - arrears that grew since the previous bill;
+ * - billing months with no bill between two bills.
+ * New bills are checked when they are saved and keep the anomalies found.
+ */
+const mongoose = require('mongoose');
+const Bill = require('../models/Bill');
+const { httpError } = require('../utils/helpers');
+
+const CONSUMPTION_WINDOW = parseInt(process.env.CONSUMPTION_WINDOW, 10) || 6;
+const CONSUMPTION_SPIKE_FACTOR = parseFloat(process.env.CONSUMPTION_SPIKE_FACTOR) || 1.5;
+// Earlier bills needed before a spike is reported
+const MIN_SPIKE_HISTORY = 2;
+// Readings and amounts within this of each other are considered equal
+const READING_TOLERANCE = 1;
+const ARREARS_TOLERANCE = 1;
+// Bills loaded for one timeline; 20 years of monthly bills
+const MAX_TIMELINE_BILLS = 240;
+
+// Fields that identify a consumer, by route parameter
+const KEY_FIELDS = { account: 'CanSerNo', meter: 'MetrNo' };
+
+// Consumption of the period, in order of preference
+const CONSUMPTION_FIELDS = ['FinalConsUnits', 'BilledUnit', 'ConsUnits', 'DataUsage'];
+
+// Opening and closing reading of a period; the first pair present on both bills is compared
+const READING_PAIRS = [
+  ['FinalOpeningReading', 'FinalClosingReading'],
+  ['OmrKwh', 'CmrKwh'],
+  ['PrevReading', 'CurReading']
+];
+
+// Fields whose change between two bills is reported
+const CHANGE_FIELDS = [
+  { field: 'ConCat', type: 'tariff-change', label: 'Tariff category' },
+  { field: 'ConnLd', type: 'load-change', label: 'Connected load' },
+  { field: 'ConnSize', type: 'load-change', label: 'Connection size' }
+];
+
+// Preferred bill when a month has several: reviewed data first, unreviewed data last
+const REVIEW_RANK = { approved: 0, corrected: 0, 'not-required': 1, pending: 2 };
+
+/**
+ * Round to a fixed number of decimals to keep reports readable
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Check whether a value is a usable number
+ * @param {any} value - Value to check
+ * @returns {boolean} Whether the value is a finite number
+ */
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Count months from year 0, so that consecutive months differ by one
+ * @param {string} month - Month as YYYY-MM
+ * @returns {number|null} Month number, or null if the month is not valid
+ */
+const monthNumber = (month) => {
+  const match = /^(\d{4})-(\d{2})$/.exec(month || '');
+  return match ? Number(match[1]) * 12 + Number(match[2]) - 1 : null;
+};
+
+/**
+ * Format a month number as YYYY-MM
+ * @param {number} number - Month number, as returned by monthNumber
+ * @returns {string} Month
+ */
+const formatMonth = (number) => `${Math.floor(number / 12)}-${String(number % 12 + 1).padStart(2, '0')}`;
+
+/**
+ * Consumption billed for the period
+ * @param {Object} data - Bill data
+ * @returns {number|null} Consumed units, or null if the bill has none
+ */
+const consumptionOf = (data) => {
+  const field = CONSUMPTION_FIELDS.find(name => isNumber(data[name]));
+  return field ? data[field] : null;
+};
+
+/**
+ * Keep one bill per billing month: reviewed bills before unreviewed ones, then the newest
+ * @param {Array<Object>} bills - Bills of one consumer
+ * @returns {Array<Object>} Bills ordered by month, each with the ids of the bills it was preferred to
+ */
+const pickPerMonth = (bills) => {
+  const byMonth = new Map();
+  for (const bill of bills) {
+    if (monthNumber(bill.data && bill.data.BillMonth) === null) {
+      continue;
+    }
+    const month = bill.data.BillMonth;
+    byMonth.set(month, [...(byMonth.get(month) || []), bill]);
+  }
+
+  const rank = bill => REVIEW_RANK[bill.review && bill.review.status] ?? 1;
+  return [...byMonth.keys()].sort().map(month => {
+    const [chosen, ...others] = byMonth.get(month).sort((a, b) =>
+      rank(a) - rank(b) || new Date(b.createdAt) - new Date(a.createdAt));
+    return { bill: chosen, superseded: others.map(other => other._id) };
+  });
+};
+
+/**
+ * Compare the opening reading of a bill with the closing reading of the previous bill
+ * @param {Object} data - Bill data
+ * @param {Object} [previous] - Data of the previous bill
+ * @returns {Object} Status ('first', 'continuous', 'gap', 'overlap' or 'unknown') with the readings compared
+ */
+const checkContinuity = (data, previous) => {
+  if (!previous) {
+    return { status: 'first' };
+  }
+  const pair = READING_PAIRS.find(([opening, closing]) => isNumber(data[opening]) && isNumber(previous[closing]));
+  if (!pair) {
+    return { status: 'unknown' };
+  }
+
+  const [openingField, closingField] = pair;
+  const difference = data[openingField] - previous[closingField];
+  let status = 'continuous';
+  if (difference > READING_TOLERANCE) {
+    status = 'gap';
+  } else if (difference < -READING_TOLERANCE) {
+    status = 'overlap';
+  }
+  return {
+    status,
+    field: openingField,
+    expected: previous[closingField],
+    observed: data[openingField],
+    difference: round(difference)
+  };
+};
+
+/**
+ * Find the anomalies of a bill against the bills before it
+ * @param {Object} entry - Timeline entry of the bill
+ * @param {Array<Object>} earlier - Timeline entries of the earlier bills, oldest first
+ * @returns {Array<Object>} Anomalies as { type, message } with the values compared
+ */
+const findAnomalies = (entry, earlier) => {
+  const anomalies = [];
+  const previous = earlier[earlier.length - 1];
+  if (!previous) {
+    return anomalies;
+  }
+
+  const missing = [];
+  for (let number = monthNumber(previous.month) + 1; number < monthNumber(entry.month); number++) {
+    missing.push(formatMonth(number));
+  }
+  if (missing.length > 0) {
+    anomalies.push({
+      type: 'missing-months',
+      message: `No bill for ${missing.join(', ')}`,
+      months: missing
+    });
+  }
+
+  const { continuity } = entry;
+  if (continuity.status === 'gap' || continuity.status === 'overlap') {
+    anomalies.push({
+      type: 'reading-discontinuity',
+      message: `${continuity.field} ${continuity.observed} does not match the previous closing reading ${continuity.expected}`,
+      expected: continuity.expected,
+      observed: continuity.observed
+    });
+  }
+
+  const history = earlier.slice(-CONSUMPTION_WINDOW).map(other => other.consumption).filter(isNumber);
+  if (isNumber(entry.consumption) && history.length >= MIN_SPIKE_HISTORY) {
+    const average = history.reduce((total, value) => total + value, 0) / history.length;
+    if (average > 0 && entry.consumption > average * CONSUMPTION_SPIKE_FACTOR) {
+      anomalies.push({
+        type: 'consumption-spike',
+        message: `Consumption ${entry.consumption} is ${round(entry.consumption / average)}x the average of the previous ${history.length} bills`,
+        expected: round(average),
+        observed: entry.consumption
+      });
+    }
+  }
+
+  for (const { field, type, label } of CHANGE_FIELDS) {
+    const before = previous.data[field];
+    const after = entry.data[field];
+    if (before === null || before === undefined || after === null || after === undefined) {
+      continue;
+    }
+    const changed = isNumber(before) && isNumber(after)
+      ? Math.abs(after - before) > 0.001
+      : String(after).trim().toLowerCase() !== String(before).trim().toLowerCase();
+    if (changed) {
+      anomalies.push({ type, message: `${label} changed from ${before} to ${after}`, field, expected: before, observed: after });
+    }
+  }
+
+  const arrears = entry.data.Arrears;
+  if (isNumber(arrears) && isNumber(previous.data.Arrears) && arrears - previous.data.Arrears > ARREARS_TOLERANCE) {
+    // Consecutive bills, including this one, over which the arrears kept growing
+    let streak = 1;
+    for (let index = earlier.length - 1; index > 0; index--) {
+      const before = earlier[index - 1].data.Arrears;
+      const after = earlier[index].data.Arrears;
+      if (!isNumber(before) || !isNumber(after) || after - before <= ARREARS_TOLERANCE) {
+        break;
+      }
+      streak++;
+    }
+    anomalies.push({
+      type: 'arrears-growth',
+      message: `Arrears grew from ${previous.data.Arrears} to ${arrears}` +
+        (streak > 1 ? `, ${streak} bills in a row` : ''),
+      expected: previous.data.Arrears,
+      observed: arrears,
+      streak
+    });
+  }
+
+  return anomalies;
+};
+
+/**
+ * Order bills by billing month and check each against the bills before it
+ * @param {Array<Object>} bills - Bills of one consumer, in any order
+ * @returns {Array<Object>} One entry per month with the bill's key figures, continuity and anomalies
+ */
+exports.analyzeHistory = (bills) => {
+  const entries = [];
+  for (const { bill, superseded } of pickPerMonth(bills)) {
+    const data = bill.data;
+    const previous = entries[entries.length - 1];
+    const entry = {
+      month: data.BillMonth,
+      bill: bill._id,
+      superseded,
+      billNo: data.BillNo,
+      billDate: data.BillDate,
+      reviewStatus: bill.review && bill.review.status,
+      consumption: consumptionOf(data),
+      amountPayable: data.CurAmtPay,
+      arrears: data.Arrears,
+      tariff: data.ConCat,
+      connectedLoad: data.ConnLd,
+      continuity: checkContinuity(data, previous && previous.data),
+      data
+    };
+    entry.anomalies = findAnomalies(entry, entries);
+    entries.push(entry);
+  }
+  return entries;
+};
+
+/**
+ * Find the consumer key of a route
+ * @param {string} by - 'account' (CanSerNo) or 'meter' (MetrNo)
+ * @param {string} value - Account or meter number
+ * @returns {Object} Data field and value identifying the consumer
+ * @throws {Error} With statusCode 400 for an unknown key
+ */
+const consumerKey = (by, value) => {
+  const field = KEY_FIELDS[by];
+  if (!field) {
+    throw httpError(`Unknown consumer key: ${by}. Use one of ${Object.keys(KEY_FIELDS).join(', ')}`, 400);
+  }
+  return { field, value: String(value).trim() };
+};
+
+/**
+ * Get the billing history of a consumer
+ * @param {string} tenant - Tenant whose bills are read
+ * @param {string} by - 'account' (CanSerNo) or 'meter' (MetrNo)
+ * @param {string} value - Account or meter number
+ * @param {Object} [query] - Request query parameters: documentType (defaults to the type of the
+ *   latest bill), from and to (billing months, YYYY-MM) limiting the entries returned
+ * @returns {Promise<Object|null>} Timeline entries and a summary, or null if the consumer has no bills
+ */
+exports.getTimeline = async (tenant, by, value, query = {}) => {
+  const key = consumerKey(by, value);
+  for (const bound of ['from', 'to']) {
+    if (query[bound] && monthNumber(query[bound]) === null) {
+      throw httpError(`${bound} must be a month as YYYY-MM`, 400);
+    }
+  }
+
+  const filter = {
+    tenant,
+    [`data.${key.field}`]: key.value,
+    'data.BillMonth': { $ne: null }
+  };
+  const documentTypes = await Bill.distinct('documentType', filter);
+  if (documentTypes.length === 0) {
+    return null;
+  }
+
+  let documentType = query.documentType ? String(query.documentType) : null;
+  if (!documentType) {
+    // An account number can be shared by a consumer's electricity and water connections
+    const newest = await Bill.findOne(filter).sort({ 'data.BillMonth': -1 }).select('documentType').lean();
+    documentType = newest.documentType;
+  }
+
+  const bills = await Bill.find({ ...filter, documentType })
+    .sort({ 'data.BillMonth': -1 })
+    .limit(MAX_TIMELINE_BILLS)
+    .select('data review createdAt')
+    .lean();
+
+  // The whole history is analyzed so the first entries in range are compared with the bills before them
+  const entries = exports.analyzeHistory(bills).filter(entry =>
+    (!query.from || entry.month >= query.from) && (!query.to || entry.month <= query.to));
+
+  const anomalies = {};
+  for (const anomaly of entries.flatMap(entry => entry.anomalies)) {
+    anomalies[anomaly.type] = (anomalies[anomaly.type] || 0) + 1;
+  }
+  const consumption = entries.map(entry => entry.consumption).filter(isNumber);
+  const latest = entries[entries.length - 1];
+
+  return {
+    consumer: {
+      [key.field]: key.value,
+      name: latest ? latest.data.ConsumerName : undefined,
+      documentType,
+      otherDocumentTypes: documentTypes.filter(other => other !== documentType)
+    },
+    summary: {
+      bills: entries.length,
+      from: entries.length > 0 ? entries[0].month : null,
+      to: latest ? latest.month : null,
+      missingMonths: entries.flatMap(entry =>
+        entry.anomalies.filter(anomaly => anomaly.type === 'missing-months').flatMap(anomaly => anomaly.months)),
+      anomalies,
+      averageConsumption: consumption.length > 0
+        ? round(consumption.reduce((total, units) => total + units, 0) / consumption.length)
+        : null
+    },
+    entries: entries.map(({ data, ...entry }) => entry)
+  };
+};
+
+/**
+ * Check a bill against the earlier bills of the same consumer
+ * @param {Object} bill - Bill about to be saved
+ * @returns {Promise<Array<Object>>} Anomalies of the bill, empty when it has no earlier bills,
+ *   no account or billing month, or the database is not connected
+ */
+exports.detectAnomalies = async (bill) => {
+  const data = bill.data && typeof bill.data.toObject === 'function' ? bill.data.toObject() : bill.data;
+  const { CanSerNo, BillMonth } = data || {};
+  if (!CanSerNo || monthNumber(BillMonth) === null || mongoose.connection.readyState !== 1) {
+    return [];
+  }
+
+  const earlier = await Bill.find({
+    tenant: bill.tenant,
+    _id: { $ne: bill._id },
+    documentType: bill.documentType,
+    'data.CanSerNo': CanSerNo,
+    'data.BillMonth': { $lt: BillMonth }
+  })
+    .sort({ 'data.BillMonth': -1 })
+    // Room for months with several bills
+    .limit(CONSUMPTION_WINDOW * 3)
+    .select('data review createdAt')
+    .lean();
+  if (earlier.length === 0) {
+    return [];
+  }
+
+  // The new bill is preferred over earlier bills of its month
+  const entries = exports.analyzeHistory([...earlier, { _id: bill._id, data, createdAt: new Date() }]);
+  return entries[entries.length - 1].anomalies;
+};
@@ -0,0 +1,412 @@
+/**
+ * Job service
+ *
+ * Queues extraction jobs in MongoDB and processes them in the background.
+ * Each model's result is written to the job as soon as it finishes, so
+ * pollers see partial results and a restarted worker resumes where the
+ * previous one stopped.
+ *
+ * Passwords of protected PDFs are stored with the job encrypted with
+ * JOB_PASSWORD_KEY (AES-256-GCM), so anyone who can read the database also
+ * needs the server key. Without the key they are kept in the memory of the
+ * process that accepted the job only: a job picked up after a restart or by
+ * another worker then fails to open the PDF.
+ */
+const crypto = require('crypto');
+const path = require('path');
+const mongoose = require('mongoose');
+const fs = require('fs-extra');
+const Job = require('../models/Job');
+const { saveExtraction } = require('./billService');
+const { storeDocument, removeDocument } = require('./documentService');
+const { extractText, extractWithModel, buildFailedResult, PROMPT_VERSION } = require('./pdfService');
+const { getProvider } = require('./providers');
+const { buildConsensus } = require('./consensusService');
+const { locateFields } = require('./provenanceService');
+const { resolveDocumentType } = require('./documentTypeService');
+const { recordUsage } = require('./meteringService');
+const { emitEvent } = require('./webhookService');
+const { hashFile, hashText, isCacheAvailable, findCachedResult, storeResult, describeMiss } = require('./cacheService');
+
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 2000;
+const MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 3;
+// A running job whose lock is older than this is considered abandoned
+const STALE_LOCK_MS = parseInt(process.env.JOB_STALE_LOCK_MS, 10) || 15 * 60 * 1000;
+// Jobs take their upload out of the request's temporary files, which are removed with the response
+const JOBS_DIR = path.join(__dirname, '../uploads/jobs');
+// Any secret string; the AES key is derived from it
+const PASSWORD_KEY = process.env.JOB_PASSWORD_KEY
+  ? crypto.createHash('sha256').update(process.env.JOB_PASSWORD_KEY).digest()
+  : null;
+
+// Passwords of jobs accepted by this process when no JOB_PASSWORD_KEY is set, by job id
+const heldPasswords = new Map();
+
+let pollTimer = null;
+let busy = false;
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Encrypt a PDF password for storage with the job
+ * @param {string} password - Password
+ * @returns {string} iv, auth tag and ciphertext, base64 encoded and joined with ':'
+ */
+const sealPassword = (password) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', PASSWORD_KEY, iv);
+  const ciphertext = Buffer.concat([cipher.update(password, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+};
+
+/**
+ * Get the PDF password of a claimed job
+ * @param {Object} job - Job document, with the password field selected
+ * @returns {string|undefined} Password, or undefined if the job has none or it cannot be recovered
+ */
+const openPassword = (job) => {
+  if (!job.password) {
+    return heldPasswords.get(job._id.toString());
+  }
+  if (!PASSWORD_KEY) {
+    console.error(`Job ${job._id}: the PDF password cannot be decrypted without JOB_PASSWORD_KEY`);
+    return undefined;
+  }
+  try {
+    const [iv, tag, ciphertext] = job.password.split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', PASSWORD_KEY, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+  } catch (error) {
+    // Encrypted with a different key
+    console.error(`Job ${job._id}: failed to decrypt the PDF password:`, error.message);
+    return undefined;
+  }
+};
+
+/**
+ * Run one model. Rate limits, server errors and timeouts are already retried
+ * by the resilience layer, so only a call failed fast by an open circuit is
+ * tried again here, once the circuit lets calls through again.
+ * @param {Object} acquisition - Result of pdfService.extractText
+ * @param {string} model - Model name
+ * @param {string} provider - LLM provider
+ * @param {string} documentType - Document type id
+ * @returns {Promise<Object>} Model result, or a failed result entry
+ */
+const runModelWithRetry = async (acquisition, model, provider, documentType) => {
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    try {
+      const result = await extractWithModel(acquisition, model, provider, { documentType });
+      return { ...result, attempts: attempt };
+    } catch (error) {
+      if (attempt < MAX_ATTEMPTS && error.circuitOpen) {
+        const delay = (error.retryAfter || 1) * 1000;
+        console.warn(`Circuit for ${model} is open, retrying in ${delay}ms (attempt ${attempt}/${MAX_ATTEMPTS})`);
+        await sleep(delay);
+        continue;
+      }
+      return { ...buildFailedResult(model, error), documentType, attempts: attempt };
+    }
+  }
+};
+
+/**
+ * Process a claimed job to completion
+ * @param {Object} job - Job document
+ * @returns {Promise<void>}
+ */
+const processJob = async (job) => {
+  let acquisition;
+  let classification;
+  let cacheKey;
+  try {
+    acquisition = await extractText(job.filePath, { password: openPassword(job) });
+    classification = resolveDocumentType(job.documentType, acquisition.text);
+    cacheKey = {
+      tenant: job.tenant,
+      fileHash: await hashFile(job.filePath),
+      textHash: hashText(acquisition.text),
+      provider: job.provider,
+      promptVersion: PROMPT_VERSION,
+      rules: false,
+      documentType: job.documentType || 'auto'
+    };
+  } catch (error) {
+    console.error(`Job ${job._id}: failed to read document:`, error);
+    await Job.updateOne({ _id: job._id }, {
+      status: 'failed',
+      error: `Failed to read document: ${error.message}`,
+      completedAt: new Date(),
+      lockedAt: null,
+      $unset: { password: 1 }
+    });
+    heldPasswords.delete(job._id.toString());
+    await fs.remove(job.filePath).catch(() => {});
+    await emitEvent(job.tenant, 'extraction.failed', {
+      jobId: job._id.toString(),
+      filename: job.filename,
+      source: 'all-models',
+      error: `Failed to read document: ${error.message}`
+    }, { callbackUrl: job.callbackUrl });
+    return;
+  }
+
+  const useCache = job.cache !== false && isCacheAvailable();
+
+  // Skip models that finished before a restart
+  const done = new Set(job.results.map(result => result.model));
+
+  for (const model of job.models) {
+    if (done.has(model)) {
+      continue;
+    }
+
+    let result = useCache ? await findCachedResult({ ...cacheKey, model }) : null;
+    if (result) {
+      console.log(`Job ${job._id}: cached result for model ${model}`);
+    } else {
+      console.log(`Job ${job._id}: processing with model ${model}`);
+      result = await runModelWithRetry(acquisition, model, job.provider, classification.id);
+      result.classification = classification;
+      if (!result.error) {
+        result.provenance = locateFields(result.data, result.validation, acquisition);
+        if (useCache) {
+          await storeResult({ ...cacheKey, model }, result);
+        }
+      }
+      result.cache = describeMiss(cacheKey);
+    }
+    if (result.data && typeof result.data === 'object') {
+      result.data.Filename = job.filename;
+    }
+
+    await Job.updateOne(
+      { _id: job._id },
+      { $push: { results: result }, lockedAt: new Date() }
+    );
+    job.results.push(result);
+
+    await recordUsage({
+      tenant: job.tenant,
+      apiKey: job.apiKey,
+      requestId: job._id.toString(),
+      source: 'job',
+      filename: job.filename,
+      results: [result]
+    });
+  }
+
+  const succeeded = job.results.some(result => !result.error);
+  const consensus = buildConsensus(job.results);
+  if (consensus) {
+    consensus.data.Filename = job.filename;
+  }
+
+  // Keep the original for reviewers before the upload is cleaned up
+  const document = await storeDocument(job.tenant, { path: job.filePath, originalname: job.filename });
+
+  let billId;
+  try {
+    const bill = await saveExtraction({
+      tenant: job.tenant,
+      filename: job.filename,
+      source: 'all-models',
+      results: job.results,
+      consensus,
+      document,
+      job: job._id,
+      callbackUrl: job.callbackUrl
+    });
+    billId = bill._id;
+  } catch (error) {
+    console.error(`Job ${job._id}: failed to persist extraction:`, error);
+    await removeDocument(document);
+  }
+
+  await Job.updateOne({ _id: job._id }, {
+    status: succeeded ? 'completed' : 'failed',
+    error: succeeded ? undefined : 'All models failed',
+    consensus,
+    bill: billId,
+    completedAt: new Date(),
+    lockedAt: null,
+    $unset: { password: 1 }
+  });
+  heldPasswords.delete(job._id.toString());
+
+  await fs.remove(job.filePath).catch(() => {});
+};
+
+/**
+ * Fail abandoned jobs that were already claimed MAX_ATTEMPTS times. A job that
+ * keeps taking the worker down (e.g. a PDF that crashes the parser) would
+ * otherwise be claimed again forever.
+ * @returns {Promise<void>}
+ */
+const failAbandonedJobs = async () => {
+  const stale = {
+    status: 'running',
+    lockedAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) },
+    attempts: { $gte: MAX_ATTEMPTS }
+  };
+  const jobs = await Job.find(stale).select('tenant filename filePath callbackUrl attempts').lean();
+
+  for (const job of jobs) {
+    const error = `Job was abandoned after ${job.attempts} attempts`;
+    const { modifiedCount } = await Job.updateOne({ _id: job._id, ...stale }, {
+      status: 'failed',
+      error,
+      completedAt: new Date(),
+      lockedAt: null,
+      $unset: { password: 1 }
+    });
+    // Another worker got there first
+    if (modifiedCount === 0) {
+      continue;
+    }
+    heldPasswords.delete(job._id.toString());
+    console.error(`Job ${job._id}: ${error}`);
+    await fs.remove(job.filePath).catch(() => {});
+    await emitEvent(job.tenant, 'extraction.failed', {
+      jobId: job._id.toString(),
+      filename: job.filename,
+      source: 'all-models',
+      error
+    }, { callbackUrl: job.callbackUrl });
+  }
+};
+
+/**
+ * Atomically claim the next queued (or abandoned) job. Abandoned jobs are
+ * claimed again until they have been claimed MAX_ATTEMPTS times.
+ * @returns {Promise<Object|null>} Claimed job or null if none is waiting
+ */
+const claimNextJob = async () => {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued' },
+        { status: 'running', lockedAt: { $lt: new Date(now - STALE_LOCK_MS) }, attempts: { $lt: MAX_ATTEMPTS } }
+      ]
+    },
+    {
+      status: 'running',
+      lockedAt: now,
+      $inc: { attempts: 1 },
+      $min: { startedAt: now }
+    },
+    { sort: { createdAt: 1 }, new: true }
+  ).select('+password');
+};
+
+/**
+ * Drain the queue, one job at a time
+ * @returns {Promise<void>}
+ */
+const poll = async () => {
+  if (busy || mongoose.connection.readyState !== 1) {
+    return;
+  }
+  busy = true;
+  try {
+    await failAbandonedJobs();
+    let job;
+    while ((job = await claimNextJob())) {
+      await processJob(job);
+    }
+  } catch (error) {
+    console.error('Job worker error:', error);
+  } finally {
+    busy = false;
+  }
+};
+
+/**
+ * Queue a PDF for background extraction
+ * @param {Object} fileData - File data from multer
+ * @param {Object} [options] - Job options
+ * @param {string} options.tenant - Tenant that owns the job
+ * @param {string} [options.apiKey] - API key the job was submitted with
+ * @param {string} [options.provider] - LLM provider, defaults to the configured provider
+ * @param {Array<string>} [options.models] - Models to run, defaults to all models of the provider
+ * @param {string} [options.callbackUrl] - Callback URL notified when the job finishes
+ * @param {boolean} [options.cache=true] - Whether cached results may be used
+ * @param {string} [options.password] - Password of a protected PDF, stored encrypted or held in memory
+ * @param {string} [options.documentType] - Document type id, detected when not given
+ * @returns {Promise<Object>} Created job
+ */
+exports.createJob = async (fileData, { tenant, apiKey, provider, models, callbackUrl, cache = true, password, documentType } = {}) => {
+  const llm = getProvider(provider);
+  models = models || await llm.listModels();
+
+  const filePath = path.join(JOBS_DIR, path.basename(fileData.path));
+  await fs.move(fileData.path, filePath);
+
+  let job;
+  try {
+    job = await Job.create({
+      tenant,
+      apiKey,
+      filename: fileData.originalname,
+      filePath,
+      provider: llm.name,
+      models,
+      callbackUrl,
+      cache,
+      password: password && PASSWORD_KEY ? sealPassword(password) : undefined,
+      documentType
+    });
+  } catch (error) {
+    await fs.remove(filePath).catch(() => {});
+    throw error;
+  }
+  if (password && !PASSWORD_KEY) {
+    heldPasswords.set(job._id.toString(), password);
+  }
+
+  // Pick the job up right away instead of waiting for the next poll
+  setImmediate(poll);
+
+  return job;
+};
+
+/**
+ * Get a job by id
+ * @param {string} id - Job id
+ * @param {string} tenant - Tenant that must own the job
+ * @returns {Promise<Object|null>} Job or null if not found in the tenant
+ */
+exports.getJob = async (id, tenant) => {
+  if (!mongoose.isValidObjectId(id)) {
+    return null;
+  }
+  return Job.findOne({ _id: id, tenant }).lean();
+};
+
+/**
+ * Start the background worker
+ * @returns {void}
+ */
+exports.startWorker = () => {
+  if (pollTimer) {
+    return;
+  }
+  pollTimer = setInterval(poll, POLL_INTERVAL_MS);
+  poll();
+};
+
+/**
+ * Stop the background worker
+ * @returns {void}
+ */
+exports.stopWorker = () => {
+  clearInterval(pollTimer);
+  pollTimer = null;
+};
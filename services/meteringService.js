@@ -0,0 +1,372 @@
+/**
+ * Metering service
+ *
+ * Records the tokens and cost of every model call in a per-tenant ledger,
+ * enforces monthly budgets and builds usage reports for chargeback.
+ * Months are calendar months in UTC.
+ */
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Tenant = require('../models/Tenant');
+const UsageRecord = require('../models/UsageRecord');
+const { totalCost } = require('./providers/usage');
+const { csvCell, httpError } = require('../utils/helpers');
+
+// Model used when downgrading if the tenant has not chosen one
+const DEFAULT_FALLBACK_MODEL = process.env.BUDGET_FALLBACK_MODEL || 'gpt-4o-mini';
+
+const PERIOD_FORMATS = {
+  daily: '%Y-%m-%d',
+  monthly: '%Y-%m'
+};
+
+/**
+ * Round a dollar amount to a fixed number of decimals
+ * @param {number} value - Amount in USD
+ * @returns {number} Rounded amount
+ */
+const roundCost = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * First instant of the UTC month containing a date
+ * @param {Date} date - Date in the month
+ * @returns {Date} Start of the month
+ */
+const startOfMonth = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+
+/**
+ * Parse a YYYY-MM-DD query date
+ * @param {string} value - Date string
+ * @param {string} name - Parameter name, for the error message
+ * @returns {Date} Start of that day in UTC
+ * @throws {Error} With statusCode 400 if the date is invalid
+ */
+const parseQueryDate = (value, name) => {
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00Z`) : new Date(NaN);
+  if (Number.isNaN(date.getTime())) {
+    throw httpError(`Invalid ${name} date: ${value}. Use YYYY-MM-DD`, 400);
+  }
+  return date;
+};
+
+/**
+ * Resolve the date range of a report
+ * @param {Object} query - Query with optional from/to (YYYY-MM-DD, both inclusive)
+ * @param {Date} defaultFrom - Start used when from is not given
+ * @returns {Object} { from, to } with to exclusive
+ */
+const resolveRange = (query, defaultFrom) => {
+  const from = query.from ? parseQueryDate(query.from, 'from') : defaultFrom;
+  const to = query.to
+    ? new Date(parseQueryDate(query.to, 'to').getTime() + 24 * 60 * 60 * 1000)
+    : new Date();
+  return { from, to };
+};
+
+/**
+ * Price a million prompt and completion tokens of a model
+ * @param {Object} provider - LLM provider
+ * @param {string} model - Model name
+ * @returns {Object} Pricing object from calculatePrice
+ */
+const probePrice = (provider, model) => provider.calculatePrice(model, { prompt_tokens: 1000000, completion_tokens: 1000000 });
+
+/**
+ * Check whether a model is free to use (e.g. a local model). A model without a price is not free.
+ * @param {Object} provider - LLM provider
+ * @param {string} model - Model name
+ * @returns {boolean} Whether calls cost nothing
+ */
+const isFreeModel = (provider, model) => {
+  const pricing = probePrice(provider, model);
+  return pricing.priced !== false && totalCost(pricing) === 0;
+};
+
+/**
+ * Check whether the cost of a model's calls is known
+ * @param {Object} provider - LLM provider
+ * @param {string} model - Model name
+ * @returns {boolean} Whether the model has a price in effect
+ */
+const isPricedModel = (provider, model) => probePrice(provider, model).priced !== false;
+
+/**
+ * Total spending of a tenant since a date
+ * @param {string} tenant - Tenant id
+ * @param {Date} since - Start date
+ * @returns {Promise<number>} Cost in USD
+ */
+const spendSince = async (tenant, since) => {
+  const [total] = await UsageRecord.aggregate([
+    { $match: { tenant: new mongoose.Types.ObjectId(tenant), createdAt: { $gte: since } } },
+    { $group: { _id: null, cost: { $sum: '$cost' } } }
+  ]);
+  return total ? roundCost(total.cost) : 0;
+};
+
+/**
+ * Record the usage of finished model calls, including the billed calls of models that then failed.
+ * Failures to record are logged and never fail the request.
+ * @param {Object} params - Usage details
+ * @param {string} params.tenant - Tenant id
+ * @param {string} [params.apiKey] - API key id the calls were made with
+ * @param {string} [params.requestId] - Id grouping the calls, generated if not given
+ * @param {string} params.source - 'single', 'all-models', 'batch' or 'job'
+ * @param {string} [params.filename] - Processed file
+ * @param {Array<Object>} params.results - Extraction results; results that made no billed call
+ *   (no usage, cache hits, no tokens and no cost) are skipped
+ * @returns {Promise<number>} Number of records written
+ */
+exports.recordUsage = async ({ tenant, apiKey, requestId = crypto.randomUUID(), source, filename, results }) => {
+  const records = results
+    .filter(result => result.usage && !(result.cache && result.cache.hit))
+    .filter(result => (result.usage.total_tokens || 0) > 0 || totalCost(result.pricing) > 0)
+    .map(result => ({
+      tenant,
+      apiKey,
+      requestId,
+      source,
+      filename,
+      provider: result.provider,
+      model: result.model,
+      promptTokens: result.usage.prompt_tokens || 0,
+      completionTokens: result.usage.completion_tokens || 0,
+      totalTokens: result.usage.total_tokens || 0,
+      cachedTokens: result.usage.cached_tokens || 0,
+      reasoningTokens: result.usage.reasoning_tokens || 0,
+      cost: totalCost(result.pricing),
+      priced: !result.pricing || result.pricing.priced !== false
+    }));
+
+  if (records.length === 0) {
+    return 0;
+  }
+
+  try {
+    await UsageRecord.insertMany(records);
+    return records.length;
+  } catch (error) {
+    console.error('Failed to record usage:', error);
+    return 0;
+  }
+};
+
+/**
+ * Apply the tenant's monthly budget to the models a request is about to call
+ * @param {string} tenant - Tenant id
+ * @param {Object} provider - LLM provider
+ * @param {Array<string>} models - Requested models
+ * @returns {Promise<Object>} Models to call, whether they were downgraded and the requested models
+ * @throws {Error} With statusCode 402 if the budget is exhausted and the request cannot be downgraded,
+ *   or a model without a price is requested under a budget
+ */
+exports.applyBudget = async (tenant, provider, models) => {
+  const allowed = { models, downgraded: false, requestedModels: models };
+
+  const tenantDoc = await Tenant.findById(tenant).lean();
+  const budget = tenantDoc && tenantDoc.budget;
+  if (!budget || budget.monthlyLimit === null || budget.monthlyLimit === undefined) {
+    return allowed;
+  }
+  // Calls of a model without a price would be recorded at $0 and never reach the budget
+  const unpriced = models.filter(model => !isPricedModel(provider, model));
+  if (unpriced.length > 0) {
+    throw httpError(`Model ${unpriced.join(', ')} has no price in the model registry and cannot be used under a budget`, 402);
+  }
+  if (models.every(model => isFreeModel(provider, model))) {
+    return allowed;
+  }
+
+  const spent = await spendSince(tenant, startOfMonth(new Date()));
+
+  if (budget.hardLimit !== null && budget.hardLimit !== undefined && spent >= budget.hardLimit) {
+    throw httpError(`Monthly hard limit of $${budget.hardLimit} reached ($${spent} spent)`, 402);
+  }
+  if (spent < budget.monthlyLimit) {
+    return allowed;
+  }
+  if (budget.action !== 'downgrade') {
+    throw httpError(`Monthly budget of $${budget.monthlyLimit} exhausted ($${spent} spent)`, 402);
+  }
+
+  const fallbackModel = budget.fallbackModel || DEFAULT_FALLBACK_MODEL;
+  if (!(await provider.listModels()).includes(fallbackModel) || !isPricedModel(provider, fallbackModel)) {
+    throw httpError(
+      `Monthly budget of $${budget.monthlyLimit} exhausted and fallback model ${fallbackModel} is not available for provider ${provider.name}`,
+      402
+    );
+  }
+
+  return { models: [fallbackModel], downgraded: true, requestedModels: models };
+};
+
+/**
+ * Budget settings and spending of the current month
+ * @param {string} tenant - Tenant id
+ * @returns {Promise<Object>} Budget status
+ */
+exports.getBudgetStatus = async (tenant) => {
+  const monthStart = startOfMonth(new Date());
+  const [tenantDoc, spent] = await Promise.all([
+    Tenant.findById(tenant).lean(),
+    spendSince(tenant, monthStart)
+  ]);
+  const budget = (tenantDoc && tenantDoc.budget) || {};
+  const monthlyLimit = budget.monthlyLimit === undefined ? null : budget.monthlyLimit;
+
+  return {
+    month: monthStart.toISOString().slice(0, 7),
+    spent,
+    monthlyLimit,
+    remaining: monthlyLimit === null ? null : roundCost(Math.max(monthlyLimit - spent, 0)),
+    exceeded: monthlyLimit !== null && spent >= monthlyLimit,
+    action: budget.action || 'reject',
+    fallbackModel: budget.fallbackModel || DEFAULT_FALLBACK_MODEL,
+    hardLimit: budget.hardLimit === undefined ? null : budget.hardLimit
+  };
+};
+
+/**
+ * Change the budget settings of a tenant
+ * @param {string} tenant - Tenant id
+ * @param {Object} settings - monthlyLimit, action, fallbackModel and/or hardLimit; null clears a limit
+ * @returns {Promise<Object>} Updated budget status
+ * @throws {Error} With statusCode 400 if a setting is invalid
+ */
+exports.updateBudget = async (tenant, settings = {}) => {
+  const update = {};
+
+  for (const field of ['monthlyLimit', 'hardLimit']) {
+    if (settings[field] === undefined) {
+      continue;
+    }
+    if (settings[field] === null || settings[field] === '') {
+      update[`budget.${field}`] = null;
+      continue;
+    }
+    const amount = Number(settings[field]);
+    if (!Number.isFinite(amount) || amount < 0) {
+      throw httpError(`${field} must be a non-negative amount in USD or null`, 400);
+    }
+    update[`budget.${field}`] = amount;
+  }
+
+  if (settings.action !== undefined) {
+    if (!['reject', 'downgrade'].includes(settings.action)) {
+      throw httpError('action must be "reject" or "downgrade"', 400);
+    }
+    update['budget.action'] = settings.action;
+  }
+  if (settings.fallbackModel !== undefined) {
+    update['budget.fallbackModel'] = settings.fallbackModel || null;
+  }
+
+  await Tenant.updateOne({ _id: tenant }, { $set: update });
+  return exports.getBudgetStatus(tenant);
+};
+
+/**
+ * Usage totals by period and model
+ * @param {string} tenant - Tenant id
+ * @param {Object} query - period ('daily' or 'monthly'), from and to (YYYY-MM-DD, inclusive)
+ * @returns {Promise<Object>} Report rows and totals
+ * @throws {Error} With statusCode 400 if the period or a date is invalid
+ */
+exports.getUsageReport = async (tenant, query = {}) => {
+  const period = query.period || 'daily';
+  if (!PERIOD_FORMATS[period]) {
+    throw httpError(`Invalid period: ${period}. Use daily or monthly`, 400);
+  }
+
+  // Daily reports default to the current month, monthly reports to the last twelve months
+  const now = new Date();
+  const defaultFrom = period === 'daily'
+    ? startOfMonth(now)
+    : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 11, 1));
+  const { from, to } = resolveRange(query, defaultFrom);
+
+  const groups = await UsageRecord.aggregate([
+    { $match: { tenant: new mongoose.Types.ObjectId(tenant), createdAt: { $gte: from, $lt: to } } },
+    {
+      $group: {
+        _id: {
+          period: { $dateToString: { format: PERIOD_FORMATS[period], date: '$createdAt', timezone: 'UTC' } },
+          model: '$model'
+        },
+        requests: { $sum: 1 },
+        promptTokens: { $sum: '$promptTokens' },
+        completionTokens: { $sum: '$completionTokens' },
+        totalTokens: { $sum: '$totalTokens' },
+        cachedTokens: { $sum: '$cachedTokens' },
+        reasoningTokens: { $sum: '$reasoningTokens' },
+        cost: { $sum: '$cost' },
+        unpricedRequests: { $sum: { $cond: [{ $eq: ['$priced', false] }, 1, 0] } }
+      }
+    },
+    { $sort: { '_id.period': 1, '_id.model': 1 } }
+  ]);
+
+  const rows = groups.map(group => ({
+    period: group._id.period,
+    model: group._id.model,
+    requests: group.requests,
+    promptTokens: group.promptTokens,
+    completionTokens: group.completionTokens,
+    totalTokens: group.totalTokens,
+    cachedTokens: group.cachedTokens,
+    reasoningTokens: group.reasoningTokens,
+    cost: roundCost(group.cost),
+    // Calls of models without a price; their cost is missing from cost
+    unpricedRequests: group.unpricedRequests
+  }));
+
+  return {
+    period,
+    from: from.toISOString(),
+    to: to.toISOString(),
+    totals: rows.reduce((totals, row) => ({
+      requests: totals.requests + row.requests,
+      totalTokens: totals.totalTokens + row.totalTokens,
+      cost: roundCost(totals.cost + row.cost)
+    }), { requests: 0, totalTokens: 0, cost: 0 }),
+    rows
+  };
+};
+
+/**
+ * Export the ledger of a date range as CSV, one line per model call
+ * @param {string} tenant - Tenant id
+ * @param {Object} query - from and to (YYYY-MM-DD, inclusive), defaulting to the current month
+ * @returns {Promise<string>} CSV document
+ * @throws {Error} With statusCode 400 if a date is invalid
+ */
+exports.exportUsageCsv = async (tenant, query = {}) => {
+  const { from, to } = resolveRange(query, startOfMonth(new Date()));
+
+  const records = await UsageRecord.find({ tenant, createdAt: { $gte: from, $lt: to } })
+    .sort({ createdAt: 1 })
+    .populate('apiKey', 'name prefix')
+    .lean();
+
+  const header = ['timestamp', 'requestId', 'apiKeyName', 'apiKeyPrefix', 'source', 'filename',
+    'provider', 'model', 'promptTokens', 'completionTokens', 'totalTokens', 'cachedTokens', 'reasoningTokens', 'costUsd'];
+  const lines = records.map(record => [
+    record.createdAt.toISOString(),
+    record.requestId,
+    record.apiKey ? record.apiKey.name : '',
+    record.apiKey ? record.apiKey.prefix : '',
+    record.source,
+    record.filename,
+    record.provider,
+    record.model,
+    record.promptTokens,
+    record.completionTokens,
+    record.totalTokens,
+    record.cachedTokens || 0,
+    record.reasoningTokens || 0,
+    // Left empty for models without a price rather than reported as free
+    record.priced === false ? '' : record.cost.toFixed(6)
+  ].map(csvCell).join(','));
+
+  return [header.join(','), ...lines].join('\n') + '\n';
+};
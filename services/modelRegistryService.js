@@ -0,0 +1,425 @@
+/**
+ * Model registry service
+ *
+ * Models, their capabilities and their prices live in a JSON registry
+ * instead of code. Prices are effective-dated: a call is priced with the
+ * newest version whose effectiveFrom date is not after the call. Every change
+ * made through the registry bumps its version so stored pricing can be traced
+ * back.
+ *
+ * config/models.json is the registry shipped with the code and is never
+ * written at runtime. Changes made through the API are saved to the file at
+ * MODEL_REGISTRY_PATH, which is seeded from config/models.json and, once it
+ * exists, read instead of it. Without MODEL_REGISTRY_PATH the registry is
+ * read-only. Changes are applied one at a time.
+ *
+ * Prices are in USD per million tokens. Cached input tokens are billed at the
+ * cachedInput rate; reasoning tokens are part of the output tokens and billed
+ * at the reasoning rate if one is set, otherwise at the output rate.
+ *
+ * An entry may also set how its calls are protected (see providers/resilience.js):
+ * resilience.timeoutMs, resilience.maxConcurrency and resilience.fallback, the
+ * models to try in order when the model stays unavailable.
+ *
+ * reliability (0-1) is the model's weight in the consensus vote of
+ * /api/pdf/all (see consensusService); models without one get the default.
+ */
+const path = require('path');
+const fs = require('fs-extra');
+const { httpError } = require('../utils/helpers');
+
+const DEFAULT_REGISTRY_PATH = path.join(__dirname, '../config/models.json');
+// Runtime copy of the registry that API changes are written to; keep it outside the repository
+const REGISTRY_PATH = process.env.MODEL_REGISTRY_PATH || null;
+
+const DEFAULT_CAPABILITIES = { temperature: true, jsonMode: false, structuredOutputs: false, reasoning: false };
+const CAPABILITY_FLAGS = Object.keys(DEFAULT_CAPABILITIES);
+const PRICE_FIELDS = ['input', 'cachedInput', 'output', 'reasoning'];
+const RESILIENCE_LIMITS = ['timeoutMs', 'maxConcurrency'];
+
+let registry = null;
+// Serializes updates so concurrent changes each see the previous one
+let updateLock = Promise.resolve();
+
+/**
+ * Check a price version
+ * @param {Object} price - Price version
+ * @param {string} label - Model label for error messages
+ * @throws {Error} With statusCode 400 if the price version is invalid
+ */
+const validatePrice = (price, label) => {
+  if (!price || !/^\d{4}-\d{2}-\d{2}$/.test(price.effectiveFrom || '')) {
+    throw httpError(`${label}: effectiveFrom must be a YYYY-MM-DD date`, 400);
+  }
+  for (const field of PRICE_FIELDS) {
+    const value = price[field];
+    const optional = field === 'cachedInput' || field === 'reasoning';
+    if (value === undefined && optional) {
+      continue;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      throw httpError(`${label}: ${field} price must be a non-negative number (USD per million tokens)`, 400);
+    }
+  }
+};
+
+/**
+ * Check the resilience settings of a model
+ * @param {Object} resilience - Resilience settings
+ * @param {string} label - Model label for error messages
+ * @throws {Error} With statusCode 400 if the settings are invalid
+ */
+const validateResilience = (resilience, label) => {
+  if (!resilience || typeof resilience !== 'object' || Array.isArray(resilience)) {
+    throw httpError(`${label}: resilience must be an object`, 400);
+  }
+  for (const field of RESILIENCE_LIMITS) {
+    const value = resilience[field];
+    if (value !== undefined && (!Number.isInteger(value) || value <= 0)) {
+      throw httpError(`${label}: resilience.${field} must be a positive integer`, 400);
+    }
+  }
+  const { fallback } = resilience;
+  if (fallback !== undefined && (!Array.isArray(fallback) || fallback.some(name => typeof name !== 'string' || !name))) {
+    throw httpError(`${label}: resilience.fallback must be an array of model names`, 400);
+  }
+};
+
+/**
+ * Check the consensus reliability of a model
+ * @param {number} reliability - Reliability
+ * @param {string} label - Model label for error messages
+ * @throws {Error} With statusCode 400 if the reliability is not a number between 0 and 1
+ */
+const validateReliability = (reliability, label) => {
+  if (typeof reliability !== 'number' || !Number.isFinite(reliability) || reliability < 0 || reliability > 1) {
+    throw httpError(`${label}: reliability must be a number between 0 and 1`, 400);
+  }
+};
+
+/**
+ * Path of the registry file to read: the runtime copy once it exists, otherwise the shipped registry
+ * @returns {string} File path
+ */
+const registryPath = () => (REGISTRY_PATH && fs.pathExistsSync(REGISTRY_PATH) ? REGISTRY_PATH : DEFAULT_REGISTRY_PATH);
+
+/**
+ * Check a registry document
+ * @param {Object} document - Parsed registry
+ * @param {string} file - Registry file, for error messages
+ * @throws {Error} If the registry is malformed
+ */
+const validateRegistry = (document, file) => {
+  if (!document || !Array.isArray(document.models)) {
+    throw new Error(`Model registry ${file} must contain a models array`);
+  }
+  for (const model of document.models) {
+    const label = `${model.provider}/${model.name}`;
+    if (!model.provider || !model.name) {
+      throw new Error(`Model registry entry is missing provider or name: ${JSON.stringify(model)}`);
+    }
+    (model.prices || []).forEach(price => validatePrice(price, label));
+    if (model.resilience !== undefined) {
+      validateResilience(model.resilience, label);
+    }
+    if (model.reliability !== undefined) {
+      validateReliability(model.reliability, label);
+    }
+  }
+};
+
+/**
+ * Load the registry from disk, replacing the cached copy
+ * @returns {Object} Registry
+ * @throws {Error} If the registry file is missing or malformed
+ */
+exports.reloadRegistry = () => {
+  const file = registryPath();
+  const document = fs.readJsonSync(file);
+  validateRegistry(document, file);
+  registry = document;
+  return registry;
+};
+
+/**
+ * Get the registry, loading it on first use
+ * @returns {Object} Registry
+ */
+const getRegistry = () => registry || exports.reloadRegistry();
+
+/**
+ * Find a model entry
+ * @param {string} provider - Provider name
+ * @param {string} name - Model name
+ * @returns {Object|undefined} Registry entry
+ */
+const findModel = (provider, name) => getRegistry().models.find(model => model.provider === provider && model.name === name);
+
+/**
+ * Price version in effect at a point in time
+ * @param {Object} model - Registry entry
+ * @param {Date} at - Time of the call
+ * @returns {Object|undefined} Price version
+ */
+const priceAt = (model, at) => {
+  const day = at.toISOString().slice(0, 10);
+  return [...(model.prices || [])]
+    .filter(price => price.effectiveFrom <= day)
+    .sort((a, b) => b.effectiveFrom.localeCompare(a.effectiveFrom))[0];
+};
+
+/**
+ * Public view of a registry entry, with the price currently in effect
+ * @param {Object} model - Registry entry
+ * @returns {Object} Model details
+ */
+const describeModel = (model) => ({
+  provider: model.provider,
+  name: model.name,
+  enabled: model.enabled !== false,
+  capabilities: { ...DEFAULT_CAPABILITIES, ...model.capabilities },
+  currentPrice: priceAt(model, new Date()) || null,
+  prices: model.prices || [],
+  resilience: model.resilience || {},
+  reliability: model.reliability === undefined ? null : model.reliability
+});
+
+/**
+ * Names of the enabled models of a provider
+ * @param {string} provider - Provider name
+ * @returns {Array<string>} Model names
+ */
+exports.listModels = (provider) => {
+  return getRegistry().models
+    .filter(model => model.provider === provider && model.enabled !== false)
+    .map(model => model.name);
+};
+
+/**
+ * Whether the registry knows a model
+ * @param {string} provider - Provider name
+ * @param {string} name - Model name
+ * @returns {boolean} Whether the model has an entry
+ */
+exports.hasModel = (provider, name) => Boolean(findModel(provider, name));
+
+/**
+ * Capability flags of a model; unknown models get the defaults
+ * @param {string} provider - Provider name
+ * @param {string} name - Model name
+ * @returns {Object} { temperature, jsonMode, structuredOutputs, reasoning }
+ */
+exports.getCapabilities = (provider, name) => {
+  const model = findModel(provider, name);
+  return { ...DEFAULT_CAPABILITIES, ...(model && model.capabilities) };
+};
+
+/**
+ * Resilience settings of a model; unset limits fall back to the resilience layer's defaults
+ * @param {string} provider - Provider name
+ * @param {string} name - Model name
+ * @returns {Object} { timeoutMs?, maxConcurrency?, fallback }
+ */
+exports.getResilience = (provider, name) => {
+  const model = findModel(provider, name);
+  return { fallback: [], ...(model && model.resilience) };
+};
+
+/**
+ * Consensus reliability of a model
+ * @param {string} provider - Provider name
+ * @param {string} name - Model name
+ * @returns {number|null} Reliability (0-1), or null if the registry sets none
+ */
+exports.getReliability = (provider, name) => {
+  const model = findModel(provider, name);
+  return model && model.reliability !== undefined ? model.reliability : null;
+};
+
+/**
+ * Describe the whole registry
+ * @returns {Object} Version, update time and all models with their price history
+ */
+exports.describeRegistry = () => {
+  const { version, updatedAt, models } = getRegistry();
+  return { version, updatedAt, models: models.map(describeModel) };
+};
+
+/**
+ * Format a rate for display
+ * @param {number|undefined} rate - USD per million tokens
+ * @returns {string} Display rate
+ */
+const formatRate = (rate) => (rate === undefined ? 'N/A' : `$${rate.toFixed(2)} per million tokens`);
+
+/**
+ * Format a cost for display
+ * @param {number} cost - Cost in USD
+ * @returns {string} Display cost
+ */
+const formatCost = (cost) => `$${cost.toFixed(6)}`;
+
+/**
+ * Price a model call
+ * @param {string} provider - Provider name
+ * @param {string} name - Model name
+ * @param {Object} usage - Normalized token usage (prompt, completion, cached and reasoning tokens)
+ * @param {Date} [at] - Time of the call, defaults to now
+ * @returns {Object} Rates, display costs and numeric costs in USD; cost is null if the model has no price
+ */
+exports.calculatePrice = (provider, name, usage, at = new Date()) => {
+  const model = findModel(provider, name);
+  const price = model && priceAt(model, at);
+
+  if (!price || !usage || typeof usage !== 'object') {
+    console.warn(`No price for model ${provider}/${name}; cost is not calculated`);
+    return {
+      model: name,
+      priced: false,
+      rates: { inputRate: 'N/A', cachedInputRate: 'N/A', outputRate: 'N/A' },
+      costs: { inputCost: 'N/A', outputCost: 'N/A', totalCost: 'N/A' },
+      cost: null
+    };
+  }
+
+  const promptTokens = usage.prompt_tokens || 0;
+  const cachedTokens = Math.min(usage.cached_tokens || 0, promptTokens);
+  const completionTokens = usage.completion_tokens || 0;
+  const reasoningTokens = Math.min(usage.reasoning_tokens || 0, completionTokens);
+
+  const cachedRate = price.cachedInput === undefined ? price.input : price.cachedInput;
+  const reasoningRate = price.reasoning === undefined ? price.output : price.reasoning;
+
+  const inputCost = ((promptTokens - cachedTokens) / 1000000) * price.input;
+  const cachedInputCost = (cachedTokens / 1000000) * cachedRate;
+  const reasoningCost = (reasoningTokens / 1000000) * reasoningRate;
+  // Output cost includes the reasoning tokens
+  const outputCost = ((completionTokens - reasoningTokens) / 1000000) * price.output + reasoningCost;
+  const total = inputCost + cachedInputCost + outputCost;
+
+  const round = value => Math.round(value * 1e9) / 1e9;
+
+  return {
+    model: name,
+    priced: true,
+    priceVersion: price.effectiveFrom,
+    registryVersion: getRegistry().version,
+    rates: {
+      inputRate: formatRate(price.input),
+      cachedInputRate: formatRate(cachedRate),
+      outputRate: formatRate(price.output),
+      reasoningRate: formatRate(reasoningRate)
+    },
+    tokens: {
+      input: promptTokens - cachedTokens,
+      cachedInput: cachedTokens,
+      output: completionTokens,
+      reasoning: reasoningTokens
+    },
+    costs: {
+      inputCost: formatCost(inputCost),
+      cachedInputCost: formatCost(cachedInputCost),
+      outputCost: formatCost(outputCost),
+      reasoningCost: formatCost(reasoningCost),
+      totalCost: formatCost(total)
+    },
+    cost: {
+      currency: 'USD',
+      input: round(inputCost),
+      cachedInput: round(cachedInputCost),
+      output: round(outputCost),
+      reasoning: round(reasoningCost),
+      total: round(total)
+    }
+  };
+};
+
+/**
+ * Apply changes to a model and save the registry to MODEL_REGISTRY_PATH
+ * @param {string} provider - Provider name
+ * @param {string} name - Model name
+ * @param {Object} changes - Changes, as taken by updateModel
+ * @returns {Promise<Object>} Updated model details and the new registry version
+ * @throws {Error} With statusCode 400 if the changes are invalid
+ */
+const applyUpdate = async (provider, name, changes) => {
+  const label = `${provider}/${name}`;
+  const current = getRegistry();
+  const document = JSON.parse(JSON.stringify(current));
+  let model = document.models.find(entry => entry.provider === provider && entry.name === name);
+
+  if (!model) {
+    if (!changes.price) {
+      throw httpError(`${label}: a price is required when adding a model`, 400);
+    }
+    model = { provider, name, enabled: true, capabilities: { ...DEFAULT_CAPABILITIES }, prices: [] };
+    document.models.push(model);
+  }
+
+  if (changes.enabled !== undefined) {
+    model.enabled = Boolean(changes.enabled);
+  }
+
+  if (changes.capabilities !== undefined) {
+    for (const [flag, value] of Object.entries(changes.capabilities || {})) {
+      if (!CAPABILITY_FLAGS.includes(flag) || typeof value !== 'boolean') {
+        throw httpError(`${label}: unknown capability ${flag} or non-boolean value. Capabilities: ${CAPABILITY_FLAGS.join(', ')}`, 400);
+      }
+      model.capabilities = { ...model.capabilities, [flag]: value };
+    }
+  }
+
+  if (changes.resilience !== undefined) {
+    validateResilience(changes.resilience, label);
+    model.resilience = changes.resilience;
+  }
+
+  if (changes.reliability === null) {
+    delete model.reliability;
+  } else if (changes.reliability !== undefined) {
+    validateReliability(changes.reliability, label);
+    model.reliability = changes.reliability;
+  }
+
+  if (changes.price) {
+    const price = {
+      effectiveFrom: changes.price.effectiveFrom || new Date().toISOString().slice(0, 10),
+      ...PRICE_FIELDS.reduce((fields, field) => (
+        changes.price[field] === undefined ? fields : { ...fields, [field]: Number(changes.price[field]) }
+      ), {})
+    };
+    validatePrice(price, label);
+    model.prices = [...(model.prices || []).filter(existing => existing.effectiveFrom !== price.effectiveFrom), price]
+      .sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+  }
+
+  document.version = (current.version || 0) + 1;
+  document.updatedAt = new Date().toISOString();
+
+  // Write to a temporary file first so a crash never leaves a half-written registry
+  const tempPath = `${REGISTRY_PATH}.${process.pid}.tmp`;
+  await fs.outputJson(tempPath, document, { spaces: 2 });
+  await fs.move(tempPath, REGISTRY_PATH, { overwrite: true });
+  registry = document;
+
+  return { version: document.version, model: describeModel(model) };
+};
+
+/**
+ * Add or update a model. A given price becomes a new price version; a price
+ * with the same effectiveFrom date as an existing version replaces it.
+ * @param {string} provider - Provider name
+ * @param {string} name - Model name
+ * @param {Object} changes - enabled, capabilities, price, resilience (replaces the model's settings)
+ *   and/or reliability (null removes it)
+ * @returns {Promise<Object>} Updated model details and the new registry version
+ * @throws {Error} With statusCode 400 if the changes are invalid, 409 if MODEL_REGISTRY_PATH is not set
+ */
+exports.updateModel = async (provider, name, changes = {}) => {
+  if (!REGISTRY_PATH) {
+    throw httpError('The model registry is read-only; set MODEL_REGISTRY_PATH to change models at runtime', 409);
+  }
+  const update = updateLock.then(() => applyUpdate(provider, name, changes));
+  updateLock = update.catch(() => {});
+  return update;
+};
@@ -0,0 +1,142 @@
+/**
+ * OCR service
+ *
+ * Local OCR for scanned bills: PDF pages are rasterized with pdfjs and
+ * read with tesseract.js. Language data is loaded from TESSERACT_LANG_PATH
+ * when set (e.g. a directory holding eng.traineddata.gz for offline hosts;
+ * set TESSERACT_LANG_GZIP=false for uncompressed data).
+ */
+const os = require('os');
+const path = require('path');
+const { createWorker } = require('tesseract.js');
+
+const OCR_LANGUAGES = process.env.OCR_LANGUAGES || 'eng';
+// Downloaded language data is cached here instead of the working directory
+const OCR_CACHE_PATH = process.env.OCR_CACHE_PATH || path.join(os.tmpdir(), 'tesseract-cache');
+// Render scale for rasterized pages; 2x (~144 DPI) keeps small print legible
+const RENDER_SCALE = parseFloat(process.env.OCR_RENDER_SCALE) || 2;
+
+/**
+ * Load the pdfjs build for Node (ESM only, so it is imported lazily)
+ * @returns {Promise<Object>} pdfjs module
+ */
+const loadPdfjs = () => import('pdfjs-dist/legacy/build/pdf.mjs');
+
+// Serializes worker spawns so each 'worker' event can be matched to its spawn
+let spawnLock = Promise.resolve();
+
+/**
+ * Start a tesseract worker and capture its thread. tesseract.js only hands out
+ * the worker once it is ready, and never does when language data or
+ * initialization fails, so the thread is taken from the process 'worker' event
+ * emitted right after tesseract.js spawns it.
+ * @param {Object} options - tesseract.js worker options
+ * @returns {Promise<Object>} Worker thread (null if it could not be spawned) and the promise of the ready worker
+ */
+const spawnTesseract = (options) => {
+  const spawned = spawnLock.then(() => new Promise(resolve => {
+    const ready = createWorker(OCR_LANGUAGES, 1, options);
+    const onThread = thread => resolve({ thread, ready });
+    process.once('worker', onThread);
+    // Rejected before the thread was reported: spawning failed, there is no thread to wait for
+    ready.catch(() => {
+      process.removeListener('worker', onThread);
+      resolve({ thread: null, ready });
+    });
+  }));
+  spawnLock = spawned.catch(() => {});
+  return spawned;
+};
+
+/**
+ * Create a tesseract worker. A worker that fails to start is terminated.
+ * @returns {Promise<Object>} Tesseract worker
+ * @throws {Error} If the worker cannot load its language data or initialize
+ */
+const createOcrWorker = async () => {
+  let fail;
+  const failure = new Promise((resolve, reject) => { fail = reject; });
+  // Later job failures also reach the error handler; they reject the job itself
+  failure.catch(() => {});
+
+  const options = {
+    // tesseract.js never settles createWorker when language data fails to load,
+    // and rethrows job failures outside the promise chain without a handler
+    errorHandler: error => fail(new Error(`OCR worker failed: ${error}`)),
+    cachePath: OCR_CACHE_PATH
+  };
+  if (process.env.TESSERACT_LANG_PATH) {
+    options.langPath = process.env.TESSERACT_LANG_PATH;
+    options.gzip = process.env.TESSERACT_LANG_GZIP !== 'false';
+  }
+
+  const { thread, ready } = await spawnTesseract(options);
+  try {
+    return await Promise.race([ready, failure]);
+  } catch (error) {
+    if (thread) {
+      await thread.terminate();
+    }
+    throw error instanceof Error ? error : new Error(`OCR worker failed: ${error}`);
+  }
+};
+
+/**
+ * Render PDF pages to PNG images
+ * @param {Buffer} pdfBuffer - PDF file content
+ * @param {Array<number>} pageNumbers - 1-based page numbers to render
+ * @param {Object} [options] - Render options
+ * @param {string} [options.password] - Password of a protected PDF
+ * @returns {Promise<Array<Object>>} Rendered pages as { page, image }
+ */
+exports.renderPdfPages = async (pdfBuffer, pageNumbers, { password } = {}) => {
+  const pdfjs = await loadPdfjs();
+  const doc = await pdfjs.getDocument({ data: new Uint8Array(pdfBuffer), password, verbosity: 0 }).promise;
+
+  try {
+    const rendered = [];
+    for (const pageNumber of pageNumbers) {
+      const page = await doc.getPage(pageNumber);
+      const viewport = page.getViewport({ scale: RENDER_SCALE });
+      const { canvas, context } = doc.canvasFactory.create(viewport.width, viewport.height);
+      await page.render({ canvasContext: context, viewport, canvas }).promise;
+      rendered.push({ page: pageNumber, image: canvas.toBuffer('image/png') });
+      page.cleanup();
+    }
+    return rendered;
+  } finally {
+    await doc.destroy();
+  }
+};
+
+/**
+ * Run OCR over a list of images
+ * @param {Array<Buffer>} images - PNG or JPEG images
+ * @returns {Promise<Array<Object>>} Recognized text and confidence (0-100) per image
+ */
+exports.recognizeImages = async (images) => {
+  const worker = await createOcrWorker();
+  try {
+    const results = [];
+    for (const image of images) {
+      const { data } = await worker.recognize(image);
+      results.push({ text: data.text, confidence: data.confidence });
+    }
+    return results;
+  } finally {
+    await worker.terminate();
+  }
+};
+
+/**
+ * OCR selected pages of a PDF
+ * @param {Buffer} pdfBuffer - PDF file content
+ * @param {Array<number>} pageNumbers - 1-based page numbers
+ * @param {Object} [options] - Render options, as taken by renderPdfPages
+ * @returns {Promise<Array<Object>>} Text and confidence per page as { page, text, confidence }
+ */
+exports.recognizePdfPages = async (pdfBuffer, pageNumbers, options) => {
+  const rendered = await exports.renderPdfPages(pdfBuffer, pageNumbers, options);
+  const recognized = await exports.recognizeImages(rendered.map(page => page.image));
+  return rendered.map((page, index) => ({ page: page.page, ...recognized[index] }));
+};
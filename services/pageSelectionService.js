@@ -0,0 +1,191 @@
+/**
+ * Page selection service
+ *
+ * Decides which pages of a document are sent to a model and how they fit the
+ * prompt token budget.
+ *
+ * Pages are scored on their text: the document type's keywords, account
+ * numbers and common bill labels count for a page; terms and conditions,
+ * advertisements, notices and tariff schedules count against it. Empty pages
+ * and pages with a negative score are dropped; the first page, and at least
+ * one page, are always kept.
+ *
+ * The remaining pages are grouped into chunks of whole pages of at most
+ * PROMPT_TOKEN_BUDGET estimated tokens, each sent in its own model call. A
+ * page larger than the budget on its own is cut at line breaks. Documents
+ * needing more than MAX_EXTRACTION_CHUNKS chunks are rejected before any call.
+ */
+const { getDocumentType } = require('./billSchemaService');
+const { findAccounts } = require('./documentTypeService');
+const { httpError } = require('../utils/helpers');
+
+// Rough size of a token in English text and digits; used to estimate prompts before the call
+const CHARS_PER_TOKEN = 4;
+// Estimated tokens of document text per model call
+const TOKEN_BUDGET = parseInt(process.env.PROMPT_TOKEN_BUDGET, 10) || 12000;
+const MAX_CHUNKS = parseInt(process.env.MAX_EXTRACTION_CHUNKS, 10) || 6;
+
+// Labels found on the pages that carry a bill's figures, whatever its type
+const BILL_PATTERNS = [
+  /amount\s*payable|net\s*payable|total\s*(?:amount|due)/i,
+  /due\s*date/i,
+  /bill\s*(?:no|number|date|month|period)/i,
+  /arrears?/i,
+  /meter|reading/i,
+  /units?\s*(?:consumed|billed)|consumption/i
+];
+// A printed account number is the strongest sign of a bill page
+const ACCOUNT_WEIGHT = 4;
+
+// Content that is never part of the bill itself. Each occurrence counts, up to MAX_MARKER_HITS per marker.
+const IRRELEVANT_MARKERS = [
+  { reason: 'terms', pattern: /terms\s*(?:and|&)\s*conditions|conditions\s*of\s*supply/gi },
+  { reason: 'advertisement', pattern: /advertisement|special\s*offer|download\s*(?:our|the)\s*app|follow\s*us\s*on/gi },
+  { reason: 'tariff-schedule', pattern: /tariff\s*(?:schedule|order|rates?|card)|rate\s*schedule|slab\s*rates?/gi },
+  { reason: 'notice', pattern: /safety\s*(?:tips|precautions)|important\s*(?:notice|information)|disclaimer/gi }
+];
+const MARKER_WEIGHT = 2;
+const MAX_MARKER_HITS = 3;
+
+/**
+ * Estimate the tokens of a text
+ * @param {string} text - Text
+ * @returns {number} Estimated tokens
+ */
+exports.estimateTokens = (text) => Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+
+/**
+ * Settings that change which text is sent to the models; part of the prompt version
+ * @returns {Object} Token budget, chunk limit and scoring rules
+ */
+exports.describeSettings = () => ({
+  charsPerToken: CHARS_PER_TOKEN,
+  tokenBudget: TOKEN_BUDGET,
+  maxChunks: MAX_CHUNKS,
+  billPatterns: BILL_PATTERNS.map(pattern => pattern.source),
+  markers: IRRELEVANT_MARKERS.map(({ reason, pattern }) => [reason, pattern.source]),
+  weights: [ACCOUNT_WEIGHT, MARKER_WEIGHT, MAX_MARKER_HITS]
+});
+
+/**
+ * Score how much a page looks like part of the bill
+ * @param {string} text - Page text
+ * @param {Object} documentType - Document type
+ * @returns {Object} Score (null for an empty page) and the strongest reason against the page, if any
+ */
+const scorePage = (text, documentType) => {
+  if (!text.trim()) {
+    return { score: null, reason: 'empty' };
+  }
+
+  let score = documentType.keywords.filter(pattern => pattern.test(text)).length +
+    BILL_PATTERNS.filter(pattern => pattern.test(text)).length;
+  if (findAccounts(text, documentType).length > 0) {
+    score += ACCOUNT_WEIGHT;
+  }
+
+  let reason = null;
+  let strongest = 0;
+  for (const marker of IRRELEVANT_MARKERS) {
+    const hits = Math.min([...text.matchAll(marker.pattern)].length, MAX_MARKER_HITS);
+    score -= hits * MARKER_WEIGHT;
+    if (hits > strongest) {
+      strongest = hits;
+      reason = marker.reason;
+    }
+  }
+  return { score, reason };
+};
+
+/**
+ * Cut a page that does not fit the budget at line breaks (or anywhere, for a single long line)
+ * @param {string} text - Page text
+ * @returns {Array<string>} Pieces of at most TOKEN_BUDGET estimated tokens
+ */
+const splitPage = (text) => {
+  const maxCharacters = TOKEN_BUDGET * CHARS_PER_TOKEN;
+  const pieces = [];
+  let current = '';
+  for (const line of text.split('\n')) {
+    for (let start = 0; start < Math.max(line.length, 1); start += maxCharacters) {
+      const part = line.slice(start, start + maxCharacters);
+      if (current && current.length + part.length + 1 > maxCharacters) {
+        pieces.push(current);
+        current = '';
+      }
+      current = current ? `${current}\n${part}` : part;
+    }
+  }
+  if (current.trim()) {
+    pieces.push(current);
+  }
+  return pieces;
+};
+
+/**
+ * Pick the pages of a document worth sending to a model and group them into chunks
+ * @param {Object} acquisition - Result of pdfService.extractText, or { text, layout } for plain text
+ * @param {string} documentType - Document type id
+ * @returns {Object} Chunks ({ index, pages, text, estimatedTokens }) and the page report
+ *   ({ total, used, dropped: [{ page, score, reason }] })
+ * @throws {Error} With statusCode 413 if the pages kept need more than MAX_EXTRACTION_CHUNKS chunks
+ */
+exports.planExtraction = (acquisition, documentType) => {
+  const definition = getDocumentType(documentType);
+  const pageTexts = acquisition.layout.map(entry => acquisition.text.slice(entry.offset, entry.offset + entry.length));
+  const scores = pageTexts.map(text => scorePage(text, definition));
+
+  const dropped = [];
+  const kept = [];
+  acquisition.layout.forEach((entry, index) => {
+    const { score, reason } = scores[index];
+    if (index > 0 && (score === null || score < 0)) {
+      dropped.push({ page: entry.page, score, reason });
+    } else {
+      kept.push(index);
+    }
+  });
+  // The first page can be blank (e.g. an unreadable scan); keep the best page instead of nothing
+  if (kept.length === 1 && scores[0].score === null && dropped.some(page => page.score !== null)) {
+    const best = dropped.filter(page => page.score !== null).sort((a, b) => b.score - a.score)[0];
+    dropped.splice(dropped.indexOf(best), 1);
+    kept.push(acquisition.layout.findIndex(entry => entry.page === best.page));
+    kept.sort((a, b) => a - b);
+  }
+
+  const chunks = [];
+  let current = null;
+  for (const index of kept) {
+    const page = acquisition.layout[index].page;
+    for (const piece of splitPage(pageTexts[index])) {
+      const tokens = exports.estimateTokens(piece);
+      if (!current || current.estimatedTokens + tokens > TOKEN_BUDGET) {
+        current = { pages: [], text: '', estimatedTokens: 0 };
+        chunks.push(current);
+      }
+      if (!current.pages.includes(page)) {
+        current.pages.push(page);
+      }
+      // Same page separation as the full document text
+      current.text += `\n\n${piece}`;
+      current.estimatedTokens += tokens;
+    }
+  }
+  if (chunks.length === 0) {
+    chunks.push({ pages: [], text: acquisition.text, estimatedTokens: exports.estimateTokens(acquisition.text) });
+  }
+
+  if (chunks.length > MAX_CHUNKS) {
+    const tokens = chunks.reduce((total, chunk) => total + chunk.estimatedTokens, 0);
+    throw httpError(`Document is too large: about ${tokens} tokens on ${kept.length} relevant page${kept.length === 1 ? '' : 's'} need ${chunks.length} model calls; the limit is ${MAX_CHUNKS} calls of ${TOKEN_BUDGET} tokens`, 413);
+  }
+
+  return {
+    chunks: chunks.map((chunk, index) => ({ index, ...chunk })),
+    pages: {
+      total: acquisition.layout.length,
+      used: kept.map(index => acquisition.layout[index].page),
+      dropped
+    }
+  };
+};
@@ -1,350 +1,894 @@
 /**
  * PDF processing service
  */
+const crypto = require('crypto');
 const fs = require('fs-extra');
 const pdfParse = require('pdf-parse');
-const { OpenAI } = require('openai');
+const {
+  getExtractableFieldNames,
+  normalizeBill,
+  buildJsonSchema,
+  getDocumentType,
+  listDocumentTypes,
+  isEmpty,
+  DEFAULT_DOCUMENT_TYPE
+} = require('./billSchemaService');
+const { resolveDocumentType, splitAccounts } = require('./documentTypeService');
+const { checkConsistency } = require('./consistencyService');
+const { getProvider } = require('./providers');
+const { addUsage } = require('./providers/usage');
+const { getCapabilities, getResilience } = require('./modelRegistryService');
+const { extractWithRules } = require('./ruleExtractionService');
+const { recognizeImages, recognizePdfPages } = require('./ocrService');
+const { locateFields } = require('./provenanceService');
+const { detectFileType } = require('./uploadService');
+const { planExtraction, estimateTokens, describeSettings } = require('./pageSelectionService');
+const { hashFile, hashText, hashSegment, isCacheAvailable, findCachedResult, storeResult, describeMiss } = require('./cacheService');
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// Pages with fewer non-whitespace characters than this are treated as image-only and OCRed
+const MIN_PAGE_CHARACTERS = parseInt(process.env.OCR_MIN_PAGE_CHARACTERS, 10) || 20;
+// Documents with less readable text than this are rejected instead of sent to a model
+const MIN_DOCUMENT_CHARACTERS = parseInt(process.env.MIN_DOCUMENT_CHARACTERS, 10) || 50;
 
-// List of available models
-const AVAILABLE_MODELS = ['gpt-4.5-preview', 'gpt-4o', 'gpt-4o-mini', 'o3-mini', 'o1', 'o1-pro'];
-// const AVAILABLE_MODELS = ['gpt-4o'];
+// Model calls per extraction, including repair attempts after an unusable response
+const MAX_EXTRACTION_ATTEMPTS = parseInt(process.env.EXTRACTION_MAX_ATTEMPTS, 10) || 3;
+// Length of a rejected response quoted back to the model
+const MAX_REPAIR_ECHO_CHARACTERS = 4000;
 
+/**
+ * Build the system prompt for a document type
+ * @param {string} [documentType] - Document type id, defaults to the default type
+ * @returns {string} Prompt
+ */
+const buildSystemPrompt = (documentType) => {
+  return `You are a helpful assistant that extracts information from ${getDocumentType(documentType).subject}s. You must return your response as a valid JSON object without any markdown formatting or code blocks.`;
+};
 
 /**
- * Calculate price based on token usage and model
- * @param {string} model - The GPT model being used
- * @param {Object} usage - Token usage information
- * @returns {Object} Price calculations
+ * Build the user prompt for a bill's text
+ * @param {string} text - Text extracted from the PDF
+ * @param {Array<string>} [fields] - Fields to ask for, defaults to every extractable field of the type
+ * @param {string} [documentType] - Document type id, defaults to the default type
+ * @param {Object} [part] - For a document extracted in chunks: the chunk's index, the chunk count and its pages
+ * @returns {string} Prompt
  */
-const calculatePrice = (model, usage) => {
-  if (!usage || typeof usage !== 'object') {
-    console.error('Invalid usage object:', usage);
-    return {
-      model,
-      rates: {
-        inputRate: 'N/A',
-        cachedInputRate: 'N/A',
-        outputRate: 'N/A'
-      },
-      costs: {
-        inputCost: 'N/A',
-        outputCost: 'N/A',
-        totalCost: 'N/A'
+const buildUserPrompt = (text, fields, documentType, part) => {
+  fields = fields || getExtractableFieldNames(documentType);
+  const scope = part
+    ? `\n\nThis is part ${part.index + 1} of ${part.count} of the document (pages ${part.pages.join(', ')}). Use null for fields that do not appear in this part.`
+    : '';
+  return `Extract the following fields from this ${getDocumentType(documentType).subject} text and return ONLY a JSON object (no markdown, no \`\`\` blocks):\n\nRequired fields: ${fields.join(', ')}.${scope}\n\nBill text:\n${text}`;
+};
+
+// Identifies the prompts, schemas and page selection a result was extracted with; cached results of other versions are not reused
+const PROMPT_VERSION = crypto.createHash('sha256')
+  .update(JSON.stringify([describeSettings(), ...listDocumentTypes().map(({ id }) =>
+    [buildSystemPrompt(id), buildUserPrompt('', undefined, id), buildJsonSchema(undefined, id)])]))
+  .digest('hex')
+  .slice(0, 12);
+
+/**
+ * Parse the JSON object from a model response
+ * @param {string} content - Raw response text
+ * @returns {Object} Parsed object
+ * @throws {Error} Describing why the response is not a JSON object
+ */
+const parseJsonContent = (content) => {
+  // Models without schema-constrained output sometimes wrap the object in a code block
+  const text = String(content || '').trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/, '$1');
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Response is not valid JSON: ${error.message}`);
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('Response must be a single JSON object');
+  }
+
+  return parsed;
+};
+
+/**
+ * Find the problems in a parsed model response that are worth a repair attempt
+ * @param {Object} extractedData - Parsed response
+ * @param {Array<string>} fields - Fields the model was asked for
+ * @param {string} documentType - Document type id
+ * @returns {Array<string>} Problems, empty if the response is usable
+ */
+const findResponseErrors = (extractedData, fields, documentType) => {
+  const errors = [];
+  const { validation } = normalizeBill(extractedData, documentType);
+
+  for (const field of fields) {
+    const value = extractedData[field];
+    const report = validation.fields[field];
+    if (value !== null && typeof value === 'object') {
+      errors.push(`${field} must be a string or null, not ${Array.isArray(value) ? 'an array' : 'an object'}`);
+    } else if (report && report.status === 'invalid') {
+      // Present but unreadable as its type, e.g. a malformed date
+      errors.push(`${field}: ${report.message} (got ${JSON.stringify(report.raw)})`);
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Build the prompt for a repair attempt
+ * @param {string} prompt - Original user prompt
+ * @param {string} content - Rejected response
+ * @param {Array<string>} errors - Why the response was rejected
+ * @returns {string} Prompt
+ */
+const buildRepairPrompt = (prompt, content, errors) => {
+  const previous = String(content || '').slice(0, MAX_REPAIR_ECHO_CHARACTERS);
+  return `${prompt}\n\nYour previous response was:\n${previous}\n\nIt was rejected because:\n- ${errors.join('\n- ')}\n\nReturn the corrected JSON object only. Use null for fields that are not on the bill.`;
+};
+
+/**
+ * Count the characters that carry information
+ * @param {string} text - Text to measure
+ * @returns {number} Non-whitespace character count
+ */
+const countCharacters = (text) => text.replace(/\s/g, '').length;
+
+/**
+ * Render the text of one page the same way pdf-parse does by default,
+ * keeping the position of every text item
+ * @param {Object} pageData - pdf.js page proxy
+ * @returns {Promise<Object>} Page text and items as { start, end, x, y, width, height } in PDF units
+ */
+const renderPageText = async (pageData) => {
+  const textContent = await pageData.getTextContent({
+    normalizeWhitespace: false,
+    disableCombineTextItems: false
+  });
+  let lastY;
+  let text = '';
+  const items = [];
+  for (const item of textContent.items) {
+    if (lastY == item.transform[5] || !lastY) {
+      text += item.str;
+    } else {
+      text += '\n' + item.str;
+    }
+    lastY = item.transform[5];
+    items.push({
+      start: text.length - item.str.length,
+      end: text.length,
+      x: item.transform[4],
+      y: item.transform[5],
+      width: item.width,
+      height: Math.abs(item.transform[3]) || item.height || 0
+    });
+  }
+  return { text, items };
+};
+
+// pdf.js operator codes that paint images (paintJpegXObject .. paintImageMaskXObjectRepeat)
+const IMAGE_OPERATORS = { min: 82, max: 89 };
+
+/**
+ * Turn a pdf.js password error into a client error
+ * @param {Error} error - Error thrown while opening the PDF
+ * @param {string} [password] - Password that was tried
+ * @returns {Error} Error with statusCode 400 for password errors, the original error otherwise
+ */
+const describePasswordError = (error, password) => {
+  if (!error || error.name !== 'PasswordException') {
+    return error;
+  }
+  const described = new Error(password
+    ? 'Incorrect password for the protected PDF'
+    : 'The PDF is password protected; send its password in the password field');
+  described.statusCode = 400;
+  return described;
+};
+
+/**
+ * Extract the text layer of each PDF page and whether the page paints images.
+ * Pages whose text layer cannot be read come back empty and marked as painting
+ * images, so they go through OCR.
+ * @param {Buffer} pdfBuffer - PDF file content
+ * @param {string} [password] - Password of a protected PDF
+ * @returns {Promise<Array<Object>>} { text, items, view, hasImages } per page, in page order
+ * @throws {Error} With statusCode 400 if the PDF needs a password that was not given or is wrong
+ */
+const readPdfPages = async (pdfBuffer, password) => {
+  const pages = [];
+  // pdf-parse hands its input to pdf.js, which also takes the password with the data. The bundled
+  // pdf.js ignores the offset of pooled Buffers (small files), so it gets a copy of its own.
+  const { numpages } = await pdfParse({ data: new Uint8Array(pdfBuffer), password }, {
+    pagerender: async (pageData) => {
+      const { text, items } = await renderPageText(pageData);
+      const operators = await pageData.getOperatorList();
+      const hasImages = operators.fnArray.some(fn => fn >= IMAGE_OPERATORS.min && fn <= IMAGE_OPERATORS.max);
+      // pdf-parse swallows render errors and moves on, so pages are placed by index, not in call order
+      pages[pageData.pageIndex] = { text, items, view: pageData.view, hasImages };
+      return text;
+    }
+  }).catch(error => {
+    throw describePasswordError(error, password);
+  });
+  return Array.from({ length: numpages }, (value, index) =>
+    pages[index] || { text: '', items: [], view: null, hasImages: true });
+};
+
+/**
+ * Describe where each page sits in the document text and where its text items are drawn
+ * @param {Array<Object>} pages - Pages with their text, and items and view for text-layer pages
+ * @returns {Array<Object>} { page, offset, length, size, items } per page, with item
+ *   boxes in PDF units from the top-left corner of the page
+ */
+const buildLayout = (pages) => {
+  let offset = 0;
+  return pages.map(page => {
+    // Every page is prefixed with a blank line in the document text
+    offset += 2;
+    const entry = { page: page.page, offset, length: page.text.length, size: null, items: [] };
+    offset += page.text.length;
+
+    if (page.method === 'text-layer' && page.view) {
+      const [x0, y0, x1, y1] = page.view;
+      entry.size = { width: x1 - x0, height: y1 - y0 };
+      entry.items = page.items.map(item => ({
+        start: item.start,
+        end: item.end,
+        x: item.x - x0,
+        y: (y1 - y0) - (item.y - y0) - item.height,
+        width: item.width,
+        height: item.height
+      }));
+    }
+    return entry;
+  });
+};
+
+/**
+ * Extract text from an uploaded PDF or image. PDF pages without a usable
+ * text layer (scans, photos) and image uploads go through OCR.
+ * @param {string} filePath - Path to the upload
+ * @param {Object} [options] - Extraction options
+ * @param {string} [options.password] - Password of a protected PDF
+ * @returns {Promise<Object>} Text, page layout (for locating values), acquisition method and per-page details
+ * @throws {Error} With statusCode 415 for unsupported files, 400 for a missing or wrong PDF password,
+ *   422 if no readable text is found
+ */
+exports.extractText = async (filePath, { password } = {}) => {
+  // Read the file content locally
+  const buffer = await fs.readFile(filePath);
+  const fileType = detectFileType(buffer);
+
+  let pages;
+  if (fileType === 'png' || fileType === 'jpeg') {
+    try {
+      const [recognized] = await recognizeImages([buffer]);
+      pages = [{ page: 1, method: 'ocr', text: recognized.text, confidence: recognized.confidence }];
+    } catch (error) {
+      console.error('OCR failed:', error);
+      pages = [{ page: 1, method: 'ocr', text: '', ocrError: error.message || String(error) }];
+    }
+  } else if (fileType === 'pdf') {
+    // Extract text from the PDF using pdf-parse
+    const pdfPages = await readPdfPages(buffer, password);
+    pages = pdfPages.map(({ text, items, view }, index) => ({ page: index + 1, method: 'text-layer', text, items, view }));
+
+    // Near-empty pages that paint images are scans; near-empty pages without images are blank
+    const imageOnly = pages.filter((page, index) =>
+      countCharacters(page.text) < MIN_PAGE_CHARACTERS && pdfPages[index].hasImages);
+    if (imageOnly.length > 0) {
+      try {
+        const recognized = await recognizePdfPages(buffer, imageOnly.map(page => page.page), { password });
+        for (const result of recognized) {
+          Object.assign(pages[result.page - 1], { method: 'ocr', text: result.text, confidence: result.confidence });
+        }
+      } catch (error) {
+        console.error('OCR failed:', error);
+        imageOnly.forEach(page => { page.ocrError = error.message || String(error); });
       }
-    };
+    }
+  } else {
+    const error = new Error('Unsupported file type: expected a PDF, JPEG or PNG file');
+    error.statusCode = 415;
+    throw error;
   }
 
-  // Extract token counts from usage object, handling both API response formats
-  const promptTokens = usage.prompt_tokens || usage.input_tokens || 0;
-  const completionTokens = usage.completion_tokens || usage.output_tokens || 0;
-  const totalTokens = usage.total_tokens || (promptTokens + completionTokens);
+  // Same layout as pdf-parse, which prefixes every page with a blank line
+  const text = pages.map(page => `\n\n${page.text}`).join('');
 
-  const prices = {
-    'gpt-4.5-preview': {
-      input: 75.0,
-      cachedInput: 37.5,
-      output: 150.0
-    },
-    'gpt-4o': {
-      input: 2.5,
-      cachedInput: 1.25,
-      output: 10.0
-    },
-    'gpt-4o-mini': {
-      input: 0.15,
-      cachedInput: 0.075,
-      output: 0.60
+  if (countCharacters(text) < MIN_DOCUMENT_CHARACTERS) {
+    const ocrError = pages.find(page => page.ocrError);
+    const error = new Error(ocrError
+      ? `No readable text found in the document (OCR failed: ${ocrError.ocrError})`
+      : 'No readable text found in the document');
+    error.statusCode = 422;
+    throw error;
+  }
+
+  const methods = new Set(pages.map(page => page.method));
+  const ocrPages = pages.filter(page => page.method === 'ocr');
+
+  return {
+    text,
+    layout: buildLayout(pages),
+    method: methods.size > 1 ? 'mixed' : [...methods][0],
+    ocrConfidence: ocrPages.length > 0
+      ? Math.round(ocrPages.reduce((total, page) => total + page.confidence, 0) / ocrPages.length * 100) / 100
+      : null,
+    pages: pages.map(({ page, method, text: pageText, confidence, ocrError }) => ({
+      page,
+      method,
+      characters: countCharacters(pageText),
+      confidence: confidence === undefined ? null : confidence,
+      ocrError
+    }))
+  };
+};
+
+/**
+ * Describe how the text was acquired, without the text itself
+ * @param {Object} acquisition - Result of extractText
+ * @returns {Object} Method, OCR confidence and per-page details
+ */
+const describeAcquisition = ({ method, ocrConfidence, pages }) => ({ method, ocrConfidence, pages });
+
+/**
+ * Ask the model for the given fields, or skip the call when there is nothing to ask.
+ * Models that support structured outputs get a JSON schema built from the bill fields;
+ * for the others an unusable response is sent back with the error, up to
+ * MAX_EXTRACTION_ATTEMPTS calls in total.
+ * @param {Object} provider - LLM provider
+ * @param {string} model - Model name
+ * @param {string} extractedText - Text extracted from the PDF
+ * @param {Array<string>} fields - Fields to ask for
+ * @param {string} documentType - Document type id
+ * @param {Object} [options] - Call options
+ * @param {AbortSignal} [options.signal] - Aborts the model calls
+ * @param {Object} [options.part] - Chunk of a document extracted in chunks, as taken by buildUserPrompt
+ * @returns {Promise<Object>} Parsed data, combined usage, raw usage of the last call, output mode, attempts,
+ *   API calls (attempts plus retries of transient errors), repairs and the estimated prompt tokens
+ * @throws {Error} With statusCode 502 if no attempt returned a JSON object. Errors carry the usage of the
+ *   attempts made before the failure.
+ */
+const completeFields = async (provider, model, extractedText, fields, documentType, { signal, part } = {}) => {
+  let usage = provider.normalizeUsage({});
+
+  if (fields.length === 0) {
+    return { data: {}, usage, rawUsage: {}, outputMode: null, attempts: 0, calls: 0, repairs: [], estimatedTokens: 0 };
+  }
+
+  const capabilities = getCapabilities(provider.name, model);
+  let outputMode = 'prompt';
+  if (capabilities.structuredOutputs) {
+    outputMode = 'json_schema';
+  } else if (capabilities.jsonMode) {
+    outputMode = 'json_object';
+  }
+  const schema = outputMode === 'json_schema' ? { name: 'bill_fields', schema: buildJsonSchema(fields, documentType) } : undefined;
+
+  const system = buildSystemPrompt(documentType);
+  const prompt = buildUserPrompt(extractedText, fields, documentType, part);
+  const estimatedTokens = estimateTokens(system) + estimateTokens(prompt);
+  const repairs = [];
+  let userPrompt = prompt;
+  let rawUsage = {};
+  let usable = null;
+  let calls = 0;
+
+  for (let attempt = 1; attempt <= MAX_EXTRACTION_ATTEMPTS; attempt++) {
+    let completion;
+    try {
+      completion = await provider.complete({ model, system, user: userPrompt, schema, signal });
+    } catch (error) {
+      error.usage = usage;
+      throw error;
+    }
+    usage = addUsage(usage, completion.usage);
+    rawUsage = completion.rawUsage;
+    calls += completion.attempts || 1;
+
+    let errors;
+    try {
+      const data = parseJsonContent(completion.text);
+      usable = data;
+      errors = findResponseErrors(data, fields, documentType);
+    } catch (error) {
+      errors = [error.message];
+    }
+
+    if (errors.length === 0) {
+      return { data: usable, usage, rawUsage, outputMode, attempts: attempt, calls, repairs, estimatedTokens };
+    }
+
+    console.warn(`Model ${model} response rejected (attempt ${attempt}/${MAX_EXTRACTION_ATTEMPTS}):`, errors.join('; '));
+    repairs.push({ attempt, errors });
+    userPrompt = buildRepairPrompt(prompt, completion.text, errors);
+  }
+
+  // Out of attempts: keep the last JSON object; validation flags the values that are still wrong
+  if (usable) {
+    return { data: usable, usage, rawUsage, outputMode, attempts: MAX_EXTRACTION_ATTEMPTS, calls, repairs, estimatedTokens };
+  }
+
+  const error = new Error(`Failed to parse bill data from ${model} response after ${MAX_EXTRACTION_ATTEMPTS} attempts: ${repairs[repairs.length - 1].errors.join('; ')}`);
+  error.statusCode = 502;
+  error.usage = usage;
+  throw error;
+};
+
+/**
+ * Merge the completions of a document extracted in chunks. For each field the
+ * first chunk with a value wins; different values in later chunks are reported
+ * as conflicts.
+ * @param {Array<Object>} completions - Results of completeFields, in chunk order
+ * @param {Array<string>} fields - Fields asked for
+ * @returns {Object} Combined completion, with the conflicts and the fields found per chunk
+ */
+const mergeCompletions = (completions, fields) => {
+  if (completions.length === 1) {
+    const [completion] = completions;
+    return { ...completion, conflicts: [], found: [fields.filter(field => !isEmpty(completion.data[field]))] };
+  }
+
+  const data = {};
+  const conflicts = [];
+  for (const field of fields) {
+    data[field] = null;
+    let source = null;
+    completions.forEach((completion, chunk) => {
+      const value = completion.data[field];
+      if (isEmpty(value)) {
+        return;
+      }
+      if (source === null) {
+        data[field] = value;
+        source = chunk;
+      } else if (JSON.stringify(value) !== JSON.stringify(data[field])) {
+        conflicts.push({ field, value: data[field], chunk: source, otherValue: value, otherChunk: chunk });
+      }
+    });
+  }
+
+  const last = completions[completions.length - 1];
+  return {
+    data,
+    usage: completions.slice(1).reduce((usage, completion) => addUsage(usage, completion.usage), completions[0].usage),
+    rawUsage: {
+      ...last.rawUsage,
+      total_ms: completions.reduce((total, completion) => total + (completion.rawUsage.total_ms || 0), 0)
     },
-    'o3-mini': {
-      input: 1.10,
-      cachedInput: 0.55,
-      output: 4.40
+    outputMode: last.outputMode,
+    attempts: completions.reduce((total, completion) => total + completion.attempts, 0),
+    calls: completions.reduce((total, completion) => total + completion.calls, 0),
+    repairs: completions.flatMap((completion, chunk) => completion.repairs.map(repair => ({ chunk, ...repair }))),
+    estimatedTokens: completions.reduce((total, completion) => total + completion.estimatedTokens, 0),
+    conflicts,
+    found: completions.map(completion => fields.filter(field => !isEmpty(completion.data[field])))
+  };
+};
+
+/**
+ * Extract bill data from already extracted text with one model, without fallback
+ * @param {string|Object} source - Text extracted from the PDF, or the result of extractText
+ * @param {string} model - The model to use for extraction
+ * @param {string} [providerName] - LLM provider, defaults to the configured provider
+ * @param {Object} [options] - Extraction options, as taken by extractWithModel
+ * @returns {Promise<Object>} Extracted data, validation, usage, pricing, timing and field sources
+ * @throws {Error} If the model call or parsing fails, or the signal aborts. API errors keep their HTTP status;
+ *   errors after billed calls carry the provider, usage and pricing of those calls.
+ */
+const extractWithSingleModel = async (source, model, providerName, { rules, documentType = DEFAULT_DOCUMENT_TYPE, signal } = {}) => {
+  const provider = getProvider(providerName);
+  const modelFields = rules ? rules.remainingFields : getExtractableFieldNames(documentType);
+
+  // Plain text is one page; the pages to send and the chunks are settled before any call
+  const acquisition = typeof source === 'string'
+    ? { text: source, layout: [{ page: 1, offset: 0, length: source.length }] }
+    : source;
+  const plan = modelFields.length > 0 ? planExtraction(acquisition, documentType) : null;
+
+  // Record start time
+  const startTime = new Date();
+
+  let completion;
+  const completions = [];
+  try {
+    for (const chunk of plan ? plan.chunks : [{ text: acquisition.text }]) {
+      const part = plan && plan.chunks.length > 1
+        ? { index: chunk.index, count: plan.chunks.length, pages: chunk.pages }
+        : undefined;
+      completions.push(await completeFields(provider, model, chunk.text, modelFields, documentType, { signal, part }));
+    }
+    completion = mergeCompletions(completions, modelFields);
+
+    if (modelFields.length > 0) {
+      console.log(`Response received for model ${model}`);
+    }
+  } catch (error) {
+    let failure = error;
+    if (!error.statusCode && !(signal && signal.aborted)) {
+      console.error(`Error with ${provider.name} provider for model ${model}:`, error);
+      failure = new Error(`Failed to process with model ${model}: ${error.message}`);
+      failure.status = error.status;
+      failure.code = error.code;
+    }
+    // The chunks and attempts that completed before the failure are billed all the same
+    const spent = completions.reduce((total, done) => addUsage(total, done.usage), error.usage || provider.normalizeUsage({}));
+    if (spent.total_tokens > 0) {
+      failure.provider = provider.name;
+      failure.usage = spent;
+      failure.pricing = provider.calculatePrice(model, spent);
+    }
+    throw failure;
+  }
+
+  // Record end time
+  const endTime = new Date();
+
+  // Calculate duration in milliseconds and seconds
+  const durationMs = endTime - startTime;
+  const durationSec = (durationMs / 1000).toFixed(2);
+
+  const extractedData = completion.data;
+
+  // Rule values win; the model only contributes the fields it was asked for
+  const merged = { ...(rules ? rules.data : {}) };
+  for (const field of modelFields) {
+    merged[field] = extractedData[field];
+  }
+
+  // Normalize to the canonical bill schema and cross-check the figures
+  const { data, validation } = normalizeBill(merged, documentType);
+  const consistency = checkConsistency(data);
+
+  const fieldSources = {};
+  for (const field of getExtractableFieldNames(documentType)) {
+    if (rules && rules.fields.includes(field)) {
+      fieldSources[field] = 'rules';
+    } else if (modelFields.includes(field)) {
+      fieldSources[field] = 'model';
+    } else {
+      fieldSources[field] = null;
+    }
+  }
+
+  // Calculate pricing over all attempts
+  const pricing = provider.calculatePrice(model, completion.usage);
+
+  return {
+    provider: provider.name,
+    model,
+    documentType,
+    data,
+    validation,
+    consistency,
+    extraction: {
+      method: !rules || rules.fields.length === 0 ? 'model' : (modelFields.length === 0 ? 'rules' : 'hybrid'),
+      template: rules ? rules.template : null,
+      ruleFields: rules ? rules.fields : [],
+      modelFields,
+      fieldSources,
+      outputMode: completion.outputMode,
+      attempts: completion.attempts,
+      calls: completion.calls,
+      repairs: completion.repairs,
+      pages: plan ? plan.pages : null,
+      chunks: plan
+        ? plan.chunks.map((chunk, index) => ({
+          index,
+          pages: chunk.pages,
+          estimatedTokens: chunk.estimatedTokens,
+          fields: completion.found[index]
+        }))
+        : [],
+      estimatedTokens: completion.estimatedTokens,
+      conflicts: completion.conflicts
     },
-    'o1': {
-      input: 15.00,
-      cachedInput: 7.50,
-      output: 60.00
+    usage: completion.usage,
+    pricing,
+    timing: {
+      startTime: startTime.toISOString(),
+      endTime: endTime.toISOString(),
+      durationMs,
+      durationSec: `${durationSec} seconds`
     },
-    'o1-pro': {
-      input: 150.00,
-      cachedInput: 150.00, // For o1-pro, there's no separate cached input price mentioned
-      output: 600.00
-    }
+    processingTime: completion.rawUsage.total_ms || 0
   };
+};
 
-  const modelPrices = prices[model] || prices['gpt-4o']; // Default to gpt-4o if model not found
+/**
+ * Extract bill data from already extracted text with a single model. With
+ * fallback, a model that stays unavailable after the resilience layer's
+ * retries (rate limits, server errors, timeouts, open circuit) is replaced by
+ * the next model of its registry fallback chain; model and pricing are then
+ * those of the model that served the result.
+ *
+ * Only the pages that look like part of the bill are sent, and documents
+ * whose pages exceed the prompt token budget are extracted in chunks whose
+ * answers are merged (see pageSelectionService); the extraction block reports
+ * the pages used and dropped, the chunks and the estimated prompt tokens.
+ * @param {string|Object} source - Text extracted from the PDF, or the result of extractText
+ * @param {string} model - The model to use for extraction
+ * @param {string} [providerName] - LLM provider, defaults to the configured provider
+ * @param {Object} [options] - Extraction options
+ * @param {Object} [options.rules] - Result of rule-based extraction; the model is only asked for its remaining fields
+ * @param {string} [options.documentType] - Document type id, defaults to the default type
+ * @param {AbortSignal} [options.signal] - Aborts the model calls
+ * @param {boolean} [options.fallback=false] - Whether fallback models may serve the request
+ * @returns {Promise<Object>} Extracted data, validation, usage, pricing, timing, field sources and a
+ *   resilience block with the requested model, the model that served it, the API calls made and the
+ *   models that were skipped
+ * @throws {Error} If the model call or parsing fails, or the signal aborts, and with statusCode 413 if the
+ *   relevant pages need more chunks than allowed. API errors keep their HTTP status.
+ */
+exports.extractWithModel = async (source, model, providerName, options = {}) => {
+  const provider = getProvider(providerName);
+  const available = options.fallback ? await provider.listModels() : [];
+  const chain = [model, ...getResilience(provider.name, model).fallback
+    .filter(name => name !== model && available.includes(name))];
 
-  // Calculate prices per million tokens
-  const inputPrice = (promptTokens / 1000000) * modelPrices.input;
-  const outputPrice = (completionTokens / 1000000) * modelPrices.output;
+  const fallbacks = [];
+  let calls = 0;
+  for (const [index, candidate] of chain.entries()) {
+    try {
+      const result = await extractWithSingleModel(source, candidate, providerName, options);
+      return {
+        ...result,
+        resilience: {
+          requestedModel: model,
+          servedBy: candidate,
+          attempts: calls + result.extraction.calls,
+          fallbacks
+        }
+      };
+    } catch (error) {
+      const next = chain[index + 1];
+      if (!error.fallback || !next || (options.signal && options.signal.aborted)) {
+        throw error;
+      }
+      console.warn(`Model ${candidate} is unavailable, falling back to ${next}: ${error.message}`);
+      calls += error.attempts || 0;
+      fallbacks.push({ model: candidate, error: error.message, statusCode: error.statusCode });
+    }
+  }
+};
 
+/**
+ * Build the result entry for a model that failed
+ * @param {string} model - Model name
+ * @param {Error} error - Failure, with the provider, usage and pricing of its billed calls if there were any
+ * @returns {Object} Result entry with error information
+ */
+exports.buildFailedResult = (model, error) => {
   return {
+    provider: error.provider,
     model,
-    rates: {
-      inputRate: `$${modelPrices.input.toFixed(2)} per million tokens`,
-      cachedInputRate: `$${modelPrices.cachedInput.toFixed(2)} per million tokens`,
-      outputRate: `$${modelPrices.output.toFixed(2)} per million tokens`
-    },
-    costs: {
-      inputCost: `$${inputPrice.toFixed(6)}`,
-      outputCost: `$${outputPrice.toFixed(6)}`,
-      totalCost: `$${(inputPrice + outputPrice).toFixed(6)}`
+    error: error.message,
+    data: null,
+    validation: null,
+    consistency: null,
+    usage: error.usage || null,
+    pricing: error.pricing || null,
+    timing: {
+      startTime: new Date().toISOString(),
+      endTime: new Date().toISOString(),
+      durationMs: 0,
+      durationSec: "0.00 seconds"
     }
   };
 };
 
 /**
- * Extract bill data from PDF using OpenAI
+ * Extract the bills in a PDF, using layout rules first and an LLM for the remaining fields.
+ * The document type is taken from the request or detected from the text, and statements
+ * covering several accounts are split into one bill per account (see documentTypeService).
+ * With a tenant, a result cached for the same bytes or text (and model, prompt version,
+ * rule setting and requested document type) is returned instead of calling the model.
  * @param {Object} fileData - File data from multer
- * @param {string} [model='o3-mini'] - The model to use for extraction
- * @returns {Promise<Object>} Extracted data and token usage
- * @throws {Error} If data extraction fails
+ * @param {Object} [options] - Extraction options
+ * @param {string} [options.provider] - LLM provider, defaults to the configured provider
+ * @param {string} [options.model] - The model to use, defaults to the provider's default model
+ * @param {boolean} [options.useRules=true] - Whether to run rule-based extraction before the model
+ * @param {string} [options.tenant] - Tenant whose cache is used
+ * @param {boolean} [options.cache=true] - Whether a cached result may be returned
+ * @param {string} [options.password] - Password of a protected PDF
+ * @param {string} [options.documentType] - Document type id, detected when not given
+ * @returns {Promise<Array<Object>>} One result per bill, each with its extracted data, token usage,
+ *   the model that served it (a fallback model when the requested one was unavailable),
+ *   where each value was found in the document, the document type and how it was decided,
+ *   a cache block with the content hashes, whether it was a hit and the cost saved, and for
+ *   split statements the account segment. Accounts whose extraction failed get a failed result.
+ * @throws {Error} If data extraction fails (for every account of a statement). The upload is deleted either way.
  */
-exports.extractBillData = async (fileData, model = 'o3-mini') => {
+exports.extractBills = async (fileData, { provider, model, useRules = true, tenant, cache = true, password, documentType } = {}) => {
+  const llm = getProvider(provider);
+  model = model || llm.defaultModel;
   try {
-    // Make a copy of the file to use for extraction
-    const tempFilePath = fileData.path;
-    
-    // Read the PDF file content locally
-    const pdfBuffer = await fs.readFile(tempFilePath);
+    const cacheKey = {
+      tenant,
+      fileHash: await hashFile(fileData.path),
+      provider: llm.name,
+      model,
+      promptVersion: PROMPT_VERSION,
+      rules: Boolean(useRules),
+      documentType: documentType || 'auto'
+    };
+    const useCache = Boolean(tenant) && isCacheAvailable(cache);
 
-    // Extract text from the PDF using pdf-parse
-    const pdfData = await pdfParse(pdfBuffer);
-    const extractedText = pdfData.text;
+    // Identical bytes of a single bill skip text extraction as well; statements are cached per account
+    const cached = useCache ? await findCachedResult(cacheKey) : null;
+    if (cached) {
+      return [cached];
+    }
 
-    let response;
-    let content;
-    let usage;
+    const acquisition = await exports.extractText(fileData.path, { password });
+    const classification = resolveDocumentType(documentType, acquisition.text);
+    const { parts, summaryPages } = splitAccounts(acquisition, classification.id);
 
-    try {
-      // Use responses.create API for all models
-      response = await openai.responses.create({
-        model: model,
-        input: [
-          {
-            role: "system",
-            content: "You are a helpful assistant that extracts information from electricity bills. You must return your response as a valid JSON object without any markdown formatting or code blocks."
-          },
-          {
-            role: "user",
-            content: `Extract the following fields from this electricity bill text and return ONLY a JSON object (no markdown, no \`\`\` blocks):\n\nRequired fields: Address, Arrears, BaCode, BillDate, BillDueDate, BilledUnit, BillFetchTimeStamp, BillMonth, BillNo, CanSerNo, CGST, CircleCode, CmrDt, CmrKwh, ConCat, ConnLd, ConnType, ConsumerName, ConsUnits, CurAmtPay, DiscCode, EleDuty, EngyChg, EntityCode, EntityType, Filename, FinalClosingReading, FinalConsUnits, FinalOpeningReading, FulCstAdj, FxdChg, GrosAmt, LastAmountpaid, LastAmountPaidDate, LtPaySurChg, MeterStatus, MetRent, MetrNo, MulFac, OmrDt, OmrKwh.\n\nBill text:\n${extractedText}`
-          }
-        ],
-        temperature: model.startsWith('gpt-') ? 0.1 : undefined
-      });
-      
-      // Extract content from response
-      content = response.output_text;
-      usage = response.usage;
-    } catch (error) {
-      console.error(`Error with responses API for model ${model}:`, error);
-      throw new Error(`Failed to process with model ${model}: ${error.message}`);
-    }
+    const results = [];
+    const failures = [];
+    for (const { segment, acquisition: part } of parts) {
+      const key = {
+        ...cacheKey,
+        fileHash: segment ? hashSegment(cacheKey.fileHash, segment.index) : cacheKey.fileHash,
+        textHash: hashText(part.text)
+      };
 
-    // Try to parse the JSON from the response
-    let extractedData;
-    try {
-      // First try direct JSON parsing
-      extractedData = JSON.parse(content);
-    } catch (firstError) {
-      try {
-        // If that fails, try to extract JSON from markdown code blocks
-        const jsonMatch = content.match(/```(?:json)?\s*([\s\S]*?)\s*```/) || 
-                         content.match(/\{[\s\S]*\}/);
-        
-        if (!jsonMatch) {
-          throw new Error('No valid JSON found in response');
+      let result = useCache ? await findCachedResult(key) : null;
+      if (!result) {
+        try {
+          const rules = useRules ? extractWithRules(part.text, classification.id) : undefined;
+          result = await exports.extractWithModel(part, model, provider, { rules, documentType: classification.id, fallback: true });
+        } catch (error) {
+          if (!segment) {
+            throw error;
+          }
+          // One unreadable account does not lose the others
+          console.error(`Error extracting account ${segment.account} with model ${model}:`, error);
+          failures.push(error);
+          result = { ...exports.buildFailedResult(model, error), provider: llm.name, documentType: classification.id };
         }
-
-        const jsonString = jsonMatch[1] || jsonMatch[0];
-        extractedData = JSON.parse(jsonString);
-      } catch (secondError) {
-        console.error("Failed to parse JSON from response:", content);
-        throw new Error('Failed to parse bill data from OpenAI response');
+        result.classification = classification;
+        result.textAcquisition = describeAcquisition(part);
+        if (!result.error) {
+          result.provenance = locateFields(result.data, result.validation, part);
+          // A fallback model's answer is not cached as the requested model's
+          if (useCache && result.model === model) {
+            await storeResult(key, result);
+          }
+        }
+        result.cache = describeMiss(key);
+      }
+      if (segment) {
+        result.segment = { ...segment, summaryPages };
       }
+      results.push(result);
     }
 
-    // Validate the extracted data
-    if (!extractedData || typeof extractedData !== 'object') {
-      throw new Error('Invalid data format received from OpenAI');
+    if (failures.length === parts.length) {
+      throw failures[0];
     }
-
-    // Clean up the temporary file
-    await fs.remove(fileData.path);
-
-    // Calculate pricing
-    const pricing = calculatePrice(model, usage);
-
-    // Return data, usage, and pricing information
-    return {
-      data: extractedData,
-      usage: {
-        prompt_tokens: usage.prompt_tokens || usage.input_tokens || 0,
-        completion_tokens: usage.completion_tokens || usage.output_tokens || 0,
-        total_tokens: usage.total_tokens || (
-          (usage.prompt_tokens || usage.input_tokens || 0) + 
-          (usage.completion_tokens || usage.output_tokens || 0)
-        )
-      },
-      pricing
-    };
+    return results;
   } catch (error) {
     console.error(`Error extracting bill data with model ${model}:`, error);
     throw error;
+  } finally {
+    // Clean up the temporary file
+    await fs.remove(fileData.path).catch(() => {});
   }
 };
 
 /**
- * Extract bill data from PDF using all available models
+ * Extract bill data from PDF using all available models. With a tenant, models
+ * with a cached result for the same bytes or text are not called again.
+ * The document type is taken from the request or detected; statements are not
+ * split, since the models' answers are compared for one bill.
+ *
+ * onProgress is called with the event name and its details as the work
+ * proceeds: 'text' once the text is extracted ({ classification, textAcquisition };
+ * not called when every model is answered from the cache by file hash),
+ * 'model.started' before a model is called and 'model.completed' or
+ * 'model.failed' when it finishes ({ model, index, total } and the result).
+ * When the signal aborts, the model call in progress is cancelled, the
+ * remaining models are skipped and the results finished so far are returned.
  * @param {Object} fileData - File data from multer
+ * @param {Object} [options] - Extraction options
+ * @param {string} [options.provider] - LLM provider, defaults to the configured provider
+ * @param {Array<string>} [options.models] - Models to run, defaults to all models of the provider
+ * @param {string} [options.tenant] - Tenant whose cache is used
+ * @param {boolean} [options.cache=true] - Whether cached results may be returned
+ * @param {string} [options.password] - Password of a protected PDF
+ * @param {string} [options.documentType] - Document type id, detected when not given
+ * @param {AbortSignal} [options.signal] - Cancels the remaining model calls
+ * @param {Function} [options.onProgress] - Called with (event, details) as text extraction and models finish
  * @returns {Promise<Array<Object>>} Array of results from all models
+ * @throws {Error} If the document cannot be read. The upload is deleted either way.
  */
-exports.extractBillDataWithAllModels = async (fileData) => {
+exports.extractBillDataWithAllModels = async (fileData, { provider, models, tenant, cache = true, password, documentType, signal, onProgress = () => {} } = {}) => {
   try {
-    // Create a temporary copy of the file for processing
-    const tempFilePath = fileData.path;
-    const pdfBuffer = await fs.readFile(tempFilePath);
-    
-    // Extract text from the PDF only once to avoid multiple parsing
-    const pdfData = await pdfParse(pdfBuffer);
-    const extractedText = pdfData.text;
-    
+    const llm = getProvider(provider);
+    models = models || await llm.listModels();
+
+    const cacheKey = {
+      tenant,
+      fileHash: await hashFile(fileData.path),
+      provider: llm.name,
+      promptVersion: PROMPT_VERSION,
+      rules: false,
+      documentType: documentType || 'auto'
+    };
+    const useCache = Boolean(tenant) && isCacheAvailable(cache);
+
+    // Extract text from the PDF only once to avoid multiple parsing, and only if a model needs it
+    let acquisition;
+    let classification;
+    const acquire = async () => {
+      if (!acquisition) {
+        acquisition = await exports.extractText(fileData.path, { password });
+        cacheKey.textHash = hashText(acquisition.text);
+        classification = resolveDocumentType(documentType, acquisition.text);
+        onProgress('text', { classification, textAcquisition: describeAcquisition(acquisition) });
+      }
+      return acquisition;
+    };
+
     // Process with each model sequentially
     const results = [];
     
-    for (const model of AVAILABLE_MODELS) {
-      try {
-        console.log(`Processing with model: ${model}`);
-        
-        // Record start time
-        const startTime = new Date();
-        const startTimeFormatted = startTime.toISOString();
-        
-        let response;
-        let content;
-        let usage;
-
-        try {
-          // Use responses.create API for all models
-          response = await openai.responses.create({
-            model: model,
-            input: [
-              {
-                role: "system",
-                content: "You are a helpful assistant that extracts information from electricity bills. You must return your response as a valid JSON object without any markdown formatting or code blocks."
-              },
-              {
-                role: "user",
-                content: `Extract the following fields from this electricity bill text and return ONLY a JSON object (no markdown, no \`\`\` blocks):\n\nRequired fields: Address, Arrears, BaCode, BillDate, BillDueDate, BilledUnit, BillFetchTimeStamp, BillMonth, BillNo, CanSerNo, CGST, CircleCode, CmrDt, CmrKwh, ConCat, ConnLd, ConnType, ConsumerName, ConsUnits, CurAmtPay, DiscCode, EleDuty, EngyChg, EntityCode, EntityType, Filename, FinalClosingReading, FinalConsUnits, FinalOpeningReading, FulCstAdj, FxdChg, GrosAmt, LastAmountpaid, LastAmountPaidDate, LtPaySurChg, MeterStatus, MetRent, MetrNo, MulFac, OmrDt, OmrKwh.\n\nBill text:\n${extractedText}`
-              }
-            ],
-            temperature: model.startsWith('gpt-') ? 0.1 : undefined
-          });
-
-          console.log(`Response received for model ${model}`);
-          console.log(`Response: ${JSON.stringify(response)}`);
-          console.log(response);
-
-          
-          // Extract content from response
-          content = response.output_text;
-          usage = response.usage;
-        } catch (error) {
-          console.error(`Error with responses API for model ${model}:`, error);
-          throw new Error(`Failed to process with model ${model}: ${error.message}`);
-        }
+    for (const [index, model] of models.entries()) {
+      if (signal && signal.aborted) {
+        break;
+      }
+      const progress = { model, index, total: models.length };
 
-        // Record end time
-        const endTime = new Date();
-        const endTimeFormatted = endTime.toISOString();
-        
-        // Calculate duration in milliseconds and seconds
-        const durationMs = endTime - startTime;
-        const durationSec = (durationMs / 1000).toFixed(2);
+      let result = useCache ? await findCachedResult({ ...cacheKey, model }) : null;
+      if (!result && useCache) {
+        await acquire();
+        result = await findCachedResult({ ...cacheKey, model });
+      }
+      if (result) {
+        results.push(result);
+        onProgress('model.completed', { ...progress, result });
+        continue;
+      }
 
-        // Try to parse the JSON from the response
-        let extractedData;
-        try {
-          // First try direct JSON parsing
-          extractedData = JSON.parse(content);
-        } catch (firstError) {
-          try {
-            // If that fails, try to extract JSON from markdown code blocks
-            const jsonMatch = content.match(/```(?:json)?\s*([\s\S]*?)\s*```/) || 
-                            content.match(/\{[\s\S]*\}/);
-            
-            if (!jsonMatch) {
-              throw new Error('No valid JSON found in response');
-            }
-
-            const jsonString = jsonMatch[1] || jsonMatch[0];
-            extractedData = JSON.parse(jsonString);
-          } catch (secondError) {
-            console.error(`Failed to parse JSON from ${model} response:`, content);
-            throw new Error(`Failed to parse bill data from ${model} response`);
-          }
-        }
-        
-        // Calculate pricing
-        const pricing = calculatePrice(model, usage);
-        
-        // Add result to array with timing information
-        results.push({
-          model,
-          data: extractedData,
-          usage: {
-            prompt_tokens: usage.prompt_tokens || usage.input_tokens || 0,
-            completion_tokens: usage.completion_tokens || usage.output_tokens || 0,
-            total_tokens: usage.total_tokens || (
-              (usage.prompt_tokens || usage.input_tokens || 0) + 
-              (usage.completion_tokens || usage.output_tokens || 0)
-            )
-          },
-          pricing,
-          timing: {
-            startTime: startTimeFormatted,
-            endTime: endTimeFormatted,
-            durationMs,
-            durationSec: `${durationSec} seconds`
-          },
-          processingTime: usage.total_ms || 0
-        });
-        
+      await acquire();
+      onProgress('model.started', progress);
+      try {
+        console.log(`Processing with model: ${model}`);
+        result = await exports.extractWithModel(acquisition, model, provider, { documentType: classification.id, signal });
       } catch (modelError) {
+        if (signal && signal.aborted) {
+          console.log(`Cancelled model ${model} and ${models.length - index - 1} remaining models`);
+          break;
+        }
         // If one model fails, add error information but continue with others
-        results.push({
-          model,
-          error: modelError.message,
-          data: null,
-          usage: null,
-          pricing: null,
-          timing: {
-            startTime: new Date().toISOString(),
-            endTime: new Date().toISOString(),
-            durationMs: 0,
-            durationSec: "0.00 seconds"
-          }
-        });
+        result = { ...exports.buildFailedResult(model, modelError), documentType: classification.id };
+      }
+      result.classification = classification;
+      result.textAcquisition = describeAcquisition(acquisition);
+      if (!result.error) {
+        result.provenance = locateFields(result.data, result.validation, acquisition);
+        if (useCache) {
+          await storeResult({ ...cacheKey, model }, result);
+        }
       }
+      result.cache = describeMiss(cacheKey);
+      results.push(result);
+      onProgress(result.error ? 'model.failed' : 'model.completed', { ...progress, result });
     }
     
-    // Clean up the original file after all processing is complete
-    await fs.remove(fileData.path);
-    
     return results;
   } catch (error) {
     console.error("Error processing with all models:", error);
-    
-    // Clean up the file in case of error
-    if (fileData.path) {
-      await fs.remove(fileData.path).catch(() => {});
-    }
-    
     throw error;
+  } finally {
+    // Clean up the original file whether processing succeeded or not
+    await fs.remove(fileData.path).catch(() => {});
   }
-};
\ No newline at end of file
+};
+
+exports.PROMPT_VERSION = PROMPT_VERSION;
@@ -0,0 +1,209 @@
+/**
+ * Provenance service
+ *
+ * Finds where each extracted value appears in the document so reviewers can
+ * check it against the source. A value is first searched for as the model
+ * wrote it, then by meaning (numbers, dates and months in any of the formats
+ * the schema understands). Values that cannot be found anywhere in the
+ * document text are flagged as possibly hallucinated.
+ */
+const { ALL_FIELDS, parseNumber, parseDate, parseMonth } = require('./billSchemaService');
+
+// Characters of surrounding text returned with each match
+const CONTEXT_CHARS = 40;
+
+// Separators allowed between the words of a string value, e.g. line breaks or punctuation
+const WORD_SEPARATOR = '[^A-Za-z0-9]{0,10}';
+
+const NUMBER_PATTERN = /\d[\d,]*(?:\.\d+)?/g;
+const DATE_PATTERNS = [
+  /\d{4}[-/.]\d{1,2}[-/.]\d{1,2}/g,
+  /\d{1,2}[-/.]\d{1,2}[-/.]\d{2,4}/g,
+  /\d{1,2}(?:st|nd|rd|th)?[-\s/]+[A-Za-z]{3,9}[-\s/,]+\d{2,4}/g,
+  /[A-Za-z]{3,9}[-\s]+\d{1,2}(?:st|nd|rd|th)?,?[-\s]+\d{4}/g
+];
+const MONTH_PATTERNS = [
+  /\d{4}[-/.]\d{1,2}(?![-/.]?\d)/g,
+  /(?<![\d/.-])\d{1,2}[-/.]\d{4}/g,
+  /[A-Za-z]{3,9}[-\s/,']+\d{2,4}/g
+];
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value - Literal text
+ * @returns {string} Escaped text
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Find the first match of a pattern
+ * @param {string} text - Document text
+ * @param {RegExp} pattern - Pattern to search for
+ * @returns {Object|null} { start, end } or null
+ */
+const firstMatch = (text, pattern) => {
+  const match = pattern.exec(text);
+  return match ? { start: match.index, end: match.index + match[0].length } : null;
+};
+
+/**
+ * Find the first token matched by one of the patterns that satisfies a test
+ * @param {string} text - Document text
+ * @param {Array<RegExp>} patterns - Global token patterns
+ * @param {Function} test - Returns whether a token matches the value
+ * @returns {Object|null} { start, end } of the earliest matching token or null
+ */
+const firstToken = (text, patterns, test) => {
+  let best = null;
+  for (const pattern of patterns) {
+    for (const match of text.matchAll(pattern)) {
+      if (best && match.index >= best.start) {
+        break;
+      }
+      if (test(match[0])) {
+        best = { start: match.index, end: match.index + match[0].length };
+        break;
+      }
+    }
+  }
+  return best;
+};
+
+/**
+ * Search for a value as it was written, tolerating differences in whitespace
+ * @param {string} text - Document text
+ * @param {string} raw - Value as returned by the model
+ * @returns {Object|null} { start, end } or null
+ */
+const findLiteral = (text, raw) => {
+  const words = String(raw).trim().split(/\s+/).filter(Boolean);
+  if (!words.length) {
+    return null;
+  }
+  // Digits must not continue a longer number, e.g. "66" inside "1,066.00"
+  const before = /^\d/.test(words[0]) ? '(?<![\\d.,])' : '';
+  const after = /\d$/.test(words[words.length - 1]) ? '(?![\\d]|[.,]\\d)' : '';
+  return firstMatch(text, new RegExp(before + words.map(escapeRegExp).join('\\s*') + after, 'i'));
+};
+
+/**
+ * Search for a normalized value by meaning
+ * @param {string} text - Document text
+ * @param {Object} field - Field definition
+ * @param {any} value - Normalized value
+ * @returns {Object|null} { start, end } or null
+ */
+const findValue = (text, field, value) => {
+  switch (field.type) {
+    case 'amount':
+    case 'number':
+    case 'reading':
+      // Signs are often written apart from the number ("Cr", brackets), so compare magnitudes
+      return firstToken(text, [NUMBER_PATTERN], token => Math.abs(parseNumber(token) - Math.abs(value)) < 0.005);
+    case 'date':
+      return firstToken(text, DATE_PATTERNS, token => parseDate(token) === value);
+    case 'datetime':
+      return firstToken(text, DATE_PATTERNS, token => parseDate(token) === value.slice(0, 10));
+    case 'month':
+      // A full date only counts when the month is not written on its own
+      return firstToken(text, MONTH_PATTERNS, token => parseMonth(token) === value) ||
+        firstToken(text, DATE_PATTERNS, token => parseDate(token) && parseDate(token).slice(0, 7) === value);
+    default: {
+      const words = String(value).match(/[A-Za-z0-9]+/g);
+      return words ? firstMatch(text, new RegExp(words.join(WORD_SEPARATOR), 'i')) : null;
+    }
+  }
+};
+
+/**
+ * Page and bounding box of a span of the document text
+ * @param {Array<Object>} layout - Page layout from pdfService.extractText
+ * @param {number} start - Start offset in the document text
+ * @param {number} end - End offset in the document text
+ * @returns {Object} { page, bbox, pageSize }; bbox is null for pages without a text layer
+ */
+const locateSpan = (layout, start, end) => {
+  const page = (layout || []).find(entry => start >= entry.offset && start <= entry.offset + entry.length);
+  if (!page) {
+    return { page: null, bbox: null, pageSize: null };
+  }
+
+  const localStart = start - page.offset;
+  const localEnd = end - page.offset;
+  const items = page.items.filter(item => item.start < localEnd && item.end > localStart);
+  if (!items.length) {
+    return { page: page.page, bbox: null, pageSize: page.size };
+  }
+
+  const left = Math.min(...items.map(item => item.x));
+  const top = Math.min(...items.map(item => item.y));
+  const right = Math.max(...items.map(item => item.x + item.width));
+  const bottom = Math.max(...items.map(item => item.y + item.height));
+  const round = value => Math.round(value * 100) / 100;
+
+  return {
+    page: page.page,
+    bbox: { x: round(left), y: round(top), width: round(right - left), height: round(bottom - top), unit: 'pt' },
+    pageSize: page.size
+  };
+};
+
+/**
+ * Locate every extracted value in the document
+ * @param {Object} data - Normalized bill data
+ * @param {Object} validation - Validation report, whose raw values are searched first
+ * @param {Object} acquisition - Result of pdfService.extractText (text and layout)
+ * @returns {Object} Summary and per-field provenance: page, matched text with context,
+ *   character offsets in the document text, bounding box (PDF points from the top-left
+ *   of the page, text-layer pages only) and whether the value may be hallucinated
+ */
+exports.locateFields = (data, validation, acquisition) => {
+  const text = (acquisition && acquisition.text) || '';
+  const layout = acquisition && acquisition.layout;
+  const fields = {};
+
+  for (const field of ALL_FIELDS) {
+    const value = data && data[field.name];
+    if (field.system || value === null || value === undefined) {
+      continue;
+    }
+
+    const report = validation && validation.fields && validation.fields[field.name];
+    const raw = report && report.raw !== undefined ? report.raw : value;
+    let matchedBy = 'literal';
+    let span = findLiteral(text, raw);
+    if (!span) {
+      matchedBy = 'value';
+      span = findValue(text, field, value);
+    }
+
+    if (!span) {
+      fields[field.name] = { status: 'not-found', possiblyHallucinated: true };
+      continue;
+    }
+
+    fields[field.name] = {
+      status: 'located',
+      matchedBy,
+      ...locateSpan(layout, span.start, span.end),
+      text: text.slice(span.start, span.end),
+      context: text.slice(Math.max(0, span.start - CONTEXT_CHARS), span.end + CONTEXT_CHARS),
+      start: span.start,
+      end: span.end,
+      possiblyHallucinated: false
+    };
+  }
+
+  return { summary: exports.summarize(fields), fields };
+};
+
+/**
+ * Summarize per-field provenance
+ * @param {Object} fields - Per-field provenance
+ * @returns {Object} { located, notFound, possiblyHallucinated }
+ */
+exports.summarize = (fields) => {
+  const entries = Object.entries(fields);
+  const flagged = entries.filter(([, entry]) => entry.possiblyHallucinated).map(([name]) => name);
+  return { located: entries.length - flagged.length, notFound: flagged.length, possiblyHallucinated: flagged };
+};
@@ -0,0 +1,95 @@
+/**
+ * LLM provider registry
+ *
+ * The replay provider serves recorded responses and is only available in
+ * tests or with LLM_REPLAY_ENABLED=true, so uploads cannot ask for canned bills.
+ *
+ * Every provider exposes the same interface:
+ *   name, defaultModel
+ *   listModels() => Promise<Array<string>>
+ *   complete({ model, system, user, schema?, signal? }) => Promise<{ text, usage, rawUsage }>
+ *   normalizeUsage(usage) => { prompt_tokens, completion_tokens, total_tokens, cached_tokens, reasoning_tokens }
+ *   calculatePrice(model, usage) => pricing object with display costs and numeric cost.total in USD
+ *
+ * Providers returned by getProvider call their models through the resilience
+ * layer (timeouts, retries, circuit breaker, concurrency caps), and their
+ * completions also carry the number of calls made as attempts.
+ */
+const openaiProvider = require('./openaiProvider');
+const localProvider = require('./localProvider');
+const replayProvider = require('./replayProvider');
+const { withResilience } = require('./resilience');
+
+const REPLAY_ENABLED = process.env.NODE_ENV === 'test' || process.env.LLM_REPLAY_ENABLED === 'true';
+
+const PROVIDERS = new Map([
+  [openaiProvider.name, openaiProvider],
+  [localProvider.name, localProvider],
+  ...(REPLAY_ENABLED ? [[replayProvider.name, replayProvider]] : [])
+]);
+
+const DEFAULT_PROVIDER = process.env.LLM_PROVIDER || 'openai';
+
+/**
+ * Wrap a live provider so every completion is also saved as a replay fixture
+ * @param {Object} provider - Provider to wrap
+ * @returns {Object} Recording provider
+ */
+const withRecording = (provider) => {
+  return {
+    ...provider,
+    complete: async (request) => {
+      const result = await provider.complete(request);
+      await replayProvider.record(request, result);
+      return result;
+    }
+  };
+};
+
+/**
+ * Get a provider by name
+ * @param {string} [name] - Provider name, defaults to LLM_PROVIDER or 'openai'
+ * @returns {Object} Provider, calling its models through the resilience layer
+ * @throws {Error} With statusCode 400 if the provider is unknown
+ */
+exports.getProvider = (name = DEFAULT_PROVIDER) => {
+  const provider = PROVIDERS.get(name || DEFAULT_PROVIDER);
+  if (!provider) {
+    const error = new Error(`Unknown provider: ${name}. Available providers: ${exports.listProviders().join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  if (process.env.LLM_RECORD_FIXTURES === 'true' && provider !== replayProvider) {
+    return withResilience(withRecording(provider));
+  }
+  return withResilience(provider);
+};
+
+/**
+ * Resolve and check a provider/model pair from request input
+ * @param {string} [providerName] - Provider name
+ * @param {string} [model] - Model name, defaults to the provider's default model
+ * @returns {Promise<Object>} Provider and model
+ * @throws {Error} With statusCode 400 if the provider or model is unknown
+ */
+exports.resolveModel = async (providerName, model) => {
+  const provider = exports.getProvider(providerName);
+  const resolvedModel = model || provider.defaultModel;
+  const models = await provider.listModels();
+
+  if (!models.includes(resolvedModel)) {
+    const error = new Error(`Unknown model for provider ${provider.name}: ${resolvedModel}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return { provider, model: resolvedModel };
+};
+
+/**
+ * Names of the registered providers
+ * @returns {Array<string>} Provider names
+ */
+exports.listProviders = () => [...PROVIDERS.keys()];
+
+exports.DEFAULT_PROVIDER = DEFAULT_PROVIDER;
@@ -0,0 +1,96 @@
+/**
+ * OpenAI-compatible local provider (Ollama, vLLM, LM Studio, ...)
+ *
+ * Local servers implement the chat completions endpoint rather than the
+ * responses API, so requests go through chat.completions.
+ */
+const { OpenAI } = require('openai');
+const { normalizeUsage, freePrice } = require('./usage');
+const registry = require('../modelRegistryService');
+
+const BASE_URL = process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1';
+
+let client = null;
+
+/**
+ * Get the client for the local endpoint
+ * @returns {OpenAI} OpenAI SDK client pointed at the local server
+ */
+const getClient = () => {
+  if (!client) {
+    client = new OpenAI({
+      baseURL: BASE_URL,
+      // Local servers ignore the key but the SDK requires one
+      apiKey: process.env.LOCAL_LLM_API_KEY || 'local',
+      // Retries are handled by the resilience layer (see resilience.js)
+      maxRetries: 0
+    });
+  }
+  return client;
+};
+
+exports.name = 'local';
+exports.defaultModel = process.env.LOCAL_LLM_DEFAULT_MODEL || 'llama3.1';
+
+/**
+ * List the models served by the local endpoint
+ * @returns {Promise<Array<string>>} Model names
+ */
+exports.listModels = async () => {
+  if (process.env.LOCAL_LLM_MODELS) {
+    return process.env.LOCAL_LLM_MODELS.split(',').map(model => model.trim()).filter(Boolean);
+  }
+  const page = await getClient().models.list();
+  return page.data.map(model => model.id);
+};
+
+/**
+ * Run a completion
+ * @param {Object} request - Completion request
+ * @param {string} request.model - Model name
+ * @param {string} request.system - System prompt
+ * @param {string} request.user - User prompt
+ * @param {Object} [request.schema] - { name, schema } JSON schema the response must follow, if the model supports it
+ * @param {AbortSignal} [request.signal] - Aborts the API call
+ * @returns {Promise<Object>} Response text, normalized usage and raw usage
+ */
+exports.complete = async ({ model, system, user, schema, signal }) => {
+  const capabilities = registry.getCapabilities(exports.name, model);
+
+  let responseFormat;
+  if (schema && capabilities.structuredOutputs) {
+    responseFormat = { type: 'json_schema', json_schema: { name: schema.name, schema: schema.schema, strict: true } };
+  } else if (capabilities.jsonMode) {
+    responseFormat = { type: 'json_object' };
+  }
+  const response = await getClient().chat.completions.create({
+    model,
+    messages: [
+      { role: 'system', content: system },
+      { role: 'user', content: user }
+    ],
+    temperature: capabilities.temperature ? 0.1 : undefined,
+    response_format: responseFormat
+  }, { signal });
+
+  return {
+    text: response.choices[0] ? response.choices[0].message.content : '',
+    usage: normalizeUsage(response.usage),
+    rawUsage: response.usage || {}
+  };
+};
+
+exports.normalizeUsage = normalizeUsage;
+
+/**
+ * Calculate price for a local model: free unless the model registry prices it
+ * @param {string} model - Model name
+ * @param {Object} usage - Token usage information (raw or normalized)
+ * @returns {Object} Price calculations
+ */
+exports.calculatePrice = (model, usage) => {
+  if (registry.hasModel(exports.name, model)) {
+    return registry.calculatePrice(exports.name, model, normalizeUsage(usage));
+  }
+  return freePrice(model);
+};
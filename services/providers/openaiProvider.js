@@ -0,0 +1,89 @@
+/**
+ * OpenAI provider
+ */
+const { OpenAI } = require('openai');
+const { normalizeUsage } = require('./usage');
+const registry = require('../modelRegistryService');
+
+const PROVIDER_NAME = 'openai';
+
+let client = null;
+
+/**
+ * Get the OpenAI client, creating it on first use so other providers work without an API key
+ * @returns {OpenAI} OpenAI client
+ */
+const getClient = () => {
+  if (!client) {
+    client = new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY,
+      // Retries are handled by the resilience layer (see resilience.js)
+      maxRetries: 0
+    });
+  }
+  return client;
+};
+
+exports.name = PROVIDER_NAME;
+// Pick the default from a benchmark report (npm run benchmark)
+exports.defaultModel = process.env.OPENAI_DEFAULT_MODEL || 'o3-mini';
+
+/**
+ * List the models this provider can serve
+ * @returns {Promise<Array<string>>} Model names
+ */
+exports.listModels = async () => registry.listModels(PROVIDER_NAME);
+
+/**
+ * Run a completion
+ * @param {Object} request - Completion request
+ * @param {string} request.model - Model name
+ * @param {string} request.system - System prompt
+ * @param {string} request.user - User prompt
+ * @param {Object} [request.schema] - { name, schema } JSON schema the response must follow, if the model supports it
+ * @param {AbortSignal} [request.signal] - Aborts the API call
+ * @returns {Promise<Object>} Response text, normalized usage and raw usage
+ */
+exports.complete = async ({ model, system, user, schema, signal }) => {
+  const capabilities = registry.getCapabilities(PROVIDER_NAME, model);
+
+  let format;
+  if (schema && capabilities.structuredOutputs) {
+    format = { type: 'json_schema', name: schema.name, schema: schema.schema, strict: true };
+  } else if (capabilities.jsonMode) {
+    format = { type: 'json_object' };
+  }
+
+  // Use responses.create API for all models
+  const response = await getClient().responses.create({
+    model: model,
+    input: [
+      {
+        role: "system",
+        content: system
+      },
+      {
+        role: "user",
+        content: user
+      }
+    ],
+    temperature: capabilities.temperature ? 0.1 : undefined,
+    text: format ? { format } : undefined
+  }, { signal });
+
+  return {
+    text: response.output_text,
+    usage: normalizeUsage(response.usage),
+    rawUsage: response.usage || {}
+  };
+};
+
+exports.normalizeUsage = normalizeUsage;
+
+/**
+ * Calculate price based on token usage and model, using the model registry
+ * @param {string} model - The GPT model being used
+ * @param {Object} usage - Token usage information (raw or normalized)
+ * @returns {Object} Price calculations
+ */
+exports.calculatePrice = (model, usage) => registry.calculatePrice(PROVIDER_NAME, model, normalizeUsage(usage));
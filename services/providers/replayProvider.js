@@ -0,0 +1,104 @@
+/**
+ * Fixture replay provider
+ *
+ * Serves recorded responses from disk so the whole pipeline runs without
+ * network access or an API key. A fixture is looked up by the hash of the
+ * request (model + prompts), then by model name, then, only with
+ * REPLAY_DEFAULT_FIXTURE=true, falls back to default.json. Fixtures are
+ * recorded from a live provider by setting LLM_RECORD_FIXTURES=true.
+ * Replayed calls cost nothing and are priced at zero.
+ */
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs-extra');
+const { normalizeUsage, freePrice } = require('./usage');
+const openaiProvider = require('./openaiProvider');
+
+const FIXTURES_DIR = process.env.REPLAY_FIXTURES_DIR || path.join(__dirname, '../../fixtures/replay');
+// Whether requests without a recorded response get the canned default.json answer
+const USE_DEFAULT_FIXTURE = process.env.REPLAY_DEFAULT_FIXTURE === 'true';
+
+/**
+ * Hash a completion request into a stable fixture key
+ * @param {Object} request - Completion request
+ * @returns {string} SHA-256 hex digest
+ */
+const fixtureKey = ({ model, system, user }) => {
+  return crypto.createHash('sha256').update(JSON.stringify({ model, system, user })).digest('hex');
+};
+
+/**
+ * Read the first fixture file that exists
+ * @param {Array<string>} names - Candidate file names, in order of preference
+ * @returns {Promise<Object|null>} Fixture or null if none exists
+ */
+const readFirstFixture = async (names) => {
+  for (const name of names) {
+    const file = path.join(FIXTURES_DIR, name);
+    if (await fs.pathExists(file)) {
+      return fs.readJson(file);
+    }
+  }
+  return null;
+};
+
+exports.name = 'replay';
+exports.defaultModel = 'o3-mini';
+
+/**
+ * List the models fixtures are replayed for
+ * @returns {Promise<Array<string>>} Model names
+ */
+exports.listModels = async () => openaiProvider.listModels();
+
+/**
+ * Replay a recorded completion
+ * @param {Object} request - Completion request
+ * @returns {Promise<Object>} Response text, normalized usage and raw usage
+ * @throws {Error} If no fixture matches the request or the request was aborted
+ */
+exports.complete = async (request) => {
+  if (request.signal && request.signal.aborted) {
+    throw new Error('Request was aborted.');
+  }
+  const fixture = await readFirstFixture([
+    `${fixtureKey(request)}.json`,
+    `${request.model}.json`,
+    ...(USE_DEFAULT_FIXTURE ? ['default.json'] : [])
+  ]);
+
+  if (!fixture) {
+    throw new Error(`No replay fixture found for model ${request.model} in ${FIXTURES_DIR}`);
+  }
+
+  return {
+    text: fixture.text,
+    usage: normalizeUsage(fixture.usage),
+    rawUsage: fixture.usage || {}
+  };
+};
+
+/**
+ * Record a live completion as a fixture
+ * @param {Object} request - Completion request
+ * @param {Object} result - Completion result
+ * @returns {Promise<string>} Path of the written fixture
+ */
+exports.record = async (request, result) => {
+  const file = path.join(FIXTURES_DIR, `${fixtureKey(request)}.json`);
+  await fs.outputJson(file, {
+    model: request.model,
+    text: result.text,
+    usage: result.rawUsage
+  }, { spaces: 2 });
+  return file;
+};
+
+exports.normalizeUsage = normalizeUsage;
+
+/**
+ * Price a replayed call: nothing was billed
+ * @param {string} model - Model name
+ * @returns {Object} Zero pricing
+ */
+exports.calculatePrice = (model) => freePrice(model);
@@ -0,0 +1,322 @@
+/**
+ * Model call resilience
+ *
+ * Wraps a provider's complete() so every model call gets:
+ * - a timeout (registry resilience.timeoutMs, else MODEL_TIMEOUT_MS);
+ * - retries of rate limits, server errors, network errors and timeouts with
+ *   exponential backoff, waiting as long as Retry-After asks when the
+ *   provider sends it (up to MODEL_RETRY_MAX_DELAY_MS);
+ * - a circuit breaker per model that fails calls fast for CIRCUIT_RESET_MS
+ *   after CIRCUIT_FAILURE_THRESHOLD transient failures in a row, then lets
+ *   one trial call through;
+ * - a cap on concurrent calls per model (registry resilience.maxConcurrency,
+ *   else MODEL_MAX_CONCURRENCY); calls over the cap wait for a free slot.
+ * Calls that still fail carry statusCode 503 (504 for timeouts) and
+ * fallback: true, so callers can move on to a fallback model.
+ */
+const registry = require('../modelRegistryService');
+const { httpError } = require('../../utils/helpers');
+
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.MODEL_TIMEOUT_MS, 10) || 120000;
+const DEFAULT_MAX_CONCURRENCY = parseInt(process.env.MODEL_MAX_CONCURRENCY, 10) || 4;
+const MAX_RETRIES = Math.max(parseInt(process.env.MODEL_MAX_RETRIES, 10) || 2, 0);
+const RETRY_BASE_DELAY_MS = parseInt(process.env.MODEL_RETRY_BASE_DELAY_MS, 10) || 1000;
+const RETRY_MAX_DELAY_MS = parseInt(process.env.MODEL_RETRY_MAX_DELAY_MS, 10) || 30000;
+const CIRCUIT_FAILURE_THRESHOLD = parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD, 10) || 5;
+const CIRCUIT_RESET_MS = parseInt(process.env.CIRCUIT_RESET_MS, 10) || 30000;
+
+// Circuit and concurrency state per provider/model
+const circuits = new Map();
+const slots = new Map();
+
+/**
+ * Wait for a number of milliseconds, or until the signal aborts
+ * @param {number} ms - Delay
+ * @param {AbortSignal} [signal] - Ends the wait early
+ * @returns {Promise<void>}
+ */
+const sleep = (ms, signal) => new Promise(resolve => {
+  const timer = setTimeout(resolve, ms);
+  if (signal) {
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  }
+});
+
+/**
+ * Check whether a model call error is worth retrying
+ * @param {Error} error - Error thrown by the model call
+ * @returns {boolean} Whether the error is transient
+ */
+exports.isTransientError = (error) => {
+  // Calls that ran out of retries here or hit an open circuit may succeed later
+  if (error.fallback || error.status === 429 || error.status >= 500) {
+    return true;
+  }
+  return ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN'].includes(error.code) ||
+    error.name === 'APIConnectionError' || error.name === 'APIConnectionTimeoutError';
+};
+
+/**
+ * Delay the provider asked for before the next call
+ * @param {Error} error - Error thrown by the model call
+ * @returns {number|null} Delay in milliseconds, or null if the provider did not say
+ */
+const retryAfterMs = (error) => {
+  const headers = error.headers || {};
+  const header = name => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+
+  const milliseconds = parseFloat(header('retry-after-ms'));
+  if (Number.isFinite(milliseconds) && milliseconds >= 0) {
+    return milliseconds;
+  }
+  const value = header('retry-after');
+  if (!value) {
+    return null;
+  }
+  const seconds = parseFloat(value);
+  if (Number.isFinite(seconds) && seconds >= 0) {
+    return seconds * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+};
+
+/**
+ * Resilience settings of a model
+ * @param {string} provider - Provider name
+ * @param {string} model - Model name
+ * @returns {Object} Timeout and concurrency cap
+ */
+const settingsOf = (provider, model) => {
+  const configured = registry.getResilience(provider, model);
+  return {
+    timeoutMs: configured.timeoutMs || DEFAULT_TIMEOUT_MS,
+    maxConcurrency: configured.maxConcurrency || DEFAULT_MAX_CONCURRENCY
+  };
+};
+
+/**
+ * Circuit of a model, created closed on first use
+ * @param {string} key - provider/model
+ * @returns {Object} Circuit state
+ */
+const circuitOf = (key) => {
+  if (!circuits.has(key)) {
+    circuits.set(key, { state: 'closed', failures: 0, openedAt: null, probing: false });
+  }
+  return circuits.get(key);
+};
+
+/**
+ * Let a call through the circuit or fail it fast
+ * @param {string} key - provider/model
+ * @throws {Error} With statusCode 503 while the circuit is open
+ */
+const enterCircuit = (key) => {
+  const circuit = circuitOf(key);
+  if (circuit.state === 'open' && Date.now() - circuit.openedAt >= CIRCUIT_RESET_MS) {
+    circuit.state = 'half-open';
+  }
+  if (circuit.state === 'closed') {
+    return;
+  }
+  if (circuit.state === 'half-open' && !circuit.probing) {
+    // One trial call decides whether the model is back
+    circuit.probing = true;
+    return;
+  }
+  const error = httpError(`Model ${key} is unavailable after repeated failures; calls are paused`, 503);
+  error.fallback = true;
+  error.circuitOpen = true;
+  error.retryAfter = Math.ceil(Math.max(CIRCUIT_RESET_MS - (Date.now() - circuit.openedAt), 0) / 1000);
+  throw error;
+};
+
+/**
+ * Record the outcome of a call that went through the circuit. Only a successful
+ * call closes it; an error that is not transient (e.g. a rejected request) says
+ * nothing about the model, so it neither counts as a failure nor resets the
+ * count, and a half-open circuit waits for the next trial call.
+ * @param {string} key - provider/model
+ * @param {string} outcome - 'success', 'transient' or 'rejected'
+ * @returns {void}
+ */
+const leaveCircuit = (key, outcome) => {
+  const circuit = circuitOf(key);
+  circuit.probing = false;
+  if (outcome === 'rejected') {
+    return;
+  }
+  if (outcome === 'success') {
+    circuit.state = 'closed';
+    circuit.failures = 0;
+    circuit.openedAt = null;
+    return;
+  }
+  circuit.failures++;
+  if (circuit.state === 'half-open' || circuit.failures >= CIRCUIT_FAILURE_THRESHOLD) {
+    if (circuit.state !== 'open') {
+      console.warn(`Circuit for model ${key} opened after ${circuit.failures} failures`);
+    }
+    circuit.state = 'open';
+    circuit.openedAt = Date.now();
+  }
+};
+
+/**
+ * Wait for a free call slot of a model
+ * @param {string} key - provider/model
+ * @param {number} limit - Concurrent calls allowed
+ * @param {AbortSignal} [signal] - Gives up waiting
+ * @returns {Promise<Function>} Releases the slot
+ */
+const acquireSlot = async (key, limit, signal) => {
+  if (!slots.has(key)) {
+    slots.set(key, { active: 0, waiting: [] });
+  }
+  const pool = slots.get(key);
+
+  while (pool.active >= limit) {
+    if (signal && signal.aborted) {
+      throw new Error('Request was aborted.');
+    }
+    await new Promise(resolve => {
+      const onAbort = () => {
+        // Leave the queue so the next release wakes a caller that still waits
+        const index = pool.waiting.indexOf(wake);
+        if (index !== -1) {
+          pool.waiting.splice(index, 1);
+        }
+        resolve();
+      };
+      const wake = () => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        resolve();
+      };
+      pool.waiting.push(wake);
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+
+  pool.active++;
+  return () => {
+    pool.active--;
+    const next = pool.waiting.shift();
+    if (next) {
+      next();
+    }
+  };
+};
+
+/**
+ * Error for a call that ran out of retries
+ * @param {string} key - provider/model
+ * @param {Error} error - Last error
+ * @param {number} attempts - Calls made
+ * @param {number|null} retryAfter - Delay the provider asked for, in milliseconds
+ * @returns {Error} Error with statusCode 503, or 504 for timeouts
+ */
+const exhaustedError = (key, error, attempts, retryAfter) => {
+  const timedOut = error.code === 'ETIMEDOUT';
+  const reason = error.status === 429 ? 'is rate limited' : (timedOut ? 'timed out' : 'is unavailable');
+  const exhausted = httpError(`Model ${key} ${reason} after ${attempts} attempt${attempts === 1 ? '' : 's'}: ${error.message}`, timedOut ? 504 : 503);
+  exhausted.status = error.status;
+  exhausted.code = error.code;
+  exhausted.fallback = true;
+  exhausted.attempts = attempts;
+  if (retryAfter !== null) {
+    exhausted.retryAfter = Math.ceil(retryAfter / 1000);
+  }
+  return exhausted;
+};
+
+/**
+ * Run one completion with a timeout, retries, circuit breaker and concurrency cap
+ * @param {Object} provider - Provider to call
+ * @param {Object} request - Completion request, as taken by provider.complete
+ * @returns {Promise<Object>} Completion with the number of calls made as attempts
+ * @throws {Error} The provider's error for requests that cannot succeed, or an
+ *   error with statusCode 503/504 and fallback: true once retries are used up
+ */
+const completeResiliently = async (provider, request) => {
+  const key = `${provider.name}/${request.model}`;
+  const { timeoutMs, maxConcurrency } = settingsOf(provider.name, request.model);
+  const release = await acquireSlot(key, maxConcurrency, request.signal);
+
+  try {
+    for (let attempt = 1; ; attempt++) {
+      enterCircuit(key);
+
+      const timeout = AbortSignal.timeout(timeoutMs);
+      const signal = request.signal ? AbortSignal.any([request.signal, timeout]) : timeout;
+      let error;
+      try {
+        const completion = await provider.complete({ ...request, signal });
+        leaveCircuit(key, 'success');
+        return { ...completion, attempts: attempt };
+      } catch (callError) {
+        error = callError;
+      }
+
+      if (request.signal && request.signal.aborted) {
+        // A cancelled call says nothing about the model
+        circuitOf(key).probing = false;
+        throw error;
+      }
+      if (timeout.aborted) {
+        const timedOut = new Error(`Model ${key} did not answer within ${timeoutMs}ms`);
+        timedOut.code = 'ETIMEDOUT';
+        error = timedOut;
+      }
+
+      const transient = exports.isTransientError(error);
+      leaveCircuit(key, transient ? 'transient' : 'rejected');
+      if (!transient) {
+        throw error;
+      }
+
+      const retryAfter = retryAfterMs(error);
+      const delay = retryAfter !== null ? retryAfter : RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+      if (attempt > MAX_RETRIES || delay > RETRY_MAX_DELAY_MS) {
+        throw exhaustedError(key, error, attempt, retryAfter);
+      }
+      console.warn(`Transient error from ${key}, retrying in ${Math.round(delay)}ms (attempt ${attempt}/${MAX_RETRIES + 1}): ${error.message}`);
+      await sleep(delay, request.signal);
+    }
+  } finally {
+    release();
+  }
+};
+
+/**
+ * Wrap a provider so its completions go through the resilience layer
+ * @param {Object} provider - Provider to wrap
+ * @returns {Object} Provider whose complete() resolves with attempts
+ */
+exports.withResilience = (provider) => ({
+  ...provider,
+  complete: request => completeResiliently(provider, request)
+});
+
+/**
+ * Describe the circuits of the models called so far
+ * @returns {Array<Object>} Per model: state, consecutive failures and when the circuit opened
+ */
+exports.describeCircuits = () => [...circuits.entries()].map(([key, circuit]) => {
+  const pool = slots.get(key);
+  return {
+    model: key,
+    state: circuit.state === 'open' && Date.now() - circuit.openedAt >= CIRCUIT_RESET_MS ? 'half-open' : circuit.state,
+    failures: circuit.failures,
+    openedAt: circuit.openedAt ? new Date(circuit.openedAt) : null,
+    activeCalls: pool ? pool.active : 0,
+    waitingCalls: pool ? pool.waiting.length : 0
+  };
+});
@@ -0,0 +1,92 @@
+/**
+ * Token usage helpers shared by providers
+ */
+
+/**
+ * Normalize token usage across API response formats
+ * (chat completions report prompt/completion tokens, responses report input/output tokens)
+ * @param {Object} usage - Usage object from the API
+ * @returns {Object} prompt, completion and total token counts, plus the cached
+ *   prompt tokens and the reasoning tokens included in the completion
+ */
+exports.normalizeUsage = (usage) => {
+  if (!usage || typeof usage !== 'object') {
+    return { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, cached_tokens: 0, reasoning_tokens: 0 };
+  }
+  const promptTokens = usage.prompt_tokens || usage.input_tokens || 0;
+  const completionTokens = usage.completion_tokens || usage.output_tokens || 0;
+  const inputDetails = usage.input_tokens_details || usage.prompt_tokens_details || {};
+  const outputDetails = usage.output_tokens_details || usage.completion_tokens_details || {};
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: usage.total_tokens || (promptTokens + completionTokens),
+    cached_tokens: usage.cached_tokens || inputDetails.cached_tokens || 0,
+    reasoning_tokens: usage.reasoning_tokens || outputDetails.reasoning_tokens || 0
+  };
+};
+
+/**
+ * Add up the normalized usage of several calls
+ * @param {Object} total - Usage so far
+ * @param {Object} usage - Usage of one call
+ * @returns {Object} Combined usage
+ */
+exports.addUsage = (total, usage) => {
+  const combined = {};
+  for (const key of Object.keys(total)) {
+    combined[key] = total[key] + ((usage && usage[key]) || 0);
+  }
+  return combined;
+};
+
+/**
+ * Add up the costs of several results, each priced at the rate of the model that served it
+ * @param {Array<Object|null>} pricings - Pricing objects from calculatePrice; null for results without billed calls
+ * @returns {Object} Total cost in USD and whether every priced call had a known rate
+ */
+exports.sumPricing = (pricings) => {
+  const known = pricings.filter(Boolean);
+  const total = known.reduce((sum, pricing) => sum + exports.totalCost(pricing), 0);
+  return {
+    priced: known.every(pricing => pricing.priced !== false),
+    costs: { totalCost: `$${total.toFixed(6)}` },
+    cost: { currency: 'USD', total: Math.round(total * 1e9) / 1e9 }
+  };
+};
+
+/**
+ * Price calculation for providers that do not charge per token
+ * @param {string} model - Model name
+ * @returns {Object} Price calculations in the same shape as paid providers
+ */
+exports.freePrice = (model) => {
+  return {
+    model,
+    rates: {
+      inputRate: '$0.00 per million tokens',
+      cachedInputRate: '$0.00 per million tokens',
+      outputRate: '$0.00 per million tokens'
+    },
+    costs: {
+      inputCost: '$0.000000',
+      outputCost: '$0.000000',
+      totalCost: '$0.000000'
+    },
+    cost: { currency: 'USD', input: 0, cachedInput: 0, output: 0, reasoning: 0, total: 0 }
+  };
+};
+
+/**
+ * Read the total cost from a pricing object
+ * @param {Object} pricing - Pricing object from calculatePrice
+ * @returns {number} Cost in USD, 0 if unknown
+ */
+exports.totalCost = (pricing) => {
+  if (pricing && pricing.cost && typeof pricing.cost.total === 'number') {
+    return pricing.cost.total;
+  }
+  // Pricing stored before costs were numeric
+  const total = pricing && pricing.costs ? parseFloat(String(pricing.costs.totalCost).replace('$', '')) : NaN;
+  return Number.isFinite(total) ? total : 0;
+};
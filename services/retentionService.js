@@ -0,0 +1,157 @@
+/**
+ * Retention service
+ *
+ * Background sweeper that limits how long customer documents stay on disk:
+ * - temporary uploads left behind by crashed requests are deleted once they
+ *   are older than UPLOAD_MAX_AGE_MINUTES (files of queued or running jobs are kept);
+ * - stored originals are purged, or moved to DOCUMENT_ARCHIVE_DIR when
+ *   DOCUMENT_RETENTION_ACTION=archive, DOCUMENT_RETENTION_DAYS after upload.
+ *   Without DOCUMENT_RETENTION_DAYS originals are kept. Bills still waiting
+ *   for review keep their original until they are reviewed.
+ */
+const path = require('path');
+const mongoose = require('mongoose');
+const fs = require('fs-extra');
+const Bill = require('../models/Bill');
+const Job = require('../models/Job');
+const { removeDocument, archiveDocument } = require('./documentService');
+
+const UPLOADS_DIR = path.join(__dirname, '../uploads');
+const SWEEP_INTERVAL_MS = parseInt(process.env.RETENTION_SWEEP_INTERVAL_MS, 10) || 60 * 60 * 1000;
+const UPLOAD_MAX_AGE_MS = (parseInt(process.env.UPLOAD_MAX_AGE_MINUTES, 10) || 60) * 60 * 1000;
+const RETENTION_DAYS = parseInt(process.env.DOCUMENT_RETENTION_DAYS, 10) || null;
+const RETENTION_ACTION = process.env.DOCUMENT_RETENTION_ACTION === 'archive' ? 'archive' : 'purge';
+// Bills handled per database round trip
+const SWEEP_BATCH_SIZE = 100;
+
+let sweepTimer = null;
+let busy = false;
+
+/**
+ * List the files under a directory, recursively
+ * @param {string} dir - Directory
+ * @returns {Promise<Array<string>>} File paths
+ */
+const listFiles = async (dir) => {
+  const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+  const files = [];
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(entryPath));
+    } else if (entry.isFile()) {
+      files.push(entryPath);
+    }
+  }
+  return files;
+};
+
+/**
+ * Delete temporary uploads older than UPLOAD_MAX_AGE_MINUTES that no active job needs
+ * @returns {Promise<number>} Number of files deleted
+ */
+exports.sweepUploads = async () => {
+  const activeJobs = await Job.find({ status: { $in: ['queued', 'running'] } }).select('filePath').lean();
+  const keep = new Set(activeJobs.map(job => path.resolve(job.filePath)));
+  const cutoff = Date.now() - UPLOAD_MAX_AGE_MS;
+
+  let deleted = 0;
+  for (const file of await listFiles(UPLOADS_DIR)) {
+    if (keep.has(path.resolve(file))) {
+      continue;
+    }
+    const stats = await fs.stat(file).catch(() => null);
+    if (stats && stats.mtimeMs < cutoff) {
+      await fs.remove(file);
+      deleted++;
+    }
+  }
+  return deleted;
+};
+
+/**
+ * Purge or archive the originals of bills older than DOCUMENT_RETENTION_DAYS
+ * @returns {Promise<number>} Number of originals purged or archived
+ */
+exports.sweepDocuments = async () => {
+  if (!RETENTION_DAYS) {
+    return 0;
+  }
+  const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+  let handled = 0;
+  let bills;
+  do {
+    bills = await Bill.find({
+      createdAt: { $lt: cutoff },
+      'document.path': { $exists: true },
+      'review.status': { $ne: 'pending' }
+    })
+      .select('document')
+      .limit(SWEEP_BATCH_SIZE)
+      .lean();
+
+    for (const bill of bills) {
+      const now = new Date();
+      if (RETENTION_ACTION === 'archive' && await archiveDocument(bill.document)) {
+        await Bill.updateOne({ _id: bill._id }, {
+          'document.archivedAt': now,
+          'document.archivePath': bill.document.path,
+          $unset: { 'document.path': 1 }
+        });
+      } else {
+        await removeDocument(bill.document);
+        await Bill.updateOne({ _id: bill._id }, {
+          'document.purgedAt': now,
+          $unset: { 'document.path': 1 }
+        });
+      }
+      handled++;
+    }
+  } while (bills.length === SWEEP_BATCH_SIZE);
+
+  return handled;
+};
+
+/**
+ * Run one sweep of temporary uploads and stored originals
+ * @returns {Promise<void>}
+ */
+const sweep = async () => {
+  if (busy || mongoose.connection.readyState !== 1) {
+    return;
+  }
+  busy = true;
+  try {
+    const uploads = await exports.sweepUploads();
+    const documents = await exports.sweepDocuments();
+    if (uploads > 0 || documents > 0) {
+      console.log(`Retention sweep: deleted ${uploads} stale uploads, ${RETENTION_ACTION === 'archive' ? 'archived' : 'purged'} ${documents} originals`);
+    }
+  } catch (error) {
+    console.error('Retention sweep error:', error);
+  } finally {
+    busy = false;
+  }
+};
+
+/**
+ * Start the background retention sweeper
+ * @returns {void}
+ */
+exports.startRetentionSweeper = () => {
+  if (sweepTimer) {
+    return;
+  }
+  sweepTimer = setInterval(sweep, SWEEP_INTERVAL_MS);
+  sweep();
+};
+
+/**
+ * Stop the background retention sweeper
+ * @returns {void}
+ */
+exports.stopRetentionSweeper = () => {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+};
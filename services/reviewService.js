@@ -0,0 +1,394 @@
+/**
+ * Review service
+ *
+ * Extractions that failed or that the checks do not trust are queued for
+ * human review when they are saved. Reviewers compare the extracted fields
+ * with the original document and either approve the bill or submit
+ * corrections. Every action is recorded as a BillCorrection with the
+ * reviewer and the changed values, and bumps the bill's version when data
+ * changes. Reviewed bills can be exported as a labeled dataset for the
+ * benchmark harness.
+ */
+const path = require('path');
+const mongoose = require('mongoose');
+const AdmZip = require('adm-zip');
+const Bill = require('../models/Bill');
+const BillCorrection = require('../models/BillCorrection');
+const { getExtractableFieldNames, normalizeBill } = require('./billSchemaService');
+const { checkConsistency } = require('./consistencyService');
+const { resolveDocument } = require('./documentService');
+const { detectAnomalies } = require('./historyService');
+const { httpError } = require('../utils/helpers');
+
+// Bills whose consistency confidence is below this are queued for review
+const CONFIDENCE_THRESHOLD = parseFloat(process.env.REVIEW_CONFIDENCE_THRESHOLD) || 0.8;
+
+const REVIEW_STATUSES = Bill.schema.path('review.status').enumValues;
+const REVIEWED_STATUSES = ['approved', 'corrected'];
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Extraction errors a reviewer can still resolve from the document:
+// no readable text (422) and model output that could not be used (502)
+const REVIEWABLE_FAILURES = [422, 502];
+
+/**
+ * Parse a YYYY-MM-DD query date as the start of that day in UTC
+ * @param {string} value - Date string
+ * @param {string} name - Parameter name for the error message
+ * @returns {Date} Date
+ * @throws {Error} With statusCode 400 if the date is invalid
+ */
+const parseQueryDate = (value, name) => {
+  const text = String(value);
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(text) ? new Date(`${text}T00:00:00Z`) : new Date(NaN);
+  // Rejects days past the end of the month, which Date would roll over
+  if (Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== text) {
+    throw httpError(`Invalid ${name} date: ${text}. Use YYYY-MM-DD`, 400);
+  }
+  return date;
+};
+
+/**
+ * Whether a failed extraction should be queued for review rather than only reported
+ * @param {Error} error - Extraction error
+ * @returns {boolean} Whether the document should be queued
+ */
+exports.isReviewableFailure = (error) => REVIEWABLE_FAILURES.includes(error.statusCode);
+
+/**
+ * Decide whether a saved extraction needs human review
+ * @param {Object} extraction - What is stored on the bill
+ * @param {boolean} extraction.failed - Whether no model returned data
+ * @param {Object} [extraction.validation] - Validation report
+ * @param {Object} [extraction.consistency] - Consistency report
+ * @param {Object} [extraction.provenance] - Provenance report
+ * @param {Object} [extraction.consensus] - Consensus summary, for multi-model extractions
+ * @returns {Object} Review state: status 'pending' with the reasons, or 'not-required'
+ */
+exports.assessExtraction = ({ failed, validation, consistency, provenance, consensus }) => {
+  const reasons = [];
+
+  if (failed) {
+    reasons.push('extraction-failed');
+  } else {
+    if (validation && !validation.valid) {
+      reasons.push('validation-failed');
+    }
+    if (consistency && consistency.confidence !== null && consistency.confidence < CONFIDENCE_THRESHOLD) {
+      reasons.push('low-confidence');
+    }
+    if (provenance && provenance.summary.possiblyHallucinated.length > 0) {
+      reasons.push('possibly-hallucinated');
+    }
+    if (consensus && consensus.summary.disputed > 0) {
+      reasons.push('disputed-fields');
+    }
+  }
+
+  return reasons.length > 0
+    ? { status: 'pending', reasons, queuedAt: new Date() }
+    : { status: 'not-required', reasons };
+};
+
+/**
+ * Find a bill of the tenant
+ * @param {string} id - Bill id
+ * @param {string} tenant - Tenant that must own the bill
+ * @returns {Promise<Object>} Bill
+ * @throws {Error} With statusCode 404 if the bill does not exist in the tenant
+ */
+const findBill = async (id, tenant) => {
+  const bill = mongoose.isValidObjectId(id) ? await Bill.findOne({ _id: id, tenant }).lean() : null;
+  if (!bill) {
+    throw httpError('Bill not found', 404);
+  }
+  return bill;
+};
+
+/**
+ * Check the version a reviewer worked on against the stored bill
+ * @param {Object} bill - Stored bill
+ * @param {any} version - Version sent by the reviewer, if any
+ * @throws {Error} With statusCode 409 if the bill changed in the meantime
+ */
+const checkVersion = (bill, version) => {
+  if (version !== undefined && version !== null && Number(version) !== bill.version) {
+    throw httpError(`Bill is at version ${bill.version}, not ${version}; reload it before reviewing`, 409);
+  }
+};
+
+/**
+ * Reviewer details as stored on bills and corrections
+ * @param {Object} reviewer - Authenticated principal
+ * @returns {Object} { apiKey, name, role }
+ */
+const describeReviewer = (reviewer) => ({ apiKey: reviewer.id, name: reviewer.name, role: reviewer.role });
+
+/**
+ * List bills in the review queue, oldest first
+ * @param {Object} query - Filters: status (default pending), reason, page, limit
+ * @param {string} tenant - Tenant whose bills are listed
+ * @returns {Promise<Object>} Bills and pagination information
+ * @throws {Error} With statusCode 400 for an unknown status
+ */
+exports.listQueue = async (query = {}, tenant) => {
+  const status = query.status || 'pending';
+  if (!REVIEW_STATUSES.includes(status)) {
+    throw httpError(`Invalid review status: ${status}. Available statuses: ${REVIEW_STATUSES.join(', ')}`, 400);
+  }
+
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const filter = { tenant, 'review.status': status };
+  if (query.reason) {
+    filter['review.reasons'] = String(query.reason);
+  }
+
+  const [bills, total] = await Promise.all([
+    Bill.find(filter)
+      .select('filename source provider model data version review document validation.missingRequired validation.summary consistency.confidence provenance.summary consensus.summary createdAt')
+      .sort({ 'review.queuedAt': 1, createdAt: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Bill.countDocuments(filter)
+  ]);
+
+  return {
+    bills,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+/**
+ * Get everything a reviewer needs for one bill: extracted fields, checks,
+ * provenance, the per-model runs and the correction history
+ * @param {string} id - Bill id
+ * @param {string} tenant - Tenant that must own the bill
+ * @returns {Promise<Object>} Bill with its runs and corrections
+ * @throws {Error} With statusCode 404 if the bill does not exist in the tenant
+ */
+exports.getReviewItem = async (id, tenant) => {
+  const bill = mongoose.isValidObjectId(id)
+    ? await Bill.findOne({ _id: id, tenant }).populate('runs').lean()
+    : null;
+  if (!bill) {
+    throw httpError('Bill not found', 404);
+  }
+
+  const corrections = await BillCorrection.find({ bill: bill._id, tenant }).sort({ createdAt: 1 }).lean();
+  return { ...bill, corrections };
+};
+
+/**
+ * Locate the original document of a bill
+ * @param {string} id - Bill id
+ * @param {string} tenant - Tenant that must own the bill
+ * @returns {Promise<Object>} { path, originalName, mimeType }
+ * @throws {Error} With statusCode 404 if the bill or its document is not available
+ */
+exports.getDocument = async (id, tenant) => {
+  const bill = await findBill(id, tenant);
+  const file = await resolveDocument(bill.document);
+  if (!file) {
+    throw httpError('Original document is not available for this bill', 404);
+  }
+  return { path: file, originalName: bill.document.originalName, mimeType: bill.document.mimeType };
+};
+
+/**
+ * Bill data with timestamps as ISO strings, ready to be normalized again
+ * @param {Object} data - Stored bill data
+ * @returns {Object} Plain data
+ */
+const toRawData = (data = {}) => Object.fromEntries(
+  Object.entries(data).map(([field, value]) => [field, value instanceof Date ? value.toISOString() : value])
+);
+
+/**
+ * Apply a reviewer's corrections to a bill
+ * @param {string} id - Bill id
+ * @param {string} tenant - Tenant that must own the bill
+ * @param {Object} reviewer - Authenticated principal
+ * @param {Object} params - Correction details
+ * @param {Object} params.corrections - New values by field name; null clears a field
+ * @param {string} [params.comment] - Reviewer comment
+ * @param {number} [params.version] - Bill version the corrections were made against
+ * @returns {Promise<Object>} Updated bill and the correction record
+ * @throws {Error} With statusCode 400 for unknown fields, invalid values or no changes,
+ *   404 if the bill does not exist, 409 if it changed since the given version
+ */
+exports.correctBill = async (id, tenant, reviewer, { corrections, comment, version } = {}) => {
+  if (!corrections || typeof corrections !== 'object' || Array.isArray(corrections) || !Object.keys(corrections).length) {
+    throw httpError('corrections must be an object of field values', 400);
+  }
+
+  const bill = await findBill(id, tenant);
+  checkVersion(bill, version);
+
+  // Only the fields of the bill's document type can be corrected
+  const fields = getExtractableFieldNames(bill.documentType);
+  const unknown = Object.keys(corrections).filter(field => !fields.includes(field));
+  if (unknown.length) {
+    throw httpError(`Unknown fields: ${unknown.join(', ')}`, 400);
+  }
+
+  const current = toRawData(bill.data);
+  const before = normalizeBill(current, bill.documentType).data;
+  const { data, validation } = normalizeBill({ ...current, ...corrections }, bill.documentType);
+
+  const invalid = Object.keys(corrections).filter(field => validation.fields[field].status === 'invalid');
+  if (invalid.length) {
+    throw httpError(`Invalid values: ${invalid.map(field => `${field} (${validation.fields[field].message})`).join(', ')}`, 400);
+  }
+
+  const changes = Object.keys(corrections)
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(data[field]))
+    .map(field => ({ field, from: before[field], to: data[field] }));
+  if (!changes.length) {
+    throw httpError('Corrections do not change the bill; approve it instead', 400);
+  }
+
+  data.Filename = bill.data && bill.data.Filename;
+  const reviewedAt = new Date();
+
+  // Only update the version the corrections were made against
+  const updated = await Bill.findOneAndUpdate(
+    { _id: bill._id, tenant, version: bill.version },
+    {
+      $set: {
+        data,
+        validation,
+        consistency: checkConsistency(data),
+        anomalies: await detectAnomalies({ ...bill, data }),
+        'review.status': 'corrected',
+        'review.reviewedAt': reviewedAt,
+        'review.reviewedBy': { apiKey: reviewer.id, name: reviewer.name },
+        'review.comment': comment
+      },
+      $inc: { version: 1 }
+    },
+    { new: true }
+  ).lean();
+  if (!updated) {
+    throw httpError('Bill was changed by another reviewer; reload it and try again', 409);
+  }
+
+  const correction = await BillCorrection.create({
+    tenant,
+    bill: bill._id,
+    version: updated.version,
+    action: 'correct',
+    changes,
+    comment,
+    reviewer: describeReviewer(reviewer)
+  });
+
+  return { bill: updated, correction: correction.toObject() };
+};
+
+/**
+ * Approve a bill's data as extracted or last corrected
+ * @param {string} id - Bill id
+ * @param {string} tenant - Tenant that must own the bill
+ * @param {Object} reviewer - Authenticated principal
+ * @param {Object} [params] - Approval details
+ * @param {string} [params.comment] - Reviewer comment
+ * @param {number} [params.version] - Bill version that was reviewed
+ * @returns {Promise<Object>} Updated bill and the approval record
+ * @throws {Error} With statusCode 404 if the bill does not exist, 409 if it changed since the given version
+ */
+exports.approveBill = async (id, tenant, reviewer, { comment, version } = {}) => {
+  const bill = await findBill(id, tenant);
+  checkVersion(bill, version);
+
+  const updated = await Bill.findOneAndUpdate(
+    { _id: bill._id, tenant, version: bill.version },
+    {
+      $set: {
+        'review.status': 'approved',
+        'review.reviewedAt': new Date(),
+        'review.reviewedBy': { apiKey: reviewer.id, name: reviewer.name },
+        'review.comment': comment
+      }
+    },
+    { new: true }
+  ).lean();
+  if (!updated) {
+    throw httpError('Bill was changed by another reviewer; reload it and try again', 409);
+  }
+
+  const approval = await BillCorrection.create({
+    tenant,
+    bill: bill._id,
+    version: updated.version,
+    action: 'approve',
+    changes: [],
+    comment,
+    reviewer: describeReviewer(reviewer)
+  });
+
+  return { bill: updated, correction: approval.toObject() };
+};
+
+/**
+ * Export reviewed bills as a labeled dataset: a ZIP with each original
+ * document next to a <name>.json label holding the reviewed field values,
+ * in the layout read by the benchmark harness, plus a manifest.json
+ * @param {string} tenant - Tenant whose bills are exported
+ * @param {Object} [query] - Filters: from and to (review dates, YYYY-MM-DD)
+ * @returns {Promise<Object>} { buffer, count, skipped }
+ * @throws {Error} With statusCode 400 if a date is invalid
+ */
+exports.exportGroundTruth = async (tenant, query = {}) => {
+  const filter = { tenant, 'review.status': { $in: REVIEWED_STATUSES } };
+  if (query.from || query.to) {
+    filter['review.reviewedAt'] = {};
+    if (query.from) {
+      filter['review.reviewedAt'].$gte = parseQueryDate(query.from, 'from');
+    }
+    if (query.to) {
+      // to is inclusive: everything before the start of the next day
+      filter['review.reviewedAt'].$lt = new Date(parseQueryDate(query.to, 'to').getTime() + 24 * 60 * 60 * 1000);
+    }
+  }
+
+  const bills = await Bill.find(filter).sort({ 'review.reviewedAt': 1 }).lean();
+  const zip = new AdmZip();
+  const manifest = [];
+  let skipped = 0;
+
+  for (const bill of bills) {
+    const file = await resolveDocument(bill.document);
+    if (!file) {
+      skipped++;
+      continue;
+    }
+
+    const name = bill._id.toString();
+    const data = toRawData(bill.data);
+    const label = Object.fromEntries(getExtractableFieldNames(bill.documentType).map(field => [field, data[field] ?? null]));
+    zip.addLocalFile(file, '', `${name}${path.extname(file)}`);
+    zip.addFile(`${name}.json`, Buffer.from(JSON.stringify(label, null, 2)));
+    manifest.push({
+      file: `${name}${path.extname(file)}`,
+      billId: name,
+      filename: bill.filename,
+      documentType: bill.documentType,
+      version: bill.version,
+      reviewStatus: bill.review.status,
+      reviewedAt: bill.review.reviewedAt,
+      reviewedBy: bill.review.reviewedBy && bill.review.reviewedBy.name
+    });
+  }
+
+  zip.addFile('manifest.json', Buffer.from(JSON.stringify(manifest, null, 2)));
+  return { buffer: zip.toBuffer(), count: manifest.length, skipped };
+};
@@ -0,0 +1,79 @@
+/**
+ * Rule extraction service
+ *
+ * Deterministic extraction for known bill layouts. A template is chosen by
+ * its layout signature and its regexes fill canonical fields straight from
+ * the pdf-parse text. Only fields that no rule could fill (and that the
+ * layout actually carries) are left for the model.
+ */
+const templates = require('../templates');
+const { getExtractableFieldNames, normalizeBill, DEFAULT_DOCUMENT_TYPE } = require('./billSchemaService');
+
+/**
+ * Find the template whose signature matches the bill text
+ * @param {string} text - Text extracted from the PDF
+ * @param {string} [documentType] - Only consider templates of this document type
+ * @returns {Object|null} Matching template or null
+ */
+exports.detectTemplate = (text, documentType) => {
+  if (!text) {
+    return null;
+  }
+  return templates.find(template =>
+    (!documentType || template.documentType === documentType) &&
+    template.signature.every(pattern => pattern.test(text))) || null;
+};
+
+/**
+ * Apply a single field rule to the text
+ * @param {RegExp|Object} rule - Pattern or { pattern, group, transform }
+ * @param {string} text - Bill text
+ * @returns {string|undefined} Captured value
+ */
+const applyRule = (rule, text) => {
+  const { pattern, group = 1, transform } = rule instanceof RegExp ? { pattern: rule } : rule;
+  const match = text.match(pattern);
+  if (!match || match[group] === undefined) {
+    return undefined;
+  }
+  const value = match[group].trim();
+  return transform ? transform(value) : value;
+};
+
+/**
+ * Extract bill fields with the matching layout template
+ * @param {string} text - Text extracted from the PDF
+ * @param {string} [documentType] - Document type of the bill, defaults to the default type
+ * @returns {Object} Template id, normalized values of the fields filled by rules,
+ *   the fields the layout does not carry and the fields left for the model
+ */
+exports.extractWithRules = (text, documentType) => {
+  const allFields = getExtractableFieldNames(documentType);
+  const template = exports.detectTemplate(text, documentType || DEFAULT_DOCUMENT_TYPE);
+
+  if (!template) {
+    return { template: null, data: {}, fields: [], absentFields: [], remainingFields: allFields };
+  }
+
+  const raw = { ...template.constants };
+  for (const [field, rule] of Object.entries(template.fields)) {
+    const value = applyRule(rule, text);
+    if (value !== undefined && value !== '') {
+      raw[field] = value;
+    }
+  }
+
+  // Keep only values that pass schema validation; the rest go to the model
+  const { data, validation } = normalizeBill(raw, documentType);
+  const fields = allFields.filter(field => validation.fields[field].status === 'valid');
+  const filled = fields.reduce((values, field) => ({ ...values, [field]: data[field] }), {});
+  const absentFields = (template.absentFields || []).filter(field => !fields.includes(field));
+
+  return {
+    template: template.id,
+    data: filled,
+    fields,
+    absentFields,
+    remainingFields: allFields.filter(field => !fields.includes(field) && !absentFields.includes(field))
+  };
+};
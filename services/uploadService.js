@@ -0,0 +1,123 @@
+/**
+ * Upload service
+ *
+ * Checks uploads by their content instead of the MIME type sent by the
+ * client: documents must carry the magic bytes of a PDF, JPEG or PNG file,
+ * and PDFs must have the header, cross-reference pointer and end-of-file
+ * marker of a complete file.
+ */
+const fs = require('fs-extra');
+const { httpError } = require('../utils/helpers');
+
+// Readers accept junk before the PDF header within the first 1024 bytes,
+// and the trailer is expected near the end of the file
+const HEAD_BYTES = 1024;
+const TAIL_BYTES = 2048;
+
+const MIME_TYPES = {
+  pdf: 'application/pdf',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  zip: 'application/zip'
+};
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+
+/**
+ * Detect a file type from its leading bytes
+ * @param {Buffer} buffer - File content, or at least its first 1024 bytes
+ * @returns {string|null} 'pdf', 'jpeg', 'png', 'zip' or null if unsupported
+ */
+exports.detectFileType = (buffer) => {
+  if (buffer.slice(0, HEAD_BYTES).indexOf('%PDF-', 0, 'latin1') !== -1) {
+    return 'pdf';
+  }
+  if (buffer.slice(0, 8).equals(PNG_SIGNATURE)) {
+    return 'png';
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'jpeg';
+  }
+  if (buffer.slice(0, 4).equals(ZIP_SIGNATURE)) {
+    return 'zip';
+  }
+  return null;
+};
+
+/**
+ * Find what makes a PDF structurally unusable
+ * @param {Buffer} head - First bytes of the file
+ * @param {Buffer} tail - Last bytes of the file
+ * @returns {string|null} Problem, or null if the structure looks complete
+ */
+const findPdfProblem = (head, tail) => {
+  const start = head.indexOf('%PDF-', 0, 'latin1');
+  if (!/^%PDF-[12]\.\d/.test(head.slice(start, start + 8).toString('latin1'))) {
+    return 'missing PDF version header';
+  }
+  const end = tail.toString('latin1');
+  if (!end.includes('%%EOF')) {
+    return 'missing end-of-file marker (the file may be truncated)';
+  }
+  if (!end.includes('startxref')) {
+    return 'missing cross-reference table';
+  }
+  return null;
+};
+
+/**
+ * Check a document by its content
+ * @param {Buffer} head - First bytes of the file
+ * @param {Buffer} tail - Last bytes of the file
+ * @param {Object} [options] - Check options
+ * @param {boolean} [options.allowZip=false] - Whether ZIP archives are accepted
+ * @returns {Object} Detected type and its MIME type
+ * @throws {Error} With statusCode 415 for unsupported content, 400 for broken PDFs
+ */
+const inspect = (head, tail, { allowZip = false } = {}) => {
+  const type = exports.detectFileType(head);
+  if (!type || (type === 'zip' && !allowZip)) {
+    throw httpError(allowZip
+      ? 'File content is not a PDF, JPEG, PNG or ZIP file'
+      : 'File content is not a PDF, JPEG or PNG file', 415);
+  }
+  if (type === 'pdf') {
+    const problem = findPdfProblem(head, tail);
+    if (problem) {
+      throw httpError(`Invalid PDF: ${problem}`, 400);
+    }
+  }
+  return { type, mimeType: MIME_TYPES[type] };
+};
+
+/**
+ * Check a document held in memory, e.g. a ZIP entry
+ * @param {Buffer} buffer - File content
+ * @param {Object} [options] - Check options, as taken by validateFile
+ * @returns {Object} Detected type and its MIME type
+ * @throws {Error} With statusCode 415 for unsupported content, 400 for broken PDFs
+ */
+exports.validateBuffer = (buffer, options) => inspect(buffer.slice(0, HEAD_BYTES), buffer.slice(-TAIL_BYTES), options);
+
+/**
+ * Check an uploaded file on disk, reading only its first and last bytes
+ * @param {string} filePath - Path to the upload
+ * @param {Object} [options] - Check options
+ * @param {boolean} [options.allowZip=false] - Whether ZIP archives are accepted
+ * @returns {Promise<Object>} Detected type and its MIME type
+ * @throws {Error} With statusCode 415 for unsupported content, 400 for broken PDFs
+ */
+exports.validateFile = async (filePath, options) => {
+  const fd = await fs.open(filePath, 'r');
+  try {
+    const { size } = await fs.fstat(fd);
+    const head = Buffer.alloc(Math.min(HEAD_BYTES, size));
+    const tail = Buffer.alloc(Math.min(TAIL_BYTES, size));
+    await fs.read(fd, head, 0, head.length, 0);
+    await fs.read(fd, tail, 0, tail.length, size - tail.length);
+    return inspect(head, tail, options);
+  } finally {
+    await fs.close(fd);
+  }
+};
@@ -0,0 +1,581 @@
+/**
+ * Webhook service
+ *
+ * Notifies tenants when extractions complete, fail or need review. Events go
+ * to the tenant's registered webhooks and to the callback URL given with an
+ * upload. Deliveries are queued in MongoDB and sent by a background worker,
+ * which retries failed deliveries with exponential backoff.
+ *
+ * Every POST is signed with HMAC-SHA256 over "<timestamp>.<body>" and carries
+ *   X-Webhook-Signature: t=<unix seconds>,v1=<hex digest>
+ *   X-Webhook-Event, X-Webhook-Delivery
+ * Registered webhooks are signed with their own secret, callback URLs with
+ * the tenant's callback secret. Receivers can check a request with
+ * verifySignature.
+ *
+ * URLs whose host resolves to a private, loopback or otherwise internal
+ * address are refused, both when they are registered and on every delivery.
+ * A delivery connects only to the addresses it checked, so the host cannot be
+ * pointed elsewhere between the check and the request.
+ */
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const Tenant = require('../models/Tenant');
+const { httpError } = require('../utils/helpers');
+
+const EVENTS = Webhook.schema.path('events').caster.enumValues;
+
+const POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS, 10) || 5000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+const RETRY_BASE_DELAY_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY_MS, 10) || 30 * 1000;
+const RETRY_MAX_DELAY_MS = parseInt(process.env.WEBHOOK_RETRY_MAX_DELAY_MS, 10) || 6 * 60 * 60 * 1000;
+// A delivery locked for longer than this is considered abandoned by a crashed worker
+const STALE_LOCK_MS = TIMEOUT_MS * 3;
+// Private and loopback hosts are refused unless explicitly allowed, e.g. for a local test receiver
+const ALLOW_PRIVATE_HOSTS = process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true';
+
+// Addresses a webhook must not reach. IPv4-mapped IPv6 addresses are matched against the IPv4 ranges.
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+let pollTimer = null;
+let busy = false;
+
+/**
+ * Generate a signing secret
+ * @returns {string} Secret
+ */
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Resolve the host of a webhook URL and check every address it resolves to
+ * @param {string} url - Endpoint URL
+ * @returns {Promise<Array<Object>>} Resolved addresses ({ address, family })
+ * @throws {Error} With statusCode 400 if the host does not resolve or any of its addresses is private
+ */
+const resolveDestination = async (url) => {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true, verbatim: true });
+  } catch (error) {
+    throw httpError(`Webhook host ${hostname} could not be resolved`, 400);
+  }
+  const blocked = addresses.find(({ address, family }) => PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'));
+  if (blocked && !ALLOW_PRIVATE_HOSTS) {
+    throw httpError(`Webhook URLs must not point to private or loopback hosts (${hostname} resolves to ${blocked.address})`, 400);
+  }
+  return addresses;
+};
+
+/**
+ * Check a webhook or callback URL
+ * @param {string} url - Endpoint URL
+ * @returns {Promise<string>} Normalized URL
+ * @throws {Error} With statusCode 400 if the URL is not an http(s) URL whose host resolves to public addresses only
+ */
+const validateUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(String(url));
+  } catch (error) {
+    throw httpError(`Invalid webhook URL: ${url}`, 400);
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw httpError('Webhook URLs must use http or https', 400);
+  }
+  await resolveDestination(parsed.toString());
+  return parsed.toString();
+};
+
+/**
+ * Check a list of event names
+ * @param {any} events - Event names, as an array or comma separated string
+ * @returns {Array<string>} Event names
+ * @throws {Error} With statusCode 400 for unknown events
+ */
+const validateEvents = (events) => {
+  const list = Array.isArray(events) ? events : String(events).split(',').map(event => event.trim()).filter(Boolean);
+  const unknown = list.filter(event => !EVENTS.includes(event));
+  if (unknown.length || !list.length) {
+    throw httpError(`Unknown events: ${unknown.join(', ') || '(none given)'}. Available events: ${EVENTS.join(', ')}`, 400);
+  }
+  return [...new Set(list)];
+};
+
+/**
+ * Public view of a webhook
+ * @param {Object} webhook - Webhook document
+ * @returns {Object} Webhook details without the secret
+ */
+const describeWebhook = (webhook) => ({
+  id: webhook._id,
+  url: webhook.url,
+  events: webhook.events,
+  description: webhook.description,
+  active: webhook.active,
+  createdAt: webhook.createdAt,
+  updatedAt: webhook.updatedAt
+});
+
+/**
+ * Register a webhook
+ * @param {Object} params - Webhook details
+ * @param {string} params.tenant - Tenant that owns the webhook
+ * @param {string} params.url - Endpoint URL
+ * @param {Array<string>|string} [params.events] - Events to send, defaults to all
+ * @param {string} [params.description] - Label
+ * @param {string} [params.createdBy] - API key that created the webhook
+ * @returns {Promise<Object>} Webhook details including its signing secret, shown only here
+ * @throws {Error} With statusCode 400 if the URL or events are invalid
+ */
+exports.createWebhook = async ({ tenant, url, events, description, createdBy }) => {
+  const secret = generateSecret();
+  const webhook = await Webhook.create({
+    tenant,
+    url: await validateUrl(url),
+    events: events === undefined ? undefined : validateEvents(events),
+    description,
+    secret,
+    createdBy
+  });
+  return { ...describeWebhook(webhook), secret };
+};
+
+/**
+ * List the webhooks of a tenant
+ * @param {string} tenant - Tenant id
+ * @returns {Promise<Array<Object>>} Webhooks without secrets
+ */
+exports.listWebhooks = async (tenant) => {
+  const webhooks = await Webhook.find({ tenant }).sort({ createdAt: -1 }).lean();
+  return webhooks.map(describeWebhook);
+};
+
+/**
+ * Change a webhook's URL, events, description or active flag
+ * @param {string} id - Webhook id
+ * @param {string} tenant - Tenant that must own the webhook
+ * @param {Object} changes - url, events, description and/or active
+ * @returns {Promise<Object>} Updated webhook
+ * @throws {Error} With statusCode 400 for invalid changes, 404 if the webhook does not exist
+ */
+exports.updateWebhook = async (id, tenant, changes = {}) => {
+  const update = {};
+  if (changes.url !== undefined) {
+    update.url = await validateUrl(changes.url);
+  }
+  if (changes.events !== undefined) {
+    update.events = validateEvents(changes.events);
+  }
+  if (changes.description !== undefined) {
+    update.description = changes.description;
+  }
+  if (changes.active !== undefined) {
+    update.active = changes.active === true || changes.active === 'true';
+  }
+
+  const webhook = mongoose.isValidObjectId(id)
+    ? await Webhook.findOneAndUpdate({ _id: id, tenant }, update, { new: true }).lean()
+    : null;
+  if (!webhook) {
+    throw httpError('Webhook not found', 404);
+  }
+  return describeWebhook(webhook);
+};
+
+/**
+ * Delete a webhook; its delivery log is kept
+ * @param {string} id - Webhook id
+ * @param {string} tenant - Tenant that must own the webhook
+ * @returns {Promise<void>}
+ * @throws {Error} With statusCode 404 if the webhook does not exist
+ */
+exports.deleteWebhook = async (id, tenant) => {
+  const result = mongoose.isValidObjectId(id) ? await Webhook.deleteOne({ _id: id, tenant }) : null;
+  if (!result || result.deletedCount === 0) {
+    throw httpError('Webhook not found', 404);
+  }
+  // Queued deliveries to a deleted webhook are dropped
+  await WebhookDelivery.updateMany({ webhook: id, status: 'pending' }, { status: 'failed' });
+};
+
+/**
+ * Create or replace the secret that signs deliveries to callback URLs
+ * @param {string} tenant - Tenant id
+ * @returns {Promise<string>} New secret, shown only here
+ */
+exports.rotateCallbackSecret = async (tenant) => {
+  const secret = generateSecret();
+  await Tenant.updateOne({ _id: tenant }, { callbackSecret: secret });
+  return secret;
+};
+
+/**
+ * Check a callback URL given with an upload
+ * @param {string} tenant - Tenant id
+ * @param {string} [callbackUrl] - Callback URL, if any
+ * @returns {Promise<string|undefined>} Normalized URL
+ * @throws {Error} With statusCode 400 if the URL is invalid or the tenant has no callback secret
+ */
+exports.validateCallbackUrl = async (tenant, callbackUrl) => {
+  if (!callbackUrl) {
+    return undefined;
+  }
+  const url = await validateUrl(callbackUrl);
+  const record = await Tenant.findById(tenant).select('+callbackSecret').lean();
+  if (!record || !record.callbackSecret) {
+    throw httpError('Callback URLs need a callback secret; an admin can create one with POST /api/webhooks/callback-secret', 400);
+  }
+  return url;
+};
+
+/**
+ * Queue an event for the tenant's webhooks and an optional callback URL. Never throws:
+ * a notification problem must not fail the extraction that triggered it.
+ * @param {string} tenant - Tenant id
+ * @param {string} event - Event name
+ * @param {Object} data - Event data
+ * @param {Object} [options] - Delivery options
+ * @param {string} [options.callbackUrl] - Callback URL given with the upload
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+exports.emitEvent = async (tenant, event, data, { callbackUrl } = {}) => {
+  try {
+    const webhooks = await Webhook.find({ tenant, active: true, events: event }).lean();
+    const targets = webhooks.map(webhook => ({ webhook: webhook._id, url: webhook.url }));
+    if (callbackUrl) {
+      targets.push({ url: callbackUrl });
+    }
+    if (!targets.length) {
+      return 0;
+    }
+
+    const createdAt = new Date().toISOString();
+    await WebhookDelivery.insertMany(targets.map(target => {
+      const _id = new mongoose.Types.ObjectId();
+      return {
+        _id,
+        tenant,
+        webhook: target.webhook,
+        url: target.url,
+        event,
+        payload: { id: _id.toString(), event, createdAt, data }
+      };
+    }));
+
+    // Send right away instead of waiting for the next poll
+    setImmediate(poll);
+    return targets.length;
+  } catch (error) {
+    console.error(`Failed to queue ${event} webhooks:`, error);
+    return 0;
+  }
+};
+
+/**
+ * Queue the events of a saved extraction: completed or failed, needs_review
+ * when the bill was queued for review and anomaly when it differs from the
+ * consumer's earlier bills
+ * @param {Object} bill - Saved bill
+ * @param {Object} [options] - Event options
+ * @param {string} [options.callbackUrl] - Callback URL given with the upload
+ * @param {string} [options.job] - Job the bill was extracted by
+ * @param {string} [options.error] - Error message of a failed extraction
+ * @returns {Promise<void>}
+ */
+exports.notifyExtraction = async (bill, { callbackUrl, job, error } = {}) => {
+  const failed = bill.review.reasons.includes('extraction-failed');
+  const data = {
+    billId: bill._id.toString(),
+    jobId: job ? job.toString() : undefined,
+    batchId: bill.batch,
+    filename: bill.filename,
+    source: bill.source,
+    model: bill.model,
+    documentType: bill.documentType,
+    account: bill.segment && bill.segment.account,
+    version: bill.version,
+    review: { status: bill.review.status, reasons: bill.review.reasons },
+    error: failed ? error : undefined,
+    valid: failed ? undefined : bill.validation && bill.validation.valid,
+    data: failed ? undefined : bill.data
+  };
+
+  await exports.emitEvent(bill.tenant, failed ? 'extraction.failed' : 'extraction.completed', data, { callbackUrl });
+  if (bill.review.status === 'pending') {
+    await exports.emitEvent(bill.tenant, 'extraction.needs_review', data, { callbackUrl });
+  }
+  if (bill.anomalies && bill.anomalies.length > 0) {
+    await exports.emitEvent(bill.tenant, 'extraction.anomaly', { ...data, anomalies: bill.anomalies }, { callbackUrl });
+  }
+};
+
+/**
+ * Sign a webhook body
+ * @param {string} secret - Signing secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - Raw request body
+ * @returns {string} Hex HMAC-SHA256 digest
+ */
+const sign = (secret, timestamp, body) => crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+/**
+ * Verify the signature of a received webhook
+ * @param {string} secret - Signing secret
+ * @param {string} header - X-Webhook-Signature header
+ * @param {string} body - Raw request body
+ * @param {number} [toleranceSeconds=300] - Maximum age of the signature
+ * @returns {boolean} Whether the signature is valid and recent
+ */
+exports.verifySignature = (secret, header, body, toleranceSeconds = 300) => {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.trim().split('=')));
+  const timestamp = parseInt(parts.t, 10);
+  if (!timestamp || !parts.v1 || Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) {
+    return false;
+  }
+  const expected = Buffer.from(sign(secret, timestamp, body), 'hex');
+  const given = Buffer.from(parts.v1, 'hex');
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+/**
+ * POST a body to checked addresses. Redirects are not followed.
+ * @param {string} url - Endpoint URL
+ * @param {Object} request - Request details
+ * @param {Object} request.headers - Request headers
+ * @param {string} request.body - Request body
+ * @param {Array<Object>} request.addresses - Addresses of the host, as returned by resolveDestination
+ * @returns {Promise<number>} HTTP status
+ */
+const post = (url, { headers, body, addresses }) => new Promise((resolve, reject) => {
+  const client = url.startsWith('https:') ? https : http;
+  const request = client.request(url, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    // Connect to the checked addresses instead of resolving the host again
+    lookup: (hostname, options, callback) => (options.all
+      ? callback(null, addresses)
+      : callback(null, addresses[0].address, addresses[0].family)),
+    signal: AbortSignal.timeout(TIMEOUT_MS)
+  }, response => {
+    // Only the status matters; release the connection
+    response.resume();
+    resolve(response.statusCode);
+  });
+  request.on('error', reject);
+  request.end(body);
+});
+
+/**
+ * Secret that signs a delivery
+ * @param {Object} delivery - Delivery document
+ * @returns {Promise<string|null>} Secret, or null if the webhook or callback secret is gone
+ */
+const findSecret = async (delivery) => {
+  if (delivery.webhook) {
+    const webhook = await Webhook.findById(delivery.webhook).select('+secret').lean();
+    return webhook ? webhook.secret : null;
+  }
+  const tenant = await Tenant.findById(delivery.tenant).select('+callbackSecret').lean();
+  return tenant ? tenant.callbackSecret : null;
+};
+
+/**
+ * Delay before the next attempt
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+const retryDelay = (attempts) => Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempts - 1), RETRY_MAX_DELAY_MS);
+
+/**
+ * Send one delivery and record the attempt
+ * @param {Object} delivery - Claimed delivery
+ * @returns {Promise<void>}
+ */
+const deliver = async (delivery) => {
+  const attempts = delivery.attempts + 1;
+  const startTime = Date.now();
+  const entry = { at: new Date(startTime) };
+
+  const secret = await findSecret(delivery);
+  if (!secret) {
+    entry.error = 'No signing secret: the webhook was deleted or the callback secret was removed';
+  } else {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(startTime / 1000);
+    try {
+      // The host is checked again on every attempt: what it resolves to can change after registration
+      const addresses = await resolveDestination(delivery.url);
+      entry.statusCode = await post(delivery.url, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'oorja-backend-webhooks',
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': delivery._id.toString(),
+          'X-Webhook-Signature': `t=${timestamp},v1=${sign(secret, timestamp, body)}`
+        },
+        body,
+        addresses
+      });
+      if (entry.statusCode < 200 || entry.statusCode >= 300) {
+        entry.error = `HTTP ${entry.statusCode}`;
+      }
+    } catch (error) {
+      entry.error = error.name === 'AbortError' ? `Timed out after ${TIMEOUT_MS}ms` : error.message;
+    }
+  }
+  entry.durationMs = Date.now() - startTime;
+
+  const update = { attempts, lockedAt: null, $push: { log: entry } };
+  if (!entry.error) {
+    Object.assign(update, { status: 'succeeded', deliveredAt: new Date() });
+  } else if (!secret || attempts >= MAX_ATTEMPTS) {
+    update.status = 'failed';
+    console.warn(`Webhook delivery ${delivery._id} to ${delivery.url} failed after ${attempts} attempts: ${entry.error}`);
+  } else {
+    update.nextAttemptAt = new Date(Date.now() + retryDelay(attempts));
+  }
+  await WebhookDelivery.updateOne({ _id: delivery._id }, update);
+};
+
+/**
+ * Atomically claim the next delivery that is due
+ * @returns {Promise<Object|null>} Claimed delivery or null if none is due
+ */
+const claimNextDelivery = async () => {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      status: 'pending',
+      nextAttemptAt: { $lte: now },
+      $or: [{ lockedAt: null }, { lockedAt: { $lt: new Date(now - STALE_LOCK_MS) } }]
+    },
+    { lockedAt: now },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  ).lean();
+};
+
+/**
+ * Send every delivery that is due, one at a time
+ * @returns {Promise<void>}
+ */
+const poll = async () => {
+  if (busy || mongoose.connection.readyState !== 1) {
+    return;
+  }
+  busy = true;
+  try {
+    let delivery;
+    while ((delivery = await claimNextDelivery())) {
+      await deliver(delivery);
+    }
+  } catch (error) {
+    console.error('Webhook worker error:', error);
+  } finally {
+    busy = false;
+  }
+};
+
+/**
+ * List deliveries with their attempt log
+ * @param {Object} query - Filters: status, event, webhook, page, limit
+ * @param {string} tenant - Tenant whose deliveries are listed
+ * @returns {Promise<Object>} Deliveries, newest first, and pagination information
+ */
+exports.listDeliveries = async (query = {}, tenant) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const filter = { tenant };
+  for (const field of ['status', 'event']) {
+    if (query[field]) {
+      filter[field] = String(query[field]);
+    }
+  }
+  if (query.webhook && mongoose.isValidObjectId(query.webhook)) {
+    filter.webhook = query.webhook;
+  }
+
+  const [deliveries, total] = await Promise.all([
+    WebhookDelivery.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    WebhookDelivery.countDocuments(filter)
+  ]);
+
+  return {
+    deliveries,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+/**
+ * Queue a delivery again, e.g. after the receiver was fixed
+ * @param {string} id - Delivery id
+ * @param {string} tenant - Tenant that must own the delivery
+ * @returns {Promise<Object>} Requeued delivery
+ * @throws {Error} With statusCode 404 if the delivery does not exist, 409 if it is still pending
+ */
+exports.retryDelivery = async (id, tenant) => {
+  const delivery = mongoose.isValidObjectId(id) ? await WebhookDelivery.findOne({ _id: id, tenant }).lean() : null;
+  if (!delivery) {
+    throw httpError('Delivery not found', 404);
+  }
+  if (delivery.status === 'pending') {
+    throw httpError('Delivery is still pending', 409);
+  }
+
+  const requeued = await WebhookDelivery.findOneAndUpdate(
+    { _id: delivery._id, tenant },
+    { status: 'pending', attempts: 0, nextAttemptAt: new Date(), lockedAt: null },
+    { new: true }
+  ).lean();
+  setImmediate(poll);
+  return requeued;
+};
+
+/**
+ * Start the background delivery worker
+ * @returns {void}
+ */
+exports.startDeliveryWorker = () => {
+  if (pollTimer) {
+    return;
+  }
+  pollTimer = setInterval(poll, POLL_INTERVAL_MS);
+  poll();
+};
+
+/**
+ * Stop the background delivery worker
+ * @returns {void}
+ */
+exports.stopDeliveryWorker = () => {
+  clearInterval(pollTimer);
+  pollTimer = null;
+};
+
+exports.EVENTS = EVENTS;
@@ -0,0 +1,14 @@
+/**
+ * Registry of known bill layouts for rule-based extraction
+ *
+ * Template shape:
+ *   id, name
+ *   documentType: id of the document type the layout belongs to (see documentTypes/)
+ *   signature: Array<RegExp> that must all match the bill text
+ *   constants: fields with a fixed value for the layout
+ *   absentFields: fields the layout never carries
+ *   fields: { FieldName: RegExp | { pattern, group = 1, transform } }
+ */
+module.exports = [
+  require('./tpcodl')
+];
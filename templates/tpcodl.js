@@ -0,0 +1,59 @@
+/**
+ * TP Central Odisha Distribution Ltd (TPCODL) bill of supply
+ *
+ * pdf-parse renders most labels after their values on this layout,
+ * e.g. ": 13/02/2025Bill Issue Date".
+ */
+
+// Meter reading table row: previous, current, M.F., diff, T.F loss, total
+const METER_ROW = /KWH([\d,.]+)\s+([\d,.]+)\s+([\d.]+)\s+([\d,.]+)\s+([\d,.]+)\s+([\d,.]+)/;
+const BILL_PERIOD = /Bill Period:\s*(\d{2}\.\d{2}\.\d{4})\s*-\s*(\d{2}\.\d{2}\.\d{4})/;
+
+module.exports = {
+  id: 'tpcodl',
+  name: 'TP Central Odisha Distribution Ltd - Bill of Supply',
+  documentType: 'electricity',
+  // Every signature pattern must match for the template to apply
+  signature: [
+    /tpcentralodisha\.com/i,
+    /Bill of Supply of Electricity/,
+    /Meter Reading Details/
+  ],
+  constants: {
+    DiscCode: 'TPCODL'
+  },
+  // Fields this layout does not carry; they are left empty instead of asking the model
+  absentFields: ['BillFetchTimeStamp', 'CGST', 'EntityCode', 'EntityType', 'FulCstAdj'],
+  fields: {
+    ConsumerName: /Consumer Name:\s*(.+)/,
+    Address: { pattern: /Consumer Name:.*\n:\s*([\s\S]*?)\nAddress Details/, transform: value => value.replace(/\s*\n\s*/g, ' ') },
+    BillDueDate: /:\s*(\d{2}\/\d{2}\/\d{4})Due Date/,
+    CanSerNo: /:\s*(\d+)Consumer A\/C/,
+    BillNo: /:\s*(\d+)Bill Number/,
+    BillDate: /:\s*(\d{2}\/\d{2}\/\d{4})Bill Issue Date/,
+    BillMonth: /:\s*(\d{4}\/\d{2})Bill Month/,
+    ConCat: /^:\s*(.+)\nArea Details/m,
+    BaCode: /MRU No\.:\s*(\S+)/,
+    ConnLd: /Contract Demand:\s*([\d.]+\s*KW)/i,
+    ConnType: /Metering:\s*(\S+)/,
+    MetrNo: /Meter Sl\. No\.:\s*(\S+)/,
+    MeterStatus: /Meter Reading:\s*(\w+)/,
+    OmrDt: { pattern: BILL_PERIOD, group: 1 },
+    CmrDt: { pattern: BILL_PERIOD, group: 2 },
+    OmrKwh: { pattern: METER_ROW, group: 1 },
+    CmrKwh: { pattern: METER_ROW, group: 2 },
+    FinalOpeningReading: { pattern: METER_ROW, group: 1 },
+    FinalClosingReading: { pattern: METER_ROW, group: 2 },
+    MulFac: { pattern: METER_ROW, group: 3 },
+    ConsUnits: { pattern: METER_ROW, group: 4 },
+    FinalConsUnits: { pattern: METER_ROW, group: 6 },
+    BilledUnit: { pattern: METER_ROW, group: 6 },
+    CurAmtPay: /Total Amount Payable\s*\nRs\.\s*([\d,.]+)/,
+    EngyChg: /a\. Energy Charges\s*([\d,.]+)/,
+    FxdChg: /d\. Demand Charge \/ MMFC\s*([\d,.]+)/,
+    EleDuty: /m\. Electricity Duty \([^)]*\)\s*([\d,.]+)/,
+    MetRent: /o\. Meter Rent\s*([\d,.]+)/,
+    GrosAmt: /r\. Current Total\(k to q\)\s*([\d,.]+)/,
+    LastAmountPaidDate: /\n(\d{2}\.\d{2}\.\d{4})Total\nAmount\nDate\nPayment History/
+  }
+};
@@ -0,0 +1,82 @@
+/**
+ * Bill schema: value parsing, normalization and per-field validation
+ */
+process.env.NODE_ENV = 'test';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeBill, parseNumber, parseDate, parseMonth, isEmpty } = require('../services/billSchemaService');
+
+describe('bill schema', () => {
+  it('parses amounts with currency, units, grouping and accounting negatives', () => {
+    assert.equal(parseNumber('Rs. 1,234.50'), 1234.5);
+    assert.equal(parseNumber('₹ 823.20'), 823.2);
+    assert.equal(parseNumber('152 kWh'), 152);
+    assert.equal(parseNumber('(28.69)'), -28.69);
+    assert.equal(parseNumber('28.69 Cr'), -28.69);
+    assert.equal(parseNumber('-5'), -5);
+    assert.equal(parseNumber(Infinity), null);
+    assert.equal(parseNumber('12 34 abc'), null);
+  });
+
+  it('parses day-first dates in the formats seen on bills', () => {
+    assert.equal(parseDate('2025-02-13'), '2025-02-13');
+    assert.equal(parseDate('13/02/2025'), '2025-02-13');
+    assert.equal(parseDate('13-02-25'), '2025-02-13');
+    assert.equal(parseDate('13th February, 2025'), '2025-02-13');
+    assert.equal(parseDate('Feb 13, 2025'), '2025-02-13');
+    assert.equal(parseDate('31/02/2025'), null);
+    assert.equal(parseDate('tomorrow'), null);
+  });
+
+  it('parses billing months', () => {
+    assert.equal(parseMonth('2025/01'), '2025-01');
+    assert.equal(parseMonth('01/2025'), '2025-01');
+    assert.equal(parseMonth("Jan'25"), '2025-01');
+    assert.equal(parseMonth('10/02/2025'), '2025-02');
+    assert.equal(parseMonth('2025-13'), null);
+  });
+
+  it('treats placeholders as empty', () => {
+    for (const value of [null, undefined, '', ' N/A ', 'null', '-']) {
+      assert.ok(isEmpty(value));
+    }
+    assert.ok(!isEmpty(0));
+  });
+
+  it('normalizes values and reports missing and invalid fields', () => {
+    const { data, validation } = normalizeBill({
+      ConsumerName: '  Asha Rao ',
+      CanSerNo: 90000012345,
+      BillDate: '10/02/2025',
+      BillMonth: 'Jan-2025',
+      CurAmtPay: 'Rs. 823.20',
+      BillNo: 'N/A',
+      BillDueDate: 'soon'
+    });
+
+    assert.equal(data.ConsumerName, 'Asha Rao');
+    assert.equal(data.CanSerNo, '90000012345');
+    assert.equal(data.BillDate, '2025-02-10');
+    assert.equal(data.BillMonth, '2025-01');
+    assert.equal(data.CurAmtPay, 823.2);
+    assert.equal(validation.fields.CurAmtPay.raw, 'Rs. 823.20');
+    assert.equal(data.BillNo, null);
+    assert.equal(validation.fields.BillNo.status, 'missing');
+    assert.equal(validation.fields.BillDueDate.status, 'invalid');
+    assert.equal(validation.fields.BillDueDate.raw, 'soon');
+    assert.equal(validation.valid, false);
+    assert.deepEqual(validation.missingRequired, ['Address', 'BillDueDate', 'BillNo']);
+    // System fields are set by the server, never taken from the model
+    assert.equal(data.Filename, undefined);
+  });
+
+  it('validates against the fields of the requested document type', () => {
+    const { data, validation } = normalizeBill({ PlanName: 'Fiber 100', DataUsage: '250 GB' }, 'broadband');
+
+    assert.equal(data.PlanName, 'Fiber 100');
+    assert.equal(data.DataUsage, 250);
+    assert.equal(data.EngyChg, undefined);
+    assert.ok(validation.missingRequired.includes('CurAmtPay'));
+  });
+});
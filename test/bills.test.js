@@ -0,0 +1,132 @@
+/**
+ * Stored bills API: filters, pagination, lookups by id and tenant isolation
+ */
+process.env.NODE_ENV = 'test';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const Bill = require('../models/Bill');
+const ExtractionRun = require('../models/ExtractionRun');
+const { startDatabase, stopDatabase, createTenantKey } = require('./support/database');
+const { startServer, request } = require('./support/server');
+
+describe('bills API', () => {
+  let server;
+  let own;
+  let other;
+  const ids = {};
+
+  before(async () => {
+    await startDatabase();
+    server = await startServer();
+    own = await createTenantKey('own');
+    other = await createTenantKey('other', 'viewer');
+
+    const bills = [
+      { name: 'jan', data: { ConsumerName: 'Asha Rao', CanSerNo: '111111', BillMonth: '2026-01', BillDate: '2026-01-05', DiscCode: 'D1' } },
+      { name: 'feb', data: { ConsumerName: 'Asha Rao', CanSerNo: '111111', BillMonth: '2026-02', BillDate: '2026-02-05', DiscCode: 'D1' } },
+      { name: 'mar', data: { ConsumerName: 'Ravi (Sr.) Kumar', CanSerNo: '222222', BillMonth: '2026-03', BillDate: '2026-03-05', DiscCode: 'D2' } },
+      { name: 'apr', data: { ConsumerName: 'Meena Das', CanSerNo: '333333', BillMonth: '2026-04', BillDate: '2026-04-05', DiscCode: 'D2' } }
+    ];
+    for (const { name, data } of bills) {
+      const bill = await Bill.create({ tenant: own.tenant, filename: `${name}.pdf`, model: 'gpt-4o', data });
+      ids[name] = String(bill._id);
+    }
+    const run = await ExtractionRun.create({ tenant: own.tenant, bill: ids.jan, model: 'gpt-4o', status: 'succeeded' });
+    await Bill.updateOne({ _id: ids.jan }, { runs: [run._id] });
+
+    const foreign = await Bill.create({ tenant: other.tenant, filename: 'foreign.pdf', data: { ConsumerName: 'Asha Rao', CanSerNo: '111111', BillDate: '2026-01-20' } });
+    ids.foreign = String(foreign._id);
+  });
+
+  after(async () => {
+    await server.close();
+    await stopDatabase();
+  });
+
+  /**
+   * List the own tenant's bills
+   * @param {string} query - Query string
+   * @returns {Promise<Object>} Status and body
+   */
+  const list = (query = '') => request(`${server.url}/bills${query}`, own.key);
+  const names = body => body.data.map(bill => bill.filename.replace('.pdf', ''));
+
+  it('lists the tenant bills, newest bill date first', async () => {
+    const { status, body } = await list();
+    assert.equal(status, 200);
+    assert.equal(body.status, 'success');
+    assert.deepEqual(names(body), ['apr', 'mar', 'feb', 'jan']);
+    assert.deepEqual(body.pagination, { page: 1, limit: 20, total: 4, pages: 1 });
+  });
+
+  it('filters by consumer name, case-insensitively and without regex syntax', async () => {
+    assert.deepEqual(names((await list('?ConsumerName=asha')).body), ['feb', 'jan']);
+    assert.deepEqual(names((await list(`?ConsumerName=${encodeURIComponent('(Sr.)')}`)).body), ['mar']);
+    assert.deepEqual(names((await list('?ConsumerName=.*')).body), []);
+  });
+
+  it('filters by account, bill month and distribution code', async () => {
+    assert.deepEqual(names((await list('?CanSerNo=111111')).body), ['feb', 'jan']);
+    assert.deepEqual(names((await list('?BillMonth=2026-03')).body), ['mar']);
+    assert.deepEqual(names((await list('?DiscCode=D2')).body), ['apr', 'mar']);
+    assert.deepEqual(names((await list('?DiscCode=D1&BillMonth=2026-02')).body), ['feb']);
+  });
+
+  it('filters by bill date range, inclusive', async () => {
+    assert.deepEqual(names((await list('?from=2026-02-05&to=2026-03-05')).body), ['mar', 'feb']);
+    assert.deepEqual(names((await list('?from=2026-03-01')).body), ['apr', 'mar']);
+    assert.deepEqual(names((await list('?to=2026-01-31')).body), ['jan']);
+  });
+
+  it('paginates', async () => {
+    const { body } = await list('?limit=3&page=2');
+    assert.deepEqual(names(body), ['jan']);
+    assert.deepEqual(body.pagination, { page: 2, limit: 3, total: 4, pages: 2 });
+
+    const clamped = await list('?limit=-5&page=-1');
+    assert.equal(clamped.body.pagination.page, 1);
+    assert.equal(clamped.body.pagination.limit, 1);
+  });
+
+  it('does not pass query operators through to MongoDB', async () => {
+    const injected = await list('?CanSerNo[$ne]=x');
+    assert.equal(injected.status, 200);
+    assert.deepEqual(names(injected.body), []);
+
+    const range = await list('?from[$gt]=');
+    assert.equal(range.status, 200);
+    assert.deepEqual(names(range.body), []);
+
+    const array = await list('?ConsumerName[]=asha');
+    assert.equal(array.status, 200);
+    assert.deepEqual(names(array.body), ['feb', 'jan']);
+  });
+
+  it('returns a bill with its model runs', async () => {
+    const { status, body } = await request(`${server.url}/bills/${ids.jan}`, own.key);
+    assert.equal(status, 200);
+    assert.equal(body.data.filename, 'jan.pdf');
+    assert.equal(body.data.runs.length, 1);
+    assert.equal(body.data.runs[0].model, 'gpt-4o');
+  });
+
+  it('returns 404 for unknown and malformed ids', async () => {
+    assert.equal((await request(`${server.url}/bills/000000000000000000000000`, own.key)).status, 404);
+    assert.equal((await request(`${server.url}/bills/not-an-id`, own.key)).status, 404);
+  });
+
+  it('keeps tenants apart', async () => {
+    assert.equal((await request(`${server.url}/bills/${ids.foreign}`, own.key)).status, 404);
+    assert.equal((await request(`${server.url}/bills/${ids.jan}`, other.key)).status, 404);
+
+    const { body } = await request(`${server.url}/bills?CanSerNo=111111`, other.key);
+    assert.deepEqual(names(body), ['foreign']);
+    assert.equal(body.pagination.total, 1);
+  });
+
+  it('requires an API key', async () => {
+    const response = await fetch(`${server.url}/bills`);
+    assert.equal(response.status, 401);
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Extraction cache: content keys and lookups
+ */
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+
+process.env.NODE_ENV = 'test';
+delete process.env.EXTRACTION_CACHE_ENABLED;
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const {
+  hashFile,
+  hashSegment,
+  hashText,
+  isCacheAvailable,
+  findCachedResult,
+  storeResult,
+  summarizeCache
+} = require('../services/cacheService');
+const { startDatabase, stopDatabase, createTenantKey } = require('./support/database');
+
+describe('cache keys', () => {
+  it('hashes file bytes and gives each account of a statement its own key', async () => {
+    const file = path.join(os.tmpdir(), `cache-key-${process.pid}.txt`);
+    await fs.writeFile(file, 'bill');
+    try {
+      assert.equal(await hashFile(file), crypto.createHash('sha256').update('bill').digest('hex'));
+    } finally {
+      await fs.remove(file);
+    }
+
+    const fileHash = hashText('statement');
+    assert.notEqual(hashSegment(fileHash, 0), hashSegment(fileHash, 1));
+    assert.equal(hashSegment(fileHash, 1), hashSegment(fileHash, 1));
+  });
+
+  it('hashes text regardless of case and whitespace', () => {
+    assert.equal(hashText('Consumer No:\n 9000  12345 '), hashText('consumer no: 9000 12345'));
+    assert.notEqual(hashText('Consumer No: 9000 12345'), hashText('Consumer No: 9000 12346'));
+    assert.equal(hashText(null), hashText(''));
+  });
+
+  it('is unavailable without a database connection or when the request opts out', () => {
+    assert.equal(mongoose.connection.readyState, 0);
+    assert.equal(isCacheAvailable(), false);
+    assert.equal(isCacheAvailable(false), false);
+  });
+
+  it('adds up hits, misses and what the hits saved', () => {
+    assert.deepEqual(summarizeCache([
+      { cache: { hit: true, savedTokens: 100, savedCost: 0.0001 } },
+      { cache: { hit: true, savedTokens: 50, savedCost: 0.0002 } },
+      { cache: { hit: false } },
+      {}
+    ]), { hits: 2, misses: 1, savedTokens: 150, savedCost: 0.0003 });
+  });
+});
+
+describe('cache lookups', () => {
+  let tenant;
+  const key = () => ({ tenant, fileHash: 'f1', textHash: 't1', provider: 'openai', model: 'gpt-4o', promptVersion: 'p1' });
+  const usage = { prompt_tokens: 1000, completion_tokens: 100, total_tokens: 1100 };
+
+  before(async () => {
+    await startDatabase();
+    ({ tenant } = await createTenantKey('cache'));
+    await storeResult(key(), {
+      model: 'gpt-4o',
+      data: { CurAmtPay: 823.2 },
+      usage,
+      pricing: { cost: { total: 0.0035 } },
+      filename: 'first.pdf'
+    });
+  });
+
+  after(stopDatabase);
+
+  it('finds a result by file or by text and prices the hit at zero', async () => {
+    const byFile = await findCachedResult({ ...key(), textHash: undefined });
+    assert.equal(byFile.cache.matchedBy, 'file');
+    assert.equal(byFile.data.CurAmtPay, 823.2);
+    assert.equal(byFile.usage.total_tokens, 0);
+    assert.equal(byFile.pricing.cost.total, 0);
+    assert.equal(byFile.cache.savedTokens, 1100);
+    assert.equal(byFile.cache.savedCost, 0.0035);
+    // Request-specific fields are not cached
+    assert.equal(byFile.filename, undefined);
+
+    const byText = await findCachedResult({ ...key(), fileHash: 'f2' });
+    assert.equal(byText.cache.matchedBy, 'text');
+    assert.equal(byText.cache.hits, 2);
+  });
+
+  it('misses when any other part of the key differs', async () => {
+    for (const change of [{ model: 'o1' }, { promptVersion: 'p2' }, { rules: true }, { documentType: 'water' }, { tenant: new mongoose.Types.ObjectId() }]) {
+      assert.equal(await findCachedResult({ ...key(), ...change }), null, JSON.stringify(change));
+    }
+  });
+});
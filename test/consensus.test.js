@@ -0,0 +1,64 @@
+/**
+ * Consensus: weighted per-field voting over model results
+ */
+process.env.NODE_ENV = 'test';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildConsensus } = require('../services/consensusService');
+
+/**
+ * Successful result of a model the registry has no reliability for
+ * @param {string} model - Model name
+ * @param {Object} data - Extracted data
+ * @param {Object} [extra] - Other result fields
+ * @returns {Object} Result
+ */
+const resultOf = (model, data, extra = {}) => ({ provider: 'test', model, documentType: 'electricity', data, ...extra });
+
+describe('consensus', () => {
+  it('lets models without a value abstain and reports how each field was decided', () => {
+    const consensus = buildConsensus([
+      resultOf('a', { ConsumerName: 'Asha Rao', CurAmtPay: 823.2, BillNo: 'X1' }),
+      resultOf('b', { ConsumerName: 'ASHA  RAO', CurAmtPay: 823.2, BillNo: 'X2' }),
+      resultOf('c', { ConsumerName: null, CurAmtPay: 900 })
+    ]);
+
+    // Strings match regardless of case, spacing and punctuation
+    assert.equal(consensus.fields.ConsumerName.status, 'unanimous');
+    assert.deepEqual(consensus.fields.ConsumerName.supportingModels, ['a', 'b']);
+    assert.deepEqual(consensus.fields.ConsumerName.abstainingModels, ['c']);
+
+    assert.equal(consensus.data.CurAmtPay, 823.2);
+    assert.equal(consensus.fields.CurAmtPay.status, 'majority');
+    assert.equal(consensus.fields.CurAmtPay.agreement, 0.667);
+    assert.deepEqual(consensus.fields.CurAmtPay.candidates.map(candidate => candidate.models), [['a', 'b'], ['c']]);
+
+    // An even split is disputed
+    assert.equal(consensus.fields.BillNo.status, 'disputed');
+    assert.deepEqual(consensus.summary.disputedFields, ['BillNo']);
+    assert.equal(consensus.fields.Address.status, 'missing');
+    assert.equal(consensus.data.Address, null);
+  });
+
+  it('weights votes by registry reliability and the consistency of each extraction', () => {
+    const consensus = buildConsensus([
+      resultOf('gpt-4o-mini', { CurAmtPay: 900 }, { provider: 'openai', consistency: { confidence: 0 } }),
+      resultOf('o1-pro', { CurAmtPay: 823.2 }, { provider: 'openai', consistency: { confidence: 1 } })
+    ]);
+
+    assert.deepEqual(consensus.models, [{ model: 'gpt-4o-mini', weight: 0.35 }, { model: 'o1-pro', weight: 0.95 }]);
+    assert.equal(consensus.data.CurAmtPay, 823.2);
+    assert.equal(consensus.fields.CurAmtPay.status, 'majority');
+    assert.equal(consensus.fields.CurAmtPay.agreement, 0.731);
+  });
+
+  it('ignores failed results and has no consensus when every model failed', () => {
+    const failed = { provider: 'test', model: 'x', error: 'Model failed' };
+    const consensus = buildConsensus([failed, resultOf('a', { CurAmtPay: 10 })]);
+
+    assert.deepEqual(consensus.models.map(entry => entry.model), ['a']);
+    assert.equal(consensus.fields.CurAmtPay.status, 'unanimous');
+    assert.equal(buildConsensus([failed]), null);
+  });
+});
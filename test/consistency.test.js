@@ -0,0 +1,67 @@
+/**
+ * Consistency checks: arithmetic rules and the confidence score
+ */
+process.env.NODE_ENV = 'test';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkConsistency } = require('../services/consistencyService');
+
+/**
+ * Result of one rule
+ * @param {Object} report - Result of checkConsistency
+ * @param {string} id - Rule id
+ * @returns {Object} Rule result
+ */
+const ruleOf = (report, id) => report.rules.find(rule => rule.id === id);
+
+describe('consistency checks', () => {
+  const consistent = {
+    FinalOpeningReading: 1000,
+    FinalClosingReading: 1050,
+    MulFac: 2,
+    FinalConsUnits: 100,
+    BilledUnit: 100.5,
+    EngyChg: 600,
+    FxdChg: 100,
+    EleDuty: 50,
+    GrosAmt: 750,
+    CurAmtPay: 760,
+    BillDate: '2025-02-10',
+    BillDueDate: '2025-02-24'
+  };
+
+  it('passes a bill whose numbers add up, within each rule tolerance', () => {
+    const report = checkConsistency(consistent);
+
+    assert.equal(report.failed, 0);
+    assert.equal(report.confidence, 1);
+    assert.equal(ruleOf(report, 'readings.finalConsUnits').expected, 100);
+    assert.equal(ruleOf(report, 'readings.billedUnit').status, 'passed');
+    assert.equal(ruleOf(report, 'charges.amountPayable').difference, 10);
+    assert.equal(ruleOf(report, 'readings.consUnits').status, 'skipped');
+  });
+
+  it('reports what a failed rule expected and weights the confidence', () => {
+    const report = checkConsistency({ ...consistent, FinalConsUnits: 50, BillDueDate: '2025-02-01' });
+
+    const units = ruleOf(report, 'readings.finalConsUnits');
+    assert.equal(units.status, 'failed');
+    assert.equal(units.expected, 100);
+    assert.equal(units.observed, 50);
+    assert.equal(ruleOf(report, 'dates.dueAfterBill').status, 'failed');
+    assert.equal(report.failed, 2);
+    // Passed weight 2 + 1 + 3 + 2 out of 3 + 2 + 1 + 3 + 2 + 1
+    assert.equal(report.confidence, 0.667);
+  });
+
+  it('treats a reading multiplier that is missing or not positive as 1', () => {
+    const report = checkConsistency({ OmrKwh: 10, CmrKwh: 40, MulFac: 0, ConsUnits: 30 });
+    assert.equal(ruleOf(report, 'readings.consUnits').status, 'passed');
+  });
+
+  it('has no confidence when no rule applies', () => {
+    assert.equal(checkConsistency({ ConsumerName: 'Asha Rao' }).confidence, null);
+    assert.deepEqual(checkConsistency(null), { rules: [], passed: 0, failed: 0, skipped: 0, confidence: null });
+  });
+});
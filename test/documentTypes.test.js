@@ -0,0 +1,68 @@
+/**
+ * Document types: classification and splitting multi-account statements
+ */
+process.env.NODE_ENV = 'test';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDocumentType, classifyDocument, splitAccounts } = require('../services/documentTypeService');
+
+/**
+ * Text acquisition of a text-layer document, laid out like pdfService.extractText
+ * @param {Array<string>} pageTexts - Text of each page
+ * @returns {Object} Acquisition
+ */
+const acquisitionOf = (pageTexts) => {
+  let text = '';
+  const layout = pageTexts.map((pageText, index) => {
+    text += `\n\n${pageText}`;
+    return { page: index + 1, offset: text.length - pageText.length, length: pageText.length, size: null, items: [] };
+  });
+  const pages = pageTexts.map((pageText, index) => ({ page: index + 1, method: 'text-layer', confidence: null }));
+  return { text, layout, method: 'text-layer', ocrConfidence: null, pages };
+};
+
+describe('document types', () => {
+  it('parses the requested type and classifies by keywords', () => {
+    assert.equal(parseDocumentType('auto'), null);
+    assert.equal(parseDocumentType('water'), 'water');
+    assert.throws(() => parseDocumentType('toString'), { statusCode: 400 });
+
+    const water = classifyDocument('Delhi Jal Board water charges and sewerage charges for 12 KL');
+    assert.equal(water.id, 'water');
+    assert.equal(water.method, 'keywords');
+    assert.equal(classifyDocument('Hello').method, 'default');
+  });
+
+  it('splits a statement into one part per account and leaves out its summary page', () => {
+    const acquisition = acquisitionOf([
+      'Summary of accounts\nConsumer No: 111111 Rs. 100\nConsumer No: 222222 Rs. 200',
+      'Consumer No: 111111\nEnergy charges 90',
+      'Terms and conditions',
+      'Consumer No: 222222\nEnergy charges 180'
+    ]);
+
+    const { parts, summaryPages } = splitAccounts(acquisition, 'electricity');
+
+    assert.deepEqual(summaryPages, [1]);
+    assert.deepEqual(parts.map(part => part.segment), [
+      { index: 0, count: 2, account: '111111', pages: [2, 3] },
+      { index: 1, count: 2, account: '222222', pages: [4] }
+    ]);
+    // Each part reads like a document of its own
+    const [first] = parts;
+    assert.equal(first.acquisition.text, '\n\nConsumer No: 111111\nEnergy charges 90\n\nTerms and conditions');
+    const [, terms] = first.acquisition.layout;
+    assert.equal(first.acquisition.text.slice(terms.offset, terms.offset + terms.length), 'Terms and conditions');
+  });
+
+  it('keeps documents with a single account whole', () => {
+    const acquisition = acquisitionOf(['Consumer No: 111111\nPage 1', 'Consumer No: 111111\nPage 2', 'No account here']);
+
+    const { parts, summaryPages } = splitAccounts(acquisition, 'electricity');
+    assert.equal(parts.length, 1);
+    assert.equal(parts[0].segment, null);
+    assert.equal(parts[0].acquisition, acquisition);
+    assert.deepEqual(summaryPages, []);
+  });
+});
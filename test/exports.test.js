@@ -0,0 +1,90 @@
+/**
+ * Bill exports: columns, CSV quoting and locale formatting
+ */
+const { PassThrough } = require('stream');
+
+process.env.NODE_ENV = 'test';
+delete process.env.EXPORT_PROFILES_PATH;
+delete process.env.EXPORT_LOCALE;
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const Bill = require('../models/Bill');
+const { resolveColumns, exportCsv, streamJsonl } = require('../services/exportService');
+const { csvCell } = require('../utils/helpers');
+const { startDatabase, stopDatabase, createTenantKey } = require('./support/database');
+
+describe('export columns and CSV cells', () => {
+  it('resolves explicit columns with their headers and types', () => {
+    assert.deepEqual(resolveColumns({ columns: 'BillDate:Voucher Date, CurAmtPay,billId' }), [
+      { field: 'BillDate', header: 'Voucher Date', type: 'date' },
+      { field: 'CurAmtPay', header: 'CurAmtPay', type: 'amount' },
+      { field: 'billId', header: 'billId', type: 'string' }
+    ]);
+    assert.equal(resolveColumns({ profile: 'accounting' })[0].header, 'Voucher Date');
+    assert.ok(resolveColumns({ documentType: 'water' }).some(column => column.field === 'SewerageChg'));
+  });
+
+  it('rejects unknown profiles, columns and document types', () => {
+    assert.throws(() => resolveColumns({ profile: 'nope' }), { statusCode: 400, message: /Unknown export profile/ });
+    assert.throws(() => resolveColumns({ columns: 'BillDate,Secret' }), { statusCode: 400, message: /Unknown export columns: Secret/ });
+    assert.throws(() => resolveColumns({ columns: ' , ' }), { statusCode: 400 });
+    assert.throws(() => resolveColumns({ documentType: 'nope' }), { statusCode: 400 });
+  });
+
+  it('quotes CSV cells and neutralizes spreadsheet formulas', () => {
+    assert.equal(csvCell(null), '');
+    assert.equal(csvCell('Rao, Asha'), '"Rao, Asha"');
+    assert.equal(csvCell('say "hi"'), '"say ""hi"""');
+    assert.equal(csvCell('=SUM(A1:A9)'), "'=SUM(A1:A9)");
+    assert.equal(csvCell('@cmd'), "'@cmd");
+    assert.equal(csvCell('+1 555'), "'+1 555");
+    // Negative numbers stay numbers
+    assert.equal(csvCell('-1,234.50'), '"-1,234.50"');
+    assert.equal(csvCell(-28.69), '-28.69');
+  });
+});
+
+describe('bill exports', () => {
+  let tenant;
+
+  before(async () => {
+    await startDatabase();
+    ({ tenant } = await createTenantKey('exports'));
+    await Bill.create({
+      tenant,
+      filename: 'jan.pdf',
+      model: 'gpt-4o',
+      data: { ConsumerName: '=HYPERLINK("http://evil")', BillDate: '2025-02-10', BillMonth: '2025-01', CurAmtPay: 123456.5 }
+    });
+  });
+
+  after(stopDatabase);
+
+  it('formats values for the requested locale', async () => {
+    const columns = 'ConsumerName,BillDate,BillMonth,CurAmtPay';
+
+    const indian = await exportCsv(tenant, { columns, locale: 'en-IN' });
+    assert.equal(indian.count, 1);
+    assert.equal(indian.content, '\ufeffConsumerName,BillDate,BillMonth,CurAmtPay\n"\'=HYPERLINK(""http://evil"")",10/02/2025,Jan 2025,"1,23,456.50"\n');
+
+    const german = await exportCsv(tenant, { columns, locale: 'de-DE' });
+    assert.match(german.content, /,10\.02\.2025,Jan\. 2025,"123\.456,50"\n$/);
+
+    const raw = await exportCsv(tenant, { columns, locale: 'raw' });
+    assert.match(raw.content, /,2025-02-10,2025-01,123456\.5\n$/);
+
+    await assert.rejects(exportCsv(tenant, { columns, locale: 'not a locale' }), { statusCode: 400 });
+  });
+
+  it('streams canonical JSON lines', async () => {
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', chunk => chunks.push(chunk));
+
+    assert.equal(await streamJsonl(tenant, {}, output), 1);
+    const [record] = Buffer.concat(chunks).toString().trim().split('\n').map(line => JSON.parse(line));
+    assert.equal(record.filename, 'jan.pdf');
+    assert.equal(record.data.CurAmtPay, 123456.5);
+  });
+});
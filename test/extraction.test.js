@@ -0,0 +1,63 @@
+/**
+ * Model output handling: parsing, the bounded repair loop and billed usage of failed calls
+ */
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+process.env.NODE_ENV = 'test';
+process.env.EXTRACTION_MAX_ATTEMPTS = '3';
+const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-fixtures-'));
+process.env.REPLAY_FIXTURES_DIR = fixturesDir;
+delete process.env.REPLAY_DEFAULT_FIXTURE;
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractText, extractWithModel } = require('../services/pdfService');
+
+const SAMPLE_BILL = path.join(__dirname, '../fixtures/pdfs/sample-bill.pdf');
+const USAGE = { input_tokens: 100, output_tokens: 20, total_tokens: 120 };
+
+describe('model output handling', () => {
+  let acquisition;
+
+  before(async () => {
+    acquisition = await extractText(SAMPLE_BILL);
+    // Replayed by model name: every attempt of a model gets the same answer
+    await fs.writeJson(path.join(fixturesDir, 'gpt-4o.json'), { text: 'Sorry, I cannot read this bill.', usage: USAGE });
+    await fs.writeJson(path.join(fixturesDir, 'o3-mini.json'), { text: '{"ConsumerName": "Test Consumer", "BillDate": "someday"}', usage: USAGE });
+    await fs.writeJson(path.join(fixturesDir, 'o1.json'), { text: '```json\n{"ConsumerName": "Test Consumer", "CurAmtPay": "Rs. 823.20"}\n```', usage: USAGE });
+  });
+
+  after(() => fs.remove(fixturesDir));
+
+  it('accepts a JSON object wrapped in a code block on the first attempt', async () => {
+    const result = await extractWithModel(acquisition, 'o1', 'replay');
+
+    assert.equal(result.data.CurAmtPay, 823.2);
+    // The registry lists no capabilities for replay, so the schema is only given in the prompt
+    assert.equal(result.extraction.outputMode, 'prompt');
+    assert.equal(result.extraction.attempts, 1);
+    assert.deepEqual(result.extraction.repairs, []);
+  });
+
+  it('asks for repairs of unreadable values and keeps the last object when they persist', async () => {
+    const result = await extractWithModel(acquisition, 'o3-mini', 'replay');
+
+    assert.equal(result.extraction.attempts, 3);
+    assert.deepEqual(result.extraction.repairs.map(repair => repair.attempt), [1, 2, 3]);
+    assert.match(result.extraction.repairs[0].errors[0], /^BillDate: Could not interpret value as date/);
+    assert.equal(result.data.ConsumerName, 'Test Consumer');
+    assert.equal(result.validation.fields.BillDate.status, 'invalid');
+    assert.equal(result.usage.total_tokens, 360);
+  });
+
+  it('fails with 502 after the last attempt and reports the usage of every attempt', async () => {
+    await assert.rejects(extractWithModel(acquisition, 'gpt-4o', 'replay'), error => {
+      assert.equal(error.statusCode, 502);
+      assert.match(error.message, /after 3 attempts: Response is not valid JSON/);
+      assert.equal(error.usage.total_tokens, 360);
+      return true;
+    });
+  });
+});
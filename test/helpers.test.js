@@ -0,0 +1,32 @@
+/**
+ * Helpers: bounded concurrency used by batch extraction
+ */
+process.env.NODE_ENV = 'test';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { mapWithConcurrency } = require('../utils/helpers');
+
+describe('mapWithConcurrency', () => {
+  it('never runs more than the limit at once and keeps the input order', async () => {
+    let active = 0;
+    let peak = 0;
+    const delays = [30, 5, 20, 1, 10, 15];
+
+    const results = await mapWithConcurrency(delays, 2, async (delay, index) => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      active--;
+      return index;
+    });
+
+    assert.equal(peak, 2);
+    assert.deepEqual(results, [0, 1, 2, 3, 4, 5]);
+  });
+
+  it('runs at least one call at a time and handles no items', async () => {
+    assert.deepEqual(await mapWithConcurrency([1, 2], 0, async item => item * 2), [2, 4]);
+    assert.deepEqual(await mapWithConcurrency([], 3, async item => item), []);
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Billing history: one bill per month, reading continuity and anomalies
+ */
+process.env.NODE_ENV = 'test';
+delete process.env.CONSUMPTION_WINDOW;
+delete process.env.CONSUMPTION_SPIKE_FACTOR;
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeHistory } = require('../services/historyService');
+
+/**
+ * Stored bill of a month
+ * @param {string} id - Bill id
+ * @param {Object} data - Bill data
+ * @param {Object} [extra] - Other bill fields
+ * @returns {Object} Bill
+ */
+const billOf = (id, data, extra = {}) => ({ _id: id, createdAt: '2025-06-01T00:00:00Z', review: { status: 'not-required' }, data, ...extra });
+
+describe('billing history', () => {
+  const bills = [
+    billOf('apr', { BillMonth: '2025-04', FinalOpeningReading: 1250, FinalClosingReading: 1550, FinalConsUnits: 300, Arrears: 120, ConCat: 'Commercial' }),
+    billOf('jan', { BillMonth: '2025-01', FinalOpeningReading: 1000, FinalClosingReading: 1100, FinalConsUnits: 100, Arrears: 0, ConCat: 'Domestic' }),
+    billOf('feb', { BillMonth: '2025-02', FinalOpeningReading: 1100, FinalClosingReading: 1200, FinalConsUnits: 100, Arrears: 50, ConCat: 'domestic ' }, { review: { status: 'approved' } }),
+    // A newer but unreviewed extraction of the same month
+    billOf('feb-again', { BillMonth: '2025-02', FinalOpeningReading: 900, FinalConsUnits: 5 }, { createdAt: '2025-07-01T00:00:00Z', review: { status: 'pending' } }),
+    billOf('undated', { BillMonth: null })
+  ];
+
+  it('keeps one bill per month, preferring reviewed data, in month order', () => {
+    const entries = analyzeHistory(bills);
+
+    assert.deepEqual(entries.map(entry => entry.bill), ['jan', 'feb', 'apr']);
+    assert.deepEqual(entries[1].superseded, ['feb-again']);
+    assert.equal(entries[1].consumption, 100);
+  });
+
+  it('checks each opening reading against the previous closing reading', () => {
+    const [jan, feb, apr] = analyzeHistory(bills);
+
+    assert.deepEqual(jan.continuity, { status: 'first' });
+    assert.equal(feb.continuity.status, 'continuous');
+    assert.deepEqual(apr.continuity, { status: 'gap', field: 'FinalOpeningReading', expected: 1200, observed: 1250, difference: 50 });
+  });
+
+  it('reports missing months, discontinuities, spikes, tariff changes and growing arrears', () => {
+    const [jan, feb, apr] = analyzeHistory(bills);
+
+    assert.deepEqual(jan.anomalies, []);
+    // Tariff categories differing only in case and spacing are the same
+    assert.deepEqual(feb.anomalies.map(anomaly => anomaly.type), ['arrears-growth']);
+    assert.deepEqual(apr.anomalies.map(anomaly => anomaly.type), [
+      'missing-months', 'reading-discontinuity', 'consumption-spike', 'tariff-change', 'arrears-growth'
+    ]);
+
+    const byType = Object.fromEntries(apr.anomalies.map(anomaly => [anomaly.type, anomaly]));
+    assert.deepEqual(byType['missing-months'].months, ['2025-03']);
+    assert.equal(byType['consumption-spike'].expected, 100);
+    assert.match(byType['consumption-spike'].message, /3x the average of the previous 2 bills/);
+    assert.equal(byType['arrears-growth'].streak, 2);
+  });
+
+  it('needs two earlier bills before reporting a spike', () => {
+    const [, second] = analyzeHistory([
+      billOf('a', { BillMonth: '2025-01', FinalConsUnits: 10 }),
+      billOf('b', { BillMonth: '2025-02', FinalConsUnits: 100 })
+    ]);
+    assert.deepEqual(second.anomalies, []);
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Background job worker: abandoned jobs
+ */
+process.env.NODE_ENV = 'test';
+process.env.JOB_MAX_ATTEMPTS = '3';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const Job = require('../models/Job');
+const { startWorker, stopWorker } = require('../services/jobService');
+const { startDatabase, stopDatabase, createTenantKey } = require('./support/database');
+
+/**
+ * Wait until a job leaves the given status
+ * @param {string} id - Job id
+ * @param {string} status - Status to wait out
+ * @returns {Promise<Object>} Job
+ */
+const waitForChange = async (id, status) => {
+  for (let i = 0; i < 50; i++) {
+    const job = await Job.findById(id).lean();
+    if (job.status !== status || job.attempts > 3) {
+      return job;
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  return Job.findById(id).lean();
+};
+
+describe('job worker', () => {
+  let tenant;
+
+  before(async () => {
+    await startDatabase();
+    ({ tenant } = await createTenantKey('jobs'));
+  });
+
+  after(async () => {
+    stopWorker();
+    await stopDatabase();
+  });
+
+  it('fails a job that was abandoned on every attempt instead of claiming it again', async () => {
+    const lockedAt = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const job = await Job.create({
+      tenant,
+      filename: 'poison.pdf',
+      filePath: '/nonexistent/poison.pdf',
+      models: ['gpt-4o'],
+      status: 'running',
+      attempts: 3,
+      lockedAt
+    });
+
+    startWorker();
+    const finished = await waitForChange(job._id, 'running');
+    stopWorker();
+
+    assert.equal(finished.status, 'failed');
+    assert.equal(finished.attempts, 3);
+    assert.match(finished.error, /abandoned after 3 attempts/);
+    assert.ok(finished.completedAt);
+  });
+});
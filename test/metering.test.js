@@ -0,0 +1,83 @@
+/**
+ * Metering: monthly budgets, downgrades and the usage ledger
+ */
+process.env.NODE_ENV = 'test';
+delete process.env.BUDGET_FALLBACK_MODEL;
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const UsageRecord = require('../models/UsageRecord');
+const { applyBudget, updateBudget, recordUsage, exportUsageCsv } = require('../services/meteringService');
+const { getProvider } = require('../services/providers');
+const { startDatabase, stopDatabase, clearDatabase, createTenantKey } = require('./support/database');
+
+describe('budgets and usage ledger', () => {
+  const provider = getProvider('openai');
+  let tenant;
+
+  /**
+   * Record spending of the current month
+   * @param {number} cost - Cost in USD
+   * @returns {Promise<Object>} Usage record
+   */
+  const spend = (cost) => UsageRecord.create({ tenant, requestId: 'r1', source: 'single', provider: 'openai', model: 'gpt-4o', cost });
+
+  before(startDatabase);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    ({ tenant } = await createTenantKey('metering'));
+  });
+
+  after(stopDatabase);
+
+  it('allows any model while the budget lasts', async () => {
+    await updateBudget(tenant, { monthlyLimit: 5 });
+    await spend(1);
+
+    const result = await applyBudget(tenant, provider, ['gpt-4o']);
+    assert.deepEqual(result, { models: ['gpt-4o'], downgraded: false, requestedModels: ['gpt-4o'] });
+  });
+
+  it('downgrades to the fallback model once the budget is spent', async () => {
+    await updateBudget(tenant, { monthlyLimit: 1, action: 'downgrade' });
+    await spend(1.5);
+
+    const result = await applyBudget(tenant, provider, ['gpt-4o', 'o1']);
+    assert.deepEqual(result, { models: ['gpt-4o-mini'], downgraded: true, requestedModels: ['gpt-4o', 'o1'] });
+  });
+
+  it('rejects requests once the budget is spent, or the hard limit is reached', async () => {
+    await updateBudget(tenant, { monthlyLimit: 1 });
+    await spend(1.5);
+    await assert.rejects(applyBudget(tenant, provider, ['gpt-4o']), { statusCode: 402 });
+
+    await updateBudget(tenant, { action: 'downgrade', hardLimit: 1.5 });
+    await assert.rejects(applyBudget(tenant, provider, ['gpt-4o']), { statusCode: 402, message: /hard limit/ });
+  });
+
+  it('refuses models without a price under a budget', async () => {
+    const unpriced = { ...provider, calculatePrice: (model, usage) => (model === 'mystery' ? { model, priced: false, cost: null } : provider.calculatePrice(model, usage)) };
+    await updateBudget(tenant, { monthlyLimit: 5 });
+
+    await assert.rejects(applyBudget(tenant, unpriced, ['gpt-4o', 'mystery']), { statusCode: 402, message: /mystery has no price/ });
+  });
+
+  it('records billed calls only and exports them without spreadsheet formulas', async () => {
+    const usage = { prompt_tokens: 1000, completion_tokens: 100, total_tokens: 1100 };
+    const written = await recordUsage({
+      tenant,
+      source: 'single',
+      filename: '=HYPERLINK("http://evil")',
+      results: [
+        { provider: 'openai', model: 'gpt-4o', usage, pricing: provider.calculatePrice('gpt-4o', usage) },
+        { provider: 'openai', model: 'gpt-4o', usage, pricing: provider.calculatePrice('gpt-4o', usage), cache: { hit: true } },
+        { provider: 'openai', model: 'gpt-4o', usage: { total_tokens: 0 }, pricing: null }
+      ]
+    });
+    assert.equal(written, 1);
+
+    const [, line] = (await exportUsageCsv(tenant)).split('\n');
+    assert.match(line, /,"'=HYPERLINK\(""http:\/\/evil""\)",/);
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Model registry: runtime updates
+ */
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+process.env.NODE_ENV = 'test';
+const registryDir = fs.mkdtempSync(path.join(os.tmpdir(), 'model-registry-'));
+process.env.MODEL_REGISTRY_PATH = path.join(registryDir, 'models.json');
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { describeRegistry, updateModel, getReliability } = require('../services/modelRegistryService');
+
+const SHIPPED_PATH = path.join(__dirname, '../config/models.json');
+
+describe('model registry updates', () => {
+  const shipped = fs.readFileSync(SHIPPED_PATH, 'utf8');
+
+  after(() => fs.remove(registryDir));
+
+  it('writes changes to MODEL_REGISTRY_PATH and leaves config/models.json alone', async () => {
+    const { version } = describeRegistry();
+    const result = await updateModel('openai', 'gpt-4o', { reliability: 0.5 });
+
+    assert.equal(result.version, version + 1);
+    assert.equal(getReliability('openai', 'gpt-4o'), 0.5);
+    assert.equal(fs.readJsonSync(process.env.MODEL_REGISTRY_PATH).version, version + 1);
+    assert.equal(fs.readFileSync(SHIPPED_PATH, 'utf8'), shipped);
+  });
+
+  it('applies concurrent updates one after the other', async () => {
+    const { version } = describeRegistry();
+    const results = await Promise.all([
+      updateModel('openai', 'gpt-4o', { enabled: false }),
+      updateModel('openai', 'o1', { reliability: 0.6 }),
+      updateModel('openai', 'test-model', { price: { effectiveFrom: '2026-01-01', input: 1, output: 2 } })
+    ]);
+
+    assert.deepEqual(results.map(result => result.version), [version + 1, version + 2, version + 3]);
+    const saved = fs.readJsonSync(process.env.MODEL_REGISTRY_PATH);
+    const find = name => saved.models.find(model => model.name === name);
+    assert.equal(saved.version, version + 3);
+    assert.equal(find('gpt-4o').enabled, false);
+    assert.equal(find('o1').reliability, 0.6);
+    assert.ok(find('test-model'));
+  });
+
+  it('keeps applying updates after one is rejected', async () => {
+    await assert.rejects(updateModel('openai', 'gpt-4o', { reliability: 2 }), { statusCode: 400 });
+    const result = await updateModel('openai', 'gpt-4o', { reliability: 0.8 });
+    assert.equal(result.model.reliability, 0.8);
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Page selection: dropping irrelevant pages and chunking long documents
+ */
+process.env.NODE_ENV = 'test';
+process.env.PROMPT_TOKEN_BUDGET = '50';
+process.env.MAX_EXTRACTION_CHUNKS = '2';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { estimateTokens, describeSettings, planExtraction } = require('../services/pageSelectionService');
+
+/**
+ * Text acquisition of a text-layer document, laid out like pdfService.extractText
+ * @param {Array<string>} pageTexts - Text of each page
+ * @returns {Object} Acquisition
+ */
+const acquisitionOf = (pageTexts) => {
+  let text = '';
+  const layout = pageTexts.map((pageText, index) => {
+    text += `\n\n${pageText}`;
+    return { page: index + 1, offset: text.length - pageText.length, length: pageText.length, size: null, items: [] };
+  });
+  return { text, layout };
+};
+
+const BILL_PAGE = 'Consumer No: 111111\nBill date 10-02-2025\nDue date 24-02-2025\nUnits consumed 240\nMeter reading 1250 to 1490\nAmount payable Rs. 820';
+
+describe('page selection', () => {
+  it('estimates tokens from the text length', () => {
+    assert.equal(estimateTokens('abcdefghi'), 3);
+    assert.equal(estimateTokens(null), 0);
+    assert.equal(describeSettings().tokenBudget, 50);
+    assert.equal(describeSettings().maxChunks, 2);
+  });
+
+  it('drops blank pages and pages of terms and advertisements, but never the first page', () => {
+    const { chunks, pages } = planExtraction(acquisitionOf([
+      'Terms and conditions of supply',
+      'Consumer No: 111111',
+      '   ',
+      'Special offer! Download our app. Follow us on social media.'
+    ]), 'electricity');
+
+    assert.deepEqual(pages.used, [1, 2]);
+    assert.deepEqual(pages.dropped.map(({ page, reason }) => [page, reason]), [[3, 'empty'], [4, 'advertisement']]);
+    assert.equal(chunks.length, 1);
+    assert.deepEqual(chunks[0].pages, [1, 2]);
+  });
+
+  it('keeps the best page when the first page is blank', () => {
+    const { pages } = planExtraction(acquisitionOf(['', 'Terms and conditions', BILL_PAGE]), 'electricity');
+
+    assert.deepEqual(pages.used, [1, 3]);
+    assert.deepEqual(pages.dropped.map(page => page.page), [2]);
+  });
+
+  it('groups pages into chunks within the token budget and splits long pages', () => {
+    const { chunks } = planExtraction(acquisitionOf([BILL_PAGE, BILL_PAGE]), 'electricity');
+
+    assert.deepEqual(chunks.map(chunk => chunk.pages), [[1], [2]]);
+    assert.deepEqual(chunks.map(chunk => chunk.index), [0, 1]);
+    assert.ok(chunks.every(chunk => chunk.estimatedTokens <= 50));
+
+    const long = planExtraction(acquisitionOf(['x'.repeat(300)]), 'electricity');
+    assert.deepEqual(long.chunks.map(chunk => chunk.pages), [[1], [1]]);
+  });
+
+  it('refuses documents that need more model calls than allowed', () => {
+    assert.throws(() => planExtraction(acquisitionOf([BILL_PAGE, BILL_PAGE, BILL_PAGE]), 'electricity'), {
+      statusCode: 413,
+      message: /need 3 model calls; the limit is 2 calls of 50 tokens/
+    });
+  });
+});
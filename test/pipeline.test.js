@@ -0,0 +1,80 @@
+/**
+ * Extraction pipeline against the sample bill, with replayed model responses
+ */
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+process.env.NODE_ENV = 'test';
+process.env.LLM_PROVIDER = 'replay';
+process.env.REPLAY_FIXTURES_DIR = path.join(__dirname, '../fixtures/replay');
+process.env.REPLAY_DEFAULT_FIXTURE = 'true';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractText, extractBills, extractBillDataWithAllModels } = require('../services/pdfService');
+const { buildConsensus } = require('../services/consensusService');
+
+const SAMPLE_BILL = path.join(__dirname, '../fixtures/pdfs/sample-bill.pdf');
+const LABEL = fs.readJsonSync(path.join(__dirname, '../fixtures/pdfs/sample-bill.json'));
+
+describe('extraction pipeline', () => {
+  let upload;
+
+  // Extraction deletes the upload, so every test works on its own copy
+  beforeEach(async () => {
+    const file = path.join(os.tmpdir(), `sample-bill-${process.pid}-${Date.now()}.pdf`);
+    await fs.copy(SAMPLE_BILL, file);
+    upload = { path: file, originalname: 'sample-bill.pdf', mimetype: 'application/pdf' };
+  });
+
+  afterEach(() => fs.remove(upload.path));
+
+  it('reads the text layer of the sample bill', async () => {
+    const acquisition = await extractText(SAMPLE_BILL);
+
+    assert.equal(acquisition.method, 'text-layer');
+    assert.equal(acquisition.layout.length, 1);
+    assert.match(acquisition.text, /Consumer No: 90000012345/);
+    assert.match(acquisition.text, /Total Amount Payable: Rs\. 823\.20/);
+  });
+
+  it('extracts, normalizes and prices one bill', async () => {
+    const results = await extractBills(upload, { provider: 'replay', model: 'gpt-4o', cache: false });
+
+    assert.equal(results.length, 1);
+    const [result] = results;
+    assert.equal(result.error, undefined);
+    assert.equal(result.provider, 'replay');
+    assert.equal(result.documentType, 'electricity');
+    assert.equal(result.data.ConsumerName, LABEL.ConsumerName);
+    assert.equal(result.data.CanSerNo, LABEL.CanSerNo);
+    assert.equal(result.data.CurAmtPay, 823.2);
+    assert.equal(result.data.BillDate, '2025-02-10');
+    assert.equal(result.data.BillMonth, '2025-01');
+    assert.ok(result.validation.valid);
+    assert.equal(result.consistency.failed, 0);
+    assert.equal(result.usage.total_tokens, 2770);
+    // Replayed calls are not billed
+    assert.equal(result.pricing.cost.total, 0);
+    assert.equal(result.resilience.servedBy, 'gpt-4o');
+    assert.deepEqual(result.extraction.pages.used, [1]);
+    assert.ok(result.provenance.summary);
+    assert.ok(!await fs.pathExists(upload.path));
+  });
+
+  it('runs several models and merges their answers', async () => {
+    const results = await extractBillDataWithAllModels(upload, { provider: 'replay', models: ['gpt-4o', 'o3-mini'], cache: false });
+
+    assert.deepEqual(results.map(result => result.model), ['gpt-4o', 'o3-mini']);
+    assert.ok(results.every(result => !result.error));
+
+    const consensus = buildConsensus(results);
+    assert.equal(consensus.data.CurAmtPay, 823.2);
+    assert.equal(consensus.summary.disputed, 0);
+    assert.equal(consensus.fields.ConsumerName.status, 'unanimous');
+    assert.deepEqual(consensus.fields.ConsumerName.supportingModels, ['gpt-4o', 'o3-mini']);
+    // Fields neither model found are missing, not agreed on
+    assert.equal(consensus.fields.CGST.status, 'missing');
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * LLM provider registry and the replay provider
+ */
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const fs = require('fs-extra');
+
+process.env.NODE_ENV = 'test';
+const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-fixtures-'));
+process.env.REPLAY_FIXTURES_DIR = fixturesDir;
+delete process.env.REPLAY_DEFAULT_FIXTURE;
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { getProvider, listProviders } = require('../services/providers');
+
+describe('provider registry', () => {
+  after(() => fs.remove(fixturesDir));
+
+  it('refuses names that are not registered providers', () => {
+    for (const name of ['constructor', 'toString', '__proto__', 'nope']) {
+      assert.throws(() => getProvider(name), { statusCode: 400 });
+    }
+  });
+
+  it('only registers the replay provider in tests or with LLM_REPLAY_ENABLED', () => {
+    assert.ok(listProviders().includes('replay'));
+
+    const list = (env) => JSON.parse(execFileSync(process.execPath, [
+      '-e', 'console.log(JSON.stringify(require("./services/providers").listProviders()))'
+    ], { cwd: path.join(__dirname, '..'), env: { ...process.env, NODE_ENV: 'production', ...env } }).toString());
+    assert.ok(!list({}).includes('replay'));
+    assert.ok(list({ LLM_REPLAY_ENABLED: 'true' }).includes('replay'));
+  });
+
+  it('fails replayed calls without a matching fixture instead of returning the default bill', async () => {
+    await assert.rejects(
+      getProvider('replay').complete({ model: 'gpt-4o', system: 's', user: 'u' }),
+      /No replay fixture found/
+    );
+  });
+
+  it('prices replayed calls at zero', async () => {
+    await fs.writeJson(path.join(fixturesDir, 'gpt-4o.json'), { text: '{}', usage: { input_tokens: 1000, output_tokens: 100 } });
+    const replay = getProvider('replay');
+    const completion = await replay.complete({ model: 'gpt-4o', system: 's', user: 'u' });
+
+    assert.equal(completion.usage.total_tokens, 1100);
+    assert.equal(replay.calculatePrice('gpt-4o', completion.usage).cost.total, 0);
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Model call resilience: retries, timeouts, circuit breaker and concurrency cap
+ */
+process.env.NODE_ENV = 'test';
+process.env.MODEL_MAX_RETRIES = '1';
+process.env.MODEL_RETRY_BASE_DELAY_MS = '10';
+process.env.MODEL_TIMEOUT_MS = '100';
+process.env.MODEL_MAX_CONCURRENCY = '2';
+process.env.CIRCUIT_FAILURE_THRESHOLD = '2';
+process.env.CIRCUIT_RESET_MS = '100';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { withResilience, describeCircuits, isTransientError } = require('../services/providers/resilience');
+
+/**
+ * Error as thrown by the OpenAI SDK
+ * @param {number} status - HTTP status
+ * @param {Object} [headers] - Response headers
+ * @returns {Error} Error
+ */
+const apiError = (status, headers = {}) => Object.assign(new Error(`HTTP ${status}`), { status, headers });
+
+/**
+ * Provider whose calls answer in turn from a script; the last answer repeats
+ * @param {Array<Function>} script - Called with the request; returns the completion or throws
+ * @returns {Object} Wrapped provider and the requests it received
+ */
+const scripted = (script) => {
+  const requests = [];
+  const provider = withResilience({
+    name: 'fake',
+    complete: async (request) => {
+      requests.push(request);
+      const answer = script.length > 1 ? script.shift() : script[0];
+      return answer(request);
+    }
+  });
+  return { provider, requests };
+};
+
+const ok = () => ({ text: '{}', usage: {} });
+const fail = (status, headers) => () => { throw apiError(status, headers); };
+const circuitOf = model => describeCircuits().find(circuit => circuit.model === `fake/${model}`);
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('model call resilience', () => {
+  it('tells transient errors from rejected requests', () => {
+    assert.ok(isTransientError(apiError(429)));
+    assert.ok(isTransientError(apiError(503)));
+    assert.ok(isTransientError(Object.assign(new Error('reset'), { code: 'ECONNRESET' })));
+    assert.ok(!isTransientError(apiError(400)));
+  });
+
+  it('retries transient errors, waiting as long as Retry-After asks', async () => {
+    const { provider, requests } = scripted([fail(429, { 'retry-after-ms': '50' }), ok]);
+
+    const started = Date.now();
+    const completion = await provider.complete({ model: 'retry' });
+    assert.equal(completion.attempts, 2);
+    assert.equal(requests.length, 2);
+    assert.ok(Date.now() - started >= 50);
+  });
+
+  it('does not retry rejected requests', async () => {
+    const { provider, requests } = scripted([fail(400)]);
+
+    await assert.rejects(provider.complete({ model: 'rejected' }), { status: 400 });
+    assert.equal(requests.length, 1);
+  });
+
+  it('gives up after the retries with an error that allows a fallback', async () => {
+    const { provider, requests } = scripted([fail(503)]);
+
+    await assert.rejects(provider.complete({ model: 'exhausted' }), { statusCode: 503, fallback: true, attempts: 2 });
+    assert.equal(requests.length, 2);
+  });
+
+  it('times out calls that do not answer', async () => {
+    const { provider } = scripted([request => new Promise((resolve, reject) => {
+      // Stands in for the open connection, which keeps the process alive until the timeout
+      const pending = setTimeout(resolve, 10000);
+      request.signal.addEventListener('abort', () => {
+        clearTimeout(pending);
+        reject(new Error('aborted'));
+      });
+    })]);
+
+    await assert.rejects(provider.complete({ model: 'slow' }), { statusCode: 504, code: 'ETIMEDOUT' });
+  });
+
+  it('opens the circuit after repeated failures and closes it only after a successful trial call', async () => {
+    const { provider, requests } = scripted([fail(503), fail(503), fail(400), ok]);
+
+    await assert.rejects(provider.complete({ model: 'flaky' }), { statusCode: 503 });
+    assert.equal(circuitOf('flaky').state, 'open');
+
+    // Failed fast without calling the model
+    await assert.rejects(provider.complete({ model: 'flaky' }), { statusCode: 503, circuitOpen: true });
+    assert.equal(requests.length, 2);
+
+    await sleep(120);
+    // A rejected trial call says nothing about the model: the circuit stays half-open
+    await assert.rejects(provider.complete({ model: 'flaky' }), { status: 400 });
+    assert.equal(circuitOf('flaky').state, 'half-open');
+    assert.equal(circuitOf('flaky').failures, 2);
+
+    await provider.complete({ model: 'flaky' });
+    assert.equal(circuitOf('flaky').state, 'closed');
+    assert.equal(circuitOf('flaky').failures, 0);
+  });
+
+  it('caps concurrent calls per model', async () => {
+    let active = 0;
+    let peak = 0;
+    const { provider } = scripted([async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await sleep(20);
+      active--;
+      return ok();
+    }]);
+
+    await Promise.all(Array.from({ length: 5 }, () => provider.complete({ model: 'capped' })));
+    assert.equal(peak, 2);
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * Review queue: when an extraction needs review, and ground-truth export filters
+ */
+process.env.NODE_ENV = 'test';
+delete process.env.REVIEW_CONFIDENCE_THRESHOLD;
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { assessExtraction, isReviewableFailure, exportGroundTruth } = require('../services/reviewService');
+
+describe('review queue', () => {
+  const clean = {
+    failed: false,
+    validation: { valid: true },
+    consistency: { confidence: 0.9 },
+    provenance: { summary: { possiblyHallucinated: [] } },
+    consensus: { summary: { disputed: 0 } }
+  };
+
+  it('leaves clean extractions out of the queue', () => {
+    assert.deepEqual(assessExtraction(clean), { status: 'not-required', reasons: [] });
+    assert.equal(assessExtraction({ ...clean, consistency: { confidence: null } }).status, 'not-required');
+  });
+
+  it('queues extractions with every reason that applies', () => {
+    const review = assessExtraction({
+      failed: false,
+      validation: { valid: false },
+      consistency: { confidence: 0.5 },
+      provenance: { summary: { possiblyHallucinated: ['BillNo'] } },
+      consensus: { summary: { disputed: 2 } }
+    });
+
+    assert.equal(review.status, 'pending');
+    assert.deepEqual(review.reasons, ['validation-failed', 'low-confidence', 'possibly-hallucinated', 'disputed-fields']);
+    assert.ok(review.queuedAt instanceof Date);
+    assert.deepEqual(assessExtraction({ ...clean, failed: true }).reasons, ['extraction-failed']);
+  });
+
+  it('queues failures a reviewer can resolve from the document', () => {
+    assert.ok(isReviewableFailure({ statusCode: 422 }));
+    assert.ok(isReviewableFailure({ statusCode: 502 }));
+    assert.ok(!isReviewableFailure({ statusCode: 503 }));
+    assert.ok(!isReviewableFailure(new Error('boom')));
+  });
+
+  it('rejects export dates that are not YYYY-MM-DD', async () => {
+    for (const query of [{ from: 'yesterday' }, { to: '2025-13-01' }, { from: '2025-02-30' }, { to: '2025-1-5' }]) {
+      await assert.rejects(exportGroundTruth('507f1f77bcf86cd799439011', query), { statusCode: 400, message: /Use YYYY-MM-DD/ });
+    }
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Rule extraction: template detection and rule-filled fields
+ */
+process.env.NODE_ENV = 'test';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { detectTemplate, extractWithRules } = require('../services/ruleExtractionService');
+
+// Text as pdf-parse renders a TPCODL bill: most labels follow their values
+const TPCODL_TEXT = [
+  'www.tpcentralodisha.com',
+  'Bill of Supply of Electricity',
+  'Consumer Name: ASHA RAO',
+  ': PLOT 12, SAHID NAGAR',
+  'BHUBANESWAR',
+  'Address Details',
+  ': 24/02/2025Due Date',
+  ': 90000012345Consumer A/C',
+  ': 13/02/2025Bill Issue Date',
+  ': 2025/01Bill Month',
+  'Meter Reading Details',
+  'Bill Period: 01.01.2025 - 31.01.2025',
+  'KWH1,000 1,050 1 50 0 50',
+  'Total Amount Payable',
+  'Rs. 823.20'
+].join('\n');
+
+describe('rule extraction', () => {
+  it('picks a template only when every signature pattern matches', () => {
+    assert.equal(detectTemplate(TPCODL_TEXT).id, 'tpcodl');
+    assert.equal(detectTemplate(TPCODL_TEXT, 'water'), null);
+    assert.equal(detectTemplate(TPCODL_TEXT.replace('Meter Reading Details', '')), null);
+    assert.equal(detectTemplate(''), null);
+  });
+
+  it('fills normalized fields and leaves the rest to the model', () => {
+    const result = extractWithRules(TPCODL_TEXT);
+
+    assert.equal(result.template, 'tpcodl');
+    assert.equal(result.data.ConsumerName, 'ASHA RAO');
+    assert.equal(result.data.Address, 'PLOT 12, SAHID NAGAR BHUBANESWAR');
+    assert.equal(result.data.CanSerNo, '90000012345');
+    assert.equal(result.data.BillDate, '2025-02-13');
+    assert.equal(result.data.BillMonth, '2025-01');
+    assert.equal(result.data.CmrDt, '2025-01-31');
+    assert.equal(result.data.FinalClosingReading, 1050);
+    assert.equal(result.data.FinalConsUnits, 50);
+    assert.equal(result.data.CurAmtPay, 823.2);
+    assert.equal(result.data.DiscCode, 'TPCODL');
+    assert.ok(result.absentFields.includes('CGST'));
+    // Not on this page: the model is asked for it
+    assert.ok(result.remainingFields.includes('BillNo'));
+    assert.ok(!result.remainingFields.includes('ConsumerName'));
+    assert.ok(!result.remainingFields.includes('CGST'));
+  });
+
+  it('asks the model for every field when no template matches', () => {
+    const result = extractWithRules('Some other utility bill');
+
+    assert.equal(result.template, null);
+    assert.deepEqual(result.data, {});
+    assert.ok(result.remainingFields.includes('ConsumerName'));
+  });
+});
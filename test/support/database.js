@@ -0,0 +1,55 @@
+/**
+ * In-memory MongoDB for tests
+ *
+ * Starts a throwaway mongod with mongodb-memory-server (set MONGOMS_SYSTEM_BINARY
+ * to use an installed mongod instead of a downloaded one) and connects
+ * mongoose to it.
+ */
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { connectDatabase, disconnectDatabase } = require('../../config/database');
+const { findOrCreateTenant, createApiKey } = require('../../services/authService');
+
+let server = null;
+
+/**
+ * Start the in-memory server and connect to it
+ * @returns {Promise<void>}
+ */
+exports.startDatabase = async () => {
+  server = await MongoMemoryServer.create();
+  await connectDatabase(server.getUri());
+};
+
+/**
+ * Disconnect and stop the in-memory server
+ * @returns {Promise<void>}
+ */
+exports.stopDatabase = async () => {
+  await disconnectDatabase();
+  if (server) {
+    await server.stop();
+    server = null;
+  }
+};
+
+/**
+ * Remove every document, keeping collections and indexes
+ * @returns {Promise<void>}
+ */
+exports.clearDatabase = async () => {
+  const collections = await mongoose.connection.db.collections();
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+};
+
+/**
+ * Create a tenant and an API key for it
+ * @param {string} name - Tenant name
+ * @param {string} [role='admin'] - Role of the key
+ * @returns {Promise<Object>} Tenant id and plain API key
+ */
+exports.createTenantKey = async (name, role = 'admin') => {
+  const tenant = await findOrCreateTenant(name);
+  const { key } = await createApiKey({ tenant: tenant._id, name: 'test', role });
+  return { tenant: tenant._id, key };
+};
@@ -0,0 +1,35 @@
+/**
+ * HTTP helpers for tests
+ */
+const app = require('../../app');
+
+/**
+ * Serve the app on a free local port
+ * @returns {Promise<Object>} Base URL of the API and close()
+ */
+exports.startServer = () => new Promise(resolve => {
+  const server = app.listen(0, '127.0.0.1', () => {
+    resolve({
+      url: `http://127.0.0.1:${server.address().port}/api`,
+      close: () => new Promise(done => server.close(done))
+    });
+  });
+});
+
+/**
+ * Call the API with an API key
+ * @param {string} url - Request URL
+ * @param {string} key - API key
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Object>} Status and parsed JSON body
+ */
+exports.request = async (url, key, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { 'X-API-Key': key, ...(options.headers || {}) }
+  });
+  const body = (response.headers.get('content-type') || '').includes('application/json')
+    ? await response.json()
+    : await response.text();
+  return { status: response.status, headers: response.headers, body };
+};
@@ -0,0 +1,38 @@
+/**
+ * Webhooks: URL checks
+ */
+process.env.NODE_ENV = 'test';
+delete process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS;
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWebhook } = require('../services/webhookService');
+
+describe('webhook URLs', () => {
+  const rejects = (url, message) => assert.rejects(createWebhook({ tenant: null, url }), error => {
+    assert.equal(error.statusCode, 400);
+    assert.match(error.message, message);
+    return true;
+  });
+
+  it('refuses hosts that resolve to loopback addresses', async () => {
+    await rejects('http://localhost:8080/hook', /resolves to 127\.0\.0\.1/);
+    await rejects('http://0x7f000001/hook', /private or loopback/);
+    await rejects('http://[::1]/hook', /private or loopback/);
+    await rejects('http://[::ffff:127.0.0.1]/hook', /private or loopback/);
+  });
+
+  it('refuses private, link-local and shared address ranges', async () => {
+    for (const host of ['10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '[fd00::1]', '[fe80::1]']) {
+      await rejects(`http://${host}/hook`, /private or loopback/);
+    }
+  });
+
+  it('refuses hosts that do not resolve', async () => {
+    await rejects('https://receiver.invalid/hook', /could not be resolved/);
+  });
+
+  it('refuses other protocols', async () => {
+    await rejects('ftp://example.com/hook', /http or https/);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Webhooks: signed delivery and retries against a local receiver
+ */
+process.env.NODE_ENV = 'test';
+// The receiver listens on loopback
+process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS = 'true';
+process.env.WEBHOOK_POLL_INTERVAL_MS = '50';
+process.env.WEBHOOK_RETRY_BASE_DELAY_MS = '50';
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+
+const http = require('http');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const {
+  createWebhook,
+  rotateCallbackSecret,
+  emitEvent,
+  verifySignature,
+  startDeliveryWorker,
+  stopDeliveryWorker
+} = require('../services/webhookService');
+const { startDatabase, stopDatabase, clearDatabase, createTenantKey } = require('./support/database');
+
+/**
+ * Wait until every delivery has left the pending status
+ * @returns {Promise<Array<Object>>} Deliveries
+ */
+const waitForDeliveries = async () => {
+  for (let i = 0; i < 100; i++) {
+    const deliveries = await WebhookDelivery.find().lean();
+    if (deliveries.length > 0 && deliveries.every(delivery => delivery.status !== 'pending')) {
+      return deliveries;
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  return WebhookDelivery.find().lean();
+};
+
+describe('webhook delivery', () => {
+  let tenant;
+  let receiver;
+  let url;
+  // Statuses the receiver answers with, in order; the last one repeats
+  let statuses;
+  let received;
+
+  before(async () => {
+    await startDatabase();
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = statuses.length > 1 ? statuses.shift() : statuses[0];
+        res.end();
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${receiver.address().port}/hook`;
+  });
+
+  beforeEach(async () => {
+    await clearDatabase();
+    ({ tenant } = await createTenantKey('webhooks'));
+    received = [];
+    statuses = [200];
+  });
+
+  after(async () => {
+    stopDeliveryWorker();
+    await new Promise(resolve => receiver.close(resolve));
+    await stopDatabase();
+  });
+
+  it('signs each delivery with the webhook secret and retries until the receiver accepts it', async () => {
+    statuses = [500, 200];
+    const webhook = await createWebhook({ tenant, url, events: ['extraction.completed'] });
+
+    assert.equal(await emitEvent(tenant, 'extraction.completed', { billId: 'b1' }), 1);
+    startDeliveryWorker();
+    const [delivery] = await waitForDeliveries();
+    stopDeliveryWorker();
+
+    assert.equal(delivery.status, 'succeeded');
+    assert.equal(delivery.attempts, 2);
+    assert.deepEqual(delivery.log.map(entry => entry.statusCode), [500, 200]);
+    assert.equal(delivery.log[0].error, 'HTTP 500');
+
+    assert.equal(received.length, 2);
+    for (const { headers, body } of received) {
+      assert.equal(headers['x-webhook-event'], 'extraction.completed');
+      assert.equal(headers['x-webhook-delivery'], delivery._id.toString());
+      assert.ok(verifySignature(webhook.secret, headers['x-webhook-signature'], body));
+      assert.ok(!verifySignature('whsec_other', headers['x-webhook-signature'], body));
+      assert.deepEqual(JSON.parse(body).data, { billId: 'b1' });
+    }
+  });
+
+  it('gives up after WEBHOOK_MAX_ATTEMPTS failed attempts', async () => {
+    statuses = [503];
+    await createWebhook({ tenant, url, events: ['extraction.failed'] });
+
+    await emitEvent(tenant, 'extraction.failed', { billId: 'b2' });
+    startDeliveryWorker();
+    const [delivery] = await waitForDeliveries();
+    stopDeliveryWorker();
+
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.attempts, 3);
+    assert.equal(received.length, 3);
+  });
+
+  it('signs callback URL deliveries with the tenant callback secret', async () => {
+    const secret = await rotateCallbackSecret(tenant);
+
+    assert.equal(await emitEvent(tenant, 'extraction.completed', { billId: 'b3' }, { callbackUrl: url }), 1);
+    startDeliveryWorker();
+    const [delivery] = await waitForDeliveries();
+    stopDeliveryWorker();
+
+    assert.equal(delivery.status, 'succeeded');
+    assert.equal(received.length, 1);
+    assert.ok(verifySignature(secret, received[0].headers['x-webhook-signature'], received[0].body));
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Event stream
+ *
+ * Streams progress events to a client as Server-Sent Events or, when the
+ * client accepts application/x-ndjson, as newline-delimited JSON objects of
+ * the form { event, data }. The stream's signal aborts when the client
+ * disconnects before the stream is ended.
+ */
+
+// Keeps proxies from closing a stream that is waiting on a slow model
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.STREAM_HEARTBEAT_INTERVAL_MS, 10) || 15000;
+
+/**
+ * Start streaming events in response to a request
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Stream with format ('sse' or 'ndjson'), signal (aborted on disconnect),
+ *   send(event, data) and end()
+ */
+exports.openEventStream = (req, res) => {
+  const format = req.accepts(['text/event-stream', 'application/x-ndjson']) === 'application/x-ndjson' ? 'ndjson' : 'sse';
+  const controller = new AbortController();
+
+  res.status(200);
+  res.set({
+    'Content-Type': format === 'ndjson' ? 'application/x-ndjson' : 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Disable response buffering in nginx
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const isOpen = () => !res.writableEnded && !res.destroyed;
+
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
+  const heartbeat = setInterval(() => {
+    if (isOpen()) {
+      res.write(format === 'ndjson' ? `${JSON.stringify({ event: 'heartbeat' })}\n` : ': heartbeat\n\n');
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+
+  return {
+    format,
+    signal: controller.signal,
+    send: (event, data) => {
+      if (!isOpen()) {
+        return;
+      }
+      res.write(format === 'ndjson'
+        ? `${JSON.stringify({ event, data })}\n`
+        : `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end: () => {
+      clearInterval(heartbeat);
+      if (isOpen()) {
+        res.end();
+      }
+    }
+  };
+};
@@ -27,6 +27,34 @@ exports.createResponse = (status = 'success', data = null, message = '') => {
   };
 };
 
+/**
+ * Creates an error carrying an HTTP status, which the error handler sends as the response status
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status
+ * @returns {Error} Error
+ */
+exports.httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Quotes a value for CSV output, neutralizing text that spreadsheets would run as a formula
+ * @param {any} value - Cell value
+ * @returns {string} CSV cell
+ */
+exports.csvCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !/^-?[\d.,\s]+$/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
 /**
  * Validates an email address format
  * @param {string} email - Email to validate
@@ -35,4 +63,27 @@ exports.createResponse = (status = 'success', data = null, message = '') => {
 exports.isValidEmail = (email) => {
   const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
   return emailRegex.test(email);
-};
\ No newline at end of file
+};
+
+/**
+ * Maps over items with at most `limit` calls in flight at once
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} fn - Async function called with (item, index)
+ * @returns {Promise<Array>} Results in input order
+ */
+exports.mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+};